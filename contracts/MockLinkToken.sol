@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+interface ERC677Receiver {
+    function onTokenTransfer(address sender, uint256 amount, bytes calldata data) external;
+}
+
+/**
+ * @title MockLinkToken
+ * @dev Mock LINK token for testing
+ * @notice ERC-20 with ERC-677 transferAndCall, which ChainlinkClient uses to
+ * pay for requests. The deployer receives the whole supply.
+ */
+contract MockLinkToken is ERC20 {
+    constructor() ERC20("ChainLink Token", "LINK") {
+        _mint(msg.sender, 1_000_000_000 * 10**18);
+    }
+
+    /**
+     * @dev Transfer tokens and call the recipient's onTokenTransfer if it is a contract
+     * @param to The recipient
+     * @param value Amount of LINK in juels
+     * @param data Passed on to the recipient
+     * @return success Always true; failures revert
+     */
+    function transferAndCall(address to, uint256 value, bytes calldata data) public returns (bool success) {
+        super.transfer(to, value);
+        if (to.code.length > 0) {
+            ERC677Receiver(to).onTokenTransfer(msg.sender, value, data);
+        }
+        return true;
+    }
+}
@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title MockOperator
+ * @dev Local stand-in for Chainlink's Operator contract
+ * @notice Accepts operatorRequest calls paid with LINK through transferAndCall,
+ * emits the same OracleRequest event a Chainlink node's directrequest job
+ * listens for, and forwards fulfillOracleRequest2 responses from authorized
+ * senders to the requester. Request IDs, commitments, the 5 minute expiry and
+ * cancellation follow the real Operator, so ChainlinkClient consumers run
+ * unchanged against either.
+ */
+contract MockOperator is Ownable {
+    uint256 public constant EXPIRY_TIME = 5 minutes;
+    uint256 private constant MINIMUM_CONSUMER_GAS_LIMIT = 400000;
+
+    IERC20 public immutable linkToken;
+
+    // Hash of payment, callback and expiration per pending request
+    mapping(bytes32 => bytes32) private commitments;
+    mapping(address => bool) public isAuthorizedSender;
+    uint256 public tokensInEscrow; // LINK paid for requests not yet fulfilled or cancelled
+
+    event OracleRequest(
+        bytes32 indexed specId,
+        address requester,
+        bytes32 requestId,
+        uint256 payment,
+        address callbackAddr,
+        bytes4 callbackFunctionId,
+        uint256 cancelExpiration,
+        uint256 dataVersion,
+        bytes data
+    );
+    event CancelOracleRequest(bytes32 indexed requestId);
+    event OracleResponse(bytes32 indexed requestId);
+    event AuthorizedSendersChanged(address[] senders, address changedBy);
+
+    constructor(address _linkToken) Ownable(msg.sender) {
+        require(_linkToken != address(0), "Invalid LINK address");
+        linkToken = IERC20(_linkToken);
+    }
+
+    /**
+     * @dev ERC-677 hook: LINK sent with transferAndCall opens a request
+     * Only operatorRequest is accepted; its sender and payment arguments are
+     * replaced by the actual LINK sender and amount.
+     * @param sender The account that sent the LINK (the requester)
+     * @param amount LINK paid for the request
+     * @param data ABI-encoded operatorRequest call
+     */
+    function onTokenTransfer(address sender, uint256 amount, bytes calldata data) external {
+        require(msg.sender == address(linkToken), "Must use LINK token");
+        require(data.length >= 4 && bytes4(data[:4]) == this.operatorRequest.selector, "Must use whitelisted functions");
+
+        (, , bytes32 specId, bytes4 callbackFunctionId, uint256 nonce, uint256 dataVersion, bytes memory requestData) =
+            abi.decode(data[4:], (address, uint256, bytes32, bytes4, uint256, uint256, bytes));
+        _request(sender, amount, specId, callbackFunctionId, nonce, dataVersion, requestData);
+    }
+
+    /**
+     * @dev Request entry point for transferAndCall; cannot be called directly
+     */
+    function operatorRequest(address, uint256, bytes32, bytes4, uint256, uint256, bytes calldata) external pure {
+        revert("Must use LINK token");
+    }
+
+    function _request(
+        address sender,
+        uint256 payment,
+        bytes32 specId,
+        bytes4 callbackFunctionId,
+        uint256 nonce,
+        uint256 dataVersion,
+        bytes memory data
+    ) internal {
+        require(sender != address(linkToken), "Cannot call to LINK");
+        bytes32 requestId = keccak256(abi.encodePacked(sender, nonce));
+        require(commitments[requestId] == bytes32(0), "Must use a unique ID");
+
+        uint256 expiration = block.timestamp + EXPIRY_TIME;
+        commitments[requestId] = _paramsHash(payment, sender, callbackFunctionId, expiration);
+        tokensInEscrow += payment;
+
+        emit OracleRequest(specId, sender, requestId, payment, sender, callbackFunctionId, expiration, dataVersion, data);
+    }
+
+    /**
+     * @dev Deliver a response to the requester (authorized senders only)
+     * @param requestId The request being answered
+     * @param payment LINK paid, as emitted in OracleRequest
+     * @param callbackAddress The requester, as emitted in OracleRequest
+     * @param callbackFunctionId The callback selector, as emitted in OracleRequest
+     * @param expiration The cancel expiration, as emitted in OracleRequest
+     * @param data ABI-encoded callback arguments, starting with the request ID
+     * @return success Whether the callback succeeded; the request is settled either way
+     */
+    function fulfillOracleRequest2(
+        bytes32 requestId,
+        uint256 payment,
+        address callbackAddress,
+        bytes4 callbackFunctionId,
+        uint256 expiration,
+        bytes calldata data
+    ) external returns (bool success) {
+        require(isAuthorizedSender[msg.sender], "Not authorized sender");
+        require(data.length >= 32 && bytes32(data[:32]) == requestId, "First word must be requestId");
+        require(
+            commitments[requestId] == _paramsHash(payment, callbackAddress, callbackFunctionId, expiration),
+            "Params do not match request ID"
+        );
+
+        delete commitments[requestId];
+        tokensInEscrow -= payment;
+        emit OracleResponse(requestId);
+
+        require(gasleft() >= MINIMUM_CONSUMER_GAS_LIMIT, "Must provide consumer enough gas");
+        (success, ) = callbackAddress.call(abi.encodePacked(callbackFunctionId, data));
+    }
+
+    /**
+     * @dev Refund an expired request to its requester
+     * @param requestId The request to cancel; must have been made by the caller
+     * @param payment LINK paid, as emitted in OracleRequest
+     * @param callbackFunc The callback selector, as emitted in OracleRequest
+     * @param expiration The cancel expiration, as emitted in OracleRequest
+     */
+    function cancelOracleRequest(bytes32 requestId, uint256 payment, bytes4 callbackFunc, uint256 expiration) external {
+        require(commitments[requestId] == _paramsHash(payment, msg.sender, callbackFunc, expiration), "Params do not match request ID");
+        require(expiration <= block.timestamp, "Request is not expired");
+
+        delete commitments[requestId];
+        tokensInEscrow -= payment;
+        emit CancelOracleRequest(requestId);
+        require(linkToken.transfer(msg.sender, payment), "LINK transfer failed");
+    }
+
+    /**
+     * @dev Check whether a request is still waiting for a response
+     * @param requestId The request ID
+     */
+    function isPending(bytes32 requestId) public view returns (bool) {
+        return commitments[requestId] != bytes32(0);
+    }
+
+    /**
+     * @dev Allow or disallow node accounts to fulfill requests (only owner)
+     * @param senders Accounts allowed to call fulfillOracleRequest2
+     * @param allowed Whether they are allowed
+     */
+    function setAuthorizedSenders(address[] calldata senders, bool allowed) external onlyOwner {
+        for (uint256 i = 0; i < senders.length; i++) {
+            isAuthorizedSender[senders[i]] = allowed;
+        }
+        emit AuthorizedSendersChanged(senders, msg.sender);
+    }
+
+    /**
+     * @dev LINK earned from fulfilled requests
+     */
+    function withdrawable() public view returns (uint256) {
+        return linkToken.balanceOf(address(this)) - tokensInEscrow;
+    }
+
+    /**
+     * @dev Send earned LINK to an address (only owner)
+     * @param to The recipient
+     * @param amount LINK in juels, at most withdrawable()
+     */
+    function withdraw(address to, uint256 amount) external onlyOwner {
+        require(amount <= withdrawable(), "Amount requested is greater than withdrawable balance");
+        require(linkToken.transfer(to, amount), "LINK transfer failed");
+    }
+
+    function _paramsHash(uint256 payment, address callbackAddress, bytes4 callbackFunctionId, uint256 expiration)
+        internal
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encodePacked(payment, callbackAddress, callbackFunctionId, expiration));
+    }
+}
@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./PriceConsumerUpgradeable.sol";
+import "./OracleTokenUpgradeable.sol";
+
+/**
+ * @title MockPriceConsumerV2
+ * @dev Storage-compatible PriceConsumer upgrade for testing: appends state
+ */
+contract MockPriceConsumerV2 is PriceConsumerUpgradeable {
+    uint256 public upgradeCount;
+
+    function version() public pure returns (string memory) {
+        return "2";
+    }
+
+    function initializeV2() public reinitializer(2) {
+        upgradeCount += 1;
+    }
+}
+
+// A base that claims slot 0, shifting every inherited variable
+abstract contract MockShiftedStorage {
+    uint256 internal shifted;
+}
+
+/**
+ * @title MockUnsafePriceConsumerV2
+ * @dev PriceConsumer upgrade that moves existing storage, for testing the implementation check
+ */
+contract MockUnsafePriceConsumerV2 is MockShiftedStorage, PriceConsumerUpgradeable {}
+
+/**
+ * @title MockDelegatingPriceConsumerV2
+ * @dev PriceConsumer upgrade with an open delegatecall, for testing the implementation check
+ */
+contract MockDelegatingPriceConsumerV2 is PriceConsumerUpgradeable {
+    function execute(address target, bytes memory data) public returns (bytes memory result) {
+        (, result) = target.delegatecall(data);
+    }
+}
+
+/**
+ * @title MockOracleTokenV2
+ * @dev Storage-compatible OracleToken upgrade for testing
+ */
+contract MockOracleTokenV2 is OracleTokenUpgradeable {
+    function version() public pure returns (string memory) {
+        return "2";
+    }
+}
+
+/**
+ * @title MockNamespacedV1
+ * @dev Upgradeable contract keeping all its state in an ERC-7201 namespace, for testing the implementation check
+ */
+contract MockNamespacedV1 is Initializable, UUPSUpgradeable {
+    /// @custom:storage-location erc7201:mock.storage.Namespaced
+    struct MainStorage {
+        uint128 total;
+        address owner;
+    }
+
+    function initialize() public initializer {}
+
+    // Test contract: anyone can upgrade
+    function _authorizeUpgrade(address) internal override {}
+}
+
+/**
+ * @title MockNamespacedV2
+ * @dev Upgrade of MockNamespacedV1 that inserts a member at the start of its namespace
+ */
+contract MockNamespacedV2 is Initializable, UUPSUpgradeable {
+    /// @custom:storage-location erc7201:mock.storage.Namespaced
+    struct MainStorage {
+        uint256 version;
+        uint128 total;
+        address owner;
+    }
+
+    function initialize() public initializer {}
+
+    // Test contract: anyone can upgrade
+    function _authorizeUpgrade(address) internal override {}
+}
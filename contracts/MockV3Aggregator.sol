@@ -17,6 +17,8 @@ contract MockV3Aggregator {
     mapping(uint256 => int256) public getAnswer;
     mapping(uint256 => uint256) public getTimestamp;
     mapping(uint256 => uint256) private getStartedAt;
+    mapping(uint256 => uint256) private getAnsweredInRound;
+    bool public revertMissingRounds;
     
     event AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt);
     event NewRound(uint256 indexed roundId, address indexed startedBy, uint256 startedAt);
@@ -54,6 +56,21 @@ contract MockV3Aggregator {
         emit AnswerUpdated(_answer, _roundId, _timestamp);
     }
     
+    /**
+     * @dev Simulate a round that carried over the answer of an earlier round
+     */
+    function setAnsweredInRound(uint80 _roundId, uint80 _answeredInRound) public {
+        getAnsweredInRound[_roundId] = _answeredInRound;
+    }
+    
+    /**
+     * @dev Revert for rounds that were never written, as a real aggregator does
+     * below the first round of its phase
+     */
+    function setRevertMissingRounds(bool _revert) public {
+        revertMissingRounds = _revert;
+    }
+    
     function getRoundData(uint80 _roundId)
         external
         view
@@ -65,12 +82,13 @@ contract MockV3Aggregator {
             uint80 answeredInRound
         )
     {
+        require(!revertMissingRounds || getTimestamp[_roundId] != 0, "No data present");
         return (
             _roundId,
             getAnswer[_roundId],
             getStartedAt[_roundId],
             getTimestamp[_roundId],
-            _roundId
+            _answeredIn(_roundId)
         );
     }
     
@@ -90,10 +108,15 @@ contract MockV3Aggregator {
             getAnswer[latestRound],
             getStartedAt[latestRound],
             getTimestamp[latestRound],
-            uint80(latestRound)
+            _answeredIn(latestRound)
         );
     }
     
+    function _answeredIn(uint256 _roundId) internal view returns (uint80) {
+        uint256 answeredIn = getAnsweredInRound[_roundId];
+        return uint80(answeredIn == 0 ? _roundId : answeredIn);
+    }
+    
     function description() external pure returns (string memory) {
         return "v0.8/tests/MockV3Aggregator.sol";
     }
@@ -3,56 +3,110 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "./PriceConsumer.sol";
 
 /**
- * @title OracleToken
+ * @title OracleTokenBase
  * @dev ERC20 token with oracle-based pricing functionality
  * @notice Token that can be minted/burned based on oracle price data
+ * Only MINTER_ROLE accounts can mint. LIMITS_ADMIN_ROLE can cap how much each
+ * recipient and everyone together receive per window, and how soon a recipient
+ * can be minted to again. The owner keeps the token parameters; roles are
+ * managed by DEFAULT_ADMIN_ROLE and do not follow ownership transfers.
+ * VAULT_ROLE is for collateral vaults (see OracleVault), which mint and burn
+ * exact amounts against the ETH they hold.
+ * The guardian (or the owner) can pause oracle-priced minting and, separately,
+ * transfers between holders; only the owner can unpause.
+ * Deployed as OracleToken (constructor) or OracleTokenUpgradeable (behind a proxy).
  */
-contract OracleToken is ERC20, Ownable {
+abstract contract OracleTokenBase is ERC20, Ownable, AccessControl {
     PriceConsumer public priceConsumer;
+
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant LIMITS_ADMIN_ROLE = keccak256("LIMITS_ADMIN_ROLE");
+    bytes32 public constant VAULT_ROLE = keccak256("VAULT_ROLE");
+
+    // Tokens minted within the last window, as of `updatedAt`
+    struct MintWindow {
+        uint256 updatedAt;
+        uint256 minted;
+    }
+
+    // How divisions in the mint math are rounded
+    enum Rounding {
+        Down,
+        Up,
+        Nearest
+    }
     
     // Token parameters
     uint256 public constant MAX_SUPPLY = 1000000 * 10**18; // 1 million tokens
-    uint256 public mintRate = 100; // Tokens per unit price (adjustable)
+    uint8 public constant PRICE_DECIMALS = 18; // Precision prices are normalized to before minting
+    uint256 public mintRate; // Tokens per unit price (adjustable, 100 at deploy)
+    Rounding public rounding = Rounding.Down;
+
+    // Mint limits (0 disables each one)
+    uint256 public mintWindow; // Length of the rolling cap window in seconds
+    uint256 public accountMintCap; // Per recipient, per rolling window
+    uint256 public globalMintCap; // All recipients together, per rolling window
+    uint256 public mintCooldown; // Seconds between two mints to the same recipient
+
+    mapping(address => MintWindow) public accountMints;
+    MintWindow public globalMints;
+    mapping(address => uint256) public lastMintAt;
+
+    // Emergency stops, set by the guardian or the owner and cleared by the owner
+    address public guardian;
+    bool public mintingPaused; // Every mint except the initial supply
+    bool public transfersPaused; // Holder-to-holder transfers; mints and burns still work
     
     // Events
-    event PriceBasedMint(address indexed to, uint256 amount, int256 price);
+    event PriceBasedMint(address indexed to, uint256 amount, int256 price, uint256 normalizedPrice);
     event MintRateUpdated(uint256 newRate);
+    event RoundingUpdated(Rounding rounding);
     event PriceConsumerUpdated(address newConsumer);
+    event VaultMint(address indexed vault, address indexed to, uint256 amount);
+    event VaultBurn(address indexed vault, address indexed from, uint256 amount);
+    event MintLimitsUpdated(uint256 window, uint256 accountCap, uint256 globalCap, uint256 cooldown);
+    event GuardianUpdated(address guardian);
+    event MintingPaused(address indexed account);
+    event MintingUnpaused(address indexed account);
+    event TransfersPaused(address indexed account);
+    event TransfersUnpaused(address indexed account);
+
+    modifier whenMintingActive() {
+        require(!mintingPaused, "Minting paused");
+        _;
+    }
     
-    constructor(
-        string memory name,
-        string memory symbol,
-        address _priceConsumer
-    ) ERC20(name, symbol) Ownable(msg.sender) {
+    // Deploy-time state; `admin` gets every role and the initial supply
+    function _initializeOracleToken(address _priceConsumer, address admin) internal {
         require(_priceConsumer != address(0), "Invalid price consumer address");
         priceConsumer = PriceConsumer(_priceConsumer);
+        mintRate = 100;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(MINTER_ROLE, admin);
+        _grantRole(LIMITS_ADMIN_ROLE, admin);
         
         // Mint initial supply to owner
-        _mint(msg.sender, 100000 * 10**decimals()); // 100k initial tokens
+        _mint(admin, 100000 * 10**decimals()); // 100k initial tokens
     }
     
     /**
      * @dev Mint tokens based on current oracle price
      * @param to The address to mint tokens to
      */
-    function mintBasedOnPrice(address to) public {
+    function mintBasedOnPrice(address to) public onlyRole(MINTER_ROLE) whenMintingActive {
         require(to != address(0), "Cannot mint to zero address");
         
-        int256 currentPrice = priceConsumer.getLatestPrice();
+        // Reverts with the circuit breaker's reason for stale or out-of-bounds answers
+        int256 currentPrice = priceConsumer.getSafePrice();
         require(currentPrice > 0, "Invalid price from oracle");
         
-        // Calculate mint amount based on price
-        // Price is typically in 8 decimals for Chainlink, adjust accordingly
-        uint256 mintAmount = (uint256(currentPrice) * mintRate) / (10**8);
-        
-        require(totalSupply() + mintAmount <= MAX_SUPPLY, "Would exceed max supply");
-        
-        _mint(to, mintAmount);
-        
-        emit PriceBasedMint(to, mintAmount, currentPrice);
+        _mintForPrice(to, currentPrice);
     }
     
     /**
@@ -60,33 +114,219 @@ contract OracleToken is ERC20, Ownable {
      * @param to The address to mint tokens to
      * @param price The price from oracle
      * @param timestamp The timestamp of the price
-     * @param signature The oracle signature
+     * @param signature The oracle's signature of the consumer's PriceReport(0, price, timestamp)
      */
     function mintWithOracleSignature(
         address to,
         int256 price,
         uint256 timestamp,
         bytes memory signature
-    ) public {
+    ) public onlyRole(MINTER_ROLE) whenMintingActive {
         require(to != address(0), "Cannot mint to zero address");
         
-        // Verify the oracle signature through price consumer
-        bytes32 messageHash = keccak256(abi.encodePacked(price, timestamp, address(priceConsumer)));
-        address signer = priceConsumer.verifyOracleSignature(messageHash, signature);
-        require(signer == priceConsumer.trustedOracle(), "Invalid oracle signature");
+        // Verify the oracle signature (EIP-712 price report, or legacy while the consumer allows it)
+        require(priceConsumer.isValidPriceSignature(price, timestamp, signature), "Invalid oracle signature");
         
         // Update price in consumer with signature
         priceConsumer.updatePriceWithSignature(price, timestamp, signature);
         
-        // Calculate and mint tokens
-        uint256 mintAmount = (uint256(price) * mintRate) / (10**8);
+        // Signed prices use the feed's decimals, like getSafePrice
+        require(price > 0, "Invalid price from oracle");
+        _mintForPrice(to, price);
+    }
+
+    /**
+     * @dev Mint tokens at the median of a threshold price report
+     * @param to The address to mint tokens to
+     * @param timestamp The timestamp the reports were signed with
+     * @param prices The signers' prices for the consumer's main feed
+     * @param signatures The signers' PriceReport signatures, by ascending signer address
+     */
+    function mintWithPriceReports(
+        address to,
+        uint256 timestamp,
+        int256[] calldata prices,
+        bytes[] calldata signatures
+    ) public onlyRole(MINTER_ROLE) whenMintingActive {
+        require(to != address(0), "Cannot mint to zero address");
+
+        // Reverts unless enough registered signers agree; returns the median it stored
+        int256 price = priceConsumer.updatePriceWithReports(bytes32(0), timestamp, prices, signatures);
+        _mintForPrice(to, price);
+    }
+
+    /**
+     * @dev Mint tokens backed by a vault's collateral (only VAULT_ROLE)
+     * The vault prices the collateral; the mint limits do not apply, the minting pause does.
+     * @param to The address to mint tokens to
+     * @param amount The amount to mint
+     */
+    function vaultMint(address to, uint256 amount) public onlyRole(VAULT_ROLE) whenMintingActive {
+        require(to != address(0), "Cannot mint to zero address");
+        require(totalSupply() + amount <= MAX_SUPPLY, "Would exceed max supply");
+
+        _mint(to, amount);
+        emit VaultMint(msg.sender, to, amount);
+    }
+
+    /**
+     * @dev Burn tokens a holder redeems through a vault (only VAULT_ROLE)
+     * @param from The holder redeeming
+     * @param amount The amount to burn
+     */
+    function vaultBurn(address from, uint256 amount) public onlyRole(VAULT_ROLE) {
+        _burn(from, amount);
+        emit VaultBurn(msg.sender, from, amount);
+    }
+
+    function _mintForPrice(address to, int256 price) internal {
+        uint256 normalizedPrice = normalizePrice(price);
+        uint256 mintAmount = _mintAmount(normalizedPrice);
         require(totalSupply() + mintAmount <= MAX_SUPPLY, "Would exceed max supply");
+        _useMintAllowance(to, mintAmount);
         
         _mint(to, mintAmount);
         
-        emit PriceBasedMint(to, mintAmount, price);
+        emit PriceBasedMint(to, mintAmount, price, normalizedPrice);
     }
     
+    function _useMintAllowance(address to, uint256 amount) internal {
+        if (mintCooldown != 0 && lastMintAt[to] != 0) {
+            require(block.timestamp >= lastMintAt[to] + mintCooldown, "Mint cooldown active");
+        }
+        lastMintAt[to] = block.timestamp;
+
+        if (accountMintCap != 0) {
+            require(_addToWindow(accountMints[to], amount, accountMintCap) <= accountMintCap, "Account mint cap exceeded");
+        }
+        if (globalMintCap != 0) {
+            require(_addToWindow(globalMints, amount, globalMintCap) <= globalMintCap, "Global mint cap exceeded");
+        }
+    }
+
+    function _addToWindow(MintWindow storage window, uint256 amount, uint256 cap) internal returns (uint256) {
+        window.minted = _windowMinted(window, cap) + amount;
+        window.updatedAt = block.timestamp;
+        return window.minted;
+    }
+
+    // The allowance refills linearly, the whole cap over one window, so there is
+    // no boundary to mint the cap on both sides of
+    function _windowMinted(MintWindow storage window, uint256 cap) internal view returns (uint256) {
+        uint256 refilled = Math.mulDiv(cap, block.timestamp - window.updatedAt, mintWindow);
+        return refilled >= window.minted ? 0 : window.minted - refilled;
+    }
+
+    /**
+     * @dev Set the mint limits (only LIMITS_ADMIN_ROLE)
+     * Caps apply over a rolling window: what was minted frees up linearly, the
+     * whole cap per `window` seconds. Changing the limits keeps what was already
+     * counted and refills it at the new rate.
+     * @param window Length of the rolling cap window in seconds
+     * @param accountCap Tokens one recipient can receive per window, 0 for no cap
+     * @param globalCap Tokens all recipients can receive per window, 0 for no cap
+     * @param cooldown Seconds between two mints to the same recipient, 0 for none
+     */
+    function setMintLimits(
+        uint256 window,
+        uint256 accountCap,
+        uint256 globalCap,
+        uint256 cooldown
+    ) public onlyRole(LIMITS_ADMIN_ROLE) {
+        require(window > 0 || (accountCap == 0 && globalCap == 0), "Caps need a window");
+        mintWindow = window;
+        accountMintCap = accountCap;
+        globalMintCap = globalCap;
+        mintCooldown = cooldown;
+        emit MintLimitsUpdated(window, accountCap, globalCap, cooldown);
+    }
+
+    /**
+     * @dev How much can be minted to an account right now
+     * @param account The recipient
+     * @return accountRemaining Left under the account cap (type(uint256).max when uncapped)
+     * @return globalRemaining Left under the global cap (type(uint256).max when uncapped)
+     * @return cooldownEnds When the account can be minted to again, 0 if it can now
+     */
+    function getMintAllowance(address account)
+        public
+        view
+        returns (uint256 accountRemaining, uint256 globalRemaining, uint256 cooldownEnds)
+    {
+        accountRemaining = accountMintCap == 0 ? type(uint256).max : _remaining(accountMintCap, _windowMinted(accountMints[account], accountMintCap));
+        globalRemaining = globalMintCap == 0 ? type(uint256).max : _remaining(globalMintCap, _windowMinted(globalMints, globalMintCap));
+        if (mintCooldown != 0 && lastMintAt[account] != 0 && block.timestamp < lastMintAt[account] + mintCooldown) {
+            cooldownEnds = lastMintAt[account] + mintCooldown;
+        }
+    }
+
+    // A lowered cap can sit below what the window already minted
+    function _remaining(uint256 cap, uint256 minted) internal pure returns (uint256) {
+        return minted >= cap ? 0 : cap - minted;
+    }
+
+    /**
+     * @dev Set the account that can pause minting and transfers (only owner)
+     * @param _guardian The guardian, or address(0) to leave pausing to the owner
+     */
+    function setGuardian(address _guardian) public onlyOwner {
+        guardian = _guardian;
+        emit GuardianUpdated(_guardian);
+    }
+
+    /**
+     * @dev Stop all minting (guardian or owner only)
+     * Covers price-based, signed, threshold and vault mints. Burns keep working;
+     * the vault pauses its redemptions separately.
+     */
+    function pauseMinting() public {
+        _checkGuardian();
+        require(!mintingPaused, "Minting already paused");
+        mintingPaused = true;
+        emit MintingPaused(msg.sender);
+    }
+
+    /**
+     * @dev Allow minting again (only owner)
+     */
+    function unpauseMinting() public onlyOwner {
+        require(mintingPaused, "Minting not paused");
+        mintingPaused = false;
+        emit MintingUnpaused(msg.sender);
+    }
+
+    /**
+     * @dev Stop transfers between holders (guardian or owner only)
+     * Mints and burns are not transfers; the minting pause covers mints separately.
+     */
+    function pauseTransfers() public {
+        _checkGuardian();
+        require(!transfersPaused, "Transfers already paused");
+        transfersPaused = true;
+        emit TransfersPaused(msg.sender);
+    }
+
+    /**
+     * @dev Allow transfers again (only owner)
+     */
+    function unpauseTransfers() public onlyOwner {
+        require(transfersPaused, "Transfers not paused");
+        transfersPaused = false;
+        emit TransfersUnpaused(msg.sender);
+    }
+
+    function _checkGuardian() internal view {
+        require(msg.sender == guardian || msg.sender == owner(), "Not the guardian");
+    }
+
+    // Mints come from address(0) and burns go to it; everything else is a transfer
+    function _update(address from, address to, uint256 value) internal virtual override {
+        if (from != address(0) && to != address(0)) {
+            require(!transfersPaused, "Transfers paused");
+        }
+        super._update(from, to, value);
+    }
+
     /**
      * @dev Burn tokens (only owner)
      * @param from The address to burn tokens from
@@ -109,6 +349,15 @@ contract OracleToken is ERC20, Ownable {
         emit MintRateUpdated(newRate);
     }
     
+    /**
+     * @dev Set how the mint math rounds (only owner)
+     * @param newRounding Down (default), Up or Nearest (half up)
+     */
+    function setRounding(Rounding newRounding) public onlyOwner {
+        rounding = newRounding;
+        emit RoundingUpdated(newRounding);
+    }
+    
     /**
      * @dev Update price consumer contract (only owner)
      * @param newConsumer The new price consumer address
@@ -127,13 +376,63 @@ contract OracleToken is ERC20, Ownable {
         return priceConsumer.getLatestPrice();
     }
     
+    /**
+     * @dev Get the decimals of the prices the consumer reports
+     * @return Decimals of the consumer's price feed
+     */
+    function getPriceDecimals() public view returns (uint8) {
+        return priceConsumer.getPriceDecimals();
+    }
+    
+    /**
+     * @dev Scale a price from the feed's decimals to PRICE_DECIMALS
+     * Feeds with more than PRICE_DECIMALS decimals are scaled down using `rounding`.
+     * @param price The price in the feed's decimals
+     * @return The price with PRICE_DECIMALS decimals
+     */
+    function normalizePrice(int256 price) public view returns (uint256) {
+        require(price > 0, "Price must be positive");
+        uint8 feedDecimals = getPriceDecimals();
+        if (feedDecimals <= PRICE_DECIMALS) {
+            return uint256(price) * 10**(PRICE_DECIMALS - feedDecimals);
+        }
+        return _divide(uint256(price), 1, 10**(feedDecimals - PRICE_DECIMALS));
+    }
+    
     /**
      * @dev Calculate mint amount for given price
-     * @param price The price to calculate for
+     * @param price The price to calculate for, in the feed's decimals
      * @return The amount of tokens that would be minted
      */
     function calculateMintAmount(int256 price) public view returns (uint256) {
-        require(price > 0, "Price must be positive");
-        return (uint256(price) * mintRate) / (10**8);
+        return _mintAmount(normalizePrice(price));
+    }
+
+    function _mintAmount(uint256 normalizedPrice) internal view returns (uint256) {
+        return _divide(normalizedPrice, mintRate, 10**PRICE_DECIMALS);
+    }
+
+    // x * y / denominator without intermediate overflow, rounded per `rounding`
+    function _divide(uint256 x, uint256 y, uint256 denominator) internal view returns (uint256) {
+        if (rounding == Rounding.Nearest) {
+            uint256 result = Math.mulDiv(x, y, denominator);
+            return mulmod(x, y, denominator) * 2 >= denominator ? result + 1 : result;
+        }
+        return Math.mulDiv(x, y, denominator, rounding == Rounding.Up ? Math.Rounding.Ceil : Math.Rounding.Floor);
+    }
+}
+
+/**
+ * @title OracleToken
+ * @dev OracleTokenBase configured by its constructor; the deployer owns it,
+ * holds every role and receives the initial supply
+ */
+contract OracleToken is OracleTokenBase {
+    constructor(
+        string memory name,
+        string memory symbol,
+        address _priceConsumer
+    ) ERC20(name, symbol) Ownable(msg.sender) {
+        _initializeOracleToken(_priceConsumer, msg.sender);
     }
 }
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "./OracleToken.sol";
+
+/**
+ * @title OracleTokenUpgradeable
+ * @dev OracleToken behind a UUPS (ERC-1967) proxy
+ * @notice Balances, roles and mint limits live in the proxy and survive
+ * upgrades. Storage is OracleTokenBase's, in the same order, so new state must
+ * be appended there; scripts/upgrade.js refuses implementations whose layout
+ * moves existing variables. ERC20 keeps name and symbol in constructor-only
+ * storage, so this contract keeps its own copy in an ERC-7201 namespace.
+ */
+contract OracleTokenUpgradeable is OracleTokenBase, Initializable, UUPSUpgradeable {
+    /// @custom:storage-location erc7201:oracle.storage.OracleTokenMetadata
+    struct Metadata {
+        string name;
+        string symbol;
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("oracle.storage.OracleTokenMetadata")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant METADATA_LOCATION = 0x6b9e3e3b07ac610dda6da8b20e951fa43925c33fdacc9b207779d95730e60000;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() ERC20("", "") Ownable(msg.sender) {
+        // The implementation is never used directly: no owner, no initializer
+        _transferOwnership(address(0));
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Set up the proxy's state (called once, through the proxy)
+     * @param _name The token name
+     * @param _symbol The token symbol
+     * @param _priceConsumer The PriceConsumer minting reads prices from
+     * @param _owner The account that owns the token, holds every role, receives the initial supply and authorizes upgrades
+     */
+    function initialize(string memory _name, string memory _symbol, address _priceConsumer, address _owner)
+        public
+        initializer
+    {
+        require(_owner != address(0), "Invalid owner address");
+        Metadata storage metadata = _metadata();
+        metadata.name = _name;
+        metadata.symbol = _symbol;
+        _transferOwnership(_owner);
+        _initializeOracleToken(_priceConsumer, _owner);
+    }
+
+    function name() public view override returns (string memory) {
+        return _metadata().name;
+    }
+
+    function symbol() public view override returns (string memory) {
+        return _metadata().symbol;
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
+    function _metadata() private pure returns (Metadata storage metadata) {
+        assembly {
+            metadata.slot := METADATA_LOCATION
+        }
+    }
+}
@@ -0,0 +1,321 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./OracleToken.sol";
+import "./PriceConsumer.sol";
+
+/**
+ * @title OracleVault
+ * @dev ETH-collateralized positions that mint and redeem ORACLE at the oracle price
+ * @notice One ORACLE is worth one unit of the feed's quote currency (USD for
+ * ETH/USD). Each account deposits ETH and mints against it while the ETH is
+ * worth at least `collateralRatioBps` of what it minted. Redeeming burns ORACLE
+ * and pays out ETH at the current price from a position: the redeemer's own, or
+ * any position below the collateral ratio, so holders who received ORACLE by
+ * transfer can redeem too.
+ * Prices come from the token's PriceConsumer through its circuit breaker and
+ * must be no older than `maxPriceAge`. The token's guardian (or the owner) can
+ * pause redemptions and withdrawals that depend on the price; only the owner can
+ * resume them.
+ */
+contract OracleVault is Ownable, ReentrancyGuard {
+    OracleToken public immutable oracleToken;
+
+    uint256 public constant BPS = 10000;
+    uint256 public constant MAX_FEE_BPS = 1000; // 10%
+    uint8 public constant PRICE_DECIMALS = 18; // Precision prices are normalized to
+
+    struct Position {
+        uint256 collateral; // ETH in wei
+        uint256 debt; // ORACLE minted and not yet redeemed
+    }
+
+    // Vault parameters
+    uint256 public collateralRatioBps = 15000; // 150%
+    uint256 public feeBps = 50; // 0.5% of the ETH value minted or redeemed
+    uint256 public minPositionSize = 100 * 10**18; // Smallest debt a position can keep open
+    uint256 public maxPriceAge = 3600; // Seconds; 0 leaves staleness to the consumer's guard
+
+    mapping(address => Position) public positions;
+    uint256 public totalCollateral;
+    uint256 public totalDebt;
+    uint256 public accruedFees; // ETH, withdrawable by the owner
+    bool public redemptionsPaused; // Emergency stop for ETH paid out at the oracle price
+
+    // Events
+    event Deposited(address indexed account, uint256 amount);
+    event Minted(address indexed account, uint256 amount, uint256 fee, uint256 price);
+    event Redeemed(
+        address indexed account,
+        address indexed position,
+        uint256 amount,
+        uint256 payout,
+        uint256 fee,
+        uint256 price
+    );
+    event Withdrawn(address indexed account, uint256 amount);
+    event VaultParametersUpdated(uint256 collateralRatioBps, uint256 feeBps, uint256 minPositionSize, uint256 maxPriceAge);
+    event FeesWithdrawn(address indexed to, uint256 amount);
+    event RedemptionsPaused(address indexed account);
+    event RedemptionsUnpaused(address indexed account);
+
+    constructor(address _oracleToken) Ownable(msg.sender) {
+        require(_oracleToken != address(0), "Invalid token address");
+        oracleToken = OracleToken(_oracleToken);
+    }
+
+    /**
+     * @dev Add ETH to the sender's position and optionally mint against it
+     * @param mintAmount ORACLE to mint after the deposit, 0 to only deposit
+     */
+    function deposit(uint256 mintAmount) public payable nonReentrant {
+        require(msg.value > 0, "No collateral sent");
+
+        positions[msg.sender].collateral += msg.value;
+        totalCollateral += msg.value;
+        emit Deposited(msg.sender, msg.value);
+
+        if (mintAmount > 0) _mintTo(msg.sender, mintAmount);
+    }
+
+    /**
+     * @dev Mint ORACLE against the sender's collateral
+     * The fee is taken from the collateral, and the position must stay above the
+     * collateral ratio and at or above the minimum size.
+     * @param amount ORACLE to mint
+     */
+    function mint(uint256 amount) public nonReentrant {
+        _mintTo(msg.sender, amount);
+    }
+
+    function _mintTo(address account, uint256 amount) internal {
+        require(amount > 0, "Amount must be positive");
+        uint256 price = getPrice();
+        Position storage position = positions[account];
+
+        uint256 fee = Math.mulDiv(_toEth(amount, price), feeBps, BPS);
+        require(position.collateral >= fee, "Insufficient collateral");
+        position.collateral -= fee;
+        totalCollateral -= fee;
+        accruedFees += fee;
+
+        position.debt += amount;
+        totalDebt += amount;
+        require(position.debt >= minPositionSize, "Position below minimum size");
+        require(_isHealthy(position, price), "Insufficient collateral");
+
+        oracleToken.vaultMint(account, amount);
+        emit Minted(account, amount, fee, price);
+    }
+
+    /**
+     * @dev Burn ORACLE for ETH from the sender's position at the current price
+     * A position worth less than its debt pays out its collateral pro rata instead.
+     * The position must be closed or stay at or above the minimum size.
+     * @param amount ORACLE to redeem, at most the position's debt
+     * @return payout ETH sent to the sender after the fee
+     */
+    function redeem(uint256 amount) public nonReentrant returns (uint256 payout) {
+        return _redeem(msg.sender, amount);
+    }
+
+    /**
+     * @dev Burn the sender's ORACLE for ETH from another account's position
+     * Only positions below the collateral ratio can be redeemed from, so a healthy
+     * position is never wound down by someone else. Redeeming at the current price
+     * raises the position's ratio until it is worth less than its debt; from then on
+     * each ORACLE gets an equal share of the collateral, as with redeem.
+     * @param account The position to redeem from (the sender's own is always allowed)
+     * @param amount ORACLE to redeem, at most the position's debt
+     * @return payout ETH sent to the sender after the fee
+     */
+    function redeemFrom(address account, uint256 amount) public nonReentrant returns (uint256 payout) {
+        return _redeem(account, amount);
+    }
+
+    function _redeem(address account, uint256 amount) internal returns (uint256 payout) {
+        require(amount > 0, "Amount must be positive");
+        require(!redemptionsPaused, "Redemptions paused");
+        Position storage position = positions[account];
+        require(amount <= position.debt, "Exceeds position debt");
+
+        uint256 price = getPrice();
+        require(account == msg.sender || !_isHealthy(position, price), "Position is healthy");
+        (uint256 gross, uint256 fee) = _redeemValue(position, amount, price);
+
+        position.debt -= amount;
+        position.collateral -= gross;
+        totalDebt -= amount;
+        totalCollateral -= gross;
+        accruedFees += fee;
+        require(position.debt == 0 || position.debt >= minPositionSize, "Position below minimum size");
+
+        oracleToken.vaultBurn(msg.sender, amount);
+        payout = gross - fee;
+        emit Redeemed(msg.sender, account, amount, payout, fee, price);
+        _sendEth(msg.sender, payout);
+    }
+
+    /**
+     * @dev Take ETH out of the sender's position
+     * With debt outstanding the position must stay above the collateral ratio,
+     * and the withdrawal waits out a redemption pause since it relies on the price.
+     * @param amount ETH in wei
+     */
+    function withdraw(uint256 amount) public nonReentrant {
+        require(amount > 0, "Amount must be positive");
+        Position storage position = positions[msg.sender];
+        require(amount <= position.collateral, "Exceeds collateral");
+
+        position.collateral -= amount;
+        totalCollateral -= amount;
+        // A position without debt can always leave, even while the price is unusable
+        if (position.debt > 0) {
+            require(!redemptionsPaused, "Redemptions paused");
+            require(_isHealthy(position, getPrice()), "Insufficient collateral");
+        }
+
+        emit Withdrawn(msg.sender, amount);
+        _sendEth(msg.sender, amount);
+    }
+
+    /**
+     * @dev Get the current oracle price, refusing stale or invalid answers
+     * @return Price of one ETH in ORACLE with PRICE_DECIMALS decimals
+     */
+    function getPrice() public view returns (uint256) {
+        PriceConsumer consumer = oracleToken.priceConsumer();
+        // Reverts with the circuit breaker's reason for stale or out-of-bounds answers
+        int256 answer = consumer.getSafePrice();
+        require(answer > 0, "Invalid price from oracle");
+        (, uint256 updatedAt, ) = consumer.checkPrice();
+        require(maxPriceAge == 0 || block.timestamp <= updatedAt + maxPriceAge, "Price too old");
+
+        uint8 feedDecimals = consumer.getPriceDecimals();
+        if (feedDecimals <= PRICE_DECIMALS) {
+            return uint256(answer) * 10**(PRICE_DECIMALS - feedDecimals);
+        }
+        return uint256(answer) / 10**(feedDecimals - PRICE_DECIMALS);
+    }
+
+    /**
+     * @dev Get a position and its collateral ratio at the current price
+     * @param account The position owner
+     * @return collateral ETH in wei
+     * @return debt ORACLE minted and not yet redeemed
+     * @return ratioBps Collateral value over debt in basis points (type(uint256).max without debt)
+     */
+    function getPosition(address account) public view returns (uint256 collateral, uint256 debt, uint256 ratioBps) {
+        Position storage position = positions[account];
+        collateral = position.collateral;
+        debt = position.debt;
+        ratioBps = debt == 0 ? type(uint256).max : Math.mulDiv(_toValue(collateral, getPrice()), BPS, debt);
+    }
+
+    /**
+     * @dev Preview a redemption from an account's position
+     * Does not check who may redeem from it; see redeemFrom.
+     * @param account The position owner
+     * @param amount ORACLE to redeem
+     * @return payout ETH the account would receive
+     * @return fee ETH kept as the fee
+     */
+    function previewRedeem(address account, uint256 amount) public view returns (uint256 payout, uint256 fee) {
+        Position storage position = positions[account];
+        require(amount <= position.debt, "Exceeds position debt");
+        uint256 gross;
+        (gross, fee) = _redeemValue(position, amount, getPrice());
+        payout = gross - fee;
+    }
+
+    function _redeemValue(Position storage position, uint256 amount, uint256 price)
+        internal
+        view
+        returns (uint256 gross, uint256 fee)
+    {
+        if (_toValue(position.collateral, price) < position.debt) {
+            // Under water: every ORACLE gets the same share of what is left
+            gross = Math.mulDiv(position.collateral, amount, position.debt);
+        } else {
+            gross = _toEth(amount, price);
+        }
+        fee = Math.mulDiv(gross, feeBps, BPS);
+    }
+
+    function _isHealthy(Position storage position, uint256 price) internal view returns (bool) {
+        return _toValue(position.collateral, price) * BPS >= position.debt * collateralRatioBps;
+    }
+
+    // ETH (wei) -> ORACLE at `price`
+    function _toValue(uint256 eth, uint256 price) internal pure returns (uint256) {
+        return Math.mulDiv(eth, price, 10**PRICE_DECIMALS);
+    }
+
+    // ORACLE -> ETH (wei) at `price`, rounded down
+    function _toEth(uint256 amount, uint256 price) internal pure returns (uint256) {
+        return Math.mulDiv(amount, 10**PRICE_DECIMALS, price);
+    }
+
+    function _sendEth(address to, uint256 amount) internal {
+        (bool sent, ) = payable(to).call{value: amount}("");
+        require(sent, "ETH transfer failed");
+    }
+
+    /**
+     * @dev Update the vault parameters (only owner)
+     * @param _collateralRatioBps Minimum collateral value over debt, at least 100%
+     * @param _feeBps Fee on the ETH value minted or redeemed, at most MAX_FEE_BPS
+     * @param _minPositionSize Smallest debt a position can keep open
+     * @param _maxPriceAge Oldest price the vault uses in seconds, 0 to rely on the consumer's guard
+     */
+    function setParameters(
+        uint256 _collateralRatioBps,
+        uint256 _feeBps,
+        uint256 _minPositionSize,
+        uint256 _maxPriceAge
+    ) public onlyOwner {
+        require(_collateralRatioBps >= BPS, "Collateral ratio below 100%");
+        require(_feeBps <= MAX_FEE_BPS, "Fee above maximum");
+        collateralRatioBps = _collateralRatioBps;
+        feeBps = _feeBps;
+        minPositionSize = _minPositionSize;
+        maxPriceAge = _maxPriceAge;
+        emit VaultParametersUpdated(_collateralRatioBps, _feeBps, _minPositionSize, _maxPriceAge);
+    }
+
+    /**
+     * @dev Stop redemptions and price-checked withdrawals (token guardian or owner only)
+     * Deposits and withdrawals from positions without debt keep working; vault
+     * mints stop with the token's minting pause.
+     */
+    function pauseRedemptions() public {
+        require(msg.sender == oracleToken.guardian() || msg.sender == owner(), "Not the guardian");
+        require(!redemptionsPaused, "Redemptions already paused");
+        redemptionsPaused = true;
+        emit RedemptionsPaused(msg.sender);
+    }
+
+    /**
+     * @dev Allow redemptions again (only owner)
+     */
+    function unpauseRedemptions() public onlyOwner {
+        require(redemptionsPaused, "Redemptions not paused");
+        redemptionsPaused = false;
+        emit RedemptionsUnpaused(msg.sender);
+    }
+
+    /**
+     * @dev Send the accrued fees to an address (only owner)
+     * @param to The fee recipient
+     */
+    function withdrawFees(address to) public onlyOwner nonReentrant {
+        require(to != address(0), "Invalid recipient");
+        uint256 amount = accruedFees;
+        accruedFees = 0;
+        emit FeesWithdrawn(to, amount);
+        _sendEth(to, amount);
+    }
+}
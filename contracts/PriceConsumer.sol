@@ -4,35 +4,172 @@ pragma solidity ^0.8.20;
 import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@chainlink/contracts/src/v0.8/operatorforwarder/ChainlinkClient.sol";
 
 /**
  * @title PriceConsumer
  * @dev Oracle consumer contract with signature verification
  * @notice Consumes price data from Chainlink oracles and verifies signatures
+ * Signed prices are EIP-712 PriceReport structs under the "PriceConsumer" v1
+ * domain; the main feed signs with pairId 0. Legacy EIP-191 signatures over the
+ * packed digest are accepted while `legacySignatures` is on.
+ * Once the owner sets a signer threshold, prices are only accepted as reports
+ * from at least that many registered signers (updatePriceWithReports).
+ * The owner can also ask a Chainlink node for the price with a direct request
+ * (requestPrice); the node answers through its operator contract by calling fulfill.
+ * An Automation upkeep (PriceUpkeep) can copy the feed's answer into the stored
+ * price with refreshPriceFromFeed when it goes stale or drifts.
+ * In an incident the guardian (or the owner) can pause every signed update and
+ * every feed refresh; only the owner can resume them.
  */
-contract PriceConsumer is Ownable {
+contract PriceConsumer is Ownable, EIP712, ChainlinkClient {
     using ECDSA for bytes32;
     using MessageHashUtils for bytes32;
+    using Chainlink for Chainlink.Request;
 
     AggregatorV3Interface internal priceFeed;
+
+    // Why a feed answer was rejected (Ok when it is safe to use)
+    enum PriceStatus {
+        Ok,
+        IncompleteRound,
+        StaleRound,
+        StalePrice,
+        NonPositive,
+        BelowMinimum,
+        AboveMaximum,
+        ExcessiveDeviation
+    }
+
+    // Circuit breaker limits for one feed; zero disables a check
+    struct PriceGuard {
+        uint256 maxAge;          // Max seconds since the answer was updated
+        int256 minAnswer;        // Lowest accepted answer (feed decimals)
+        int256 maxAnswer;        // Highest accepted answer (feed decimals)
+        uint256 maxDeviationBps; // Max move from the previous round, in basis points
+    }
+
+    bytes32 public constant PRICE_REPORT_TYPEHASH =
+        keccak256("PriceReport(bytes32 pairId,int256 price,uint256 timestamp)");
+
+    // A registered pair with its own aggregator, signed price and signer
+    struct Feed {
+        AggregatorV3Interface aggregator;
+        uint8 decimals;
+        int256 latestPrice;
+        uint256 lastUpdateTime;
+        address trustedSigner;
+    }
+
+    // One single-key signed price in a batch
+    struct SignedPrice {
+        bytes32 pairId;    // 0 for the main feed
+        int256 price;
+        uint256 timestamp;
+        bytes signature;   // As for updatePriceWithSignature / updatePairPriceWithSignature
+    }
+
+    // A direct request sent to the Chainlink operator
+    struct PriceRequest {
+        uint256 payment;     // LINK paid, refunded on cancel
+        uint256 requestedAt;
+        bool pending;
+    }
+
+    // Operator requests can be cancelled this long after they were made
+    uint256 public constant OPERATOR_EXPIRY_TIME = 5 minutes;
     
     // Events
     event PriceUpdated(int256 price, uint256 timestamp);
     event SignatureVerified(address signer, bytes32 messageHash);
     event OracleUpdated(address newOracle);
+    event PriceGuardUpdated(
+        address indexed feed,
+        uint256 maxAge,
+        int256 minAnswer,
+        int256 maxAnswer,
+        uint256 maxDeviationBps
+    );
+    event FeedAdded(bytes32 indexed pairId, address aggregator, uint8 decimals, address trustedSigner);
+    event FeedUpdated(bytes32 indexed pairId, address aggregator, uint8 decimals);
+    event FeedSignerUpdated(bytes32 indexed pairId, address trustedSigner);
+    event FeedRemoved(bytes32 indexed pairId);
+    event PairPriceUpdated(bytes32 indexed pairId, int256 price, uint256 timestamp);
+    event LegacySignaturesUpdated(bool enabled);
+    event ReportSignerAdded(address indexed signer);
+    event ReportSignerRemoved(address indexed signer);
+    event SignerThresholdUpdated(uint256 threshold, uint256 toleranceBps);
+    event ThresholdReportAccepted(bytes32 indexed pairId, int256 price, uint256 timestamp, address[] signers);
+    event SignedPriceRejected(uint256 indexed index, bytes32 indexed pairId, uint256 timestamp, string reason);
+    event BatchProcessed(uint256 applied, uint256 rejected);
+    event ChainlinkConfigUpdated(address link, address operator, bytes32 jobId, uint256 fee, uint256 requestTimeout);
+    event PriceRequested(bytes32 indexed requestId, bytes32 indexed jobId, uint256 payment);
+    event PriceRequestFulfilled(bytes32 indexed requestId, int256 price);
+    event PriceRequestFailed(bytes32 indexed requestId, int256 price, string reason);
+    event PriceRequestCancelled(bytes32 indexed requestId);
+    event PriceUpkeepUpdated(address upkeep);
+    event PriceRefreshedFromFeed(int256 price, uint256 updatedAt);
+    event GuardianUpdated(address guardian);
+    event SignedUpdatesPaused(address indexed account);
+    event SignedUpdatesUnpaused(address indexed account);
+    event FeedRefreshesPaused(address indexed account);
+    event FeedRefreshesUnpaused(address indexed account);
     
     // State variables
     int256 public latestPrice;
     uint256 public lastUpdateTime;
     address public trustedOracle;
+
+    // Accept pre-EIP-712 signatures while signers migrate (owner can switch off)
+    bool public legacySignatures;
+
+    // m-of-n signer set; a non-zero threshold disables single-key updates
+    address[] private reportSigners;
+    mapping(address => bool) public isReportSigner;
+    uint256 public signerThreshold;
+    uint256 public reportToleranceBps; // Max distance of any report from the median
     
     // Mapping to prevent replay attacks
     mapping(bytes32 => bool) public usedHashes;
+
+    // Circuit breaker configuration per price feed
+    mapping(address => PriceGuard) public priceGuards;
+
+    // Registry of pairs keyed by pair ID (bytes32 of e.g. "BTC/USD")
+    mapping(bytes32 => Feed) public feeds;
+    bytes32[] private pairIds;
+
+    // Chainlink direct requests
+    bytes32 public chainlinkJobId;
+    uint256 public chainlinkFee;
+    uint256 public requestTimeout; // Answers arriving later are discarded; the request can then be cancelled
+    mapping(bytes32 => PriceRequest) public priceRequests;
+
+    // Contract allowed to copy the feed's answer into the stored price
+    address public priceUpkeep;
+
+    // Emergency stop for signed updates; the guardian can pause, only the owner unpauses
+    address public guardian;
+    bool public signedUpdatesPaused;
+    // Stops copying the feed's answer into the stored price, for a misbehaving feed
+    bool public feedRefreshesPaused;
+
+    modifier whenSignedUpdatesActive() {
+        _checkSignedUpdatesActive();
+        _;
+    }
     
-    constructor(address _priceFeed, address _trustedOracle) Ownable(msg.sender) {
+    constructor(address _priceFeed, address _trustedOracle) Ownable(msg.sender) EIP712("PriceConsumer", "1") {
+        _initializePriceConsumer(_priceFeed, _trustedOracle);
+    }
+
+    // Constructor state, shared with PriceConsumerUpgradeable's initializer
+    function _initializePriceConsumer(address _priceFeed, address _trustedOracle) internal {
         priceFeed = AggregatorV3Interface(_priceFeed);
         trustedOracle = _trustedOracle;
+        legacySignatures = true;
     }
 
     /**
@@ -45,39 +182,363 @@ contract PriceConsumer is Ownable {
         return price;
     }
     
+    /**
+     * @dev Check the latest feed answer against the feed's circuit breaker
+     * @return price The latest answer
+     * @return updatedAt When the answer was last updated
+     * @return status Ok, or the reason the answer must not be used
+     */
+    function checkPrice() public view returns (int256 price, uint256 updatedAt, PriceStatus status) {
+        return _checkFeed(priceFeed);
+    }
+
+    /**
+     * @dev Get the latest price, reverting if the circuit breaker rejects it
+     * @return The latest price from the oracle
+     */
+    function getSafePrice() public view returns (int256) {
+        (int256 price, , PriceStatus status) = checkPrice();
+        _requireSafe(status);
+        return price;
+    }
+
+    function _checkFeed(AggregatorV3Interface feed)
+        internal
+        view
+        returns (int256 price, uint256 updatedAt, PriceStatus status)
+    {
+        uint80 roundId;
+        uint80 answeredInRound;
+        (roundId, price, , updatedAt, answeredInRound) = feed.latestRoundData();
+        PriceGuard memory guard = priceGuards[address(feed)];
+
+        if (updatedAt == 0) return (price, updatedAt, PriceStatus.IncompleteRound);
+        if (answeredInRound < roundId) return (price, updatedAt, PriceStatus.StaleRound);
+        if (guard.maxAge != 0 && block.timestamp > updatedAt && block.timestamp - updatedAt > guard.maxAge) {
+            return (price, updatedAt, PriceStatus.StalePrice);
+        }
+        if (price <= 0) return (price, updatedAt, PriceStatus.NonPositive);
+        if (guard.minAnswer != 0 && price < guard.minAnswer) return (price, updatedAt, PriceStatus.BelowMinimum);
+        if (guard.maxAnswer != 0 && price > guard.maxAnswer) return (price, updatedAt, PriceStatus.AboveMaximum);
+        if (guard.maxDeviationBps != 0 && roundId > 1 && _deviationBps(feed, roundId - 1, price) > guard.maxDeviationBps) {
+            return (price, updatedAt, PriceStatus.ExcessiveDeviation);
+        }
+        return (price, updatedAt, PriceStatus.Ok);
+    }
+
+    function _requireSafe(PriceStatus status) internal pure {
+        require(status != PriceStatus.IncompleteRound, "Round not complete");
+        require(status != PriceStatus.StaleRound, "Stale round");
+        require(status != PriceStatus.StalePrice, "Price too old");
+        require(status != PriceStatus.NonPositive, "Invalid price from oracle");
+        require(status != PriceStatus.BelowMinimum, "Price below minimum");
+        require(status != PriceStatus.AboveMaximum, "Price above maximum");
+        require(status != PriceStatus.ExcessiveDeviation, "Price deviation too large");
+    }
+
+    /**
+     * @dev Move from the previous round's answer in basis points
+     * Returns 0 when the previous round is unavailable (e.g. across a phase change)
+     */
+    function _deviationBps(AggregatorV3Interface feed, uint80 previousRoundId, int256 price)
+        internal
+        view
+        returns (uint256)
+    {
+        try feed.getRoundData(previousRoundId) returns (uint80, int256 previous, uint256, uint256 previousUpdatedAt, uint80) {
+            if (previousUpdatedAt == 0 || previous <= 0) return 0;
+            uint256 change = price > previous ? uint256(price - previous) : uint256(previous - price);
+            return (change * 10000) / uint256(previous);
+        } catch {
+            return 0;
+        }
+    }
+    
     /**
      * @dev Update price with signature verification
      * @param _price The new price value
      * @param _timestamp The timestamp of the price update
-     * @param _signature The signature from the trusted oracle
+     * @param _signature The trusted oracle's signature of PriceReport(0, price, timestamp)
      */
     function updatePriceWithSignature(
         int256 _price,
         uint256 _timestamp,
         bytes memory _signature
-    ) public {
-        require(_timestamp > lastUpdateTime, "Timestamp must be newer");
-        require(_timestamp <= block.timestamp + 300, "Timestamp too far in future"); // 5 min tolerance
-        
-        // Create message hash
-        bytes32 messageHash = keccak256(abi.encodePacked(_price, _timestamp, address(this)));
-        require(!usedHashes[messageHash], "Message hash already used");
+    ) public whenSignedUpdatesActive {
+        (bytes32 messageHash, address signer) =
+            _verifyReport(bytes32(0), _price, _timestamp, _signature, lastUpdateTime, trustedOracle);
         
-        // Verify signature
-        address signer = verifyOracleSignature(messageHash, _signature);
-        require(signer == trustedOracle, "Invalid signature");
-        
-        // Update state
-        latestPrice = _price;
-        lastUpdateTime = _timestamp;
         usedHashes[messageHash] = true;
-        
-        emit PriceUpdated(_price, _timestamp);
+        _storeSignedPrice(bytes32(0), _price, _timestamp);
         emit SignatureVerified(signer, messageHash);
     }
     
     /**
-     * @dev Verify oracle signature
+     * @dev Update a registered pair's price with signature verification
+     * The report includes the pair ID so a signature cannot be replayed on another pair.
+     * @param _pairId The pair to update
+     * @param _price The new price value (in the pair's decimals)
+     * @param _timestamp The timestamp of the price update
+     * @param _signature The pair's trusted signer's signature of PriceReport(pairId, price, timestamp)
+     */
+    function updatePairPriceWithSignature(
+        bytes32 _pairId,
+        int256 _price,
+        uint256 _timestamp,
+        bytes memory _signature
+    ) public whenSignedUpdatesActive {
+        Feed storage feed = _getFeed(_pairId);
+
+        (bytes32 messageHash, address signer) =
+            _verifyReport(_pairId, _price, _timestamp, _signature, feed.lastUpdateTime, feed.trustedSigner);
+
+        usedHashes[messageHash] = true;
+        _storeSignedPrice(_pairId, _price, _timestamp);
+        emit SignatureVerified(signer, messageHash);
+    }
+
+    /**
+     * @dev Apply many signed prices in one transaction
+     * Items are checked in order exactly like the single updates, so one feed can
+     * take several increasing timestamps. An item that fails is skipped and
+     * reported with SignedPriceRejected instead of reverting the batch.
+     * @param _updates The signed prices, for any mix of the main feed and registered pairs
+     * @return applied How many items were stored
+     */
+    function updatePricesWithSignatures(SignedPrice[] calldata _updates)
+        public
+        whenSignedUpdatesActive
+        returns (uint256 applied)
+    {
+        for (uint256 i = 0; i < _updates.length; i++) {
+            SignedPrice calldata update = _updates[i];
+            (bytes32 messageHash, address signer, string memory reason) = _checkSignedPrice(update);
+            if (bytes(reason).length != 0) {
+                emit SignedPriceRejected(i, update.pairId, update.timestamp, reason);
+                continue;
+            }
+
+            usedHashes[messageHash] = true;
+            _storeSignedPrice(update.pairId, update.price, update.timestamp);
+            emit SignatureVerified(signer, messageHash);
+            applied++;
+        }
+        emit BatchProcessed(applied, _updates.length - applied);
+    }
+
+    function _checkSignedPrice(SignedPrice calldata _update)
+        internal
+        view
+        returns (bytes32 messageHash, address signer, string memory reason)
+    {
+        if (_update.pairId == bytes32(0)) {
+            return _checkReport(bytes32(0), _update.price, _update.timestamp, _update.signature, lastUpdateTime, trustedOracle);
+        }
+        Feed storage feed = feeds[_update.pairId];
+        if (address(feed.aggregator) == address(0)) return (bytes32(0), address(0), "Unknown pair");
+        return _checkReport(
+            _update.pairId,
+            _update.price,
+            _update.timestamp,
+            _update.signature,
+            feed.lastUpdateTime,
+            feed.trustedSigner
+        );
+    }
+
+    /**
+     * @dev Update a price from the reports of at least signerThreshold registered signers
+     * Each signer signs PriceReport(pairId, its own price, timestamp). The median
+     * is stored once every price lies within reportToleranceBps of it.
+     * @param _pairId The pair to update, or 0 for the main feed
+     * @param _timestamp The timestamp all reports were signed with
+     * @param _prices The signers' prices, in the order of the signatures
+     * @param _signatures One signature per price, ordered by ascending signer address
+     * @return median The price stored
+     */
+    function updatePriceWithReports(
+        bytes32 _pairId,
+        uint256 _timestamp,
+        int256[] calldata _prices,
+        bytes[] calldata _signatures
+    ) public whenSignedUpdatesActive returns (int256 median) {
+        require(signerThreshold != 0, "Threshold reports disabled");
+        require(_prices.length == _signatures.length, "Prices and signatures differ in length");
+        require(_prices.length >= signerThreshold, "Not enough signatures");
+        _checkTimestamp(_timestamp, _pairId == bytes32(0) ? lastUpdateTime : _getFeed(_pairId).lastUpdateTime);
+
+        address[] memory signers = new address[](_prices.length);
+        for (uint256 i = 0; i < _prices.length; i++) {
+            require(_prices[i] > 0, "Invalid price from oracle");
+            signers[i] = hashPriceReport(_pairId, _prices[i], _timestamp).recover(_signatures[i]);
+            require(isReportSigner[signers[i]], "Signer not registered");
+            // Ascending order makes duplicate signers impossible
+            require(i == 0 || signers[i] > signers[i - 1], "Signers not in ascending order");
+        }
+
+        median = _median(_prices);
+        for (uint256 i = 0; i < _prices.length; i++) {
+            uint256 diff = _prices[i] > median ? uint256(_prices[i] - median) : uint256(median - _prices[i]);
+            require(diff * 10000 <= uint256(median) * reportToleranceBps, "Report outside tolerance");
+        }
+
+        _storeSignedPrice(_pairId, median, _timestamp);
+        emit ThresholdReportAccepted(_pairId, median, _timestamp, signers);
+    }
+
+    function _storeSignedPrice(bytes32 _pairId, int256 _price, uint256 _timestamp) internal {
+        if (_pairId == bytes32(0)) {
+            latestPrice = _price;
+            lastUpdateTime = _timestamp;
+            emit PriceUpdated(_price, _timestamp);
+        } else {
+            Feed storage feed = feeds[_pairId];
+            feed.latestPrice = _price;
+            feed.lastUpdateTime = _timestamp;
+            emit PairPriceUpdated(_pairId, _price, _timestamp);
+        }
+    }
+
+    /**
+     * @dev Median of positive prices; the mean of the middle two for an even count
+     */
+    function _median(int256[] calldata _prices) internal pure returns (int256) {
+        int256[] memory sorted = _prices;
+        for (uint256 i = 1; i < sorted.length; i++) {
+            int256 value = sorted[i];
+            uint256 j = i;
+            while (j > 0 && sorted[j - 1] > value) {
+                sorted[j] = sorted[j - 1];
+                j--;
+            }
+            sorted[j] = value;
+        }
+        uint256 middle = sorted.length / 2;
+        if (sorted.length % 2 == 1) return sorted[middle];
+        return sorted[middle - 1] + (sorted[middle] - sorted[middle - 1]) / 2;
+    }
+
+    /**
+     * @dev EIP-712 digest of a price report, as signed with eth_signTypedData_v4
+     * @param _pairId The pair ID, or 0 for the main feed
+     * @param _price The price value
+     * @param _timestamp The timestamp of the price
+     * @return The digest the signer signs
+     */
+    function hashPriceReport(bytes32 _pairId, int256 _price, uint256 _timestamp) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(PRICE_REPORT_TYPEHASH, _pairId, _price, _timestamp)));
+    }
+
+    /**
+     * @dev Check a main-feed price signature without submitting it
+     * @return True if the trusted oracle signed the price (EIP-712, or legacy while enabled);
+     * always false while a signer threshold is set
+     */
+    function isValidPriceSignature(
+        int256 _price,
+        uint256 _timestamp,
+        bytes memory _signature
+    ) public view returns (bool) {
+        if (signerThreshold != 0) return false;
+        (, address signer) = _recoverReportSigner(bytes32(0), _price, _timestamp, _signature, trustedOracle);
+        return signer != address(0) && signer == trustedOracle;
+    }
+
+    /**
+     * @dev Switch acceptance of legacy EIP-191 signatures (only owner)
+     * @param _enabled False once every signer produces EIP-712 reports
+     */
+    function setLegacySignatures(bool _enabled) public onlyOwner {
+        legacySignatures = _enabled;
+        emit LegacySignaturesUpdated(_enabled);
+    }
+
+    function _verifyReport(
+        bytes32 _pairId,
+        int256 _price,
+        uint256 _timestamp,
+        bytes memory _signature,
+        uint256 _lastUpdateTime,
+        address _trustedSigner
+    ) internal view returns (bytes32 messageHash, address signer) {
+        string memory reason;
+        (messageHash, signer, reason) =
+            _checkReport(_pairId, _price, _timestamp, _signature, _lastUpdateTime, _trustedSigner);
+        if (bytes(reason).length != 0) revert(reason);
+    }
+
+    /**
+     * @dev Check a single-key report without reverting
+     * @return messageHash The digest to mark as used
+     * @return signer The recovered signer
+     * @return reason Empty if the report can be stored, otherwise why not
+     */
+    function _checkReport(
+        bytes32 _pairId,
+        int256 _price,
+        uint256 _timestamp,
+        bytes memory _signature,
+        uint256 _lastUpdateTime,
+        address _trustedSigner
+    ) internal view returns (bytes32 messageHash, address signer, string memory reason) {
+        if (signerThreshold != 0) return (messageHash, signer, "Threshold reports required");
+
+        // Timestamp, then replay, then signature: the order updatePriceWithSignature always had
+        reason = _timestampError(_timestamp, _lastUpdateTime);
+        if (bytes(reason).length != 0) return (messageHash, signer, reason);
+
+        // Both formats, so a report cannot be replayed by re-signing it in the other one
+        if (
+            usedHashes[hashPriceReport(_pairId, _price, _timestamp)] ||
+            usedHashes[_legacyHash(_pairId, _price, _timestamp)]
+        ) {
+            return (messageHash, signer, "Message hash already used");
+        }
+
+        (messageHash, signer) = _recoverReportSigner(_pairId, _price, _timestamp, _signature, _trustedSigner);
+        if (signer == address(0) || signer != _trustedSigner) reason = "Invalid signature";
+    }
+
+    function _checkTimestamp(uint256 _timestamp, uint256 _lastUpdateTime) internal view {
+        string memory reason = _timestampError(_timestamp, _lastUpdateTime);
+        if (bytes(reason).length != 0) revert(reason);
+    }
+
+    function _timestampError(uint256 _timestamp, uint256 _lastUpdateTime) internal view returns (string memory) {
+        if (_timestamp <= _lastUpdateTime) return "Timestamp must be newer";
+        if (_timestamp > block.timestamp + 300) return "Timestamp too far in future"; // 5 min tolerance
+        return "";
+    }
+
+    /**
+     * @dev Recover the signer of a report, trying EIP-712 first
+     * Falls back to the legacy digest when enabled and the typed signer is not the expected one.
+     */
+    function _recoverReportSigner(
+        bytes32 _pairId,
+        int256 _price,
+        uint256 _timestamp,
+        bytes memory _signature,
+        address _expected
+    ) internal view returns (bytes32 messageHash, address signer) {
+        // tryRecover: a malformed signature counts as a wrong signer, so batches can skip it
+        messageHash = hashPriceReport(_pairId, _price, _timestamp);
+        (signer, , ) = messageHash.tryRecover(_signature);
+        if (signer != _expected && legacySignatures) {
+            bytes32 legacyHash = _legacyHash(_pairId, _price, _timestamp);
+            (address legacySigner, , ) = legacyHash.toEthSignedMessageHash().tryRecover(_signature);
+            if (legacySigner == _expected) return (legacyHash, legacySigner);
+        }
+    }
+
+    function _legacyHash(bytes32 _pairId, int256 _price, uint256 _timestamp) internal view returns (bytes32) {
+        return _pairId == bytes32(0)
+            ? keccak256(abi.encodePacked(_price, _timestamp, address(this)))
+            : keccak256(abi.encodePacked(_pairId, _price, _timestamp, address(this)));
+    }
+    
+    /**
+     * @dev Verify a legacy oracle signature (EIP-191 prefixed digest)
      * @param messageHash The hash of the message
      * @param signature The signature to verify
      * @return The address that signed the message
@@ -100,6 +561,58 @@ contract PriceConsumer is Ownable {
         emit OracleUpdated(_newOracle);
     }
     
+    /**
+     * @dev Add a signer to the threshold report set (only owner)
+     * @param _signer The signer's address
+     */
+    function addReportSigner(address _signer) public onlyOwner {
+        require(_signer != address(0), "Invalid oracle address");
+        require(!isReportSigner[_signer], "Signer already registered");
+        isReportSigner[_signer] = true;
+        reportSigners.push(_signer);
+        emit ReportSignerAdded(_signer);
+    }
+
+    /**
+     * @dev Remove a signer from the threshold report set (only owner)
+     * @param _signer The signer's address; the set must keep at least signerThreshold signers
+     */
+    function removeReportSigner(address _signer) public onlyOwner {
+        require(isReportSigner[_signer], "Signer not registered");
+        require(reportSigners.length > signerThreshold, "Threshold above signer count");
+        isReportSigner[_signer] = false;
+
+        for (uint256 i = 0; i < reportSigners.length; i++) {
+            if (reportSigners[i] == _signer) {
+                reportSigners[i] = reportSigners[reportSigners.length - 1];
+                reportSigners.pop();
+                break;
+            }
+        }
+        emit ReportSignerRemoved(_signer);
+    }
+
+    /**
+     * @dev Set how many registered signers a report needs (only owner)
+     * @param _threshold Signatures required, 0 to go back to single-key updates
+     * @param _toleranceBps Max distance of any report from the median in basis points, 0 for identical prices
+     */
+    function setSignerThreshold(uint256 _threshold, uint256 _toleranceBps) public onlyOwner {
+        require(_threshold <= reportSigners.length, "Threshold above signer count");
+        require(_toleranceBps <= 10000, "Tolerance above 100%");
+        signerThreshold = _threshold;
+        reportToleranceBps = _toleranceBps;
+        emit SignerThresholdUpdated(_threshold, _toleranceBps);
+    }
+
+    /**
+     * @dev List the threshold report signers
+     * @return The signer addresses (removals move the last signer into the gap)
+     */
+    function getReportSigners() public view returns (address[] memory) {
+        return reportSigners;
+    }
+    
     /**
      * @dev Update the price feed address (only owner)
      * @param _newPriceFeed The new price feed address
@@ -109,6 +622,345 @@ contract PriceConsumer is Ownable {
         priceFeed = AggregatorV3Interface(_newPriceFeed);
     }
     
+    /**
+     * @dev Configure the circuit breaker for a price feed (only owner)
+     * @param _feed The price feed the limits apply to
+     * @param _maxAge Max seconds since the last update, 0 to disable
+     * @param _minAnswer Lowest accepted answer, 0 to disable
+     * @param _maxAnswer Highest accepted answer, 0 to disable
+     * @param _maxDeviationBps Max move from the previous round in basis points, 0 to disable
+     */
+    function setPriceGuard(
+        address _feed,
+        uint256 _maxAge,
+        int256 _minAnswer,
+        int256 _maxAnswer,
+        uint256 _maxDeviationBps
+    ) public onlyOwner {
+        require(_feed != address(0), "Invalid price feed address");
+        require(_minAnswer >= 0 && _maxAnswer >= 0, "Bounds must not be negative");
+        require(_maxAnswer == 0 || _minAnswer <= _maxAnswer, "Minimum above maximum");
+
+        priceGuards[_feed] = PriceGuard(_maxAge, _minAnswer, _maxAnswer, _maxDeviationBps);
+        emit PriceGuardUpdated(_feed, _maxAge, _minAnswer, _maxAnswer, _maxDeviationBps);
+    }
+
+    /**
+     * @dev Register a pair (only owner)
+     * @param _pairId The pair ID, e.g. bytes32("BTC/USD")
+     * @param _aggregator The Chainlink aggregator for the pair
+     * @param _trustedSigner The signer accepted for the pair's signed prices
+     */
+    function addFeed(bytes32 _pairId, address _aggregator, address _trustedSigner) public onlyOwner {
+        require(_pairId != bytes32(0), "Invalid pair ID");
+        require(address(feeds[_pairId].aggregator) == address(0), "Pair already registered");
+        require(_aggregator != address(0), "Invalid price feed address");
+        require(_trustedSigner != address(0), "Invalid oracle address");
+
+        uint8 decimals = AggregatorV3Interface(_aggregator).decimals();
+        feeds[_pairId] = Feed(AggregatorV3Interface(_aggregator), decimals, 0, 0, _trustedSigner);
+        pairIds.push(_pairId);
+
+        emit FeedAdded(_pairId, _aggregator, decimals, _trustedSigner);
+    }
+
+    /**
+     * @dev Point a registered pair at another aggregator (only owner)
+     * @param _pairId The pair to update
+     * @param _aggregator The new aggregator; decimals are re-read from it
+     */
+    function updateFeed(bytes32 _pairId, address _aggregator) public onlyOwner {
+        require(_aggregator != address(0), "Invalid price feed address");
+        Feed storage feed = _getFeed(_pairId);
+
+        feed.aggregator = AggregatorV3Interface(_aggregator);
+        feed.decimals = feed.aggregator.decimals();
+
+        emit FeedUpdated(_pairId, _aggregator, feed.decimals);
+    }
+
+    /**
+     * @dev Change the trusted signer of a registered pair (only owner)
+     * @param _pairId The pair to update
+     * @param _trustedSigner The new signer
+     */
+    function updateFeedSigner(bytes32 _pairId, address _trustedSigner) public onlyOwner {
+        require(_trustedSigner != address(0), "Invalid oracle address");
+        _getFeed(_pairId).trustedSigner = _trustedSigner;
+        emit FeedSignerUpdated(_pairId, _trustedSigner);
+    }
+
+    /**
+     * @dev Remove a registered pair (only owner)
+     * @param _pairId The pair to remove
+     */
+    function removeFeed(bytes32 _pairId) public onlyOwner {
+        _getFeed(_pairId);
+        delete feeds[_pairId];
+
+        for (uint256 i = 0; i < pairIds.length; i++) {
+            if (pairIds[i] == _pairId) {
+                pairIds[i] = pairIds[pairIds.length - 1];
+                pairIds.pop();
+                break;
+            }
+        }
+        emit FeedRemoved(_pairId);
+    }
+
+    /**
+     * @dev List registered pair IDs
+     * @return The pair IDs in registration order (removals move the last pair into the gap)
+     */
+    function getPairIds() public view returns (bytes32[] memory) {
+        return pairIds;
+    }
+
+    /**
+     * @dev Get the latest aggregator answer for a pair
+     * @param _pairId The pair to read
+     * @return The latest price from the pair's aggregator
+     */
+    function getLatestPriceFor(bytes32 _pairId) public view returns (int256) {
+        (, int256 price, , uint256 timeStamp, ) = _getFeed(_pairId).aggregator.latestRoundData();
+        require(timeStamp > 0, "Round not complete");
+        return price;
+    }
+
+    /**
+     * @dev Check a pair's latest answer against its aggregator's circuit breaker
+     * @param _pairId The pair to read
+     */
+    function checkPriceFor(bytes32 _pairId) public view returns (int256 price, uint256 updatedAt, PriceStatus status) {
+        return _checkFeed(_getFeed(_pairId).aggregator);
+    }
+
+    /**
+     * @dev Get a pair's latest price, reverting if the circuit breaker rejects it
+     * @param _pairId The pair to read
+     */
+    function getSafePriceFor(bytes32 _pairId) public view returns (int256) {
+        (int256 price, , PriceStatus status) = checkPriceFor(_pairId);
+        _requireSafe(status);
+        return price;
+    }
+
+    function _getFeed(bytes32 _pairId) internal view returns (Feed storage feed) {
+        feed = feeds[_pairId];
+        require(address(feed.aggregator) != address(0), "Unknown pair");
+    }
+
+    /**
+     * @dev Configure Chainlink direct requests (only owner)
+     * @param _link The LINK token paying for requests
+     * @param _operator The operator contract the node's job watches
+     * @param _jobId The job's external ID as bytes32 (its UUID without dashes)
+     * @param _fee LINK paid per request, in juels
+     * @param _requestTimeout Seconds to wait for an answer, at least OPERATOR_EXPIRY_TIME
+     */
+    function setChainlinkConfig(
+        address _link,
+        address _operator,
+        bytes32 _jobId,
+        uint256 _fee,
+        uint256 _requestTimeout
+    ) public onlyOwner {
+        require(_link != address(0) && _operator != address(0), "Invalid Chainlink address");
+        require(_jobId != bytes32(0), "Invalid job ID");
+        require(_requestTimeout >= OPERATOR_EXPIRY_TIME, "Timeout below operator expiry");
+
+        _setChainlinkToken(_link);
+        _setChainlinkOracle(_operator);
+        chainlinkJobId = _jobId;
+        chainlinkFee = _fee;
+        requestTimeout = _requestTimeout;
+        emit ChainlinkConfigUpdated(_link, _operator, _jobId, _fee, _requestTimeout);
+    }
+
+    /**
+     * @dev Get the Chainlink token and operator in use
+     * @return link The LINK token
+     * @return operator The operator contract
+     */
+    function getChainlinkConfig() public view returns (address link, address operator) {
+        return (_chainlinkTokenAddress(), _chainlinkOracleAddress());
+    }
+
+    /**
+     * @dev Ask the configured job for the main feed's price (only owner)
+     * The consumer pays chainlinkFee from its own LINK balance.
+     * @return requestId The request ID the answer will carry
+     */
+    function requestPrice() public onlyOwner returns (bytes32 requestId) {
+        require(chainlinkJobId != bytes32(0), "Chainlink not configured");
+
+        Chainlink.Request memory req = _buildOperatorRequest(chainlinkJobId, this.fulfill.selector);
+        requestId = _sendOperatorRequest(req, chainlinkFee);
+        priceRequests[requestId] = PriceRequest(chainlinkFee, block.timestamp, true);
+        emit PriceRequested(requestId, chainlinkJobId, chainlinkFee);
+    }
+
+    /**
+     * @dev Receive a requested price (the request's operator only)
+     * Answers that arrive after requestTimeout, are not positive or are older
+     * than the current price are recorded as failed instead of reverting, so
+     * the operator still settles the request.
+     * @param _requestId The request being answered
+     * @param _price The price in the main feed's decimals
+     */
+    function fulfill(bytes32 _requestId, int256 _price) public recordChainlinkFulfillment(_requestId) {
+        PriceRequest storage request = priceRequests[_requestId];
+        request.pending = false;
+
+        string memory reason;
+        if (block.timestamp > request.requestedAt + requestTimeout) {
+            reason = "Request timed out";
+        } else if (_price <= 0) {
+            reason = "Invalid price";
+        } else {
+            reason = _timestampError(block.timestamp, lastUpdateTime);
+        }
+
+        if (bytes(reason).length != 0) {
+            emit PriceRequestFailed(_requestId, _price, reason);
+            return;
+        }
+        _storeSignedPrice(bytes32(0), _price, block.timestamp);
+        emit PriceRequestFulfilled(_requestId, _price);
+    }
+
+    /**
+     * @dev Cancel a request that timed out and get its LINK back (only owner)
+     * @param _requestId The pending request
+     */
+    function cancelPriceRequest(bytes32 _requestId) public onlyOwner {
+        PriceRequest storage request = priceRequests[_requestId];
+        require(request.pending, "Request not pending");
+        require(block.timestamp > request.requestedAt + requestTimeout, "Request not timed out");
+
+        request.pending = false;
+        _cancelChainlinkRequest(
+            _requestId,
+            request.payment,
+            this.fulfill.selector,
+            request.requestedAt + OPERATOR_EXPIRY_TIME
+        );
+        emit PriceRequestCancelled(_requestId);
+    }
+
+    /**
+     * @dev Send LINK held by the consumer to an address (only owner)
+     * @param _to The recipient
+     * @param _amount LINK in juels
+     */
+    function withdrawLink(address _to, uint256 _amount) public onlyOwner {
+        require(_to != address(0), "Invalid recipient");
+        require(LinkTokenInterface(_chainlinkTokenAddress()).transfer(_to, _amount), "LINK transfer failed");
+    }
+
+    /**
+     * @dev Set the upkeep allowed to call refreshPriceFromFeed (only owner)
+     * @param _upkeep The upkeep contract, or address(0) to leave refreshes to the owner
+     */
+    function setPriceUpkeep(address _upkeep) public onlyOwner {
+        priceUpkeep = _upkeep;
+        emit PriceUpkeepUpdated(_upkeep);
+    }
+
+    /**
+     * @dev Store the feed's latest answer as the price (upkeep or owner only)
+     * The answer must pass the circuit breaker and be newer than the stored price;
+     * it is stored with the feed's update time.
+     * @return price The stored price
+     * @return updatedAt The feed's update time
+     */
+    function refreshPriceFromFeed() public returns (int256 price, uint256 updatedAt) {
+        require(msg.sender == priceUpkeep || msg.sender == owner(), "Not authorized to refresh");
+        require(!feedRefreshesPaused, "Feed refreshes paused");
+        PriceStatus status;
+        (price, updatedAt, status) = checkPrice();
+        _requireSafe(status);
+        _checkTimestamp(updatedAt, lastUpdateTime);
+
+        _storeSignedPrice(bytes32(0), price, updatedAt);
+        emit PriceRefreshedFromFeed(price, updatedAt);
+    }
+
+    /**
+     * @dev Set the account that can pause signed updates and feed refreshes (only owner)
+     * @param _guardian The guardian, or address(0) to leave pausing to the owner
+     */
+    function setGuardian(address _guardian) public onlyOwner {
+        guardian = _guardian;
+        emit GuardianUpdated(_guardian);
+    }
+
+    /**
+     * @dev Stop accepting signed prices (guardian or owner only)
+     * Covers single, pair, batched and threshold updates; feed reads, Chainlink
+     * requests and upkeep refreshes keep working.
+     */
+    function pauseSignedUpdates() public {
+        _checkGuardian();
+        require(!signedUpdatesPaused, "Signed updates already paused");
+        signedUpdatesPaused = true;
+        emit SignedUpdatesPaused(msg.sender);
+    }
+
+    /**
+     * @dev Accept signed prices again (only owner)
+     */
+    function unpauseSignedUpdates() public onlyOwner {
+        require(signedUpdatesPaused, "Signed updates not paused");
+        signedUpdatesPaused = false;
+        emit SignedUpdatesUnpaused(msg.sender);
+    }
+
+    /**
+     * @dev Stop copying the feed's answer into the stored price (guardian or owner only)
+     * Covers refreshPriceFromFeed, so the upkeep as well. Reads of the feed itself
+     * are not affected; pause the vault and minting to stop what uses them.
+     */
+    function pauseFeedRefreshes() public {
+        _checkGuardian();
+        require(!feedRefreshesPaused, "Feed refreshes already paused");
+        feedRefreshesPaused = true;
+        emit FeedRefreshesPaused(msg.sender);
+    }
+
+    /**
+     * @dev Copy the feed's answer again (only owner)
+     */
+    function unpauseFeedRefreshes() public onlyOwner {
+        require(feedRefreshesPaused, "Feed refreshes not paused");
+        feedRefreshesPaused = false;
+        emit FeedRefreshesUnpaused(msg.sender);
+    }
+
+    function _checkGuardian() internal view {
+        require(msg.sender == guardian || msg.sender == owner(), "Not the guardian");
+    }
+
+    function _checkSignedUpdatesActive() internal view {
+        require(!signedUpdatesPaused, "Signed updates paused");
+    }
+
+    /**
+     * @dev Get the address of the price feed in use
+     * @return The Chainlink aggregator address
+     */
+    function getPriceFeed() public view returns (address) {
+        return address(priceFeed);
+    }
+
+    /**
+     * @dev Get the decimals of the price feed in use
+     * @return Decimals of getLatestPrice / getSafePrice answers (and of signed prices)
+     */
+    function getPriceDecimals() public view returns (uint8) {
+        return priceFeed.decimals();
+    }
+    
     /**
      * @dev Get price details
      * @return price The latest price
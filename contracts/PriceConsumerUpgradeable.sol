@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "./PriceConsumer.sol";
+
+/**
+ * @title PriceConsumerUpgradeable
+ * @dev PriceConsumer behind a UUPS (ERC-1967) proxy
+ * @notice The proxy keeps the state (stored prices, used report hashes, signers,
+ * pairs) while the owner swaps the logic with upgradeToAndCall. Storage is
+ * PriceConsumer's, in the same order, so new state must be appended to
+ * PriceConsumer; scripts/upgrade.js (through OpenZeppelin's upgrades plugin)
+ * refuses implementations whose layout moves existing variables.
+ * The EIP-712 domain is built from the proxy's address, so signed reports keep
+ * verifying across upgrades. Chainlink request nonces start at 0 instead of 1.
+ */
+contract PriceConsumerUpgradeable is PriceConsumer, Initializable, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() PriceConsumer(address(0), address(0)) {
+        // The implementation is never used directly: no owner, no initializer
+        _transferOwnership(address(0));
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Set up the proxy's state (called once, through the proxy)
+     * @param _priceFeed The main Chainlink price feed
+     * @param _trustedOracle The signer of single-key price updates
+     * @param _owner The account that owns the consumer and authorizes upgrades
+     */
+    function initialize(address _priceFeed, address _trustedOracle, address _owner) public initializer {
+        require(_owner != address(0), "Invalid owner address");
+        _transferOwnership(_owner);
+        _initializePriceConsumer(_priceFeed, _trustedOracle);
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@chainlink/contracts/src/v0.8/automation/interfaces/AutomationCompatibleInterface.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./PriceConsumer.sol";
+
+/**
+ * @title PriceUpkeep
+ * @dev Chainlink Automation upkeep that keeps PriceConsumer's stored price in step with its feed
+ * @notice A refresh is due when the feed has a newer answer than the stored
+ * price and either the stored price is older than `heartbeat` or the answer
+ * moved at least `deviationBps` away from it. Answers the consumer's circuit
+ * breaker rejects are never copied. performUpkeep checks everything again, so
+ * stale or forged performData cannot force a refresh.
+ */
+contract PriceUpkeep is AutomationCompatibleInterface, Ownable {
+    PriceConsumer public immutable consumer;
+
+    uint256 public constant BPS = 10000;
+
+    // Why a refresh is due
+    enum UpkeepReason {
+        None,
+        Heartbeat,
+        Deviation
+    }
+
+    uint256 public heartbeat = 3600; // Max age of the stored price in seconds
+    uint256 public deviationBps = 50; // 0.5%; 0 refreshes on every new answer
+    address public forwarder; // Automation forwarder allowed to perform; address(0) lets anyone perform
+
+    // Events
+    event UpkeepPerformed(UpkeepReason indexed reason, int256 price, uint256 updatedAt);
+    event UpkeepParametersUpdated(uint256 heartbeat, uint256 deviationBps);
+    event ForwarderUpdated(address forwarder);
+
+    constructor(address _consumer) Ownable(msg.sender) {
+        require(_consumer != address(0), "Invalid consumer address");
+        consumer = PriceConsumer(_consumer);
+    }
+
+    /**
+     * @dev Decide whether the stored price needs a refresh (simulated off-chain by Automation)
+     * @return upkeepNeeded Whether performUpkeep would refresh the price
+     * @return performData abi.encode(UpkeepReason reason, int256 price, uint256 updatedAt)
+     */
+    function checkUpkeep(bytes calldata) external view override returns (bool upkeepNeeded, bytes memory performData) {
+        (UpkeepReason reason, int256 price, uint256 updatedAt) = checkRefresh();
+        upkeepNeeded = reason != UpkeepReason.None;
+        performData = abi.encode(reason, price, updatedAt);
+    }
+
+    /**
+     * @dev Copy the feed's answer into the consumer if a refresh is still due
+     * The consumer must have this contract as its priceUpkeep.
+     */
+    function performUpkeep(bytes calldata) external override {
+        require(forwarder == address(0) || msg.sender == forwarder, "Not the forwarder");
+        (UpkeepReason reason, , ) = checkRefresh();
+        require(reason != UpkeepReason.None, "Upkeep not needed");
+
+        (int256 price, uint256 updatedAt) = consumer.refreshPriceFromFeed();
+        emit UpkeepPerformed(reason, price, updatedAt);
+    }
+
+    /**
+     * @dev Check the feed against the stored price
+     * @return reason Heartbeat or Deviation when a refresh is due, None otherwise
+     * @return price The feed's latest answer
+     * @return updatedAt When the feed's answer was updated
+     */
+    function checkRefresh() public view returns (UpkeepReason reason, int256 price, uint256 updatedAt) {
+        PriceConsumer.PriceStatus status;
+        (price, updatedAt, status) = consumer.checkPrice();
+        uint256 lastUpdateTime = consumer.lastUpdateTime();
+        if (status != PriceConsumer.PriceStatus.Ok || updatedAt <= lastUpdateTime || consumer.feedRefreshesPaused()) {
+            return (UpkeepReason.None, price, updatedAt);
+        }
+
+        if (block.timestamp >= lastUpdateTime + heartbeat) return (UpkeepReason.Heartbeat, price, updatedAt);
+        if (_deviationFrom(consumer.latestPrice(), price) >= deviationBps) return (UpkeepReason.Deviation, price, updatedAt);
+        return (UpkeepReason.None, price, updatedAt);
+    }
+
+    function _deviationFrom(int256 stored, int256 price) internal pure returns (uint256) {
+        if (stored <= 0) return type(uint256).max;
+        uint256 diff = stored > price ? uint256(stored - price) : uint256(price - stored);
+        return (diff * BPS) / uint256(stored);
+    }
+
+    /**
+     * @dev Set the refresh thresholds (only owner)
+     * @param _heartbeat Max age of the stored price in seconds, at least 1
+     * @param _deviationBps Move from the stored price that triggers a refresh, in basis points
+     */
+    function setParameters(uint256 _heartbeat, uint256 _deviationBps) public onlyOwner {
+        require(_heartbeat > 0, "Heartbeat must be positive");
+        heartbeat = _heartbeat;
+        deviationBps = _deviationBps;
+        emit UpkeepParametersUpdated(_heartbeat, _deviationBps);
+    }
+
+    /**
+     * @dev Restrict performUpkeep to the Automation forwarder (only owner)
+     * @param _forwarder The upkeep's forwarder, or address(0) to let anyone perform
+     */
+    function setForwarder(address _forwarder) public onlyOwner {
+        forwarder = _forwarder;
+        emit ForwarderUpdated(_forwarder);
+    }
+}
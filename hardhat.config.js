@@ -1,10 +1,12 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+require("./tasks");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    version: "0.8.28",
     settings: {
       optimizer: {
         enabled: true,
@@ -36,11 +38,5 @@ module.exports = {
   mocha: {
     timeout: 40000,
   },
-  // Oracle configuration
-  chainlink: {
-    oracleAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3", // Local mock oracle
-  },
-};
-module.exports = {
-  solidity: "0.8.28",
+  // Contract addresses live in deployments/<network>.json (see scripts/utils/deployments.js)
 };
@@ -0,0 +1,16 @@
+// Mock Chainlink aggregator for local networks.
+// Learn more about Hardhat Ignition at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const DEFAULT_DECIMALS = 8;
+const DEFAULT_INITIAL_ANSWER = 200000000000; // $2000.00 with 8 decimals
+
+module.exports = buildModule("MockPriceFeed", (m) => {
+  const decimals = m.getParameter("decimals", DEFAULT_DECIMALS);
+  const initialAnswer = m.getParameter("initialAnswer", DEFAULT_INITIAL_ANSWER);
+
+  const mockOracle = m.contract("MockV3Aggregator", [decimals, initialAnswer]);
+
+  return { mockOracle };
+});
@@ -0,0 +1,12 @@
+// Full local oracle stack: MockV3Aggregator -> PriceConsumer (<- PriceUpkeep) -> OracleToken <- OracleVault.
+// Learn more about Hardhat Ignition at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const MockPriceFeedModule = require("./MockPriceFeed");
+const { deployOracleStack } = require("../oracle-stack");
+
+module.exports = buildModule("OracleStack", (m) => {
+  const { mockOracle } = m.useModule(MockPriceFeedModule);
+
+  return { mockOracle, ...deployOracleStack(m, mockOracle) };
+});
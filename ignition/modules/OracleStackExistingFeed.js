@@ -0,0 +1,14 @@
+// Oracle stack pointed at an aggregator that is already deployed
+// (e.g. a Chainlink feed on a testnet) instead of a mock.
+// Learn more about Hardhat Ignition at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { deployOracleStack } = require("../oracle-stack");
+
+module.exports = buildModule("OracleStackExistingFeed", (m) => {
+  const priceFeedAddress = m.getParameter("priceFeed");
+
+  const priceFeed = m.contractAt("AggregatorV3Interface", priceFeedAddress);
+
+  return { priceFeed, ...deployOracleStack(m, priceFeed) };
+});
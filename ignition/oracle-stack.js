@@ -0,0 +1,32 @@
+// Shared future definitions for the oracle stack Ignition modules.
+// Parameters are read under the id of the module that calls this helper.
+
+/**
+ * Add PriceConsumer, OracleToken, OracleVault and PriceUpkeep to a module, wired to the given price feed
+ * @param {object} m The Ignition module builder
+ * @param {object|string} priceFeed Aggregator future or address parameter
+ */
+function deployOracleStack(m, priceFeed) {
+  const trustedOracle = m.getParameter("trustedOracle", m.getAccount(0));
+  const tokenName = m.getParameter("tokenName", "Oracle Token");
+  const tokenSymbol = m.getParameter("tokenSymbol", "ORACLE");
+  // Can pause signed updates, minting and transfers; address(0) leaves that to the owner
+  const guardian = m.getParameter("guardian", "0x0000000000000000000000000000000000000000");
+
+  const priceConsumer = m.contract("PriceConsumer", [priceFeed, trustedOracle]);
+  const oracleToken = m.contract("OracleToken", [tokenName, tokenSymbol, priceConsumer]);
+  const oracleVault = m.contract("OracleVault", [oracleToken]);
+
+  const vaultRole = m.staticCall(oracleToken, "VAULT_ROLE");
+  m.call(oracleToken, "grantRole", [vaultRole, oracleVault]);
+
+  const priceUpkeep = m.contract("PriceUpkeep", [priceConsumer]);
+  m.call(priceConsumer, "setPriceUpkeep", [priceUpkeep]);
+
+  m.call(priceConsumer, "setGuardian", [guardian]);
+  m.call(oracleToken, "setGuardian", [guardian]);
+
+  return { priceConsumer, oracleToken, oracleVault, priceUpkeep };
+}
+
+module.exports = { deployOracleStack };
@@ -0,0 +1,219 @@
+const { ethers } = require("ethers");
+const { createLogger } = require("./utils/logger");
+const { SPECS_DIR, buildSpec, readSpecFile, parseToml, parsePipeline, jobIdToBytes32 } = require("./utils/chainlink-jobs");
+const { fetchPrice } = require("./relayer");
+const { getDeployedContracts } = require("./utils/deployments");
+require("dotenv").config();
+
+/**
+ * Local Chainlink node
+ * Plays the node's part of a direct request against the operator: watches
+ * OracleRequest events, runs the matching directrequest job (fetch the URL,
+ * take the JSON path, scale by `times`) and answers with fulfillOracleRequest2.
+ * Jobs are read from the same spec files job-manager.js posts to a real node,
+ * so a request made for a spec's externalJobID is answered the same way.
+ *
+ * Run with: npx hardhat run scripts/chainlink-node.js --network localhost
+ */
+
+const DEFAULTS = {
+  specFiles: [`${SPECS_DIR}/eth-usd.json`],
+  pollIntervalMs: 2_000,
+  fromBlock: undefined, // First block to scan; defaults to the latest block at start
+  gasLimit: 500_000n, // The operator wants 400k left for the consumer's callback
+};
+
+/**
+ * Build node configuration from environment variables
+ * @param {object} env The environment to read from
+ * @return {object} Node configuration
+ */
+function loadConfig(env = process.env) {
+  const num = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value));
+
+  return {
+    specFiles: env.CHAINLINK_NODE_SPECS ? env.CHAINLINK_NODE_SPECS.split(",").map((f) => f.trim()) : DEFAULTS.specFiles,
+    pollIntervalMs: num(env.CHAINLINK_NODE_POLL_INTERVAL, DEFAULTS.pollIntervalMs / 1000) * 1000,
+    fromBlock: num(env.CHAINLINK_NODE_FROM_BLOCK, DEFAULTS.fromBlock),
+    gasLimit: DEFAULTS.gasLimit,
+  };
+}
+
+/**
+ * Read the parts of a directrequest price job the node runs
+ * @param {string} file Spec file (.toml or .json naming a template)
+ * @param {object} [vars] Extra template variables; contractAddress gets a placeholder
+ * @return {{name: string, externalJobID: string, jobId: string, url: string, path: string, decimals: number}}
+ */
+function loadPriceJob(file, vars = {}) {
+  const { template, vars: fileVars } = readSpecFile(file);
+  const spec = parseToml(buildSpec(template, { contractAddress: ethers.ZeroAddress, ...fileVars, ...vars }));
+  if (spec.type !== "directrequest") throw new Error(`${file}: not a directrequest job`);
+
+  const { tasks } = parsePipeline(spec.observationSource);
+  const find = (type) => Object.values(tasks).find((task) => task.type === type);
+  const [fetch, parse, multiply] = [find("http"), find("jsonparse"), find("multiply")];
+  if (!fetch || !parse) throw new Error(`${file}: job has no http and jsonparse tasks`);
+
+  // Prices are handled as fixed-point integers, so only decimal scaling is supported
+  const times = multiply ? multiply.times : "1";
+  if (!/^10*$/.test(times)) throw new Error(`${file}: multiply times must be a power of ten, got ${times}`);
+
+  return {
+    name: spec.name,
+    externalJobID: spec.externalJobID,
+    jobId: jobIdToBytes32(spec.externalJobID),
+    url: fetch.url,
+    path: parse.path,
+    decimals: times.length - 1,
+  };
+}
+
+/**
+ * Create a node instance
+ * @param {object} params
+ * @param {object} params.operator Operator contract connected to an authorized sender
+ * @param {Array<object>} params.jobs Jobs from loadPriceJob
+ * @param {object} [params.config] Overrides for DEFAULTS
+ * @param {object} [params.logger] Structured logger
+ * @param {function} [params.priceSource] Async (job, request) => bigint, replacing the HTTP fetch
+ */
+function createChainlinkNode({ operator, jobs, config = {}, logger, priceSource }) {
+  const cfg = { ...DEFAULTS, ...config };
+  const log = logger || createLogger("chainlink-node");
+  const provider = operator.runner.provider;
+  const jobsById = new Map(jobs.map((job) => [job.jobId.toLowerCase(), job]));
+  const getPrice = priceSource || ((job) => fetchPrice(job.url, job.path, job.decimals));
+
+  let nextBlock = cfg.fromBlock;
+  let timer = null;
+  let running = false;
+  let inFlight = null;
+
+  /**
+   * Run a job for one request and send the answer to the operator
+   * @return {Promise<object>} What happened to the request
+   */
+  async function fulfill(request) {
+    const { specId, requestId } = request;
+    const job = jobsById.get(specId.toLowerCase());
+    if (!job) {
+      log.warn("request for unknown job", { requestId, specId });
+      return { requestId, fulfilled: false, reason: "unknown-job" };
+    }
+    if (!(await operator.isPending(requestId))) {
+      log.debug("request already settled", { requestId });
+      return { requestId, job: job.name, fulfilled: false, reason: "settled" };
+    }
+
+    const value = await getPrice(job, request);
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "int256"], [requestId, value]);
+    const tx = await operator.fulfillOracleRequest2(
+      requestId,
+      request.payment,
+      request.callbackAddr,
+      request.callbackFunctionId,
+      request.cancelExpiration,
+      data,
+      { gasLimit: cfg.gasLimit }
+    );
+    const receipt = await tx.wait();
+    log.info("request fulfilled", { requestId, job: job.name, value, hash: receipt.hash, gasUsed: receipt.gasUsed });
+    return { requestId, job: job.name, fulfilled: true, value, receipt };
+  }
+
+  /**
+   * Answer every OracleRequest emitted since the last poll
+   * @return {Promise<Array<object>>} One outcome per request seen
+   */
+  async function tick() {
+    const latest = await provider.getBlockNumber();
+    if (nextBlock === undefined) nextBlock = latest;
+    if (nextBlock > latest) return [];
+
+    const events = await operator.queryFilter(operator.filters.OracleRequest(), nextBlock, latest);
+    nextBlock = latest + 1;
+
+    const results = [];
+    for (const event of events) {
+      const request = event.args.toObject();
+      try {
+        results.push(await fulfill(request));
+      } catch (error) {
+        log.error("fulfillment failed", { requestId: request.requestId, error: error.shortMessage || error.message });
+        results.push({ requestId: request.requestId, fulfilled: false, reason: error.shortMessage || error.message });
+      }
+    }
+    return results;
+  }
+
+  async function loop() {
+    inFlight = tick().catch((error) => {
+      log.error("poll failed", { error: error.shortMessage || error.message });
+    });
+    await inFlight;
+    inFlight = null;
+    if (running) timer = setTimeout(loop, cfg.pollIntervalMs);
+  }
+
+  return {
+    tick,
+    start() {
+      if (running) return;
+      running = true;
+      log.info("node started", {
+        operator: operator.target,
+        jobs: jobs.map((job) => ({ name: job.name, externalJobID: job.externalJobID })),
+      });
+      loop();
+    },
+    async stop() {
+      running = false;
+      clearTimeout(timer);
+      if (inFlight) await inFlight;
+      log.info("node stopped");
+    },
+  };
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const [sender] = await hre.ethers.getSigners();
+  const log = createLogger("chainlink-node");
+
+  const { operator } = await getDeployedContracts(hre, sender);
+  if (!operator) {
+    log.error("the deployment manifest has no operator; deploy to a local network with scripts/deploy.js");
+    process.exit(1);
+  }
+  if (!(await operator.isAuthorizedSender(sender.address))) {
+    log.warn("sender is not authorized on the operator", { sender: sender.address });
+  }
+
+  const config = loadConfig();
+  const jobs = config.specFiles.map((file) => loadPriceJob(file));
+  const node = createChainlinkNode({ operator, jobs, config, logger: log });
+
+  const shutdown = async () => {
+    await node.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  node.start();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Chainlink node failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  loadConfig,
+  loadPriceJob,
+  createChainlinkNode,
+};
@@ -0,0 +1,106 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = hre;
+const { listTransactions } = require("@nomicfoundation/ignition-core");
+const {
+  HardhatArtifactResolver,
+  readDeploymentParameters,
+  resolveDeploymentId,
+} = require("@nomicfoundation/hardhat-ignition/helpers");
+const OracleStackModule = require("../ignition/modules/OracleStack");
+const OracleStackExistingFeedModule = require("../ignition/modules/OracleStackExistingFeed");
+const { CONTRACTS, writeManifest, verifyManifest } = require("./utils/deployments");
+
+/**
+ * Deploy the oracle stack through Hardhat Ignition
+ * Re-running against the same network resumes or reuses the existing deployment
+ * instead of producing new addresses. The result is written to the same
+ * deployments/<network>.json manifest as scripts/deploy.js.
+ *
+ * Parameters come from ignition/parameters/<network>.json (or IGNITION_PARAMETERS);
+ * a file with an "OracleStackExistingFeed" section targets an existing aggregator.
+ * GUARDIAN_ADDRESS, when set, overrides the modules' guardian parameter.
+ * Set IGNITION_RESET=true to discard the journal after restarting a local node.
+ */
+async function main() {
+  const network = hre.network.name;
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const parametersFile =
+    process.env.IGNITION_PARAMETERS || path.join(hre.config.paths.ignition, "parameters", `${network}.json`);
+  const parameters = fs.existsSync(parametersFile) ? await readDeploymentParameters(parametersFile) : {};
+  const ignitionModule = parameters.OracleStackExistingFeed ? OracleStackExistingFeedModule : OracleStackModule;
+  if (process.env.GUARDIAN_ADDRESS) {
+    parameters[ignitionModule.id] = { ...parameters[ignitionModule.id], guardian: process.env.GUARDIAN_ADDRESS };
+  }
+  const deploymentId = resolveDeploymentId(process.env.IGNITION_DEPLOYMENT_ID, chainId);
+  const deploymentDir = path.join(hre.config.paths.ignition, "deployments", deploymentId);
+
+  if (process.env.IGNITION_RESET === "true") {
+    console.log(`🧹 Discarding Ignition journal ${deploymentDir}`);
+    fs.rmSync(deploymentDir, { recursive: true, force: true });
+  }
+
+  console.log(`🚀 Deploying ${ignitionModule.id} to ${network} (deployment "${deploymentId}")`);
+  console.log("Parameters:", fs.existsSync(parametersFile) ? parametersFile : "module defaults");
+
+  const deployed = await hre.ignition.deploy(ignitionModule, { parameters, deploymentId, displayUi: true });
+
+  // The in-process hardhat network keeps no journal, so there are no transactions to list
+  const transactions =
+    network === "hardhat"
+      ? []
+      : await listTransactions(deploymentDir, new HardhatArtifactResolver(hre));
+
+  const contracts = {};
+  for (const [key, contract] of Object.entries(deployed)) {
+    const address = await contract.getAddress();
+    const tx = transactions.find((t) => t.type === "DEPLOYMENT_EXECUTION_STATE" && t.address === address);
+    const receipt = tx ? await ethers.provider.getTransactionReceipt(tx.txHash) : null;
+
+    contracts[key] = {
+      contractName: CONTRACTS[key],
+      address,
+      transactionHash: tx ? tx.txHash : null,
+      blockNumber: receipt ? receipt.blockNumber : null,
+      constructorArgs: tx ? tx.params.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg)) : [],
+      bytecodeHash: ethers.keccak256(await ethers.provider.getCode(address)),
+    };
+  }
+
+  const manifest = {
+    network,
+    chainId: Number(chainId),
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    ignition: { deploymentId, module: ignitionModule.id },
+    contracts,
+  };
+
+  try {
+    await verifyManifest(ethers.provider, manifest);
+  } catch (error) {
+    console.error(`❌ Ignition journal "${deploymentId}" points at contracts that are not on this chain.`);
+    console.error("   If the node was restarted, deploy again with IGNITION_RESET=true.");
+    throw error;
+  }
+
+  const manifestFile = writeManifest(network, manifest);
+
+  console.log("\n📋 Deployment Summary:");
+  console.log("=====================================");
+  for (const [key, entry] of Object.entries(contracts)) {
+    console.log(`${key.padEnd(16)} ${entry.address}`);
+  }
+  console.log("=====================================");
+  console.log("💾 Deployment manifest saved to", manifestFile);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Deployment failed:", error);
+    process.exit(1);
+  });
@@ -1,47 +1,167 @@
-const { ethers } = require("hardhat");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { CONTRACTS, UPGRADEABLE_CONTRACTS, recordDeployment, writeManifest } = require("./utils/deployments");
+const { deployProxy } = require("./utils/proxies");
+const { FEEDS_CONFIG, loadFeedConfig, deployFeed } = require("./utils/feeds");
+const { SPECS_DIR } = require("./utils/chainlink-jobs");
+const { loadPriceJob } = require("./chainlink-node");
+
+// Networks where mock LINK and an operator stand-in are deployed for direct requests
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Deploy PriceConsumer and OracleToken behind UUPS proxies (upgrade with scripts/upgrade.js)
+const UPGRADEABLE = process.env.DEPLOY_UPGRADEABLE === "true";
+
+// Account that can pause both contracts in an incident (scripts/incident-pause.js)
+const GUARDIAN = process.env.GUARDIAN_ADDRESS || null;
+
+/**
+ * Deploy PriceConsumer or OracleToken, or its upgradeable variant behind a proxy
+ * The proxy's initializer takes the constructor arguments plus the owner.
+ * @return {Promise<{contract: object, entry: object}>} The contract and its manifest entry
+ */
+async function deployCore(key, args, owner) {
+  if (UPGRADEABLE) {
+    const { contract, implementation, entry } = await deployProxy(hre, UPGRADEABLE_CONTRACTS[key], [...args, owner]);
+    console.log(`   ${UPGRADEABLE_CONTRACTS[key]} implementation:`, await implementation.getAddress());
+    return { contract, entry };
+  }
+  const factory = await ethers.getContractFactory(CONTRACTS[key]);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  return { contract, entry: await recordDeployment(contract, args, CONTRACTS[key]) };
+}
 
 async function main() {
   const [deployer] = await ethers.getSigners();
+  if (GUARDIAN && !ethers.isAddress(GUARDIAN)) {
+    throw new Error(`GUARDIAN_ADDRESS is not an address: ${GUARDIAN}`);
+  }
   
   console.log("Deploying contracts with the account:", deployer.address);
   console.log("Account balance:", (await deployer.provider.getBalance(deployer.address)).toString());
 
-  // Deploy Mock Oracle first
-  console.log("\n🔮 Deploying Mock Oracle...");
-  const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
-  const mockOracle = await MockV3Aggregator.deploy(8, 200000000000); // 8 decimals, $2000 initial price
-  await mockOracle.waitForDeployment();
-  
+  // Pairs to register; the first one is the consumer's main feed
+  const feedsConfig = process.env.FEEDS_CONFIG || FEEDS_CONFIG;
+  const feeds = loadFeedConfig(feedsConfig);
+  console.log(`Feeds from ${feedsConfig}:`, feeds.map((feed) => feed.pair).join(", "));
+
+  // Deploy the main feed's Mock Oracle first (or attach its existing aggregator)
+  const [mainFeed, ...otherFeeds] = feeds;
+  console.log(`\n🔮 Deploying Mock Oracle (${mainFeed.pair})...`);
+  const main = await deployFeed(ethers, mainFeed);
+  const mockOracle = main.contract;
+
   const mockOracleAddress = await mockOracle.getAddress();
-  console.log("✅ Mock Oracle deployed to:", mockOracleAddress);
+  console.log(`✅ ${mainFeed.aggregator ? "Using existing feed" : "Mock Oracle deployed to"}:`, mockOracleAddress);
 
   // Deploy Price Consumer
-  console.log("\n📊 Deploying Price Consumer...");
-  const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
-  const priceConsumer = await PriceConsumer.deploy(mockOracleAddress, deployer.address);
-  await priceConsumer.waitForDeployment();
+  console.log(`\n📊 Deploying Price Consumer${UPGRADEABLE ? " behind a proxy" : ""}...`);
+  const priceConsumerArgs = [mockOracleAddress, deployer.address];
+  const { contract: priceConsumer, entry: priceConsumerEntry } = await deployCore(
+    "priceConsumer",
+    priceConsumerArgs,
+    deployer.address
+  );
   
   const priceConsumerAddress = await priceConsumer.getAddress();
   console.log("✅ Price Consumer deployed to:", priceConsumerAddress);
 
   // Deploy Oracle Token
-  console.log("\n🪙 Deploying Oracle Token...");
-  const OracleToken = await ethers.getContractFactory("OracleToken");
-  const oracleToken = await OracleToken.deploy(
-    "Oracle Token",
-    "ORACLE",
-    priceConsumerAddress
+  console.log(`\n🪙 Deploying Oracle Token${UPGRADEABLE ? " behind a proxy" : ""}...`);
+  const oracleTokenArgs = ["Oracle Token", "ORACLE", priceConsumerAddress];
+  const { contract: oracleToken, entry: oracleTokenEntry } = await deployCore(
+    "oracleToken",
+    oracleTokenArgs,
+    deployer.address
   );
-  await oracleToken.waitForDeployment();
   
   const oracleTokenAddress = await oracleToken.getAddress();
   console.log("✅ Oracle Token deployed to:", oracleTokenAddress);
 
+  // Deploy the ETH vault and let it mint and burn
+  console.log("\n🏦 Deploying Oracle Vault...");
+  const OracleVault = await ethers.getContractFactory("OracleVault");
+  const oracleVaultArgs = [oracleTokenAddress];
+  const oracleVault = await OracleVault.deploy(...oracleVaultArgs);
+  await oracleVault.waitForDeployment();
+
+  const oracleVaultAddress = await oracleVault.getAddress();
+  await (await oracleToken.grantRole(await oracleToken.VAULT_ROLE(), oracleVaultAddress)).wait();
+  console.log("✅ Oracle Vault deployed to:", oracleVaultAddress);
+
+  // Deploy the Automation upkeep that refreshes the stored price from the feed
+  console.log("\n⏱️  Deploying Price Upkeep...");
+  const PriceUpkeep = await ethers.getContractFactory("PriceUpkeep");
+  const priceUpkeepArgs = [priceConsumerAddress];
+  const priceUpkeep = await PriceUpkeep.deploy(...priceUpkeepArgs);
+  await priceUpkeep.waitForDeployment();
+
+  const priceUpkeepAddress = await priceUpkeep.getAddress();
+  await (await priceConsumer.setPriceUpkeep(priceUpkeepAddress)).wait();
+  console.log("✅ Price Upkeep deployed to:", priceUpkeepAddress);
+
+  if (GUARDIAN) {
+    console.log("\n🚨 Appointing the guardian...");
+    await (await priceConsumer.setGuardian(GUARDIAN)).wait();
+    await (await oracleToken.setGuardian(GUARDIAN)).wait();
+    console.log("✅ Guardian of the consumer and token:", GUARDIAN);
+  }
+
+  // On local networks, deploy LINK and an operator so direct requests run end to end
+  let chainlink = null;
+  if (LOCAL_NETWORKS.includes(hre.network.name)) {
+    console.log("\n🔗 Deploying mock LINK and Operator...");
+    const MockLinkToken = await ethers.getContractFactory("MockLinkToken");
+    const linkToken = await MockLinkToken.deploy();
+    await linkToken.waitForDeployment();
+    const linkAddress = await linkToken.getAddress();
+
+    const MockOperator = await ethers.getContractFactory("MockOperator");
+    const operatorArgs = [linkAddress];
+    const operator = await MockOperator.deploy(...operatorArgs);
+    await operator.waitForDeployment();
+    const operatorAddress = await operator.getAddress();
+
+    // The deployer plays the node (scripts/chainlink-node.js) and the consumer pays in LINK
+    const job = loadPriceJob(path.join(SPECS_DIR, "eth-usd.json"), { contractAddress: operatorAddress });
+    const fee = BigInt(process.env.ORACLE_FEE || "100000000000000000");
+    await (await operator.setAuthorizedSenders([deployer.address], true)).wait();
+    await (await priceConsumer.setChainlinkConfig(linkAddress, operatorAddress, job.jobId, fee, 600)).wait();
+    await (await linkToken.transfer(priceConsumerAddress, ethers.parseEther("10"))).wait();
+
+    chainlink = { linkToken, operator, operatorArgs, job };
+    console.log("✅ LINK deployed to:", linkAddress);
+    console.log("✅ Operator deployed to:", operatorAddress);
+    console.log(`✅ Consumer requests job ${job.name} (${job.externalJobID}) for ${ethers.formatEther(fee)} LINK`);
+  }
+
+  // Deploy the remaining feeds and register every pair
+  console.log("\n🗂️  Registering feeds...");
+  const deployedFeeds = [{ ...mainFeed, ...main }];
+  for (const feed of otherFeeds) {
+    deployedFeeds.push({ ...feed, ...(await deployFeed(ethers, feed)) });
+  }
+
+  const feedEntries = {};
+  for (const feed of deployedFeeds) {
+    const signer = feed.signer || deployer.address;
+    await (await priceConsumer.addFeed(feed.pairId, feed.entry.address, signer)).wait();
+    feedEntries[feed.pair] = {
+      ...feed.entry,
+      pairId: feed.pairId,
+      decimals: Number(await feed.contract.decimals()),
+      trustedSigner: signer,
+    };
+    console.log(`✅ ${feed.pair.padEnd(10)} ${feed.entry.address}`);
+  }
+
   // Verify deployments
   console.log("\n🔍 Verifying deployments...");
   
   // Test Mock Oracle
-  const latestPrice = await mockOracle.latestAnswer();
+  const [, latestPrice] = await mockOracle.latestRoundData();
   console.log("Mock Oracle latest price:", latestPrice.toString());
   
   // Test Price Consumer
@@ -61,26 +181,52 @@ async function main() {
   console.log("Mock Oracle Address:    ", mockOracleAddress);
   console.log("Price Consumer Address: ", priceConsumerAddress);
   console.log("Oracle Token Address:   ", oracleTokenAddress);
+  console.log("Oracle Vault Address:   ", oracleVaultAddress);
+  console.log("Price Upkeep Address:   ", priceUpkeepAddress);
+  if (chainlink) {
+    console.log("LINK Token Address:     ", await chainlink.linkToken.getAddress());
+    console.log("Operator Address:       ", await chainlink.operator.getAddress());
+  }
+  for (const [pair, entry] of Object.entries(feedEntries)) {
+    console.log(`${(pair + " Feed:").padEnd(24)}`, entry.address);
+  }
   console.log("Deployer Address:       ", deployer.address);
   console.log("=====================================");
 
-  // Save addresses to environment file
-  const fs = require('fs');
-  const envContent = `
-# Contract Addresses (auto-generated)
-MOCK_ORACLE_ADDRESS="${mockOracleAddress}"
-PRICE_CONSUMER_ADDRESS="${priceConsumerAddress}"
-ORACLE_TOKEN_ADDRESS="${oracleTokenAddress}"
-DEPLOYER_ADDRESS="${deployer.address}"
-`;
-  
-  fs.appendFileSync('.env', envContent);
-  console.log("\n💾 Contract addresses saved to .env file");
+  // Save deployment manifest for this network
+  const manifest = {
+    network: hre.network.name,
+    chainId: Number((await ethers.provider.getNetwork()).chainId),
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    contracts: {
+      // An existing main aggregator is recorded as priceFeed, like consumer:set-feed does
+      [mainFeed.aggregator ? "priceFeed" : "mockOracle"]: main.entry,
+      priceConsumer: priceConsumerEntry,
+      oracleToken: oracleTokenEntry,
+      oracleVault: await recordDeployment(oracleVault, oracleVaultArgs, CONTRACTS.oracleVault),
+      priceUpkeep: await recordDeployment(priceUpkeep, priceUpkeepArgs, CONTRACTS.priceUpkeep),
+    },
+    feeds: feedEntries,
+  };
+  if (chainlink) {
+    manifest.contracts.linkToken = await recordDeployment(chainlink.linkToken, [], CONTRACTS.linkToken);
+    manifest.contracts.operator = await recordDeployment(chainlink.operator, chainlink.operatorArgs, CONTRACTS.operator);
+  }
+  const manifestFile = writeManifest(hre.network.name, manifest);
+  console.log("\n💾 Deployment manifest saved to", manifestFile);
 
   return {
     mockOracle: mockOracleAddress,
     priceConsumer: priceConsumerAddress,
-    oracleToken: oracleTokenAddress
+    oracleToken: oracleTokenAddress,
+    oracleVault: oracleVaultAddress,
+    priceUpkeep: priceUpkeepAddress,
+    ...(chainlink && {
+      linkToken: await chainlink.linkToken.getAddress(),
+      operator: await chainlink.operator.getAddress(),
+    }),
+    feeds: Object.fromEntries(Object.entries(feedEntries).map(([pair, entry]) => [pair, entry.address])),
   };
 }
 
@@ -0,0 +1,473 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createLogger } = require("./utils/logger");
+const { toPairId } = require("./utils/feeds");
+const { verifyPriceReport } = require("./utils/price-signing");
+const { getDeployedContracts } = require("./utils/deployments");
+const { PRICE_STATUS, ROUNDING, revertReason } = require("../tasks/utils");
+require("dotenv").config();
+
+/**
+ * REST gateway
+ * Serves decoded price and token data over plain HTTP so clients do not have
+ * to build calldata for eth_call / eth_sendTransaction. Prices and token
+ * amounts are returned as { value, raw, decimals }: `value` is the decimal
+ * string, `raw` the integer in base units. See openapi-gateway.yaml.
+ *
+ * Run with: npx hardhat run scripts/gateway.js --network localhost
+ */
+
+const DEFAULTS = {
+  port: 4100,
+  bodyLimit: 16 * 1024,
+};
+
+const OPENAPI_FILE = path.resolve(__dirname, "../openapi-gateway.yaml");
+
+// Works with any Chainlink aggregator, not just the mock
+const AGGREGATOR_ABI = [
+  "function decimals() view returns (uint8)",
+  "function description() view returns (string)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function getRoundData(uint80 roundId) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+/**
+ * Build gateway configuration from environment variables
+ * @param {object} env The environment to read from
+ * @return {object} Gateway configuration
+ */
+function loadConfig(env = process.env) {
+  return {
+    port: env.GATEWAY_PORT ? Number(env.GATEWAY_PORT) : DEFAULTS.port,
+    bodyLimit: DEFAULTS.bodyLimit,
+  };
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function amount(raw, decimals) {
+  return { value: ethers.formatUnits(raw, decimals), raw: raw.toString(), decimals: Number(decimals) };
+}
+
+function isoTime(seconds) {
+  return seconds > 0n ? new Date(Number(seconds) * 1000).toISOString() : null;
+}
+
+function parseAddress(value, name) {
+  if (typeof value !== "string" || !ethers.isAddress(value)) {
+    throw httpError(400, `${name} must be an address, got ${JSON.stringify(value)}`);
+  }
+  return ethers.getAddress(value);
+}
+
+// Bounds of the Solidity types integers are passed on as
+const UINT80 = { min: 0n, max: (1n << 80n) - 1n };
+const INT256 = { min: ethers.MinInt256, max: ethers.MaxInt256 };
+const UINT256 = { min: 0n, max: ethers.MaxUint256 };
+
+// Integers arrive as JSON numbers or decimal strings; strings keep full precision
+function parseInteger(value, name, { min, max } = {}) {
+  const text = typeof value === "number" && Number.isSafeInteger(value) ? String(value) : value;
+  if (typeof text !== "string" || !/^-?\d+$/.test(text)) {
+    throw httpError(400, `${name} must be an integer, got ${JSON.stringify(value)}`);
+  }
+  const parsed = BigInt(text);
+  if (min !== undefined && parsed < min) throw httpError(400, `${name} must be at least ${min}`);
+  if (max !== undefined && parsed > max) throw httpError(400, `${name} must be at most ${max}`);
+  return parsed;
+}
+
+function parseDecimalPrice(value, decimals) {
+  if (typeof value !== "string" || !/^\d+(\.\d+)?$/.test(value)) {
+    throw httpError(400, `price must be a decimal string such as "2500.25", got ${JSON.stringify(value)}`);
+  }
+  const fraction = value.split(".")[1] || "";
+  if (fraction.length > decimals) throw httpError(400, `price has more than ${decimals} decimals`);
+  const price = ethers.parseUnits(value, decimals);
+  if (price > INT256.max) throw httpError(400, `price must be at most ${ethers.formatUnits(INT256.max, decimals)}`);
+  return price;
+}
+
+/**
+ * Compile "/price/rounds/:id" into a matcher returning the path params
+ * Throws a 400 for params that are not valid percent-encoding.
+ */
+function compilePath(pattern) {
+  const names = [];
+  const regex = new RegExp(
+    "^" + pattern.replace(/:(\w+)/g, (_, name) => (names.push(name), "([^/]+)")) + "/?$"
+  );
+  return (pathname) => {
+    const match = regex.exec(pathname);
+    return match ? Object.fromEntries(names.map((name, i) => [name, decodeParam(name, match[i + 1])])) : null;
+  };
+}
+
+function decodeParam(name, value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw httpError(400, `Malformed ${name} in path: ${error.message}`);
+  }
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > limit) {
+        reject(httpError(413, `Request body is larger than ${limit} bytes`));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      if (!body) return resolve({});
+      try {
+        const parsed = JSON.parse(body);
+        if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+          return reject(httpError(400, "Request body must be a JSON object"));
+        }
+        resolve(parsed);
+      } catch (error) {
+        reject(httpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Create the gateway server (call .listen to start it)
+ * @param {object} params
+ * @param {object} params.priceConsumer PriceConsumer contract, connected to a signer to relay signed updates
+ * @param {object} params.oracleToken OracleToken contract
+ * @param {object} [params.config] Overrides for DEFAULTS
+ * @param {object} [params.logger] Structured logger
+ * @return {http.Server}
+ */
+function createGateway({ priceConsumer, oracleToken, config = {}, logger }) {
+  const cfg = { ...DEFAULTS, ...config };
+  const log = logger || createLogger("gateway");
+  const runner = priceConsumer.runner;
+  const provider = runner.provider || runner;
+  const canSend = typeof runner.sendTransaction === "function";
+
+  /**
+   * The aggregator for a pair, or the consumer's main feed
+   */
+  async function feedFor(pair) {
+    if (pair === undefined || pair === null || pair === "") {
+      const address = await priceConsumer.getPriceFeed();
+      return { pair: null, pairId: null, feed: new ethers.Contract(address, AGGREGATOR_ABI, provider) };
+    }
+
+    let pairId;
+    try {
+      pairId = toPairId(pair);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+    const [aggregator, , , , trustedSigner] = await priceConsumer.feeds(pairId);
+    if (aggregator === ethers.ZeroAddress) throw httpError(404, `Pair ${pair} is not registered`);
+    return { pair, pairId, trustedSigner, feed: new ethers.Contract(aggregator, AGGREGATOR_ABI, provider) };
+  }
+
+  async function tokenDecimals() {
+    return Number(await oracleToken.decimals());
+  }
+
+  const routes = [
+    [
+      "GET",
+      "/health",
+      async () => {
+        const [network, blockNumber] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+        return {
+          chainId: Number(network.chainId),
+          blockNumber,
+          contracts: {
+            priceConsumer: priceConsumer.target,
+            oracleToken: oracleToken.target,
+            priceFeed: await priceConsumer.getPriceFeed(),
+          },
+          relaying: canSend,
+        };
+      },
+    ],
+
+    [
+      "GET",
+      "/price",
+      async ({ query }) => {
+        const { pair, pairId, feed } = await feedFor(query.get("pair"));
+        const decimals = await feed.decimals();
+        const [roundId, answer, , updatedAt] = await feed.latestRoundData();
+        const [, , status] = pairId ? await priceConsumer.checkPriceFor(pairId) : await priceConsumer.checkPrice();
+
+        let signed;
+        if (pairId) {
+          const [, , latestPrice, lastUpdateTime, trustedSigner] = await priceConsumer.feeds(pairId);
+          signed = { price: amount(latestPrice, decimals), updatedAt: isoTime(lastUpdateTime), trustedSigner };
+        } else {
+          const [latestPrice, lastUpdateTime, trustedSigner] = await Promise.all([
+            priceConsumer.latestPrice(),
+            priceConsumer.lastUpdateTime(),
+            priceConsumer.trustedOracle(),
+          ]);
+          signed = { price: amount(latestPrice, decimals), updatedAt: isoTime(lastUpdateTime), trustedSigner };
+        }
+
+        return {
+          pair,
+          feed: feed.target,
+          roundId: roundId.toString(),
+          price: amount(answer, decimals),
+          updatedAt: isoTime(updatedAt),
+          status: PRICE_STATUS[Number(status)],
+          signed,
+        };
+      },
+    ],
+
+    [
+      "GET",
+      "/price/rounds/:id",
+      async ({ params, query }) => {
+        const id = parseInteger(params.id, "round id", { ...UINT80, min: 1n });
+        const { pair, feed } = await feedFor(query.get("pair"));
+        const decimals = await feed.decimals();
+
+        let round;
+        try {
+          round = await feed.getRoundData(id);
+        } catch (error) {
+          throw httpError(404, `Round ${id} not found (${revertReason(error)})`);
+        }
+        const [roundId, answer, startedAt, updatedAt, answeredInRound] = round;
+        if (updatedAt === 0n) throw httpError(404, `Round ${id} not found`);
+
+        return {
+          pair,
+          feed: feed.target,
+          roundId: roundId.toString(),
+          price: amount(answer, decimals),
+          startedAt: isoTime(startedAt),
+          updatedAt: isoTime(updatedAt),
+          answeredInRound: answeredInRound.toString(),
+        };
+      },
+    ],
+
+    [
+      "GET",
+      "/token",
+      async () => {
+        const decimals = await tokenDecimals();
+        const [name, symbol, totalSupply, maxSupply, mintRate, rounding, priceDecimals] = await Promise.all([
+          oracleToken.name(),
+          oracleToken.symbol(),
+          oracleToken.totalSupply(),
+          oracleToken.MAX_SUPPLY(),
+          oracleToken.mintRate(),
+          oracleToken.rounding(),
+          oracleToken.getPriceDecimals(),
+        ]);
+        return {
+          address: oracleToken.target,
+          name,
+          symbol,
+          decimals,
+          totalSupply: amount(totalSupply, decimals),
+          maxSupply: amount(maxSupply, decimals),
+          mintRate: mintRate.toString(),
+          rounding: ROUNDING[Number(rounding)],
+          priceDecimals: Number(priceDecimals),
+        };
+      },
+    ],
+
+    [
+      "GET",
+      "/token/supply",
+      async () => {
+        const decimals = await tokenDecimals();
+        const [totalSupply, maxSupply] = await Promise.all([oracleToken.totalSupply(), oracleToken.MAX_SUPPLY()]);
+        return {
+          totalSupply: amount(totalSupply, decimals),
+          maxSupply: amount(maxSupply, decimals),
+          remaining: amount(maxSupply - totalSupply, decimals),
+        };
+      },
+    ],
+
+    [
+      "GET",
+      "/token/balances/:address",
+      async ({ params }) => {
+        const address = parseAddress(params.address, "address");
+        const decimals = await tokenDecimals();
+        return { address, balance: amount(await oracleToken.balanceOf(address), decimals) };
+      },
+    ],
+
+    [
+      "POST",
+      "/token/mint-quote",
+      async ({ body }) => {
+        const decimals = await tokenDecimals();
+        const priceDecimals = Number(await oracleToken.getPriceDecimals());
+
+        let price;
+        let source = "request";
+        if (body.price !== undefined && body.rawPrice !== undefined) {
+          throw httpError(400, "Pass either price or rawPrice, not both");
+        } else if (body.price !== undefined) {
+          price = parseDecimalPrice(body.price, priceDecimals);
+        } else if (body.rawPrice !== undefined) {
+          price = parseInteger(body.rawPrice, "rawPrice", INT256);
+        } else {
+          source = "oracle";
+          try {
+            price = await priceConsumer.getSafePrice();
+          } catch (error) {
+            throw httpError(409, `The oracle price is not safe to mint at: ${revertReason(error)}`);
+          }
+        }
+        if (price <= 0n) throw httpError(400, "price must be positive");
+
+        const [mintAmount, totalSupply, maxSupply, mintRate, rounding] = await Promise.all([
+          oracleToken.calculateMintAmount(price),
+          oracleToken.totalSupply(),
+          oracleToken.MAX_SUPPLY(),
+          oracleToken.mintRate(),
+          oracleToken.rounding(),
+        ]);
+        return {
+          source,
+          price: amount(price, priceDecimals),
+          amount: amount(mintAmount, decimals),
+          mintRate: mintRate.toString(),
+          rounding: ROUNDING[Number(rounding)],
+          withinMaxSupply: totalSupply + mintAmount <= maxSupply,
+        };
+      },
+    ],
+
+    [
+      "POST",
+      "/oracle/signed-update",
+      async ({ body }) => {
+        if (!canSend) throw httpError(503, "The gateway has no signer to relay transactions");
+
+        const price = parseInteger(body.price, "price", INT256);
+        const timestamp = parseInteger(body.timestamp, "timestamp", UINT256);
+        if (typeof body.signature !== "string" || !ethers.isHexString(body.signature, 65)) {
+          throw httpError(400, "signature must be a 65-byte hex string");
+        }
+        const { pair, pairId, feed } = await feedFor(body.pair);
+
+        // Check with eth_call first so bad payloads never cost gas; accepts
+        // EIP-712 reports and, while the consumer allows them, legacy signatures
+        let verification;
+        try {
+          verification = await verifyPriceReport(priceConsumer, { pairId: pairId || undefined, price, timestamp }, body.signature);
+        } catch (error) {
+          throw httpError(400, `signature is malformed: ${error.shortMessage || error.message}`);
+        }
+        const { signer, format, trustedSigner } = verification;
+        if (!format) {
+          throw httpError(422, `Signed by ${signer}, not the trusted signer ${trustedSigner}`);
+        }
+        if (verification.used) {
+          throw httpError(409, "This signed price has already been submitted");
+        }
+
+        let receipt;
+        try {
+          const tx = pairId
+            ? await priceConsumer.updatePairPriceWithSignature(pairId, price, timestamp, body.signature)
+            : await priceConsumer.updatePriceWithSignature(price, timestamp, body.signature);
+          receipt = await tx.wait();
+        } catch (error) {
+          throw httpError(422, `Update rejected: ${revertReason(error)}`);
+        }
+        log.info("signed price relayed", { pair, price, timestamp, signer, format, hash: receipt.hash });
+
+        return {
+          pair,
+          signer,
+          format,
+          price: amount(price, await feed.decimals()),
+          timestamp: timestamp.toString(),
+          transactionHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+        };
+      },
+    ],
+  ].map(([method, pattern, handler]) => ({ method, pattern, match: compilePath(pattern), handler }));
+
+  return http.createServer(async (req, res) => {
+    const send = (status, payload, type = "application/json") => {
+      res.writeHead(status, { "Content-Type": type, "Access-Control-Allow-Origin": "*" });
+      res.end(type === "application/json" ? JSON.stringify(payload, null, 2) : payload);
+    };
+
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "GET" && url.pathname === "/openapi.yaml") {
+      return send(200, fs.readFileSync(OPENAPI_FILE, "utf8"), "application/yaml");
+    }
+
+    // Matching decodes path params, so it throws on malformed input like any handler
+    try {
+      const matches = routes.map((route) => ({ route, params: route.match(url.pathname) })).filter((m) => m.params);
+      if (matches.length === 0) return send(404, { error: `Unknown endpoint ${url.pathname}` });
+      const found = matches.find((m) => m.route.method === req.method);
+      if (!found) return send(405, { error: `${req.method} is not supported on ${url.pathname}` });
+
+      const body = req.method === "POST" ? await readBody(req, cfg.bodyLimit) : {};
+      send(200, await found.route.handler({ params: found.params, query: url.searchParams, body }));
+    } catch (error) {
+      if (error.status) return send(error.status, { error: error.message });
+      log.error("request failed", { method: req.method, path: url.pathname, error: error.shortMessage || error.message });
+      send(502, { error: `Node request failed: ${error.shortMessage || error.message}` });
+    }
+  });
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const [sender] = await hre.ethers.getSigners();
+  const log = createLogger("gateway");
+  const cfg = loadConfig();
+
+  const { priceConsumer, oracleToken } = await getDeployedContracts(hre, sender);
+  const server = createGateway({ priceConsumer, oracleToken, config: cfg, logger: log });
+  server.listen(cfg.port, () =>
+    log.info("gateway listening", { url: `http://localhost:${cfg.port}`, sender: sender.address, spec: "/openapi.yaml" })
+  );
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Gateway failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  OPENAPI_FILE,
+  loadConfig,
+  createGateway,
+};
@@ -0,0 +1,133 @@
+const fs = require("fs");
+const { CONTRACTS, readManifest } = require("./utils/deployments");
+const {
+  OPENAPI_FILE,
+  POSTMAN_FILE,
+  DOCUMENTED,
+  readAbi,
+  renderDocs,
+  recordedDeployment,
+  diffDocs,
+} = require("./utils/api-docs");
+
+const USAGE = `Usage: node scripts/generate-api-docs.js [options]
+
+Regenerates openapi.yaml and postman-collection.json from the compiled ABIs
+(run npx hardhat compile first) and the addresses in deployments/<network>.json.
+
+Options:
+  --network <name>  Manifest to take addresses from (default localhost)
+  --check           Exit 1 if the committed docs no longer match the ABIs
+  --help            Show this message`;
+
+function parseArgs(argv) {
+  const args = { network: "localhost", check: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--network") {
+      args.network = argv[++i];
+      if (!args.network) throw new Error("--network expects a name");
+    } else if (arg === "--check") {
+      args.check = true;
+    } else if (arg === "--help") {
+      args.help = true;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return args;
+}
+
+function readAbis() {
+  return Object.fromEntries(Object.keys(DOCUMENTED).map((key) => [key, readAbi(CONTRACTS[key])]));
+}
+
+function readCommitted() {
+  return {
+    openapi: fs.existsSync(OPENAPI_FILE) ? fs.readFileSync(OPENAPI_FILE, "utf8") : "",
+    postman: fs.existsSync(POSTMAN_FILE) ? fs.readFileSync(POSTMAN_FILE, "utf8") : "",
+  };
+}
+
+/**
+ * Addresses from the deployment manifest
+ * @return {object|null} { network, chainId, addresses }, or null when there is no manifest
+ */
+function manifestDeployment(network) {
+  let manifest;
+  try {
+    manifest = readManifest(network);
+  } catch (error) {
+    return null;
+  }
+  const addresses = Object.fromEntries(Object.keys(DOCUMENTED).map((key) => [key, manifest.contracts[key]?.address]));
+  const missing = Object.keys(addresses).filter((key) => !addresses[key]);
+  if (missing.length) {
+    throw new Error(`deployments/${network}.json has no ${missing.join(", ")}; the docs need a full local deployment`);
+  }
+  return { network: manifest.network, chainId: manifest.chainId, addresses: { ...addresses, deployer: manifest.deployer } };
+}
+
+/**
+ * Compare the committed docs against the ABIs
+ * Regenerates with the addresses recorded in openapi.yaml, so a redeploy alone
+ * is not reported as drift.
+ */
+function check(args, abis) {
+  const committed = readCommitted();
+  const recorded = committed.openapi && recordedDeployment(committed.openapi);
+  if (!recorded) {
+    throw new Error("openapi.yaml was not generated by this script; run npm run docs:api");
+  }
+
+  const differences = diffDocs(renderDocs(abis, recorded), committed);
+  if (differences.length) {
+    console.log("❌ API docs are out of date with the contract ABIs:");
+    for (const difference of differences) console.log(`  - ${difference}`);
+    console.log("💡 Run npm run docs:api and commit the result");
+    process.exitCode = 1;
+    return differences;
+  }
+
+  const current = manifestDeployment(args.network);
+  if (current && JSON.stringify(current.addresses) !== JSON.stringify(recorded.addresses)) {
+    console.log(`⚠️  The docs use addresses from an older ${recorded.network} deployment; run npm run docs:api to refresh them`);
+  }
+  console.log("✅ openapi.yaml and postman-collection.json match the compiled ABIs");
+  return differences;
+}
+
+function generate(args, abis) {
+  let deployment = manifestDeployment(args.network);
+  if (!deployment) {
+    const committed = readCommitted();
+    deployment = committed.openapi && recordedDeployment(committed.openapi);
+    if (!deployment) throw new Error(`No deployment manifest for ${args.network}; run the deploy script first`);
+    console.log(`⚠️  No deployments/${args.network}.json, keeping the addresses already in openapi.yaml`);
+  }
+
+  const docs = renderDocs(abis, deployment);
+  fs.writeFileSync(OPENAPI_FILE, docs.openapi);
+  fs.writeFileSync(POSTMAN_FILE, docs.postman);
+  console.log(`📝 Wrote openapi.yaml and postman-collection.json (${deployment.network}, chain ${deployment.chainId})`);
+  return docs;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    console.log(USAGE);
+    return null;
+  }
+  const abis = readAbis();
+  return args.check ? check(args, abis) : generate(args, abis);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, main };
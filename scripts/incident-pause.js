@@ -0,0 +1,63 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getDeployedContracts } = require("./utils/deployments");
+const { PAUSES, getEmergencyState, setPaused } = require("./utils/emergency");
+require("dotenv").config();
+
+/**
+ * Incident response: pause signed updates, feed refreshes, minting, transfers
+ * and vault redemptions in one go
+ * Sends one transaction per part that is still running, keeps going if one
+ * fails, then prints the resulting state. Only the owner can undo this
+ * (npx hardhat emergency:unpause).
+ *
+ * GUARDIAN_PRIVATE_KEY  optional guardian key to sign with; defaults to the first account
+ *
+ * Run with: npx hardhat run scripts/incident-pause.js --network localhost
+ */
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  const signer = process.env.GUARDIAN_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.GUARDIAN_PRIVATE_KEY, ethers.provider)
+    : deployer;
+  const contracts = await getDeployedContracts(hre, signer);
+
+  console.log("🚨 Pausing the oracle stack");
+  console.log("Using account:", signer.address);
+
+  const { changed, unchanged, failed } = await setPaused(contracts, Object.keys(PAUSES), true);
+  for (const { name, receipt } of changed) {
+    console.log(`✅ Paused ${name} (tx ${receipt.hash}, block ${receipt.blockNumber})`);
+  }
+  for (const name of unchanged) {
+    console.log(`ℹ️  ${name} was already paused`);
+  }
+  for (const { name, error } of failed) {
+    console.error(`❌ Could not pause ${name}: ${error.reason || error.shortMessage || error.message}`);
+  }
+
+  const state = await getEmergencyState(contracts, signer.address);
+  const flag = (paused) => (paused ? "⛔ paused" : "🟢 running");
+  console.log("\n📋 Resulting State:");
+  console.log("=================================");
+  console.log(`Signed updates: ${flag(state.paused.signedUpdates)}`);
+  console.log(`Feed refreshes: ${flag(state.paused.feedRefreshes)}`);
+  console.log(`Minting:        ${flag(state.paused.minting)}`);
+  console.log(`Transfers:      ${flag(state.paused.transfers)}`);
+  console.log(`Redemptions:    ${flag(state.paused.redemptions)}`);
+  console.log(`Consumer:       owner ${state.priceConsumer.owner}, guardian ${state.priceConsumer.guardian}`);
+  console.log(`Token:          owner ${state.oracleToken.owner}, guardian ${state.oracleToken.guardian}`);
+  console.log(`Vault:          owner ${state.oracleVault.owner}`);
+  console.log("=================================");
+
+  if (failed.length > 0) {
+    throw new Error(`${failed.map((f) => f.name).join(", ")} still running; pause them as the owner`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Incident pause failed:", error.message);
+    process.exit(1);
+  });
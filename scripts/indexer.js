@@ -0,0 +1,342 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createLogger } = require("./utils/logger");
+const { openStore } = require("./utils/indexer-store");
+const { createApi } = require("./utils/indexer-api");
+const { pairName } = require("./utils/feeds");
+const { getDeployedContracts } = require("./utils/deployments");
+require("dotenv").config();
+
+/**
+ * Event indexer
+ * Ingests price feed, PriceConsumer and OracleToken events into SQLite and
+ * serves them over a small HTTP API (see scripts/utils/indexer-api.js).
+ * Progress is checkpointed per batch; the hashes of recent blocks are kept so
+ * a reorg rolls the store back to the last common block before re-indexing.
+ *
+ * Run with: npx hardhat run scripts/indexer.js --network localhost
+ */
+
+const DEFAULTS = {
+  dbFile: undefined, // data/indexer-<network>.sqlite
+  port: 4000,
+  startBlock: undefined, // earliest deployment block in the manifest
+  batchSize: 500,
+  confirmations: 0,
+  reorgDepth: 64,
+  pollIntervalMs: 2_000,
+};
+
+/**
+ * Build indexer configuration from environment variables
+ * @param {object} env The environment to read from
+ * @return {object} Indexer configuration
+ */
+function loadConfig(env = process.env) {
+  const num = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value));
+
+  return {
+    dbFile: env.INDEXER_DB || DEFAULTS.dbFile,
+    port: num(env.INDEXER_PORT, DEFAULTS.port),
+    startBlock: num(env.INDEXER_START_BLOCK, DEFAULTS.startBlock),
+    batchSize: num(env.INDEXER_BATCH_SIZE, DEFAULTS.batchSize),
+    confirmations: num(env.INDEXER_CONFIRMATIONS, DEFAULTS.confirmations),
+    reorgDepth: num(env.INDEXER_REORG_DEPTH, DEFAULTS.reorgDepth),
+    pollIntervalMs: num(env.INDEXER_POLL_INTERVAL, DEFAULTS.pollIntervalMs / 1000) * 1000,
+  };
+}
+
+/**
+ * Contracts to index for a deployment
+ * Every aggregator is indexed as "feed" with its pair; the consumer's own feed
+ * is included even when it is not a registered pair.
+ * @param {object} deployed Result of getDeployedContracts
+ * @return {Array<{name: string, contract: object, pair: (string|null)}>}
+ */
+function indexedContracts({ mockOracle, priceFeed, priceConsumer, oracleToken, feeds = {} }) {
+  const sources = [];
+  const seen = new Set();
+  const add = (name, contract, pair = null) => {
+    if (!contract || seen.has(contract.target)) return;
+    seen.add(contract.target);
+    sources.push({ name, contract, pair });
+  };
+
+  for (const [pair, feed] of Object.entries(feeds)) add("feed", feed, pair);
+  add("feed", priceFeed || mockOracle);
+  add("priceConsumer", priceConsumer);
+  add("oracleToken", oracleToken);
+  return sources;
+}
+
+/**
+ * Earliest block of a deployment manifest, or 0 if unknown
+ */
+function deploymentStartBlock(manifest) {
+  const blocks = [...Object.values(manifest.contracts), ...Object.values(manifest.feeds || {})]
+    .map((entry) => entry.blockNumber)
+    .filter((number) => typeof number === "number");
+  return blocks.length ? Math.min(...blocks) : 0;
+}
+
+// Decoded event arguments as a plain object with BigInt values as strings
+function plainArgs(parsed) {
+  return Object.fromEntries(
+    parsed.fragment.inputs.map((input, i) => {
+      const value = parsed.args[i];
+      return [input.name, typeof value === "bigint" ? value.toString() : value];
+    })
+  );
+}
+
+/**
+ * Create an indexer instance
+ * @param {object} params
+ * @param {object} params.provider JSON-RPC provider
+ * @param {Array<object>} params.contracts Sources from indexedContracts
+ * @param {object} params.store Store from openStore
+ * @param {object} [params.config] Overrides for DEFAULTS
+ * @param {object} [params.logger] Structured logger
+ */
+function createIndexer({ provider, contracts, store, config = {}, logger }) {
+  const cfg = { ...DEFAULTS, startBlock: 0, ...config };
+  const log = logger || createLogger("indexer");
+  const byAddress = new Map(contracts.map((source) => [source.contract.target.toLowerCase(), source]));
+  const addresses = contracts.map((source) => source.contract.target);
+
+  let timer = null;
+  let running = false;
+  let inFlight = null;
+  let scopeChecked = false;
+
+  const HANDLERS = {
+    AnswerUpdated: (at, args, source) =>
+      store.addRound({
+        ...at,
+        feed: source.contract.target,
+        pair: source.pair,
+        roundId: args.roundId.toString(),
+        answer: args.current.toString(),
+        updatedAt: Number(args.updatedAt),
+      }),
+    NewRound: (at, args, source) =>
+      store.setRoundStarter({
+        txHash: at.txHash,
+        feed: source.contract.target,
+        roundId: args.roundId.toString(),
+        startedBy: args.startedBy,
+      }),
+    PriceUpdated: (at, args) =>
+      store.addSignedUpdate({ ...at, pair: null, price: args.price.toString(), priceTimestamp: Number(args.timestamp) }),
+    PairPriceUpdated: (at, args) =>
+      store.addSignedUpdate({
+        ...at,
+        pair: pairName(args.pairId),
+        price: args.price.toString(),
+        priceTimestamp: Number(args.timestamp),
+      }),
+    SignatureVerified: (at, args) => store.setSigner({ ...at, signer: args.signer, messageHash: args.messageHash }),
+    PriceBasedMint: (at, args) =>
+      store.addMint({
+        ...at,
+        recipient: args.to,
+        amount: args.amount.toString(),
+        price: args.price.toString(),
+        normalizedPrice: args.normalizedPrice.toString(),
+      }),
+    Transfer: (at, args) => {
+      if (args.from === ethers.ZeroAddress) store.addSupplyChange({ ...at, delta: args.value });
+      else if (args.to === ethers.ZeroAddress) store.addSupplyChange({ ...at, delta: -args.value });
+    },
+  };
+
+  /**
+   * Start over if the store was filled from another chain or deployment
+   */
+  async function checkScope() {
+    const { chainId } = await provider.getNetwork();
+    const scope = {
+      chainId: Number(chainId),
+      contracts: Object.fromEntries(contracts.map(({ name, pair, contract }) => [pair || name, contract.target])),
+    };
+    const previous = store.getMeta("scope");
+    if (previous && JSON.stringify(previous) !== JSON.stringify(scope)) {
+      log.warn("store belongs to another deployment, starting over", { previous, current: scope });
+      store.reset();
+    }
+    store.setMeta("scope", scope);
+    scopeChecked = true;
+  }
+
+  /**
+   * Roll back to the last common block if the checkpoint is no longer canonical
+   * @return {Promise<object|null>} The reorg, or null if the chain still matches
+   */
+  async function handleReorg() {
+    const checkpoint = store.getCheckpoint();
+    if (!checkpoint) return null;
+    const current = await provider.getBlock(checkpoint.number);
+    if (current && current.hash === checkpoint.hash) return null;
+
+    for (const block of store.recentBlocks()) {
+      const canonical = block.number === checkpoint.number ? current : await provider.getBlock(block.number);
+      if (canonical && canonical.hash === block.hash) {
+        store.rollback(block.number);
+        log.warn("chain reorganisation, rolled back", { from: checkpoint.number, to: block.number });
+        return { from: checkpoint.number, to: block.number };
+      }
+    }
+
+    // Deeper than the recorded window (or a restarted dev chain): re-index from scratch
+    store.rollback(null);
+    log.warn("no common block within the reorg window, re-indexing", { from: checkpoint.number, startBlock: cfg.startBlock });
+    return { from: checkpoint.number, to: null };
+  }
+
+  /**
+   * Block header for a block that produced logs, checked against the logs' block hash
+   */
+  async function blockFor(number, expectedHash, cache) {
+    if (!cache.has(number)) {
+      const block = await provider.getBlock(number);
+      cache.set(number, { number, hash: block.hash, timestamp: block.timestamp });
+    }
+    const block = cache.get(number);
+    if (block.hash !== expectedHash) {
+      throw new Error(`Block ${number} changed while indexing; retrying on the next sync`);
+    }
+    return block;
+  }
+
+  /**
+   * Index one block range inside a single store transaction
+   * @return {Promise<number>} Number of decoded logs
+   */
+  async function indexRange(fromBlock, toBlock) {
+    const logs = await provider.getLogs({ address: addresses, fromBlock, toBlock });
+    const end = await provider.getBlock(toBlock);
+    const blocks = new Map([[toBlock, { number: toBlock, hash: end.hash, timestamp: end.timestamp }]]);
+
+    const decoded = [];
+    for (const entry of logs) {
+      const source = byAddress.get(entry.address.toLowerCase());
+      const parsed = source && source.contract.interface.parseLog(entry);
+      if (!parsed) continue;
+      const block = await blockFor(entry.blockNumber, entry.blockHash, blocks);
+      decoded.push({ entry, source, parsed, block });
+    }
+
+    store.transaction(() => {
+      for (const { entry, source, parsed, block } of decoded) {
+        const at = { blockNumber: entry.blockNumber, logIndex: entry.index, txHash: entry.transactionHash, timestamp: block.timestamp };
+        store.addBlock(block);
+        store.addEvent({ ...at, contract: source.name, address: source.contract.target, event: parsed.name, args: plainArgs(parsed) });
+        const handler = HANDLERS[parsed.name];
+        if (handler && (parsed.name !== "Transfer" || source.name === "oracleToken")) {
+          handler(at, parsed.args, source);
+        }
+      }
+      store.setCheckpoint(blocks.get(toBlock));
+    });
+    return decoded.length;
+  }
+
+  /**
+   * Catch up to the chain head (less confirmations)
+   * @return {Promise<object>} Indexed range, event count and any reorg handled
+   */
+  async function sync() {
+    if (!scopeChecked) await checkScope();
+    const reorg = await handleReorg();
+    const head = (await provider.getBlockNumber()) - cfg.confirmations;
+    const checkpoint = store.getCheckpoint();
+    const from = checkpoint ? checkpoint.number + 1 : cfg.startBlock;
+
+    let events = 0;
+    for (let start = from; start <= head; start += cfg.batchSize) {
+      const end = Math.min(start + cfg.batchSize - 1, head);
+      const count = await indexRange(start, end);
+      events += count;
+      log.debug("indexed blocks", { from: start, to: end, events: count });
+    }
+
+    if (events > 0 || reorg) {
+      log.info("synced", { from, to: head, events, reorg });
+    }
+    return { from, to: Math.max(head, from - 1), events, reorg };
+  }
+
+  async function loop() {
+    inFlight = sync().catch((error) => {
+      log.error("sync failed", { error: error.shortMessage || error.message });
+    });
+    await inFlight;
+    inFlight = null;
+    if (running) timer = setTimeout(loop, cfg.pollIntervalMs);
+  }
+
+  return {
+    sync,
+    start() {
+      if (running) return;
+      running = true;
+      log.info("indexer started", { contracts: addresses, startBlock: cfg.startBlock, confirmations: cfg.confirmations });
+      loop();
+    },
+    async stop() {
+      running = false;
+      clearTimeout(timer);
+      if (inFlight) await inFlight;
+      log.info("indexer stopped");
+    },
+  };
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const log = createLogger("indexer");
+  const cfg = loadConfig();
+
+  const deployed = await getDeployedContracts(hre);
+  const dbFile = cfg.dbFile || path.join(__dirname, "..", "data", `indexer-${hre.network.name}.sqlite`);
+  fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+  const store = openStore(dbFile, { reorgDepth: cfg.reorgDepth });
+
+  const indexer = createIndexer({
+    provider: hre.ethers.provider,
+    contracts: indexedContracts(deployed),
+    store,
+    config: { ...cfg, startBlock: cfg.startBlock ?? deploymentStartBlock(deployed.manifest) },
+    logger: log,
+  });
+
+  const server = createApi(store, { logger: log });
+  server.listen(cfg.port, () => log.info("api listening", { url: `http://localhost:${cfg.port}`, db: dbFile }));
+
+  const shutdown = async () => {
+    await indexer.stop();
+    server.close();
+    store.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  indexer.start();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Indexer failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  loadConfig,
+  indexedContracts,
+  deploymentStartBlock,
+  createIndexer,
+};
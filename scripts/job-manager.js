@@ -0,0 +1,266 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { readManifest, verifyManifest } = require("./utils/deployments");
+const {
+  SPECS_DIR,
+  loadTemplate,
+  templateVariables,
+  buildSpec,
+  readSpecFile,
+  listSpecFiles,
+  validateSpec,
+  diffJob,
+  findJob,
+  createJobsClient,
+  resolveJob,
+  syncJobs,
+} = require("./utils/chainlink-jobs");
+require("dotenv").config();
+
+const USAGE = `Usage: node scripts/job-manager.js <command> [options]
+
+Commands:
+  render   <spec> | --template <name>   Print the rendered TOML (--out <file> to save it)
+  validate <spec> | --template <name>   Dry run: check fields and pipeline tasks offline
+  create   <spec> | --template <name>   Validate and create the job on the node
+  update   <spec> | --template <name>   Replace the node's job if it differs
+  diff     <spec> | --template <name>   Show differences from the job on the node
+  show     <id|externalJobID|name>      Print a job from the node
+  delete   <id|externalJobID|name>      Delete a job from the node
+  list                                  List jobs on the node
+  sync     [dir]                        Create/update jobs from a directory (default jobs/specs)
+
+Options:
+  --set key=value   Template variable (repeatable)
+  --vars <file>     JSON file of template variables
+  --prune           sync: delete node jobs that have no spec file
+  --dry-run         sync: print the plan without changing the node
+  --json            Print JSON
+
+<spec> is a .toml spec/template or a .json file naming a template and its vars.`;
+
+const FLAGS = { "--prune": "prune", "--dry-run": "dryRun", "--json": "json" };
+
+function parseArgs(argv) {
+  const args = { positional: [], set: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--set") {
+      const [key, ...rest] = (argv[++i] || "").split("=");
+      if (!key || rest.length === 0) throw new Error(`--set expects key=value, got "${argv[i]}"`);
+      args.set[key] = rest.join("=");
+    } else if (["--template", "--vars", "--out"].includes(arg)) {
+      args[arg.slice(2)] = argv[++i];
+    } else if (FLAGS[arg]) {
+      args[FLAGS[arg]] = true;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+/**
+ * Default for the contractAddress variable
+ * CHAINLINK_ORACLE_ADDRESS, else the operator from the (verified) deployment manifest,
+ * else the consumer on networks without one
+ */
+async function defaultContractAddress() {
+  if (process.env.CHAINLINK_ORACLE_ADDRESS) return process.env.CHAINLINK_ORACLE_ADDRESS;
+
+  const manifest = readManifest(process.env.HARDHAT_NETWORK || "localhost");
+  const provider = new ethers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL || "http://localhost:8545");
+  await verifyManifest(provider, manifest);
+  return (manifest.contracts.operator || manifest.contracts.priceConsumer).address;
+}
+
+/**
+ * Render one spec from a file or template name plus --vars/--set
+ * @return {Promise<{file: string, toml: string}>}
+ */
+async function renderSpec(args, file) {
+  const source = file ? readSpecFile(file) : { template: loadTemplate(args.template), vars: {} };
+  const vars = {
+    ...source.vars,
+    ...(args.vars ? JSON.parse(fs.readFileSync(args.vars, "utf8")) : {}),
+    ...args.set,
+  };
+  if ("contractAddress" in templateVariables(source.template) && vars.contractAddress === undefined) {
+    vars.contractAddress = await defaultContractAddress();
+  }
+  return { file: file || args.template, toml: buildSpec(source.template, vars) };
+}
+
+async function renderFromArgs(args) {
+  if (!args.positional[0] && !args.template) throw new Error("Pass a spec file or --template <name>");
+  return renderSpec(args, args.positional[0]);
+}
+
+function requireValid(toml, file) {
+  const result = validateSpec(toml);
+  if (!result.valid) {
+    throw new Error(`${file} is invalid:\n  - ${result.errors.join("\n  - ")}`);
+  }
+  return result.spec;
+}
+
+function clientFromEnv() {
+  return createJobsClient({
+    url: process.env.CHAINLINK_NODE_URL || "http://localhost:6688",
+    accessKey: process.env.CHAINLINK_API_ACCESS_KEY,
+    secret: process.env.CHAINLINK_API_SECRET,
+    email: process.env.CHAINLINK_EMAIL,
+    password: process.env.CHAINLINK_PASSWORD,
+  });
+}
+
+function printChanges(changes) {
+  for (const { field, local, remote } of changes) {
+    console.log(`~ ${field}`);
+    console.log(`  - node:  ${String(remote ?? "(unset)").replace(/\n/g, "\n           ")}`);
+    console.log(`  + local: ${String(local).replace(/\n/g, "\n           ")}`);
+  }
+}
+
+async function run(command, args, client) {
+  const out = (value, render) => (args.json ? console.log(JSON.stringify(value, null, 2)) : render(value));
+
+  switch (command) {
+    case "render": {
+      const { toml } = await renderFromArgs(args);
+      if (args.out) {
+        fs.writeFileSync(args.out, toml);
+        console.log("💾 Spec written to", args.out);
+      } else {
+        process.stdout.write(toml);
+      }
+      return toml;
+    }
+
+    case "validate": {
+      const { file, toml } = await renderFromArgs(args);
+      const result = validateSpec(toml);
+      out({ file, valid: result.valid, errors: result.errors }, (r) => {
+        if (r.valid) console.log(`✅ ${r.file} is valid (${result.spec.type} job "${result.spec.name}")`);
+        else console.log(`❌ ${r.file} is invalid:\n  - ${r.errors.join("\n  - ")}`);
+      });
+      if (!result.valid) process.exitCode = 1;
+      return result;
+    }
+
+    case "create": {
+      const { file, toml } = await renderFromArgs(args);
+      const spec = requireValid(toml, file);
+      if (findJob(await client.list(), spec)) {
+        throw new Error(`Job "${spec.name}" already exists on the node; use update`);
+      }
+      const job = await client.create(toml);
+      out(job, (j) => console.log(`✅ Created job ${j.id} "${j.name}" (externalJobID ${j.externalJobID})`));
+      return job;
+    }
+
+    case "update": {
+      const { file, toml } = await renderFromArgs(args);
+      const spec = requireValid(toml, file);
+      const existing = findJob(await client.list(), spec);
+      if (!existing) throw new Error(`Job "${spec.name}" is not on the node; use create`);
+
+      const changes = diffJob(spec, await client.get(existing.id));
+      if (changes.length === 0) {
+        out({ id: existing.id, changes }, () => console.log(`✅ Job ${existing.id} "${spec.name}" is up to date`));
+        return existing;
+      }
+      // The node has no update endpoint: replace the job, keeping its externalJobID
+      await client.remove(existing.id);
+      const job = await client.create(toml);
+      out({ ...job, replaced: existing.id, changes }, (j) => {
+        printChanges(changes);
+        console.log(`✅ Replaced job ${j.replaced} with ${j.id} "${j.name}"`);
+      });
+      return job;
+    }
+
+    case "diff": {
+      const { file, toml } = await renderFromArgs(args);
+      const spec = requireValid(toml, file);
+      const existing = findJob(await client.list(), spec);
+      const changes = existing ? diffJob(spec, await client.get(existing.id)) : null;
+      out({ id: existing ? existing.id : null, changes }, () => {
+        if (!existing) console.log(`+ Job "${spec.name}" is not on the node`);
+        else if (changes.length === 0) console.log(`✅ Job ${existing.id} "${spec.name}" matches ${file}`);
+        else printChanges(changes);
+      });
+      if (!existing || changes.length > 0) process.exitCode = 1;
+      return changes;
+    }
+
+    case "show": {
+      if (!args.positional[0]) throw new Error("Pass a job ID, externalJobID or name");
+      const job = await resolveJob(client, args.positional[0]);
+      out(job, (j) => {
+        console.log(`📄 Job ${j.id} "${j.name}" (${j.type})`);
+        console.log("External Job ID:", j.externalJobID);
+        console.log("Pipeline:\n" + (j.pipelineSpec ? j.pipelineSpec.dotDagSource : "(none)"));
+      });
+      return job;
+    }
+
+    case "delete": {
+      if (!args.positional[0]) throw new Error("Pass a job ID, externalJobID or name");
+      const job = await resolveJob(client, args.positional[0]);
+      await client.remove(job.id);
+      out({ deleted: job.id }, () => console.log(`🗑️  Deleted job ${job.id} "${job.name}"`));
+      return job;
+    }
+
+    case "list": {
+      const jobs = await client.list();
+      out(jobs, (list) => {
+        console.log("📋 Existing Jobs:");
+        list.forEach((job) => console.log(`- ${job.name} (ID: ${job.id}, external: ${job.externalJobID})`));
+      });
+      return jobs;
+    }
+
+    case "sync": {
+      const dir = args.positional[0] || SPECS_DIR;
+      const specs = [];
+      for (const file of listSpecFiles(dir)) specs.push(await renderSpec(args, file));
+
+      const plan = await syncJobs(client, specs, { prune: args.prune, dryRun: args.dryRun });
+      out(plan, (steps) => {
+        const icons = { create: "+", update: "~", delete: "-", unchanged: "=" };
+        for (const step of steps) {
+          console.log(`${icons[step.action]} ${step.action.padEnd(9)} ${step.name}${step.id ? ` (ID: ${step.id})` : ""}`);
+        }
+        if (args.dryRun) console.log("(dry run: the node was not changed)");
+      });
+      return plan;
+    }
+
+    default:
+      console.log(USAGE);
+      return null;
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const [command, ...rest] = argv;
+  const args = parseArgs(rest);
+  const offline = ["render", "validate"].includes(command) || !command;
+  return run(command, args, offline ? null : clientFromEnv());
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌", error.message);
+    if (/HTTP 401/.test(error.message)) {
+      console.log("💡 Tip: Make sure your Chainlink node is running and credentials are correct");
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, renderSpec, run };
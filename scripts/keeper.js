@@ -0,0 +1,139 @@
+const { ethers } = require("ethers");
+const { createLogger } = require("./utils/logger");
+const { createPollLoop } = require("./utils/poll-loop");
+const { getDeployedContracts } = require("./utils/deployments");
+require("dotenv").config();
+
+/**
+ * Local Automation keeper
+ * Does what a Chainlink Automation node does for a custom-logic upkeep:
+ * simulates checkUpkeep off-chain every poll and, when it reports that upkeep
+ * is needed, sends performUpkeep with the returned performData. Lets the
+ * PriceUpkeep contract run against a local node, where no Automation network
+ * exists.
+ *
+ * Run with: npx hardhat run scripts/keeper.js --network localhost
+ */
+
+const DEFAULTS = {
+  pollIntervalMs: 5_000,
+  checkData: "0x",
+  gasLimit: 500_000n,
+};
+
+// PriceUpkeep.UpkeepReason by value
+const REASONS = ["None", "Heartbeat", "Deviation"];
+
+/**
+ * Build keeper configuration from environment variables
+ * @param {object} env The environment to read from
+ * @return {object} Keeper configuration
+ */
+function loadConfig(env = process.env) {
+  const num = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value));
+
+  return {
+    pollIntervalMs: num(env.KEEPER_POLL_INTERVAL, DEFAULTS.pollIntervalMs / 1000) * 1000,
+    checkData: env.KEEPER_CHECK_DATA || DEFAULTS.checkData,
+    gasLimit: env.KEEPER_GAS_LIMIT ? BigInt(env.KEEPER_GAS_LIMIT) : DEFAULTS.gasLimit,
+  };
+}
+
+/**
+ * Create a keeper instance
+ * @param {object} params
+ * @param {object} params.upkeep Upkeep contract connected to the account that pays for performUpkeep
+ * @param {object} [params.config] Overrides for DEFAULTS
+ * @param {object} [params.logger] Structured logger
+ */
+function createKeeper({ upkeep, config = {}, logger }) {
+  const cfg = { ...DEFAULTS, ...config };
+  const log = logger || createLogger("keeper");
+
+  const poller = createPollLoop({ tick, intervalMs: cfg.pollIntervalMs, log, failureMessage: "upkeep cycle failed" });
+
+  /**
+   * Run one Automation cycle: simulate checkUpkeep, perform if needed
+   * @return {Promise<object>} What happened during the cycle
+   */
+  async function tick() {
+    const [upkeepNeeded, performData] = await upkeep.checkUpkeep.staticCall(cfg.checkData);
+    if (!upkeepNeeded) {
+      log.debug("upkeep not needed");
+      return { performed: false };
+    }
+
+    const tx = await upkeep.performUpkeep(performData, { gasLimit: cfg.gasLimit });
+    const receipt = await tx.wait();
+    const upkeepAddress = ethers.getAddress(upkeep.target);
+    const performed = receipt.logs
+      .filter((entry) => ethers.getAddress(entry.address) === upkeepAddress)
+      .map((entry) => upkeep.interface.parseLog(entry))
+      .find((event) => event && event.name === "UpkeepPerformed");
+
+    const result = { performed: true, hash: receipt.hash, gasUsed: receipt.gasUsed };
+    if (performed) {
+      Object.assign(result, {
+        reason: REASONS[Number(performed.args.reason)],
+        price: performed.args.price,
+        updatedAt: performed.args.updatedAt,
+      });
+    }
+    log.info("upkeep performed", result);
+    return { ...result, receipt };
+  }
+
+  return {
+    tick,
+    start() {
+      if (poller.running) return;
+      log.info("keeper started", { upkeep: upkeep.target, pollIntervalMs: cfg.pollIntervalMs });
+      poller.start();
+    },
+    async stop() {
+      await poller.stop();
+      log.info("keeper stopped");
+    },
+  };
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const [sender] = await hre.ethers.getSigners();
+  const log = createLogger("keeper");
+
+  const { priceConsumer, priceUpkeep } = await getDeployedContracts(hre, sender);
+  if (!priceUpkeep) {
+    log.error("the deployment manifest has no priceUpkeep; redeploy with scripts/deploy.js");
+    process.exit(1);
+  }
+  const authorized = await priceConsumer.priceUpkeep();
+  if (authorized !== (await priceUpkeep.getAddress())) {
+    log.warn("the consumer does not accept refreshes from this upkeep", { authorized });
+  }
+
+  const keeper = createKeeper({ upkeep: priceUpkeep, config: loadConfig(), logger: log });
+
+  const shutdown = async () => {
+    await keeper.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  keeper.start();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Keeper failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  REASONS,
+  loadConfig,
+  createKeeper,
+};
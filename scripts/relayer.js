@@ -0,0 +1,357 @@
+const axios = require("axios");
+const { ethers } = require("ethers");
+const { createLogger } = require("./utils/logger");
+const { createPollLoop } = require("./utils/poll-loop");
+const { getPriceReportDomain, signPriceReport } = require("./utils/price-signing");
+const { getDeployedContracts } = require("./utils/deployments");
+require("dotenv").config();
+
+/**
+ * Signed price relayer
+ * Polls an HTTP price source, signs each observation with the oracle key as an
+ * EIP-712 price report and submits it to PriceConsumer.updatePriceWithSignature whenever the heartbeat
+ * expires or the price moves past the deviation threshold.
+ *
+ * Run with: npx hardhat run scripts/relayer.js --network localhost
+ */
+
+const DEFAULTS = {
+  priceUrl: "https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd",
+  pricePath: "ethereum,usd",
+  priceDecimals: 8,
+  pollIntervalMs: 15_000,
+  heartbeatSeconds: 3600,
+  deviationBps: 50, // 0.5%
+  maxRetries: 3,
+  confirmTimeoutMs: 30_000,
+  receiptPollMs: 1_000,
+  gasBumpPercent: 20,
+  maxFeePerGas: undefined,
+};
+
+/**
+ * Build relayer configuration from environment variables
+ * @param {object} env The environment to read from
+ * @return {object} Relayer configuration
+ */
+function loadConfig(env = process.env) {
+  const num = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value));
+
+  return {
+    priceUrl: env.RELAYER_PRICE_URL || DEFAULTS.priceUrl,
+    pricePath: env.RELAYER_PRICE_PATH || DEFAULTS.pricePath,
+    priceDecimals: num(env.RELAYER_PRICE_DECIMALS, DEFAULTS.priceDecimals),
+    pollIntervalMs: num(env.RELAYER_POLL_INTERVAL, DEFAULTS.pollIntervalMs / 1000) * 1000,
+    heartbeatSeconds: num(env.RELAYER_HEARTBEAT, DEFAULTS.heartbeatSeconds),
+    deviationBps: num(env.RELAYER_DEVIATION_BPS, DEFAULTS.deviationBps),
+    maxRetries: num(env.RELAYER_MAX_RETRIES, DEFAULTS.maxRetries),
+    confirmTimeoutMs: num(env.RELAYER_CONFIRM_TIMEOUT, DEFAULTS.confirmTimeoutMs / 1000) * 1000,
+    receiptPollMs: DEFAULTS.receiptPollMs,
+    gasBumpPercent: num(env.RELAYER_GAS_BUMP_PERCENT, DEFAULTS.gasBumpPercent),
+    maxFeePerGas: env.RELAYER_MAX_FEE_GWEI ? ethers.parseUnits(env.RELAYER_MAX_FEE_GWEI, "gwei") : DEFAULTS.maxFeePerGas,
+  };
+}
+
+/**
+ * Fetch a price from an HTTP JSON source
+ * @param {string} url The endpoint to query
+ * @param {string} path Comma-separated path into the response, e.g. "ethereum,usd"
+ * @param {number} decimals Fixed-point decimals for the returned integer
+ * @return {Promise<bigint>} The price scaled to `decimals`
+ */
+async function fetchPrice(url, path, decimals) {
+  const response = await axios.get(url, { timeout: 10_000 });
+
+  let value = response.data;
+  for (const key of path.split(",").filter(Boolean)) {
+    if (value === null || typeof value !== "object" || !(key in value)) {
+      throw new Error(`Price path "${path}" not found in response from ${url}`);
+    }
+    value = value[key];
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw new Error(`Non-finite price from ${url}`);
+    value = value.toFixed(decimals);
+  }
+  if (typeof value !== "string") {
+    throw new Error(`Unexpected price value from ${url}: ${JSON.stringify(value)}`);
+  }
+
+  return ethers.parseUnits(value, decimals);
+}
+
+/**
+ * Decide whether a new observation should be pushed on-chain
+ * @return {{update: boolean, reason: string}}
+ */
+function shouldUpdate({ price, onChainPrice, lastUpdateTime, now, heartbeatSeconds, deviationBps }) {
+  if (lastUpdateTime === 0n) {
+    return { update: true, reason: "initial" };
+  }
+  if (now - lastUpdateTime >= BigInt(heartbeatSeconds)) {
+    return { update: true, reason: "heartbeat" };
+  }
+  if (onChainPrice === 0n) {
+    return { update: price !== 0n, reason: "deviation" };
+  }
+
+  const diff = price > onChainPrice ? price - onChainPrice : onChainPrice - price;
+  const base = onChainPrice < 0n ? -onChainPrice : onChainPrice;
+  if (diff * 10_000n >= base * BigInt(deviationBps)) {
+    return { update: true, reason: "deviation" };
+  }
+
+  return { update: false, reason: "within-threshold" };
+}
+
+/**
+ * Track the sender's nonce locally so consecutive submissions never collide
+ * @param {object} sender The transaction sender
+ */
+function createNonceManager(sender) {
+  let next = null;
+
+  return {
+    async take() {
+      if (next === null) {
+        next = await sender.provider.getTransactionCount(await sender.getAddress(), "pending");
+      }
+      return next++;
+    },
+    reset() {
+      next = null;
+    },
+  };
+}
+
+function isNonceError(error) {
+  return error.code === "NONCE_EXPIRED" || /nonce too low|nonce has already been used/i.test(error.message || "");
+}
+
+function isUnderpricedError(error) {
+  return error.code === "REPLACEMENT_UNDERPRICED" || /underpriced/i.test(error.message || "");
+}
+
+function bump(value, percent) {
+  return value + (value * BigInt(percent)) / 100n + 1n;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until any of the given transaction hashes is mined
+ * @return {Promise<object|null>} The receipt, or null on timeout
+ */
+async function waitForAnyReceipt(provider, hashes, timeoutMs, pollMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    if (Date.now() >= deadline) return null;
+    await sleep(pollMs);
+  }
+}
+
+/**
+ * Create a relayer instance
+ * @param {object} params
+ * @param {object} params.consumer PriceConsumer contract connected to the sender
+ * @param {object} params.oracle Signer holding the trusted oracle key
+ * @param {object} params.sender Signer that pays for the update transactions
+ * @param {object} [params.config] Overrides for DEFAULTS
+ * @param {object} [params.logger] Structured logger
+ * @param {function} [params.priceSource] Async function returning the next price
+ */
+function createRelayer({ consumer, oracle, sender, config = {}, logger, priceSource }) {
+  const cfg = { ...DEFAULTS, ...config };
+  const log = logger || createLogger("relayer");
+  const provider = sender.provider;
+  const nonces = createNonceManager(sender);
+  const getPrice = priceSource || (() => fetchPrice(cfg.priceUrl, cfg.pricePath, cfg.priceDecimals));
+
+  const poller = createPollLoop({ tick, intervalMs: cfg.pollIntervalMs, log, failureMessage: "relay cycle failed" });
+  let domain = null;
+
+  async function feeData() {
+    const fees = await provider.getFeeData();
+    let maxFeePerGas = fees.maxFeePerGas ?? fees.gasPrice;
+    let maxPriorityFeePerGas = fees.maxPriorityFeePerGas ?? 0n;
+    if (cfg.maxFeePerGas !== undefined && maxFeePerGas > cfg.maxFeePerGas) {
+      maxFeePerGas = cfg.maxFeePerGas;
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  function confirmed(receipt) {
+    if (receipt.status !== 1) {
+      throw new Error(`Transaction ${receipt.hash} reverted`);
+    }
+    return receipt;
+  }
+
+  /**
+   * Send a populated transaction, replacing it with higher fees until it is mined
+   */
+  async function submit(txRequest) {
+    const gasLimit = await sender.estimateGas(txRequest);
+    let fees = await feeData();
+    let nonce = await nonces.take();
+    const hashes = [];
+
+    for (let attempt = 0; attempt <= cfg.maxRetries; attempt++) {
+      try {
+        const tx = await sender.sendTransaction({ ...txRequest, gasLimit, nonce, ...fees });
+        hashes.push(tx.hash);
+        log.info("transaction sent", { hash: tx.hash, nonce, attempt, ...fees });
+      } catch (error) {
+        if (isNonceError(error)) {
+          // An earlier broadcast of this update may be what used the nonce
+          const mined = await waitForAnyReceipt(provider, hashes, 0, 0);
+          if (mined) return confirmed(mined);
+          log.warn("nonce out of sync, resyncing", { nonce, error: error.message });
+          nonces.reset();
+          nonce = await nonces.take();
+          continue;
+        }
+        if (!isUnderpricedError(error)) {
+          // The nonce was taken but maybe never used; re-read it so later updates leave no gap
+          nonces.reset();
+          throw error;
+        }
+        log.warn("replacement underpriced", { nonce, attempt });
+      }
+
+      const receipt = await waitForAnyReceipt(provider, hashes, cfg.confirmTimeoutMs, cfg.receiptPollMs);
+      if (receipt) return confirmed(receipt);
+
+      if (attempt === cfg.maxRetries) break;
+
+      const bumped = {
+        maxFeePerGas: bump(fees.maxFeePerGas, cfg.gasBumpPercent),
+        maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas, cfg.gasBumpPercent),
+      };
+      if (cfg.maxFeePerGas !== undefined && bumped.maxFeePerGas > cfg.maxFeePerGas) {
+        log.warn("gas bump capped by max fee", { nonce, maxFeePerGas: cfg.maxFeePerGas });
+        bumped.maxFeePerGas = cfg.maxFeePerGas;
+      }
+      log.warn("transaction not confirmed, bumping gas", { nonce, attempt, ...bumped });
+      fees = bumped;
+    }
+
+    // Leave the nonce to be re-read from the node; a stuck transaction may still land
+    nonces.reset();
+    throw new Error(`Transaction with nonce ${nonce} not confirmed after ${cfg.maxRetries + 1} attempts`);
+  }
+
+  /**
+   * Run one poll cycle: fetch, compare, sign and submit if needed
+   * @return {Promise<object>} What happened during the cycle
+   */
+  async function tick() {
+    const price = await getPrice();
+    const [onChainPrice, lastUpdateTime, block] = await Promise.all([
+      consumer.latestPrice(),
+      consumer.lastUpdateTime(),
+      provider.getBlock("latest"),
+    ]);
+    const now = BigInt(block.timestamp);
+
+    const decision = shouldUpdate({
+      price,
+      onChainPrice,
+      lastUpdateTime,
+      now,
+      heartbeatSeconds: cfg.heartbeatSeconds,
+      deviationBps: cfg.deviationBps,
+    });
+
+    if (!decision.update) {
+      log.debug("price within threshold", { price, onChainPrice });
+      return { updated: false, reason: decision.reason, price };
+    }
+
+    // The consumer requires strictly increasing timestamps
+    const timestamp = now > lastUpdateTime ? now : lastUpdateTime + 1n;
+    domain = domain || (await getPriceReportDomain(consumer));
+    const signature = await signPriceReport(oracle, domain, { price, timestamp });
+
+    log.info("submitting price update", { reason: decision.reason, price, previous: onChainPrice, timestamp });
+    const txRequest = await consumer.updatePriceWithSignature.populateTransaction(price, timestamp, signature);
+    const receipt = await submit(txRequest);
+    log.info("price updated", { hash: receipt.hash, block: receipt.blockNumber, gasUsed: receipt.gasUsed, price });
+
+    return { updated: true, reason: decision.reason, price, timestamp, receipt };
+  }
+
+  return {
+    tick,
+    start() {
+      if (poller.running) return;
+      log.info("relayer started", {
+        consumer: consumer.target,
+        oracle: oracle.address,
+        priceUrl: priceSource ? "custom" : cfg.priceUrl,
+        heartbeatSeconds: cfg.heartbeatSeconds,
+        deviationBps: cfg.deviationBps,
+      });
+      poller.start();
+    },
+    async stop() {
+      await poller.stop();
+      log.info("relayer stopped");
+    },
+  };
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const [sender] = await hre.ethers.getSigners();
+  const log = createLogger("relayer");
+
+  if (!process.env.ORACLE_PRIVATE_KEY) {
+    log.error("ORACLE_PRIVATE_KEY must be set");
+    process.exit(1);
+  }
+
+  const { priceConsumer: consumer } = await getDeployedContracts(hre, sender);
+  const oracle = new ethers.Wallet(process.env.ORACLE_PRIVATE_KEY);
+
+  const trusted = await consumer.trustedOracle();
+  if (trusted !== oracle.address) {
+    log.warn("oracle key is not the consumer's trusted oracle", { trusted, oracle: oracle.address });
+  }
+
+  const relayer = createRelayer({ consumer, oracle, sender, config: loadConfig(), logger: log });
+
+  const shutdown = async () => {
+    await relayer.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  relayer.start();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Relayer failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  loadConfig,
+  fetchPrice,
+  shouldUpdate,
+  createNonceManager,
+  createRelayer,
+};
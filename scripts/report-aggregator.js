@@ -0,0 +1,207 @@
+const axios = require("axios");
+const { createLogger } = require("./utils/logger");
+const { createPollLoop } = require("./utils/poll-loop");
+const { toPairId } = require("./utils/feeds");
+const { MAIN_FEED_ID, getPriceReportDomain } = require("./utils/price-signing");
+const { getSignerSet, checkReport, selectReports, reportArgs } = require("./utils/threshold-reports");
+const { getDeployedContracts } = require("./utils/deployments");
+const { shouldUpdate } = require("./relayer");
+require("dotenv").config();
+
+/**
+ * Threshold report aggregator
+ * Asks every report signer (scripts/report-signer.js) for a report on the same
+ * timestamp, keeps the valid ones that agree within the consumer's tolerance
+ * and submits them with PriceConsumer.updatePriceWithReports whenever the
+ * heartbeat expires or the median moves past the deviation threshold. The
+ * aggregator holds no signing key of its own; it only pays for gas.
+ *
+ * Run with: REPORT_SIGNER_URLS=http://localhost:4200,http://localhost:4201 \
+ *   npx hardhat run scripts/report-aggregator.js --network localhost
+ */
+
+const DEFAULTS = {
+  signerUrls: [],
+  pair: null, // a registered pair such as BTC/USD; the consumer's main feed when null
+  pollIntervalMs: 15_000,
+  heartbeatSeconds: 3600,
+  deviationBps: 50, // 0.5%
+  requestTimeoutMs: 5_000,
+};
+
+/**
+ * Build aggregator configuration from environment variables
+ * @param {object} env The environment to read from
+ * @return {object} Aggregator configuration
+ */
+function loadConfig(env = process.env) {
+  const num = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value));
+
+  return {
+    signerUrls: (env.REPORT_SIGNER_URLS || "").split(",").map((url) => url.trim()).filter(Boolean),
+    pair: env.REPORT_PAIR || DEFAULTS.pair,
+    pollIntervalMs: num(env.REPORT_POLL_INTERVAL, DEFAULTS.pollIntervalMs / 1000) * 1000,
+    heartbeatSeconds: num(env.REPORT_HEARTBEAT, DEFAULTS.heartbeatSeconds),
+    deviationBps: num(env.REPORT_DEVIATION_BPS, DEFAULTS.deviationBps),
+    requestTimeoutMs: num(env.REPORT_REQUEST_TIMEOUT, DEFAULTS.requestTimeoutMs / 1000) * 1000,
+  };
+}
+
+/**
+ * Ask one signer for its report
+ * @return {Promise<object>} The report with price and timestamp as bigints
+ */
+async function fetchReport(url, { pair, timestamp, timeoutMs }) {
+  const response = await axios.get(`${url.replace(/\/$/, "")}/report`, {
+    params: { timestamp: timestamp.toString(), pair: pair || "main" },
+    timeout: timeoutMs,
+    validateStatus: () => true,
+  });
+  if (response.status !== 200) {
+    throw new Error(`${response.status} ${response.data && response.data.error ? response.data.error : "from signer"}`);
+  }
+  const { signer, pairId, price, timestamp: signed, signature } = response.data;
+  return { url, signer, pairId, price: BigInt(price), timestamp: BigInt(signed), signature };
+}
+
+/**
+ * Create an aggregator instance
+ * @param {object} params
+ * @param {object} params.consumer PriceConsumer contract connected to the account that submits
+ * @param {object} [params.config] Overrides for DEFAULTS
+ * @param {object} [params.logger] Structured logger
+ */
+function createReportAggregator({ consumer, config = {}, logger }) {
+  const cfg = { ...DEFAULTS, ...config };
+  const log = logger || createLogger("report-aggregator");
+  const provider = consumer.runner.provider;
+  const pairId = cfg.pair ? toPairId(cfg.pair) : null;
+
+  if (cfg.signerUrls.length === 0) throw new Error("No report signer URLs configured");
+
+  const poller = createPollLoop({ tick, intervalMs: cfg.pollIntervalMs, log, failureMessage: "aggregation cycle failed" });
+  let domain = null;
+
+  async function onChain() {
+    if (pairId) {
+      const [, , latestPrice, lastUpdateTime] = await consumer.feeds(pairId);
+      return { latestPrice, lastUpdateTime };
+    }
+    const [latestPrice, lastUpdateTime] = await Promise.all([consumer.latestPrice(), consumer.lastUpdateTime()]);
+    return { latestPrice, lastUpdateTime };
+  }
+
+  /**
+   * Collect reports for one timestamp and keep the ones the consumer will accept
+   * @return {Promise<{price: bigint, reports: Array<object>, dropped: Array<object>, failed: Array<object>}>}
+   */
+  async function collect(timestamp, settings) {
+    domain = domain || (await getPriceReportDomain(consumer));
+    const results = await Promise.allSettled(
+      cfg.signerUrls.map((url) => fetchReport(url, { pair: cfg.pair, timestamp, timeoutMs: cfg.requestTimeoutMs }))
+    );
+
+    const valid = [];
+    const failed = [];
+    results.forEach((result, i) => {
+      const url = cfg.signerUrls[i];
+      if (result.status === "rejected") {
+        failed.push({ url, error: result.reason.message });
+        return;
+      }
+      const report = result.value;
+      const problem =
+        report.timestamp !== timestamp || report.pairId !== (pairId || MAIN_FEED_ID)
+          ? "report is for another timestamp or pair"
+          : checkReport(domain, report, settings.signers);
+      if (problem) failed.push({ url, signer: report.signer, error: problem });
+      else valid.push(report);
+    });
+    for (const failure of failed) log.warn("report rejected", failure);
+
+    return { ...selectReports(valid, settings), failed };
+  }
+
+  /**
+   * Run one cycle: collect reports, compare the median and submit if needed
+   * @return {Promise<object>} What happened during the cycle
+   */
+  async function tick() {
+    const settings = await getSignerSet(consumer);
+    if (settings.threshold === 0) throw new Error("The consumer has no signer threshold set");
+
+    const [{ latestPrice, lastUpdateTime }, block] = await Promise.all([onChain(), provider.getBlock("latest")]);
+    const now = BigInt(block.timestamp);
+    // The consumer requires strictly increasing timestamps
+    const timestamp = now > lastUpdateTime ? now : lastUpdateTime + 1n;
+
+    const { price, reports, dropped, failed } = await collect(timestamp, settings);
+    const decision = shouldUpdate({
+      price,
+      onChainPrice: latestPrice,
+      lastUpdateTime,
+      now,
+      heartbeatSeconds: cfg.heartbeatSeconds,
+      deviationBps: cfg.deviationBps,
+    });
+    const signers = reports.map((report) => report.signer);
+
+    if (!decision.update) {
+      log.debug("median within threshold", { price, onChainPrice: latestPrice, signers: signers.length });
+      return { updated: false, reason: decision.reason, price, signers, dropped, failed };
+    }
+
+    log.info("submitting threshold report", { reason: decision.reason, price, previous: latestPrice, timestamp, signers });
+    const tx = await consumer.updatePriceWithReports(...reportArgs(pairId, timestamp, reports));
+    const receipt = await tx.wait();
+    log.info("price updated", { hash: receipt.hash, block: receipt.blockNumber, gasUsed: receipt.gasUsed, price });
+
+    return { updated: true, reason: decision.reason, price, timestamp, signers, dropped, failed, receipt };
+  }
+
+  return {
+    tick,
+    collect,
+    start() {
+      if (poller.running) return;
+      log.info("aggregator started", { consumer: consumer.target, pair: cfg.pair, signers: cfg.signerUrls });
+      poller.start();
+    },
+    async stop() {
+      await poller.stop();
+      log.info("aggregator stopped");
+    },
+  };
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const [sender] = await hre.ethers.getSigners();
+  const log = createLogger("report-aggregator");
+
+  const { priceConsumer: consumer } = await getDeployedContracts(hre, sender);
+  const aggregator = createReportAggregator({ consumer, config: loadConfig(), logger: log });
+
+  const shutdown = async () => {
+    await aggregator.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  aggregator.start();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Report aggregator failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  loadConfig,
+  fetchReport,
+  createReportAggregator,
+};
@@ -0,0 +1,161 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { createLogger } = require("./utils/logger");
+const { toPairId } = require("./utils/feeds");
+const { MAIN_FEED_ID, getPriceReportDomain, signPriceReport } = require("./utils/price-signing");
+const { getDeployedContracts } = require("./utils/deployments");
+const { DEFAULTS: RELAYER_DEFAULTS, fetchPrice } = require("./relayer");
+require("dotenv").config();
+
+/**
+ * Threshold report signer
+ * One process per signer key. On request it observes the price from its own
+ * source and returns an EIP-712 PriceReport signed for the timestamp the
+ * aggregator asks for. It never submits anything; scripts/report-aggregator.js
+ * collects reports from several signers and submits them together.
+ *
+ *   GET /report?timestamp=<unix seconds>  -> { signer, pair, pairId, price, timestamp, signature }
+ *   GET /health                           -> { signer, pair, consumer }
+ *
+ * Run with: REPORT_SIGNER_KEY=0x... npx hardhat run scripts/report-signer.js --network localhost
+ */
+
+const DEFAULTS = {
+  port: 4200,
+  pair: null, // a registered pair such as BTC/USD; the consumer's main feed when null
+  priceUrl: RELAYER_DEFAULTS.priceUrl,
+  pricePath: RELAYER_DEFAULTS.pricePath,
+  priceDecimals: RELAYER_DEFAULTS.priceDecimals,
+  maxSkewSeconds: 300, // refuse timestamps further than this from the latest block
+};
+
+/**
+ * Build signer configuration from environment variables
+ * @param {object} env The environment to read from
+ * @return {object} Signer configuration
+ */
+function loadConfig(env = process.env) {
+  const num = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value));
+
+  return {
+    port: num(env.REPORT_SIGNER_PORT, DEFAULTS.port),
+    pair: env.REPORT_PAIR || DEFAULTS.pair,
+    priceUrl: env.REPORT_SIGNER_PRICE_URL || env.RELAYER_PRICE_URL || DEFAULTS.priceUrl,
+    pricePath: env.REPORT_SIGNER_PRICE_PATH || env.RELAYER_PRICE_PATH || DEFAULTS.pricePath,
+    priceDecimals: num(env.REPORT_SIGNER_PRICE_DECIMALS, DEFAULTS.priceDecimals),
+    maxSkewSeconds: num(env.REPORT_SIGNER_MAX_SKEW, DEFAULTS.maxSkewSeconds),
+  };
+}
+
+/**
+ * Create the signer server (call .listen to start it)
+ * @param {object} params
+ * @param {object} params.consumer PriceConsumer contract, for the typed-data domain and chain time
+ * @param {object} params.wallet Signer holding this process's report key
+ * @param {object} [params.config] Overrides for DEFAULTS
+ * @param {object} [params.logger] Structured logger
+ * @param {function} [params.priceSource] Async function returning the observed price
+ * @return {http.Server}
+ */
+function createReportSigner({ consumer, wallet, config = {}, logger, priceSource }) {
+  const cfg = { ...DEFAULTS, ...config };
+  const log = logger || createLogger("report-signer");
+  const provider = consumer.runner.provider || consumer.runner;
+  const pairId = cfg.pair ? toPairId(cfg.pair) : MAIN_FEED_ID;
+  const getPrice = priceSource || (() => fetchPrice(cfg.priceUrl, cfg.pricePath, cfg.priceDecimals));
+  let domain = null;
+
+  async function report(query) {
+    const text = query.get("timestamp");
+    if (!/^\d+$/.test(text || "")) {
+      return [400, { error: `timestamp must be unix seconds, got ${JSON.stringify(text)}` }];
+    }
+    const timestamp = BigInt(text);
+    const requested = query.get("pair");
+    if (requested && requested !== (cfg.pair || "main")) {
+      return [400, { error: `This signer reports ${cfg.pair || "the main feed"}, not ${requested}` }];
+    }
+
+    // Only sign for "now" so a report cannot be collected early and replayed later
+    const { timestamp: now } = await provider.getBlock("latest");
+    const skew = timestamp > BigInt(now) ? timestamp - BigInt(now) : BigInt(now) - timestamp;
+    if (skew > BigInt(cfg.maxSkewSeconds)) {
+      return [422, { error: `timestamp is ${skew}s from the latest block, more than ${cfg.maxSkewSeconds}s` }];
+    }
+
+    const price = await getPrice();
+    domain = domain || (await getPriceReportDomain(consumer));
+    const signature = await signPriceReport(wallet, domain, { pairId, price, timestamp });
+    log.info("report signed", { pair: cfg.pair, price, timestamp });
+
+    return [
+      200,
+      {
+        signer: wallet.address,
+        pair: cfg.pair,
+        pairId,
+        price: price.toString(),
+        timestamp: timestamp.toString(),
+        signature,
+      },
+    ];
+  }
+
+  return http.createServer(async (req, res) => {
+    const send = (status, payload) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(payload));
+    };
+
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method === "GET" && url.pathname === "/report") return send(...(await report(url.searchParams)));
+      if (req.method === "GET" && url.pathname === "/health") {
+        return send(200, { signer: wallet.address, pair: cfg.pair, consumer: consumer.target });
+      }
+      send(404, { error: `Unknown endpoint ${req.method} ${url.pathname}` });
+    } catch (error) {
+      log.error("report failed", { error: error.shortMessage || error.message });
+      send(502, { error: error.shortMessage || error.message });
+    }
+  });
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const log = createLogger("report-signer");
+  const cfg = loadConfig();
+
+  if (!process.env.REPORT_SIGNER_KEY) {
+    log.error("REPORT_SIGNER_KEY must be set");
+    process.exit(1);
+  }
+  const wallet = new ethers.Wallet(process.env.REPORT_SIGNER_KEY);
+
+  const { priceConsumer: consumer } = await getDeployedContracts(hre, hre.ethers.provider);
+  if (!(await consumer.isReportSigner(wallet.address))) {
+    log.warn("key is not a registered report signer", { signer: wallet.address });
+  }
+
+  const server = createReportSigner({ consumer, wallet, config: cfg, logger: log });
+  server.listen(cfg.port, () =>
+    log.info("report signer listening", { url: `http://localhost:${cfg.port}`, signer: wallet.address, pair: cfg.pair })
+  );
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Report signer failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  loadConfig,
+  createReportSigner,
+};
@@ -1,4 +1,14 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getDeployedContracts } = require("./utils/deployments");
+const {
+  getPriceReportDomain,
+  buildPriceReportDigest,
+  signPriceReport,
+  verifyPriceReport,
+} = require("./utils/price-signing");
+const { SPECS_DIR } = require("./utils/chainlink-jobs");
+const { loadPriceJob, createChainlinkNode } = require("./chainlink-node");
 require("dotenv").config();
 
 async function main() {
@@ -7,25 +17,8 @@ async function main() {
   console.log("🔮 Oracle Interaction Script");
   console.log("Using account:", signer.address);
   
-  // Load contract addresses from environment
-  const mockOracleAddress = process.env.MOCK_ORACLE_ADDRESS;
-  const priceConsumerAddress = process.env.PRICE_CONSUMER_ADDRESS;
-  const oracleTokenAddress = process.env.ORACLE_TOKEN_ADDRESS;
-  
-  if (!mockOracleAddress || !priceConsumerAddress || !oracleTokenAddress) {
-    console.error("❌ Contract addresses not found. Please run deployment first.");
-    process.exit(1);
-  }
-
-  // Get contract instances
-  const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
-  const mockOracle = MockV3Aggregator.attach(mockOracleAddress);
-  
-  const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
-  const priceConsumer = PriceConsumer.attach(priceConsumerAddress);
-  
-  const OracleToken = await ethers.getContractFactory("OracleToken");
-  const oracleToken = OracleToken.attach(oracleTokenAddress);
+  // Load contract instances from the deployment manifest
+  const { mockOracle, priceConsumer, oracleToken, operator } = await getDeployedContracts(hre, signer);
 
   console.log("\n📊 Current State:");
   
@@ -44,28 +37,25 @@ async function main() {
   const consumerPrice = await priceConsumer.getLatestPrice();
   console.log(`Price Consumer reads: $${Number(consumerPrice) / 1e8}`);
   
-  // 4. Create signed price data
+  // 4. Create signed price data (EIP-712 PriceReport)
   console.log("\n🔐 Creating signed price data...");
   const timestamp = Math.floor(Date.now() / 1000);
-  const messageHash = ethers.keccak256(
-    ethers.AbiCoder.defaultAbiCoder().encode(
-      ["int256", "uint256", "address"],
-      [newPrice, timestamp, priceConsumerAddress]
-    )
-  );
+  const domain = await getPriceReportDomain(priceConsumer);
+  const report = { price: newPrice, timestamp };
+  const messageHash = buildPriceReportDigest(domain, report);
   
   // Sign with oracle private key
   const oracleWallet = new ethers.Wallet(process.env.ORACLE_PRIVATE_KEY, signer.provider);
-  const signature = await oracleWallet.signMessage(ethers.getBytes(messageHash));
+  const signature = await signPriceReport(oracleWallet, domain, report);
   
-  console.log("Message Hash:", messageHash);
+  console.log("Typed Data Hash:", messageHash);
   console.log("Signature:", signature);
   
   // 5. Verify signature
-  const recoveredAddress = await priceConsumer.verifyOracleSignature(messageHash, signature);
-  console.log("Recovered Address:", recoveredAddress);
-  console.log("Oracle Address:", oracleWallet.address);
-  console.log("Signature Valid:", recoveredAddress === oracleWallet.address);
+  const verification = await verifyPriceReport(priceConsumer, report, signature);
+  console.log("Recovered Address:", verification.signer);
+  console.log("Oracle Address:", verification.trustedSigner);
+  console.log("Signature Valid:", verification.valid);
   
   // 6. Update price with signature
   console.log("\n📝 Updating price with signature verification...");
@@ -87,7 +77,37 @@ async function main() {
     console.error("❌ Failed to update price with signature:", error.message);
   }
   
-  // 7. Test token minting based on oracle price
+  // 7. Ask the Chainlink job for the price with a direct request
+  if (operator) {
+    console.log("\n🔗 Sending a Chainlink direct request...");
+    try {
+      const requestTx = await priceConsumer.requestPrice();
+      const receipt = await requestTx.wait();
+      const requestId = receipt.logs
+        .map((entry) => priceConsumer.interface.parseLog(entry))
+        .find((event) => event && event.name === "PriceRequested").args.requestId;
+      console.log("Request ID:", requestId);
+
+      // Answer it the way scripts/chainlink-node.js does, with the mock feed's price so no API is needed
+      const node = createChainlinkNode({
+        operator,
+        jobs: [loadPriceJob(`${SPECS_DIR}/eth-usd.json`)],
+        config: { fromBlock: receipt.blockNumber },
+        logger: { debug() {}, info() {}, warn: console.warn, error: console.error },
+        priceSource: () => mockOracle.latestAnswer(),
+      });
+      const [result] = await node.tick();
+      const status = await priceConsumer.priceRequests(requestId);
+      console.log(
+        result && result.fulfilled ? "✅ Request fulfilled by the local node" : "ℹ️  Request was answered elsewhere or not at all"
+      );
+      console.log(`Pending: ${status.pending}, Consumer Price: $${Number(await priceConsumer.latestPrice()) / 1e8}`);
+    } catch (error) {
+      console.error("❌ Direct request failed:", error.message);
+    }
+  }
+
+  // 8. Test token minting based on oracle price
   console.log("\n🪙 Testing Oracle Token minting...");
   const balanceBefore = await oracleToken.balanceOf(signer.address);
   console.log(`Balance before: ${ethers.formatEther(balanceBefore)} ORACLE`);
@@ -105,7 +125,7 @@ async function main() {
     console.error("❌ Failed to mint tokens:", error.message);
   }
   
-  // 8. Display final summary
+  // 9. Display final summary
   console.log("\n📋 Final Summary:");
   console.log("=================================");
   console.log(`Oracle Price: $${Number(await mockOracle.latestAnswer()) / 1e8}`);
@@ -1,9 +1,10 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getDeployedContracts } = require("./utils/deployments");
 
 async function main() {
-    // Get the contract factory and deployed instance
-    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
-    const mockOracle = MockV3Aggregator.attach("0x5FbDB2315678afecb367f032d93F642f64180aa3");
+    // Load deployed instances from the deployment manifest
+    const { mockOracle, oracleToken } = await getDeployedContracts(hre);
     
     console.log("📊 Current Oracle Status:");
     const currentPrice = await mockOracle.latestAnswer();
@@ -18,9 +19,6 @@ async function main() {
     console.log("New price:", ethers.formatUnits(newPrice, 8), "USD");
     
     console.log("\n🪙 Testing token minting...");
-    const OracleToken = await ethers.getContractFactory("OracleToken");
-    const oracleToken = OracleToken.attach("0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0");
-    
     const [deployer] = await ethers.getSigners();
     const beforeBalance = await oracleToken.balanceOf(deployer.address);
     console.log("Balance before minting:", ethers.formatEther(beforeBalance), "ORACLE");
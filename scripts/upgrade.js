@@ -0,0 +1,60 @@
+const hre = require("hardhat");
+const { loadDeployment, writeManifest } = require("./utils/deployments");
+const { checkUpgrade, upgradeProxy } = require("./utils/proxies");
+
+/**
+ * Upgrade a proxied PriceConsumer or OracleToken
+ * Compiles, has @openzeppelin/hardhat-upgrades check the new implementation
+ * (its storage layout against the current one, and unsafe code such as
+ * delegatecall), and only then deploys it and calls upgradeToAndCall on the
+ * proxy. The new implementation is appended to the proxy's history in
+ * deployments/<network>.json.
+ *
+ * UPGRADE_TARGET    manifest key of the proxy: priceConsumer or oracleToken
+ * UPGRADE_CONTRACT  contract to upgrade to; defaults to the current one (after editing it)
+ * UPGRADE_CALL      optional function to call through the proxy during the upgrade, e.g. initializeV2
+ * UPGRADE_CHECK_ONLY=true only runs the check
+ *
+ * Run with: UPGRADE_TARGET=priceConsumer npx hardhat run scripts/upgrade.js --network localhost
+ */
+async function main() {
+  const network = hre.network.name;
+  const target = process.env.UPGRADE_TARGET;
+  await hre.run("compile", { quiet: true });
+
+  const manifest = await loadDeployment(hre);
+  const entry = manifest.contracts[target];
+  if (!entry) {
+    throw new Error(`UPGRADE_TARGET must name a contract in the manifest (${Object.keys(manifest.contracts).join(", ")})`);
+  }
+  if (!entry.proxy) {
+    throw new Error(`${target} is not deployed behind a proxy; deploy with DEPLOY_UPGRADEABLE=true`);
+  }
+  const contractName = process.env.UPGRADE_CONTRACT || entry.contractName;
+
+  console.log(`🔍 Checking ${target} (${entry.contractName} at ${entry.address}) -> ${contractName}...`);
+  const problems = await checkUpgrade(hre, entry, contractName);
+  if (problems.length > 0) {
+    throw new Error(`Upgrade is unsafe, nothing was sent:\n  - ${problems.join("\n  - ")}`);
+  }
+  console.log("✅ Upgrade is safe");
+  if (process.env.UPGRADE_CHECK_ONLY === "true") return;
+
+  const call = process.env.UPGRADE_CALL ? { fn: process.env.UPGRADE_CALL } : undefined;
+  const { entry: upgraded } = await upgradeProxy(hre, entry, contractName, { call });
+  manifest.contracts[target] = upgraded;
+  const manifestFile = writeManifest(network, manifest);
+
+  console.log("\n📜 Implementation history:");
+  upgraded.proxy.implementations.forEach((implementation, i) => {
+    console.log(`${String(i + 1).padStart(3)}. ${implementation.contractName.padEnd(28)} ${implementation.address}`);
+  });
+  console.log("💾 Deployment manifest saved to", manifestFile);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Upgrade failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,535 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { CONTRACTS } = require("./deployments");
+const { toPairId } = require("./feeds");
+const { buildPriceDigest, buildPriceReportDigest, priceReportDomain } = require("./price-signing");
+
+/**
+ * JSON-RPC API docs generated from compiled ABIs
+ * openapi.yaml and postman-collection.json get one eth_call / eth_sendTransaction
+ * example per view and state-changing function of the documented contracts,
+ * with calldata encoded by ethers. The addresses used are recorded under
+ * `x-deployment` in openapi.yaml so a check run can rebuild the same documents
+ * and report only ABI drift.
+ */
+
+const ROOT = path.resolve(__dirname, "../..");
+const OPENAPI_FILE = path.join(ROOT, "openapi.yaml");
+const POSTMAN_FILE = path.join(ROOT, "postman-collection.json");
+const ARTIFACTS_DIR = path.join(ROOT, "artifacts", "contracts");
+
+// Manifest key -> docs metadata, in document order
+const DOCUMENTED = {
+  mockOracle: { title: "Mock Oracle Contract", variable: "mock_oracle" },
+  priceConsumer: { title: "Price Consumer Contract", variable: "price_consumer" },
+  oracleToken: { title: "Oracle Token Contract", variable: "oracle_token" },
+};
+
+// Hardhat dev account #0; its key is public, so examples can carry real signatures
+const EXAMPLE_SIGNER = new ethers.Wallet("0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80");
+
+const SAMPLE_PRICE = 250000000000n; // $2500 with 8 decimals
+const SAMPLE_TIMESTAMP = 1700000000n;
+const SAMPLE_PAIR = "ETH/USD";
+
+/**
+ * Read the ABI of a compiled contract
+ * @param {string} contractName e.g. "PriceConsumer"
+ * @param {string} [dir] Hardhat artifacts/contracts directory
+ */
+function readAbi(contractName, dir = ARTIFACTS_DIR) {
+  const file = path.join(dir, `${contractName}.sol`, `${contractName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No artifact for ${contractName} (${file}). Run npx hardhat compile first.`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).abi;
+}
+
+/**
+ * Example value for one function input, chosen from its name and type
+ * @param {object} param ethers ParamType
+ * @param {object} context Addresses and chain ID plus the function being documented
+ */
+function sampleValue(param, context) {
+  const name = param.name.replace(/^_+/, "").toLowerCase();
+
+  if (param.baseType === "array") {
+    const length = param.arrayLength > 0 ? param.arrayLength : 1;
+    return Array.from({ length }, () => sampleValue(param.arrayChildren, context));
+  }
+  if (param.baseType === "tuple") {
+    return param.components.map((component) => sampleValue(component, context));
+  }
+
+  switch (param.baseType) {
+    case "address":
+      if (/feed|aggregator/.test(name)) return context.addresses.mockOracle;
+      if (/consumer/.test(name)) return context.addresses.priceConsumer;
+      return context.addresses.deployer;
+    case "bool":
+      return true;
+    case "string":
+      return "example";
+    case "bytes32":
+      if (/pair/.test(name)) return toPairId(SAMPLE_PAIR);
+      return buildPriceDigest(SAMPLE_PRICE, SAMPLE_TIMESTAMP, context.addresses.priceConsumer);
+    case "bytes": {
+      // A valid oracle signature: legacy EIP-191 over the example digest when the
+      // function takes one, otherwise an EIP-712 report of the example price (and pair)
+      const digest = context.inputs.some((input) => /hash/i.test(input.name))
+        ? ethers.hashMessage(ethers.getBytes(buildPriceDigest(SAMPLE_PRICE, SAMPLE_TIMESTAMP, context.addresses.priceConsumer)))
+        : buildPriceReportDigest(priceReportDomain(context.chainId, context.addresses.priceConsumer), {
+            pairId: context.inputs.some((input) => /pair/i.test(input.name)) ? toPairId(SAMPLE_PAIR) : undefined,
+            price: SAMPLE_PRICE,
+            timestamp: SAMPLE_TIMESTAMP,
+          });
+      return EXAMPLE_SIGNER.signingKey.sign(digest).serialized;
+    }
+  }
+
+  if (param.type.startsWith("bytes")) return ethers.zeroPadValue("0x01", Number(param.type.slice(5)));
+  if (/minanswer/.test(name)) return 100000000000n;
+  if (/maxanswer/.test(name)) return 500000000000n;
+  if (/price|answer/.test(name)) return SAMPLE_PRICE;
+  if (/timestamp|startedat|updatedat/.test(name)) return SAMPLE_TIMESTAMP;
+  if (/maxage/.test(name)) return 3600n;
+  if (/bps/.test(name)) return 500n;
+  if (/amount|value/.test(name)) return ethers.parseEther("1");
+  if (/rate/.test(name)) return 100n;
+  if (/rounding/.test(name)) return 2n;
+  return 1n; // round IDs and unnamed mapping keys
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(", ")}]`;
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value === "string" && value.length > 20 && !ethers.isAddress(value)) return `${value.slice(0, 10)}…`;
+  return String(value);
+}
+
+function describeParams(params) {
+  return params.map((param) => (param.name ? `${param.type} ${param.name}` : param.type)).join(", ");
+}
+
+/**
+ * One JSON-RPC example per view and state-changing function of each contract
+ * @param {object} abis Manifest key -> ABI
+ * @param {object} addresses mockOracle, priceConsumer, oracleToken and deployer
+ * @param {number|string} [chainId] Chain the example signatures are bound to
+ * @return {Array<object>} Examples in document order
+ */
+function buildExamples(abis, addresses, chainId = 31337) {
+  const examples = [];
+
+  for (const key of Object.keys(DOCUMENTED)) {
+    const iface = new ethers.Interface(abis[key]);
+    const fragments = [];
+    iface.forEachFunction((fragment) => fragments.push(fragment));
+    fragments.sort((a, b) => a.format().localeCompare(b.format()));
+
+    const names = fragments.map((fragment) => fragment.name);
+    for (const fragment of fragments) {
+      const overloaded = names.filter((name) => name === fragment.name).length > 1;
+      const args = fragment.inputs.map((input) => sampleValue(input, { addresses, chainId, inputs: fragment.inputs }));
+      const data = iface.encodeFunctionData(fragment, args);
+      const call = fragment.constant;
+      const tx = call ? { to: addresses[key], data } : { from: addresses.deployer, to: addresses[key], data };
+
+      examples.push({
+        id: `${key}_${overloaded ? fragment.format("sighash").replace(/\W+/g, "_").replace(/_$/, "") : fragment.name}`,
+        contract: key,
+        contractName: CONTRACTS[key],
+        signature: fragment.format("sighash"),
+        selector: fragment.selector,
+        method: call ? "eth_call" : "eth_sendTransaction",
+        args: fragment.inputs.map((input, i) => ({ name: input.name, type: input.type, value: formatValue(args[i]) })),
+        returns: describeParams(fragment.outputs),
+        stateMutability: fragment.stateMutability,
+        request: { jsonrpc: "2.0", method: call ? "eth_call" : "eth_sendTransaction", params: call ? [tx, "latest"] : [tx], id: 1 },
+      });
+    }
+  }
+  return examples;
+}
+
+function exampleDescription(example) {
+  const lines = [`\`${example.contractName}.${example.signature}\` (selector \`${example.selector}\`, ${example.stateMutability})`];
+  if (example.args.length) {
+    lines.push(`Arguments: ${example.args.map((arg) => `${arg.name || arg.type} = ${arg.value}`).join(", ")}`);
+  }
+  if (example.returns) lines.push(`Returns: ${example.returns}`);
+  return lines.join("\n");
+}
+
+// Node calls that are not tied to a contract ABI
+function nodeRequests(addresses) {
+  return [
+    { id: "eth_blockNumber", name: "Get Block Number", method: "eth_blockNumber", params: [] },
+    { id: "eth_accounts", name: "Get All Accounts", method: "eth_accounts", params: [] },
+    { id: "eth_getBalance", name: "Get Account Balance", method: "eth_getBalance", params: [addresses.deployer, "latest"] },
+    { id: "eth_gasPrice", name: "Get Gas Price", method: "eth_gasPrice", params: [] },
+  ];
+}
+
+function transactionRequests(examples) {
+  const update = examples.find((example) => example.method === "eth_sendTransaction");
+  const hash = "0x" + "ab".repeat(32);
+  return [
+    { id: "eth_getTransactionReceipt", name: "Get Transaction Receipt", method: "eth_getTransactionReceipt", params: [hash] },
+    { id: "eth_getTransactionByHash", name: "Get Transaction by Hash", method: "eth_getTransactionByHash", params: [hash] },
+    { id: "eth_estimateGas", name: "Estimate Gas", method: "eth_estimateGas", params: [update.request.params[0]] },
+  ];
+}
+
+const GENERATED_NOTE =
+  "Generated by scripts/generate-api-docs.js from the compiled ABIs; do not edit by hand. " +
+  "Run `npm run docs:api` after changing a contract or redeploying.";
+
+const STATIC_SCHEMAS = {
+  JsonRpcRequest: {
+    type: "object",
+    required: ["jsonrpc", "method", "id"],
+    properties: {
+      jsonrpc: { type: "string", enum: ["2.0"] },
+      method: { type: "string" },
+      params: { type: "array" },
+      id: { oneOf: [{ type: "number" }, { type: "string" }] },
+    },
+  },
+  ContractCallRequest: {
+    allOf: [
+      { $ref: "#/components/schemas/JsonRpcRequest" },
+      {
+        type: "object",
+        properties: {
+          method: { enum: ["eth_call"] },
+          params: {
+            type: "array",
+            prefixItems: [
+              {
+                type: "object",
+                required: ["to", "data"],
+                properties: { to: { type: "string" }, data: { type: "string" } },
+              },
+              { type: "string" },
+            ],
+            minItems: 2,
+            maxItems: 2,
+          },
+        },
+      },
+    ],
+  },
+  SendTransactionRequest: {
+    allOf: [
+      { $ref: "#/components/schemas/JsonRpcRequest" },
+      {
+        type: "object",
+        properties: {
+          method: { enum: ["eth_sendTransaction"] },
+          params: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["from", "to", "data"],
+              properties: {
+                from: { type: "string" },
+                to: { type: "string" },
+                data: { type: "string" },
+                gas: { type: "string" },
+                value: { type: "string" },
+              },
+            },
+            minItems: 1,
+            maxItems: 1,
+          },
+        },
+      },
+    ],
+  },
+  JsonRpcResponse: {
+    type: "object",
+    required: ["jsonrpc", "id"],
+    properties: {
+      jsonrpc: { type: "string", enum: ["2.0"] },
+      id: { oneOf: [{ type: "number" }, { type: "string" }] },
+      result: { description: "The result of the method call" },
+      error: { $ref: "#/components/schemas/ErrorObject" },
+    },
+  },
+  JsonRpcError: {
+    type: "object",
+    required: ["jsonrpc", "id", "error"],
+    properties: {
+      jsonrpc: { type: "string", enum: ["2.0"] },
+      id: { oneOf: [{ type: "number" }, { type: "string" }, { type: "null" }] },
+      error: { $ref: "#/components/schemas/ErrorObject" },
+    },
+  },
+  ErrorObject: {
+    type: "object",
+    required: ["code", "message"],
+    properties: {
+      code: { type: "integer" },
+      message: { type: "string" },
+      data: { description: "Additional error information" },
+    },
+  },
+};
+
+/**
+ * Build the OpenAPI document
+ * @param {Array<object>} examples From buildExamples
+ * @param {object} deployment { network, chainId, addresses }
+ */
+function buildOpenApi(examples, deployment) {
+  const { addresses } = deployment;
+  const requestExamples = {};
+  for (const request of nodeRequests(addresses)) {
+    requestExamples[request.id] = {
+      summary: request.name,
+      value: { jsonrpc: "2.0", method: request.method, params: request.params, id: 1 },
+    };
+  }
+  for (const example of examples) {
+    requestExamples[example.id] = {
+      summary: `${example.contractName}.${example.signature}`,
+      description: exampleDescription(example),
+      value: example.request,
+    };
+  }
+
+  const selectorExamples = {};
+  for (const [key, { title }] of Object.entries(DOCUMENTED)) {
+    const lines = examples
+      .filter((example) => example.contract === key)
+      .map((example) => `- \`${example.signature}\`: \`${example.selector}\``);
+    selectorExamples[`${CONTRACTS[key]}Functions`] = {
+      summary: `${title} selectors`,
+      description: `Function selectors of ${CONTRACTS[key]} (${addresses[key]}):\n\n${lines.join("\n")}`,
+    };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Oracle Smart Contract API",
+      description: [
+        "JSON-RPC API for interacting with the Oracle-enabled Smart Contract project.",
+        "Every view and state-changing function of the contracts below has one example with ABI-encoded calldata.",
+        "",
+        `## Contract Addresses (${deployment.network})`,
+        ...Object.entries(DOCUMENTED).map(([key]) => `- **${CONTRACTS[key]}**: \`${addresses[key]}\``),
+        `- **Deployer**: \`${addresses.deployer}\``,
+        "",
+        "## Usage",
+        "All requests are POST requests with JSON-RPC 2.0 format.",
+        "Set `Content-Type: application/json` in headers.",
+        "For decoded REST endpoints see openapi-gateway.yaml.",
+        "",
+        GENERATED_NOTE,
+      ].join("\n"),
+      version: "1.0.0",
+      license: { name: "MIT", url: "https://opensource.org/licenses/MIT" },
+    },
+    "x-deployment": {
+      network: deployment.network,
+      chainId: deployment.chainId,
+      contracts: addresses,
+    },
+    servers: [{ url: "http://localhost:8545", description: "Local Hardhat Network" }],
+    paths: {
+      "/": {
+        post: {
+          summary: "JSON-RPC Endpoint",
+          description: "Main JSON-RPC endpoint for Ethereum/Hardhat node",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  oneOf: [
+                    { $ref: "#/components/schemas/JsonRpcRequest" },
+                    { $ref: "#/components/schemas/ContractCallRequest" },
+                    { $ref: "#/components/schemas/SendTransactionRequest" },
+                  ],
+                },
+                examples: requestExamples,
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Successful JSON-RPC response",
+              content: { "application/json": { schema: { $ref: "#/components/schemas/JsonRpcResponse" } } },
+            },
+            400: {
+              description: "Bad Request - Invalid JSON-RPC",
+              content: { "application/json": { schema: { $ref: "#/components/schemas/JsonRpcError" } } },
+            },
+          },
+        },
+      },
+    },
+    components: { schemas: STATIC_SCHEMAS, examples: selectorExamples },
+    tags: [
+      { name: "Node Operations", description: "Basic Ethereum node operations" },
+      { name: "Contract Calls", description: "Read-only contract method calls" },
+      { name: "Transactions", description: "State-changing contract transactions" },
+    ],
+  };
+}
+
+function postmanRequest(name, body, description) {
+  // Postman substitutes {{rpc_id}} unquoted, so it is spliced in after serialising
+  const raw = JSON.stringify({ ...body, id: "__RPC_ID__" }, null, 2).replace('"__RPC_ID__"', "{{rpc_id}}");
+  return {
+    name,
+    request: {
+      method: "POST",
+      header: [{ key: "Content-Type", value: "application/json", type: "text" }],
+      body: { mode: "raw", raw },
+      url: { raw: "{{base_url}}", host: ["{{base_url}}"] },
+      description,
+    },
+    response: [],
+  };
+}
+
+/**
+ * Build the Postman collection
+ * Contract and deployer addresses are Postman globals so the collection can be
+ * pointed at another deployment without regenerating it.
+ */
+function buildPostman(examples, deployment) {
+  const { addresses } = deployment;
+  const variables = { ...Object.fromEntries(Object.entries(DOCUMENTED).map(([key, { variable }]) => [addresses[key], variable])) };
+  variables[addresses.deployer] = "deployer_address";
+
+  const withVariables = (params) =>
+    params.map((param) =>
+      param && typeof param === "object"
+        ? Object.fromEntries(Object.entries(param).map(([k, v]) => [k, variables[v] ? `{{${variables[v]}}}` : v]))
+        : param
+    );
+
+  const rpcItem = (request) =>
+    postmanRequest(request.name, { jsonrpc: "2.0", method: request.method, params: withVariables(request.params) }, request.name);
+
+  return {
+    info: {
+      name: "Oracle Smart Contract API",
+      description: `JSON-RPC collection for the Oracle-enabled Smart Contract project. ${GENERATED_NOTE}`,
+      schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json",
+      version: "1.0.0",
+    },
+    auth: { type: "noauth" },
+    event: [
+      {
+        listen: "prerequest",
+        script: {
+          type: "text/javascript",
+          exec: [
+            `// Contract addresses (${deployment.network})`,
+            ...Object.entries(DOCUMENTED).map(([key, { variable }]) => `pm.globals.set('${variable}', '${addresses[key]}');`),
+            `pm.globals.set('deployer_address', '${addresses.deployer}');`,
+            "",
+            "// Generate random ID for JSON-RPC",
+            "pm.globals.set('rpc_id', Math.floor(Math.random() * 1000000));",
+          ],
+        },
+      },
+    ],
+    variable: [{ key: "base_url", value: "http://localhost:8545", type: "string" }],
+    item: [
+      { name: "Node Operations", item: nodeRequests(addresses).map(rpcItem) },
+      ...Object.entries(DOCUMENTED).map(([key, { title }]) => ({
+        name: title,
+        item: examples
+          .filter((example) => example.contract === key)
+          .map((example) =>
+            postmanRequest(
+              example.signature,
+              { jsonrpc: "2.0", method: example.method, params: withVariables(example.request.params) },
+              exampleDescription(example)
+            )
+          ),
+      })),
+      { name: "Transaction Utilities", item: transactionRequests(examples).map(rpcItem) },
+    ],
+  };
+}
+
+// js-yaml leaves long hex strings bare, which YAML 1.1 parsers read as integers
+function quoteHex(text) {
+  return text.replace(/^(\s*(?:- )?\w+: )(0x[0-9a-fA-F]+)$/gm, "$1'$2'");
+}
+
+/**
+ * Render both documents as the text written to disk
+ * @return {{openapi: string, postman: string}}
+ */
+function renderDocs(abis, deployment) {
+  const examples = buildExamples(abis, deployment.addresses, deployment.chainId);
+  return {
+    openapi: `# ${GENERATED_NOTE}\n` + quoteHex(yaml.dump(buildOpenApi(examples, deployment), { lineWidth: -1, noRefs: true })),
+    postman: JSON.stringify(buildPostman(examples, deployment), null, 2) + "\n",
+  };
+}
+
+/**
+ * Deployment recorded in a generated openapi.yaml
+ * @return {object|null} { network, chainId, addresses }, or null for a hand-written file
+ */
+function recordedDeployment(openapiText) {
+  const recorded = yaml.load(openapiText)["x-deployment"];
+  return recorded ? { network: recorded.network, chainId: recorded.chainId, addresses: recorded.contracts } : null;
+}
+
+/**
+ * Describe how the committed documents differ from freshly rendered ones
+ * @param {{openapi: string, postman: string}} expected From renderDocs
+ * @param {{openapi: string, postman: string}} actual Committed file contents
+ * @return {Array<string>} One line per difference, empty when up to date
+ */
+function diffDocs(expected, actual) {
+  const differences = [];
+  const examplesOf = (text) => {
+    const doc = yaml.load(text);
+    return doc.paths["/"].post.requestBody.content["application/json"].examples || {};
+  };
+
+  const want = examplesOf(expected.openapi);
+  const have = examplesOf(actual.openapi);
+  for (const id of Object.keys(want)) {
+    if (!(id in have)) differences.push(`openapi.yaml: missing example ${id} (${want[id].summary})`);
+    else if (JSON.stringify(want[id]) !== JSON.stringify(have[id])) differences.push(`openapi.yaml: example ${id} is out of date`);
+  }
+  for (const id of Object.keys(have)) {
+    if (!(id in want)) differences.push(`openapi.yaml: example ${id} no longer matches a function`);
+  }
+  if (differences.length === 0 && expected.openapi !== actual.openapi) {
+    differences.push("openapi.yaml: differs from the generated document");
+  }
+  if (expected.postman !== actual.postman) {
+    differences.push("postman-collection.json: differs from the generated collection");
+  }
+  return differences;
+}
+
+module.exports = {
+  OPENAPI_FILE,
+  POSTMAN_FILE,
+  DOCUMENTED,
+  EXAMPLE_SIGNER,
+  readAbi,
+  sampleValue,
+  buildExamples,
+  buildOpenApi,
+  buildPostman,
+  renderDocs,
+  recordedDeployment,
+  diffDocs,
+};
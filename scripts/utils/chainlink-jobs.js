@@ -0,0 +1,590 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { ethers } = require("ethers");
+const TOML = require("smol-toml");
+
+/**
+ * Chainlink job specs
+ * Renders TOML specs from jobs/templates, validates them offline (fields and
+ * pipeline tasks), and talks to a node's /v2/jobs API to list, create,
+ * delete, diff and sync jobs.
+ */
+
+const JOBS_DIR = path.resolve(__dirname, "../../jobs");
+const TEMPLATES_DIR = path.join(JOBS_DIR, "templates");
+const SPECS_DIR = path.join(JOBS_DIR, "specs");
+
+// Top-level fields each job type needs besides type/schemaVersion
+const JOB_TYPES = {
+  directrequest: ["contractAddress", "observationSource"],
+  cron: ["schedule", "observationSource"],
+  webhook: ["observationSource"],
+  fluxmonitor: ["contractAddress", "observationSource"],
+  keeper: ["contractAddress", "fromAddress"],
+  offchainreporting: ["contractAddress", "observationSource"],
+};
+
+// Pipeline task types and the attributes they cannot run without
+const TASK_TYPES = {
+  http: ["method", "url"],
+  bridge: ["name"],
+  jsonparse: ["path"],
+  cborparse: ["data"],
+  multiply: ["times"],
+  divide: ["divisor"],
+  sum: [],
+  mean: [],
+  median: [],
+  mode: [],
+  any: [],
+  memo: ["value"],
+  merge: [],
+  length: [],
+  lessthan: ["left", "right"],
+  lowercase: [],
+  uppercase: [],
+  hexdecode: [],
+  hexencode: [],
+  base64decode: [],
+  base64encode: [],
+  conditional: [],
+  fail: [],
+  ethabiencode: ["abi"],
+  ethabidecode: ["abi"],
+  ethabidecodelog: ["abi"],
+  ethcall: ["contract", "data"],
+  ethtx: ["to", "data"],
+  estimategaslimit: ["to", "data"],
+};
+
+// $(...) roots that are provided by the run rather than by a task
+const PIPELINE_VARIABLES = ["jobRun", "jobSpec"];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Parse a TOML spec
+ * Integers too large for a JS number (LINK juels) become BigInt. Errors name
+ * the line and leave out the source excerpt the parser adds.
+ * @param {string} source TOML text
+ * @return {object} The spec's fields
+ */
+function parseToml(source) {
+  try {
+    return TOML.parse(source, { integersAsBigInt: "asNeeded" });
+  } catch (error) {
+    if (!(error instanceof TOML.TomlError)) throw error;
+    const [reason] = error.message.replace(/^Invalid TOML document: /, "").split("\n");
+    throw new Error(`TOML line ${error.line}: ${reason}`);
+  }
+}
+
+/**
+ * Resolve a template name (jobs/templates/<name>.toml) or path
+ * @param {string} nameOrPath Template name or file path
+ * @return {string} Template source
+ */
+function loadTemplate(nameOrPath) {
+  const file = fs.existsSync(nameOrPath) ? nameOrPath : path.join(TEMPLATES_DIR, `${nameOrPath}.toml`);
+  if (!fs.existsSync(file)) {
+    const available = fs.readdirSync(TEMPLATES_DIR).map((f) => path.basename(f, ".toml"));
+    throw new Error(`Unknown job template "${nameOrPath}" (available: ${available.join(", ")})`);
+  }
+  return fs.readFileSync(file, "utf8");
+}
+
+/**
+ * Names used by a template, with their defaults
+ * Placeholders look like {{name}} or {{name:default}}.
+ * @param {string} template Template source
+ * @return {object} name -> default (undefined when required)
+ */
+function templateVariables(template) {
+  const variables = {};
+  for (const [, name, fallback] of template.matchAll(/\{\{\s*([A-Za-z0-9_]+)\s*(?::([^}]*))?\}\}/g)) {
+    if (variables[name] === undefined) variables[name] = fallback;
+  }
+  return variables;
+}
+
+/**
+ * Fill a template's placeholders
+ * Throws listing every variable that has neither a value nor a default.
+ * @param {string} template Template source
+ * @param {object} vars Values by name
+ * @return {string} Rendered TOML
+ */
+function renderTemplate(template, vars = {}) {
+  const variables = templateVariables(template);
+  const missing = Object.keys(variables).filter((name) => vars[name] === undefined && variables[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing template variables: ${missing.join(", ")}`);
+  }
+
+  return template.replace(/\{\{\s*([A-Za-z0-9_]+)\s*(?::([^}]*))?\}\}/g, (match, name, fallback) =>
+    String(vars[name] !== undefined ? vars[name] : fallback)
+  );
+}
+
+/**
+ * Deterministic externalJobID for a job name
+ * Re-rendering the same job keeps its ID, so specs can be matched against the node.
+ * @param {string} name Job name
+ * @return {string} UUID (version 5 layout)
+ */
+function externalJobIdFor(name) {
+  const hex = ethers.id(`chainlink-job:${name}`).slice(2, 34).split("");
+  hex[12] = "5";
+  hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  const h = hex.join("");
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+}
+
+/**
+ * On-chain job ID for an externalJobID, as ChainlinkClient requests expect it
+ * The UUID's 32 hex digits (no dashes) as ASCII, e.g. for a consumer's setChainlinkConfig.
+ * @param {string} externalJobId UUID
+ * @return {string} bytes32 hex string
+ */
+function jobIdToBytes32(externalJobId) {
+  if (!UUID_PATTERN.test(externalJobId)) throw new Error(`Invalid externalJobID "${externalJobId}"`);
+  return ethers.hexlify(ethers.toUtf8Bytes(externalJobId.replace(/-/g, "").toLowerCase()));
+}
+
+/**
+ * Add an externalJobID derived from the job name when the spec has none
+ * @param {string} toml Rendered spec
+ * @return {string} Spec with an externalJobID line
+ */
+function ensureExternalJobId(toml) {
+  const spec = parseToml(toml);
+  if (spec.externalJobID || !spec.name) return toml;
+
+  const line = `externalJobID = "${externalJobIdFor(spec.name)}"`;
+  return /^name\s*=.*$/m.test(toml) ? toml.replace(/^name\s*=.*$/m, (m) => `${m}\n${line}`) : `${line}\n${toml}`;
+}
+
+/**
+ * Render a spec and give it a stable externalJobID
+ * @param {string} template Template source
+ * @param {object} vars Values by name
+ * @return {string} Spec TOML ready to post
+ */
+function buildSpec(template, vars = {}) {
+  return ensureExternalJobId(renderTemplate(template, vars));
+}
+
+/**
+ * Read a spec file: either TOML (placeholders allowed) or JSON naming a template
+ * e.g. {"template": "directrequest-price", "vars": {"pair": "ETH-USD", ...}}
+ * @param {string} file Path to a .toml or .json file
+ * @return {{template: string, vars: object}}
+ */
+function readSpecFile(file) {
+  if (path.extname(file) === ".json") {
+    const { template, vars = {} } = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!template) throw new Error(`${file} does not name a "template"`);
+    return { template: loadTemplate(template), vars };
+  }
+  return { template: fs.readFileSync(file, "utf8"), vars: {} };
+}
+
+/**
+ * Spec files in a directory, in name order
+ * @param {string} dir Directory of .toml/.json spec files
+ * @return {string[]}
+ */
+function listSpecFiles(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((f) => [".toml", ".json"].includes(path.extname(f)))
+    .sort()
+    .map((f) => path.join(dir, f));
+}
+
+// Chainlink pipelines use two DOT statements: `name [key=value ...]` declares
+// a task and `a -> b -> c` chains tasks together
+const TASK_PATTERN = /(?<!->\s*)\b(\w+)\s*\[((?:[^\]"]|"(?:[^"\\]|\\.)*")*)\]/g;
+const ATTRIBUTE_PATTERN = /(\w+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,;"\]]+))/g;
+const EDGE_PATTERN = /\w+(?:\s*->\s*\w+)+/g;
+
+/**
+ * Read the tasks and edges of a pipeline (observationSource)
+ * Only the DOT that job specs use is understood: task declarations, `->`
+ * chains and `//` or `#` comment lines. Anything else is an error.
+ * @param {string} source DOT source
+ * @return {{tasks: object, edges: Array<[string, string]>}} Tasks by name with their attributes
+ */
+function parsePipeline(source) {
+  const tasks = {};
+  const edges = [];
+  const declare = (name) => (tasks[name] = tasks[name] || {});
+  const unexpected = (text) => new Error(`Pipeline: unexpected "${text.trim().slice(0, 20)}"`);
+
+  const rest = source
+    .replace(/^\s*(\/\/|#).*$/gm, "")
+    .replace(TASK_PATTERN, (declaration, name, body) => {
+      const attrs = declare(name);
+      for (const [, key, quoted, bare] of body.matchAll(ATTRIBUTE_PATTERN)) {
+        attrs[key] = quoted !== undefined ? quoted.replace(/\\(["\\])/g, "$1") : bare;
+      }
+      if (/[^\s,;]/.test(body.replace(ATTRIBUTE_PATTERN, ""))) throw unexpected(body.replace(ATTRIBUTE_PATTERN, ""));
+      return ";";
+    })
+    .replace(EDGE_PATTERN, (chain) => {
+      const names = chain.split("->").map((name) => name.trim());
+      names.forEach(declare);
+      for (let k = 1; k < names.length; k++) edges.push([names[k - 1], names[k]]);
+      return ";";
+    });
+  if (/[^\s;]/.test(rest)) throw unexpected(rest.replace(/^[\s;]+/, ""));
+
+  return { tasks, edges };
+}
+
+/**
+ * Check a pipeline without running it
+ * @param {string} source DOT source
+ * @return {string[]} Problems found (empty when valid)
+ */
+function validatePipeline(source) {
+  let pipeline;
+  try {
+    pipeline = parsePipeline(source);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const errors = [];
+  const names = Object.keys(pipeline.tasks);
+  if (names.length === 0) errors.push("Pipeline has no tasks");
+
+  for (const [name, attrs] of Object.entries(pipeline.tasks)) {
+    if (!attrs.type) {
+      errors.push(`Task "${name}" has no type (referenced in an edge but never declared?)`);
+      continue;
+    }
+    const required = TASK_TYPES[attrs.type.toLowerCase()];
+    if (!required) {
+      errors.push(`Task "${name}" has unknown type "${attrs.type}"`);
+      continue;
+    }
+    for (const attr of required) {
+      if (attrs[attr] === undefined) errors.push(`Task "${name}" (${attrs.type}) is missing "${attr}"`);
+    }
+    for (const value of Object.values(attrs)) {
+      for (const [, root] of value.matchAll(/\$\(\s*([A-Za-z0-9_]+)/g)) {
+        if (!pipeline.tasks[root] && !PIPELINE_VARIABLES.includes(root)) {
+          errors.push(`Task "${name}" references unknown task or variable "$(${root})"`);
+        }
+      }
+    }
+  }
+
+  // Pipelines are DAGs: a cycle would never finish
+  const children = {};
+  for (const [from, to] of pipeline.edges) (children[from] = children[from] || []).push(to);
+  const state = {};
+  const visit = (name) => {
+    if (state[name] === "done") return false;
+    if (state[name] === "visiting") return true;
+    state[name] = "visiting";
+    const cyclic = (children[name] || []).some(visit);
+    state[name] = "done";
+    return cyclic;
+  };
+  if (names.some(visit)) errors.push("Pipeline contains a cycle");
+
+  return errors;
+}
+
+/**
+ * Validate a rendered spec offline (dry run)
+ * @param {string} toml Spec source
+ * @return {{valid: boolean, errors: string[], spec: object|null}}
+ */
+function validateSpec(toml) {
+  let spec;
+  try {
+    spec = parseToml(toml);
+  } catch (error) {
+    return { valid: false, errors: [error.message], spec: null };
+  }
+
+  const errors = [];
+  const required = JOB_TYPES[spec.type];
+  if (!spec.type) errors.push('Missing "type"');
+  else if (!required) errors.push(`Unsupported job type "${spec.type}"`);
+  if (spec.schemaVersion === undefined) errors.push('Missing "schemaVersion"');
+  if (spec.externalJobID !== undefined && !UUID_PATTERN.test(spec.externalJobID)) {
+    errors.push(`externalJobID "${spec.externalJobID}" is not a UUID`);
+  }
+
+  for (const field of required || []) {
+    if (spec[field] === undefined || spec[field] === "") errors.push(`Missing "${field}" for ${spec.type} jobs`);
+  }
+  for (const field of ["contractAddress", "fromAddress"]) {
+    if (spec[field] !== undefined && !ethers.isAddress(spec[field])) errors.push(`${field} "${spec[field]}" is not an address`);
+  }
+  for (const requester of spec.requesters || []) {
+    if (!ethers.isAddress(requester)) errors.push(`Requester "${requester}" is not an address`);
+  }
+  if (spec.observationSource !== undefined) {
+    errors.push(...validatePipeline(spec.observationSource));
+  }
+
+  return { valid: errors.length === 0, errors, spec };
+}
+
+// Canonical pipeline form so formatting differences do not show up as changes
+function canonicalPipeline(source) {
+  try {
+    const { tasks, edges } = parsePipeline(source || "");
+    const sorted = Object.keys(tasks)
+      .sort()
+      .map((name) => [name, Object.fromEntries(Object.entries(tasks[name]).sort())]);
+    return JSON.stringify({ tasks: sorted, edges: edges.map((e) => e.join("->")).sort() });
+  } catch (error) {
+    return (source || "").trim();
+  }
+}
+
+// Values from TOML and from the node's JSON are compared as strings
+function comparable(value) {
+  if (Array.isArray(value)) return JSON.stringify(value.map(comparable));
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return ethers.isAddress(text) ? text.toLowerCase() : text;
+}
+
+/**
+ * Compare a local spec with the job the node has
+ * Only fields set locally are compared; the node fills in many defaults.
+ * @param {object} spec Parsed local spec
+ * @param {object} job Job from the client ({id, ...attributes})
+ * @return {Array<{field: string, local: *, remote: *}>}
+ */
+function diffJob(spec, job) {
+  const specKey = Object.keys(job).find((k) => /Spec$/.test(k) && k !== "pipelineSpec" && job[k]);
+  const typeSpec = (specKey && job[specKey]) || {};
+  const changes = [];
+
+  for (const [field, local] of Object.entries(spec)) {
+    if (field === "observationSource") {
+      const remote = job.pipelineSpec ? job.pipelineSpec.dotDagSource : undefined;
+      if (canonicalPipeline(local) !== canonicalPipeline(remote)) {
+        changes.push({ field, local: local.trim(), remote: (remote || "").trim() });
+      }
+      continue;
+    }
+    const remote = field in job ? job[field] : typeSpec[field];
+    if (comparable(local) !== comparable(remote)) changes.push({ field, local, remote });
+  }
+  return changes;
+}
+
+/**
+ * Find the node's copy of a spec, by externalJobID and then by name
+ * @param {Array<object>} jobs Jobs from the client
+ * @param {object} spec Parsed local spec
+ */
+function findJob(jobs, spec) {
+  if (spec.externalJobID) {
+    const byId = jobs.find((job) => (job.externalJobID || "").toLowerCase() === spec.externalJobID.toLowerCase());
+    if (byId) return byId;
+  }
+  return jobs.find((job) => spec.name && job.name === spec.name);
+}
+
+/**
+ * Client for a Chainlink node's jobs API
+ * Authenticates with API access key headers when given, otherwise with an
+ * email/password session.
+ * @param {object} options
+ * @param {string} options.url Node URL, e.g. http://localhost:6688
+ * @param {string} [options.accessKey]
+ * @param {string} [options.secret]
+ * @param {string} [options.email]
+ * @param {string} [options.password]
+ */
+function createJobsClient({ url, accessKey, secret, email, password }) {
+  const http = axios.create({ baseURL: url, headers: { "Content-Type": "application/json" } });
+  let session = null;
+
+  async function send(method, endpoint, data, headers) {
+    try {
+      return await http.request({ method, url: endpoint, data, headers });
+    } catch (error) {
+      const details = error.response?.data?.errors?.map((e) => e.detail).join("; ");
+      const status = error.response ? ` (HTTP ${error.response.status})` : "";
+      throw new Error(`${method.toUpperCase()} ${endpoint} failed${status}: ${details || error.message}`);
+    }
+  }
+
+  async function authHeaders() {
+    if (accessKey && secret) {
+      return { "X-Chainlink-EA-AccessKey": accessKey, "X-Chainlink-EA-Secret": secret };
+    }
+    if (!email || !password) {
+      throw new Error("Chainlink node credentials missing: set CHAINLINK_API_ACCESS_KEY/SECRET or CHAINLINK_EMAIL/PASSWORD");
+    }
+    if (!session) {
+      const response = await send("post", "/sessions", { email, password });
+      session = (response.headers["set-cookie"] || []).map((cookie) => cookie.split(";")[0]).join("; ");
+    }
+    return { Cookie: session };
+  }
+
+  async function request(method, endpoint, data) {
+    return (await send(method, endpoint, data, await authHeaders())).data;
+  }
+
+  const unwrap = (resource) => ({ id: resource.id, ...resource.attributes });
+
+  return {
+    async list() {
+      const size = 100;
+      const jobs = [];
+      for (let page = 1; ; page++) {
+        const body = await request("get", `/v2/jobs?page=${page}&size=${size}`);
+        jobs.push(...body.data.map(unwrap));
+        if (body.data.length < size) return jobs;
+      }
+    },
+    async get(id) {
+      return unwrap((await request("get", `/v2/jobs/${id}`)).data);
+    },
+    async create(toml) {
+      return unwrap((await request("post", "/v2/jobs", { toml })).data);
+    },
+    async remove(id) {
+      await request("delete", `/v2/jobs/${id}`);
+    },
+  };
+}
+
+/**
+ * Resolve a job by node ID, externalJobID or name
+ * @param {object} client Jobs client
+ * @param {string} ref Reference given on the command line
+ */
+async function resolveJob(client, ref) {
+  const jobs = await client.list();
+  const needle = ref.toLowerCase();
+  const job = jobs.find(
+    (j) => String(j.id) === ref || (j.externalJobID || "").toLowerCase() === needle || j.name === ref
+  );
+  if (!job) throw new Error(`No job "${ref}" on the node`);
+  return client.get(job.id);
+}
+
+/**
+ * Bring the node in line with a set of specs
+ * Chainlink has no job update endpoint, so changed jobs are replaced. Every
+ * spec is validated before the node is touched, and the replacement is created
+ * before the old job is deleted unless they share an externalJobID, which the
+ * node only accepts once the old job is gone. The sync stops at the first step
+ * the node rejects; the error lists the steps that already ran
+ * (`error.completed`).
+ * @param {object} client Jobs client
+ * @param {Array<{file: string, toml: string}>} specs Rendered specs
+ * @param {object} [options]
+ * @param {boolean} [options.prune] Delete node jobs that have no spec
+ * @param {boolean} [options.dryRun] Only report the plan
+ * @return {Promise<Array<{action: string, name: string, file?: string, id?: string, changes?: Array}>>}
+ */
+async function syncJobs(client, specs, { prune = false, dryRun = false } = {}) {
+  const jobs = await client.list();
+  const plan = [];
+  const matched = new Set();
+
+  for (const { file, toml } of specs) {
+    const { valid, errors, spec } = validateSpec(toml);
+    if (!valid) throw new Error(`${file} is invalid:\n  - ${errors.join("\n  - ")}`);
+
+    const existing = findJob(jobs, spec);
+    if (!existing) {
+      plan.push({ action: "create", name: spec.name, file, toml });
+      continue;
+    }
+    matched.add(existing.id);
+    const changes = diffJob(spec, await client.get(existing.id));
+    const sameExternalJobId =
+      !!spec.externalJobID && (existing.externalJobID || "").toLowerCase() === spec.externalJobID.toLowerCase();
+    plan.push({
+      action: changes.length ? "update" : "unchanged",
+      name: spec.name,
+      file,
+      id: existing.id,
+      changes,
+      toml,
+      sameExternalJobId,
+    });
+  }
+  if (prune) {
+    for (const job of jobs.filter((j) => !matched.has(j.id))) {
+      plan.push({ action: "delete", name: job.name, id: job.id });
+    }
+  }
+
+  const report = ({ toml, sameExternalJobId, removed, ...step }) => step;
+  if (dryRun) return plan.map(report);
+
+  const completed = [];
+  for (const step of plan) {
+    try {
+      await applyStep(client, step);
+    } catch (error) {
+      const ran = completed.length ? completed.map((s) => `${s.action} ${s.name}`).join(", ") : "none";
+      const lost = step.removed ? `; its old job ${step.id} was already deleted` : "";
+      const failure = new Error(`Sync stopped at ${step.action} ${step.name}: ${error.message}${lost}. Completed: ${ran}`);
+      failure.completed = completed.map(report);
+      throw failure;
+    }
+    completed.push(step);
+  }
+  return plan.map(report);
+}
+
+async function applyStep(client, step) {
+  if (step.action === "create") {
+    step.id = (await client.create(step.toml)).id;
+  } else if (step.action === "delete") {
+    await client.remove(step.id);
+  } else if (step.action === "update" && step.sameExternalJobId) {
+    await client.remove(step.id);
+    step.removed = true;
+    step.id = (await client.create(step.toml)).id;
+  } else if (step.action === "update") {
+    const created = await client.create(step.toml);
+    await client.remove(step.id);
+    step.id = created.id;
+  }
+}
+
+module.exports = {
+  JOBS_DIR,
+  TEMPLATES_DIR,
+  SPECS_DIR,
+  JOB_TYPES,
+  TASK_TYPES,
+  loadTemplate,
+  templateVariables,
+  renderTemplate,
+  externalJobIdFor,
+  jobIdToBytes32,
+  ensureExternalJobId,
+  buildSpec,
+  readSpecFile,
+  listSpecFiles,
+  parseToml,
+  parsePipeline,
+  validatePipeline,
+  validateSpec,
+  diffJob,
+  findJob,
+  createJobsClient,
+  resolveJob,
+  syncJobs,
+};
@@ -0,0 +1,208 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Deployment manifests
+ * scripts/deploy.js writes deployments/<network>.json; every other script
+ * loads contract addresses from it through this module instead of .env.
+ */
+
+const DEPLOYMENTS_DIR = path.resolve(__dirname, "../../deployments");
+
+// Manifest key -> compiled contract name
+const CONTRACTS = {
+  mockOracle: "MockV3Aggregator",
+  priceConsumer: "PriceConsumer",
+  oracleToken: "OracleToken",
+  oracleVault: "OracleVault",
+  priceUpkeep: "PriceUpkeep",
+  linkToken: "MockLinkToken", // local networks only
+  operator: "MockOperator", // local networks only
+  priceFeed: "AggregatorV3Interface", // existing feed, not deployed by us
+};
+
+// Manifest key -> UUPS variant deployed behind a proxy (DEPLOY_UPGRADEABLE=true)
+const UPGRADEABLE_CONTRACTS = {
+  priceConsumer: "PriceConsumerUpgradeable",
+  oracleToken: "OracleTokenUpgradeable",
+};
+
+// ERC-1967 slot holding a proxy's implementation: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Path of the manifest for a network
+ * @param {string} network The Hardhat network name
+ * @param {string} [dir] Directory holding manifests
+ */
+function manifestPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Describe a freshly deployed contract for the manifest
+ * @param {object} contract The deployed ethers contract (after waitForDeployment)
+ * @param {Array} constructorArgs Arguments passed to the constructor
+ * @param {string} contractName The compiled contract name
+ * @return {Promise<object>} Manifest entry
+ */
+async function recordDeployment(contract, constructorArgs, contractName) {
+  const provider = contract.runner.provider;
+  const address = await contract.getAddress();
+  const tx = contract.deploymentTransaction();
+  const receipt = tx ? await tx.wait() : null;
+  const code = await provider.getCode(address);
+
+  return {
+    contractName,
+    address,
+    transactionHash: tx ? tx.hash : null,
+    blockNumber: receipt ? receipt.blockNumber : null,
+    constructorArgs: constructorArgs.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg)),
+    bytecodeHash: ethers.keccak256(code),
+  };
+}
+
+/**
+ * Read the implementation an ERC-1967 proxy currently delegates to
+ * @param {object} provider An ethers provider
+ * @param {string} proxyAddress The proxy address
+ * @return {Promise<string>} The implementation address (zero address if not a proxy)
+ */
+async function getImplementationAddress(provider, proxyAddress) {
+  const word = await provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+  return ethers.getAddress(ethers.dataSlice(word, 12));
+}
+
+/**
+ * Write a manifest, replacing any previous deployment on that network
+ * @param {string} network The Hardhat network name
+ * @param {object} manifest The manifest contents
+ * @param {string} [dir] Directory holding manifests
+ * @return {string} The file written
+ */
+function writeManifest(network, manifest, dir = DEPLOYMENTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = manifestPath(network, dir);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Read a manifest without touching the chain
+ * @param {string} network The Hardhat network name
+ * @param {string} [dir] Directory holding manifests
+ * @return {object} The manifest
+ */
+function readManifest(network, dir = DEPLOYMENTS_DIR) {
+  const file = manifestPath(network, dir);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment manifest for network "${network}" (${file}). Run the deploy script first.`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Check that every contract in the manifest is still deployed on the connected chain
+ * Throws if the chain ID differs or an address has no code / different code.
+ * @param {object} provider An ethers provider for the target chain
+ * @param {object} manifest The manifest to check
+ */
+async function verifyManifest(provider, manifest) {
+  const { chainId } = await provider.getNetwork();
+  if (manifest.chainId !== undefined && BigInt(manifest.chainId) !== chainId) {
+    throw new Error(
+      `Deployment manifest for "${manifest.network}" targets chain ${manifest.chainId}, but the provider is on chain ${chainId}`
+    );
+  }
+
+  // Registered pairs (manifest.feeds) are checked like contracts
+  const entries = [
+    ...Object.entries(manifest.contracts),
+    ...Object.entries(manifest.feeds || {}).map(([pair, entry]) => [`feeds.${pair}`, entry]),
+  ];
+
+  const problems = [];
+  for (const [key, entry] of entries) {
+    const code = await provider.getCode(entry.address);
+    if (code === "0x") {
+      problems.push(`${key} (${entry.contractName}) has no code at ${entry.address}`);
+    } else if (entry.bytecodeHash && ethers.keccak256(code) !== entry.bytecodeHash) {
+      problems.push(`${key} (${entry.contractName}) at ${entry.address} does not match the recorded bytecode`);
+    } else if (entry.proxy) {
+      problems.push(...(await implementationProblems(provider, key, entry)));
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(
+      `Deployment manifest for "${manifest.network}" is stale (was the node restarted?):\n  - ` +
+        problems.join("\n  - ") +
+        `\nRedeploy with: npx hardhat run scripts/deploy.js --network ${manifest.network}`
+    );
+    error.code = "STALE_DEPLOYMENT";
+    throw error;
+  }
+}
+
+// A proxy must still delegate to the last implementation scripts/upgrade.js recorded
+async function implementationProblems(provider, key, entry) {
+  const recorded = entry.proxy.implementations[entry.proxy.implementations.length - 1];
+  const implementation = await getImplementationAddress(provider, entry.address);
+  if (implementation !== recorded.address) {
+    return [`${key} (${entry.contractName}) at ${entry.address} delegates to ${implementation}, not ${recorded.address}`];
+  }
+  const code = await provider.getCode(implementation);
+  if (ethers.keccak256(code) !== recorded.bytecodeHash) {
+    return [`${key} (${entry.contractName}) implementation at ${implementation} does not match the recorded bytecode`];
+  }
+  return [];
+}
+
+/**
+ * Load and verify the manifest for the network Hardhat is connected to
+ * @param {object} hre The Hardhat runtime environment
+ * @return {Promise<object>} The verified manifest
+ */
+async function loadDeployment(hre) {
+  const manifest = readManifest(hre.network.name);
+  await verifyManifest(hre.ethers.provider, manifest);
+  return manifest;
+}
+
+/**
+ * Attach ethers contract instances for every manifest entry
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} [signer] Signer to connect, defaults to the first account
+ * @return {Promise<object>} Contracts keyed like the manifest, `feeds` keyed by pair, plus the manifest itself
+ */
+async function getDeployedContracts(hre, signer) {
+  const manifest = await loadDeployment(hre);
+  const runner = signer || (await hre.ethers.getSigners())[0];
+
+  const contracts = { manifest };
+  for (const [key, entry] of Object.entries(manifest.contracts)) {
+    contracts[key] = await hre.ethers.getContractAt(entry.contractName, entry.address, runner);
+  }
+  contracts.feeds = {};
+  for (const [pair, entry] of Object.entries(manifest.feeds || {})) {
+    contracts.feeds[pair] = await hre.ethers.getContractAt(entry.contractName, entry.address, runner);
+  }
+  return contracts;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  CONTRACTS,
+  UPGRADEABLE_CONTRACTS,
+  IMPLEMENTATION_SLOT,
+  manifestPath,
+  recordDeployment,
+  getImplementationAddress,
+  writeManifest,
+  readManifest,
+  verifyManifest,
+  loadDeployment,
+  getDeployedContracts,
+};
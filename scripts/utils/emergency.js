@@ -0,0 +1,118 @@
+/**
+ * Emergency pauses across the oracle stack
+ * PriceConsumer can pause signed price updates and feed refreshes; OracleToken
+ * can pause minting and, separately, transfers; OracleVault can pause
+ * redemptions. Each contract's `guardian` (the token's, for the vault) or owner
+ * can pause, only the owner unpauses.
+ * scripts/incident-pause.js and the emergency:* tasks both go through here.
+ */
+
+// Pause name -> manifest contract, state getter and the functions that flip it
+const PAUSES = {
+  signedUpdates: {
+    contract: "priceConsumer",
+    flag: "signedUpdatesPaused",
+    pause: "pauseSignedUpdates",
+    unpause: "unpauseSignedUpdates",
+  },
+  feedRefreshes: {
+    contract: "priceConsumer",
+    flag: "feedRefreshesPaused",
+    pause: "pauseFeedRefreshes",
+    unpause: "unpauseFeedRefreshes",
+  },
+  minting: { contract: "oracleToken", flag: "mintingPaused", pause: "pauseMinting", unpause: "unpauseMinting" },
+  transfers: { contract: "oracleToken", flag: "transfersPaused", pause: "pauseTransfers", unpause: "unpauseTransfers" },
+  redemptions: {
+    contract: "oracleVault",
+    flag: "redemptionsPaused",
+    pause: "pauseRedemptions",
+    unpause: "unpauseRedemptions",
+  },
+};
+
+/**
+ * Read every pause flag and who can change them
+ * @param {{priceConsumer: object, oracleToken: object, oracleVault: object}} contracts Deployed contracts
+ * @param {string} [account] Also report whether this account can pause each contract
+ * @return {Promise<object>} `paused` by pause name, and each contract's owner and guardian
+ *   (the vault reports only its owner; its guardian is the token's)
+ */
+async function getEmergencyState({ priceConsumer, oracleToken, oracleVault }, account) {
+  const [
+    signedUpdates,
+    feedRefreshes,
+    minting,
+    transfers,
+    redemptions,
+    consumerOwner,
+    consumerGuardian,
+    tokenOwner,
+    tokenGuardian,
+    vaultOwner,
+  ] = await Promise.all([
+    priceConsumer.signedUpdatesPaused(),
+    priceConsumer.feedRefreshesPaused(),
+    oracleToken.mintingPaused(),
+    oracleToken.transfersPaused(),
+    oracleVault.redemptionsPaused(),
+    priceConsumer.owner(),
+    priceConsumer.guardian(),
+    oracleToken.owner(),
+    oracleToken.guardian(),
+    oracleVault.owner(),
+  ]);
+  const state = {
+    paused: { signedUpdates, feedRefreshes, minting, transfers, redemptions },
+    priceConsumer: { owner: consumerOwner, guardian: consumerGuardian },
+    oracleToken: { owner: tokenOwner, guardian: tokenGuardian },
+    oracleVault: { owner: vaultOwner },
+  };
+  if (account) {
+    state.account = {
+      address: account,
+      canPauseConsumer: account === consumerGuardian || account === consumerOwner,
+      canPauseToken: account === tokenGuardian || account === tokenOwner,
+      canPauseVault: account === tokenGuardian || account === vaultOwner,
+      isOwner: account === consumerOwner && account === tokenOwner && account === vaultOwner,
+    };
+  }
+  return state;
+}
+
+/**
+ * Pause or unpause several parts of the stack, one transaction each
+ * Parts already in the requested state are skipped. A part that fails does not
+ * stop the others, so one missing role cannot keep the rest running.
+ * @param {object} contracts Deployed contracts, as from getDeployedContracts
+ * @param {Array<string>} names Keys of PAUSES
+ * @param {boolean} paused true to pause, false to unpause
+ * @return {Promise<{changed: Array<object>, unchanged: Array<string>, failed: Array<object>}>}
+ *   `changed` holds {name, receipt}, `failed` holds {name, error}
+ */
+async function setPaused(contracts, names, paused) {
+  const result = { changed: [], unchanged: [], failed: [] };
+  for (const name of names) {
+    const pause = PAUSES[name];
+    if (!pause) throw new Error(`Unknown pause ${name} (expected ${Object.keys(PAUSES).join(", ")})`);
+    const contract = contracts[pause.contract];
+
+    if ((await contract[pause.flag]()) === paused) {
+      result.unchanged.push(name);
+      continue;
+    }
+    try {
+      const receipt = await (await contract[paused ? pause.pause : pause.unpause]()).wait();
+      result.changed.push({ name, receipt });
+    } catch (error) {
+      result.failed.push({ name, error });
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  PAUSES,
+  getEmergencyState,
+  setPaused,
+};
@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { CONTRACTS, recordDeployment } = require("./deployments");
+
+/**
+ * Multi-asset feed configuration
+ * config/feeds.json lists the pairs PriceConsumer registers. Each entry either
+ * names an existing `aggregator` or gets a MockV3Aggregator deployed with
+ * `decimals` and `initialAnswer`. The first entry is the consumer's main feed.
+ */
+
+const FEEDS_CONFIG = path.resolve(__dirname, "../../config/feeds.json");
+
+/**
+ * Pair ID used by the contract, e.g. "BTC/USD" -> bytes32("BTC/USD")
+ * @param {string} pair The pair name
+ * @return {string} The bytes32 pair ID
+ */
+function toPairId(pair) {
+  if (typeof pair !== "string" || !/^[A-Za-z0-9]+\/[A-Za-z0-9]+$/.test(pair)) {
+    throw new Error(`Invalid pair "${pair}" (expected BASE/QUOTE, e.g. BTC/USD)`);
+  }
+  if (Buffer.byteLength(pair) > 31) {
+    throw new Error(`Pair "${pair}" is longer than 31 bytes`);
+  }
+  return ethers.encodeBytes32String(pair);
+}
+
+/**
+ * Pair name for a bytes32 pair ID
+ * @param {string} pairId The bytes32 pair ID
+ * @return {string}
+ */
+function pairName(pairId) {
+  return ethers.decodeBytes32String(pairId);
+}
+
+/**
+ * Read and validate a feeds config file
+ * @param {string} [file] Config path, defaults to config/feeds.json
+ * @return {Array<object>} Feeds with `pair`, `pairId` and either `aggregator` or `decimals` + `initialAnswer` (base units)
+ */
+function loadFeedConfig(file = FEEDS_CONFIG) {
+  const { feeds } = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(feeds) || feeds.length === 0) {
+    throw new Error(`${file} must list at least one feed under "feeds"`);
+  }
+
+  const seen = new Set();
+  return feeds.map((feed, i) => {
+    const label = `${path.basename(file)} feeds[${i}]`;
+    const pairId = toPairId(feed.pair);
+    if (seen.has(feed.pair)) throw new Error(`${label}: duplicate pair ${feed.pair}`);
+    seen.add(feed.pair);
+
+    if (feed.signer !== undefined && !ethers.isAddress(feed.signer)) {
+      throw new Error(`${label}: signer ${feed.signer} is not an address`);
+    }
+    if (feed.aggregator !== undefined) {
+      if (!ethers.isAddress(feed.aggregator)) throw new Error(`${label}: aggregator ${feed.aggregator} is not an address`);
+      return { pair: feed.pair, pairId, aggregator: ethers.getAddress(feed.aggregator), signer: feed.signer };
+    }
+
+    if (!Number.isInteger(feed.decimals) || feed.decimals < 0 || feed.decimals > 18) {
+      throw new Error(`${label}: decimals must be an integer from 0 to 18`);
+    }
+    let initialAnswer;
+    try {
+      initialAnswer = ethers.parseUnits(String(feed.initialAnswer), feed.decimals);
+    } catch (error) {
+      throw new Error(`${label}: initialAnswer ${feed.initialAnswer} is not a decimal with at most ${feed.decimals} places`);
+    }
+    return { pair: feed.pair, pairId, decimals: feed.decimals, initialAnswer, signer: feed.signer };
+  });
+}
+
+/**
+ * Deploy the mock for a configured feed, or attach its existing aggregator
+ * @param {object} ethers The Hardhat ethers plugin (hre.ethers)
+ * @param {object} feed An entry returned by loadFeedConfig
+ * @return {Promise<{contract: object, entry: object}>} The aggregator and its manifest entry
+ */
+async function deployFeed(ethers, feed) {
+  if (feed.aggregator) {
+    const code = await ethers.provider.getCode(feed.aggregator);
+    if (code === "0x") throw new Error(`${feed.pair}: no contract deployed at ${feed.aggregator}`);
+    return {
+      contract: await ethers.getContractAt(CONTRACTS.priceFeed, feed.aggregator),
+      entry: {
+        contractName: CONTRACTS.priceFeed,
+        address: feed.aggregator,
+        transactionHash: null,
+        blockNumber: null,
+        constructorArgs: [],
+        bytecodeHash: ethers.keccak256(code),
+      },
+    };
+  }
+
+  const args = [feed.decimals, feed.initialAnswer];
+  const MockV3Aggregator = await ethers.getContractFactory(CONTRACTS.mockOracle);
+  const contract = await MockV3Aggregator.deploy(...args);
+  await contract.waitForDeployment();
+  return { contract, entry: await recordDeployment(contract, args, CONTRACTS.mockOracle) };
+}
+
+module.exports = {
+  FEEDS_CONFIG,
+  toPairId,
+  pairName,
+  loadFeedConfig,
+  deployFeed,
+};
@@ -0,0 +1,144 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+/**
+ * Read-only HTTP API over the indexer store
+ * All endpoints are GET and return JSON. List endpoints accept `since`/`until`
+ * (unix seconds or an ISO date), `order` (asc|desc, newest first by default),
+ * `limit` (default 100, max 1000) and `offset`.
+ *
+ *   GET /status                  Checkpoint, chain and row counts
+ *   GET /rounds                  Feed rounds (?feed=<address> or ?pair=ETH/USD)
+ *   GET /signed-updates          Signed price updates (?pair=BTC/USD, ?pair=main, ?signer=<address>)
+ *   GET /mints                   Price-based mints (?to=<address>)
+ *   GET /mints/by-address        Minted totals per recipient
+ *   GET /supply                  Total supply after every mint and burn
+ *   GET /events                  Raw decoded events (?contract=priceConsumer&event=PriceUpdated)
+ */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Parse a time filter given as unix seconds or an ISO date
+ * @return {number|undefined} Unix seconds
+ */
+function parseTime(value, name) {
+  if (value === null) return undefined;
+  if (/^\d+$/.test(value)) return Number(value);
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw badRequest(`${name} must be unix seconds or an ISO date, got "${value}"`);
+  return Math.floor(ms / 1000);
+}
+
+function parseAddress(value, name) {
+  if (value === null) return undefined;
+  if (!ethers.isAddress(value)) throw badRequest(`${name} must be an address, got "${value}"`);
+  return ethers.getAddress(value);
+}
+
+function parseCount(value, name, fallback, max) {
+  if (value === null) return fallback;
+  if (!/^\d+$/.test(value)) throw badRequest(`${name} must be a non-negative integer, got "${value}"`);
+  return Math.min(Number(value), max);
+}
+
+/**
+ * Common list options from the query string
+ */
+function listOptions(query) {
+  const order = query.get("order") || "desc";
+  if (!["asc", "desc"].includes(order)) throw badRequest(`order must be asc or desc, got "${order}"`);
+  return {
+    since: parseTime(query.get("since"), "since"),
+    until: parseTime(query.get("until"), "until"),
+    order,
+    limit: parseCount(query.get("limit"), "limit", DEFAULT_LIMIT, MAX_LIMIT),
+    offset: parseCount(query.get("offset"), "offset", 0, Number.MAX_SAFE_INTEGER),
+  };
+}
+
+// The main feed's signed updates (updatePriceWithSignature) have no pair
+function parsePair(value) {
+  if (value === null) return undefined;
+  return value === "main" ? null : value;
+}
+
+const ROUTES = {
+  "/status": (store) => ({
+    chainId: store.getMeta("scope")?.chainId ?? null,
+    contracts: store.getMeta("scope")?.contracts ?? {},
+    checkpoint: store.getCheckpoint(),
+    totalSupply: store.totalSupply(),
+    counts: store.counts(),
+  }),
+
+  "/rounds": (store, query) => ({
+    rounds: store.rounds({
+      ...listOptions(query),
+      feed: parseAddress(query.get("feed"), "feed"),
+      pair: query.get("pair") ?? undefined,
+    }),
+  }),
+
+  "/signed-updates": (store, query) => ({
+    updates: store.signedUpdates({
+      ...listOptions(query),
+      pair: parsePair(query.get("pair")),
+      signer: parseAddress(query.get("signer"), "signer"),
+    }),
+  }),
+
+  "/mints": (store, query) => {
+    const mints = store.mints({ ...listOptions(query), recipient: parseAddress(query.get("to"), "to") });
+    const total = mints.reduce((sum, mint) => sum + BigInt(mint.amount), 0n);
+    return { mints, totalAmount: total.toString() };
+  },
+
+  "/mints/by-address": (store) => ({ recipients: store.mintTotals() }),
+
+  "/supply": (store, query) => ({ totalSupply: store.totalSupply(), points: store.supply(listOptions(query)) }),
+
+  "/events": (store, query) => ({
+    events: store.events({
+      ...listOptions(query),
+      contract: query.get("contract") ?? undefined,
+      event: query.get("event") ?? undefined,
+    }),
+  }),
+};
+
+/**
+ * Create the API server (call .listen to start it)
+ * @param {object} store Store from openStore
+ * @param {object} [options]
+ * @param {object} [options.logger] Structured logger
+ * @return {http.Server}
+ */
+function createApi(store, { logger } = {}) {
+  return http.createServer((req, res) => {
+    const send = (status, payload) => {
+      res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+      res.end(JSON.stringify(payload, null, 2));
+    };
+
+    const url = new URL(req.url, "http://localhost");
+    const route = ROUTES[url.pathname.replace(/\/+$/, "") || "/status"];
+    if (!route) return send(404, { error: `Unknown endpoint ${url.pathname}`, endpoints: Object.keys(ROUTES) });
+    if (req.method !== "GET") return send(405, { error: "Only GET is supported" });
+
+    try {
+      send(200, route(store, url.searchParams));
+    } catch (error) {
+      if (error.status) return send(error.status, { error: error.message });
+      if (logger) logger.error("api request failed", { path: url.pathname, error: error.message });
+      send(500, { error: "Internal error" });
+    }
+  });
+}
+
+module.exports = { createApi, parseTime, DEFAULT_LIMIT, MAX_LIMIT };
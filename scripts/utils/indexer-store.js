@@ -0,0 +1,318 @@
+const Database = require("better-sqlite3");
+
+/**
+ * SQLite store for the event indexer
+ * Every table is keyed by (block_number, log_index) so a reorg rolls back with
+ * one DELETE per table. Large integers (prices, amounts, round IDs) are stored
+ * as decimal strings; timestamps are block timestamps in unix seconds.
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    contract TEXT NOT NULL,
+    address TEXT NOT NULL,
+    event TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS rounds (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    feed TEXT NOT NULL,
+    pair TEXT,
+    round_id TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    started_by TEXT,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS signed_updates (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    pair TEXT,
+    price TEXT NOT NULL,
+    price_timestamp INTEGER NOT NULL,
+    signer TEXT,
+    message_hash TEXT,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS mints (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    price TEXT NOT NULL,
+    normalized_price TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS supply (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    delta TEXT NOT NULL,
+    total_supply TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS events_by_name ON events (contract, event);
+  CREATE INDEX IF NOT EXISTS rounds_by_feed ON rounds (feed, timestamp);
+  CREATE INDEX IF NOT EXISTS signed_updates_by_time ON signed_updates (timestamp);
+  CREATE INDEX IF NOT EXISTS mints_by_recipient ON mints (recipient, timestamp);
+`;
+
+const DATA_TABLES = ["events", "rounds", "signed_updates", "mints", "supply"];
+
+// Columns shared by every data table, exposed in camelCase by the query API
+const POSITION = "block_number AS blockNumber, log_index AS logIndex, tx_hash AS txHash, timestamp";
+
+const QUERIES = {
+  events: `SELECT ${POSITION}, contract, address, event, args FROM events`,
+  rounds: `SELECT ${POSITION}, feed, pair, round_id AS roundId, answer, updated_at AS updatedAt, started_by AS startedBy FROM rounds`,
+  signedUpdates: `SELECT ${POSITION}, pair, price, price_timestamp AS priceTimestamp, signer, message_hash AS messageHash FROM signed_updates`,
+  mints: `SELECT ${POSITION}, recipient, amount, price, normalized_price AS normalizedPrice FROM mints`,
+  supply: `SELECT ${POSITION}, delta, total_supply AS totalSupply FROM supply`,
+};
+
+/**
+ * Build WHERE/ORDER/LIMIT for a list query
+ * @param {object} filter Column equality filters plus since/until (unix seconds), order, limit and offset
+ * @param {object} columns Map of filter name to column name for equality filters
+ */
+function listClause(filter, columns) {
+  const where = [];
+  const params = {};
+  for (const [name, column] of Object.entries(columns)) {
+    if (filter[name] === undefined) continue;
+    if (filter[name] === null) {
+      where.push(`${column} IS NULL`);
+    } else {
+      where.push(`${column} = @${name}`);
+      params[name] = filter[name];
+    }
+  }
+  if (filter.since !== undefined) {
+    where.push("timestamp >= @since");
+    params.since = filter.since;
+  }
+  if (filter.until !== undefined) {
+    where.push("timestamp <= @until");
+    params.until = filter.until;
+  }
+
+  const direction = filter.order === "asc" ? "ASC" : "DESC";
+  let sql = where.length ? ` WHERE ${where.join(" AND ")}` : "";
+  sql += ` ORDER BY block_number ${direction}, log_index ${direction}`;
+  if (filter.limit !== undefined) {
+    sql += " LIMIT @limit OFFSET @offset";
+    params.limit = filter.limit;
+    params.offset = filter.offset || 0;
+  }
+  return { sql, params };
+}
+
+/**
+ * Open (and create if needed) an indexer database
+ * @param {string} [file] Database path, defaults to an in-memory database
+ * @param {object} [options]
+ * @param {number} [options.reorgDepth] Number of recent blocks whose hashes are kept for reorg detection
+ */
+function openStore(file = ":memory:", { reorgDepth = 64 } = {}) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const statements = {
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"),
+    getBlock: db.prepare("SELECT number, hash, timestamp FROM blocks WHERE number = ?"),
+    recentBlocks: db.prepare("SELECT number, hash, timestamp FROM blocks WHERE number <= ? ORDER BY number DESC"),
+    addBlock: db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (@number, @hash, @timestamp)"),
+    pruneBlocks: db.prepare("DELETE FROM blocks WHERE number < ?"),
+    addEvent: db.prepare(
+      `INSERT INTO events (block_number, log_index, tx_hash, timestamp, contract, address, event, args)
+       VALUES (@blockNumber, @logIndex, @txHash, @timestamp, @contract, @address, @event, @args)`
+    ),
+    addRound: db.prepare(
+      `INSERT INTO rounds (block_number, log_index, tx_hash, timestamp, feed, pair, round_id, answer, updated_at)
+       VALUES (@blockNumber, @logIndex, @txHash, @timestamp, @feed, @pair, @roundId, @answer, @updatedAt)`
+    ),
+    setRoundStarter: db.prepare(
+      "UPDATE rounds SET started_by = @startedBy WHERE tx_hash = @txHash AND feed = @feed AND round_id = @roundId"
+    ),
+    addSignedUpdate: db.prepare(
+      `INSERT INTO signed_updates (block_number, log_index, tx_hash, timestamp, pair, price, price_timestamp)
+       VALUES (@blockNumber, @logIndex, @txHash, @timestamp, @pair, @price, @priceTimestamp)`
+    ),
+    // SignatureVerified directly follows the update it belongs to
+    setSigner: db.prepare(
+      `UPDATE signed_updates SET signer = @signer, message_hash = @messageHash
+       WHERE block_number = @blockNumber AND log_index = @logIndex - 1`
+    ),
+    addMint: db.prepare(
+      `INSERT INTO mints (block_number, log_index, tx_hash, timestamp, recipient, amount, price, normalized_price)
+       VALUES (@blockNumber, @logIndex, @txHash, @timestamp, @recipient, @amount, @price, @normalizedPrice)`
+    ),
+    lastSupply: db.prepare("SELECT total_supply AS totalSupply FROM supply ORDER BY block_number DESC, log_index DESC LIMIT 1"),
+    addSupply: db.prepare(
+      `INSERT INTO supply (block_number, log_index, tx_hash, timestamp, delta, total_supply)
+       VALUES (@blockNumber, @logIndex, @txHash, @timestamp, @delta, @totalSupply)`
+    ),
+    mintTotals: db.prepare(
+      "SELECT recipient, COUNT(*) AS count, group_concat(amount) AS amounts FROM mints GROUP BY recipient"
+    ),
+    counts: db.prepare(DATA_TABLES.map((table) => `SELECT '${table}' AS name, COUNT(*) AS count FROM ${table}`).join(" UNION ALL ")),
+  };
+  const rollbackStatements = DATA_TABLES.map((table) => db.prepare(`DELETE FROM ${table} WHERE block_number > ?`));
+
+  function getMeta(key) {
+    const row = statements.getMeta.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  function setMeta(key, value) {
+    statements.setMeta.run(key, JSON.stringify(value));
+  }
+
+  function list(query, filter, columns) {
+    const { sql, params } = listClause(filter, columns);
+    return db.prepare(QUERIES[query] + sql).all(params);
+  }
+
+  return {
+    db,
+    transaction: (fn) => db.transaction(fn)(),
+    close: () => db.close(),
+
+    getMeta,
+    setMeta,
+
+    /**
+     * Last fully indexed block
+     * @return {{number: number, hash: string, timestamp: number}|null}
+     */
+    getCheckpoint() {
+      const number = getMeta("checkpoint");
+      return number === null ? null : statements.getBlock.get(number) || null;
+    },
+
+    /**
+     * Record a block as fully indexed and forget hashes older than the reorg window
+     */
+    setCheckpoint(block) {
+      statements.addBlock.run(block);
+      setMeta("checkpoint", block.number);
+      statements.pruneBlocks.run(block.number - reorgDepth);
+    },
+
+    /** Remember the hash of a block that produced events */
+    addBlock(block) {
+      statements.addBlock.run(block);
+    },
+
+    /** Recorded blocks at or below the checkpoint, newest first */
+    recentBlocks() {
+      const checkpoint = getMeta("checkpoint");
+      return checkpoint === null ? [] : statements.recentBlocks.all(checkpoint);
+    },
+
+    /**
+     * Drop everything indexed after a block and make it the checkpoint
+     * @param {number|null} number Common ancestor, or null to start over
+     */
+    rollback(number) {
+      db.transaction(() => {
+        const floor = number === null ? -1 : number;
+        for (const statement of rollbackStatements) statement.run(floor);
+        db.prepare("DELETE FROM blocks WHERE number > ?").run(floor);
+        if (number === null) db.prepare("DELETE FROM meta WHERE key = 'checkpoint'").run();
+        else setMeta("checkpoint", number);
+      })();
+    },
+
+    /** Delete all indexed data and metadata */
+    reset() {
+      db.transaction(() => {
+        for (const table of [...DATA_TABLES, "blocks", "meta"]) db.prepare(`DELETE FROM ${table}`).run();
+      })();
+    },
+
+    addEvent: (event) => statements.addEvent.run({ ...event, args: JSON.stringify(event.args) }),
+    addRound: (round) => statements.addRound.run(round),
+    setRoundStarter: (start) => statements.setRoundStarter.run(start),
+    addSignedUpdate: (update) => statements.addSignedUpdate.run(update),
+    setSigner: (verification) => statements.setSigner.run(verification),
+    addMint: (mint) => statements.addMint.run(mint),
+
+    /**
+     * Record a mint or burn and the resulting total supply
+     * @param {object} change Position fields plus `delta` (bigint, negative for burns)
+     */
+    addSupplyChange(change) {
+      const last = statements.lastSupply.get();
+      const totalSupply = (last ? BigInt(last.totalSupply) : 0n) + change.delta;
+      statements.addSupply.run({ ...change, delta: change.delta.toString(), totalSupply: totalSupply.toString() });
+    },
+
+    events: (filter = {}) =>
+      list("events", filter, { contract: "contract", event: "event" }).map((row) => ({ ...row, args: JSON.parse(row.args) })),
+    rounds: (filter = {}) => list("rounds", filter, { feed: "feed", pair: "pair" }),
+    signedUpdates: (filter = {}) => list("signedUpdates", filter, { pair: "pair", signer: "signer" }),
+    mints: (filter = {}) => list("mints", filter, { recipient: "recipient" }),
+    supply: (filter = {}) => list("supply", filter, {}),
+
+    /**
+     * Minted amount per recipient, largest first
+     * @return {Array<{recipient: string, count: number, totalAmount: string}>}
+     */
+    mintTotals() {
+      return statements.mintTotals
+        .all()
+        .map(({ recipient, count, amounts }) => ({
+          recipient,
+          count,
+          total: amounts.split(",").reduce((sum, amount) => sum + BigInt(amount), 0n),
+        }))
+        .sort((a, b) => (a.total === b.total ? 0 : a.total > b.total ? -1 : 1))
+        .map(({ recipient, count, total }) => ({ recipient, count, totalAmount: total.toString() }));
+    },
+
+    /** Current total supply as a decimal string */
+    totalSupply() {
+      const last = statements.lastSupply.get();
+      return last ? last.totalSupply : "0";
+    },
+
+    /** Row count per data table */
+    counts() {
+      return Object.fromEntries(statements.counts.all().map(({ name, count }) => [name, count]));
+    },
+  };
+}
+
+module.exports = { openStore, SCHEMA };
@@ -0,0 +1,38 @@
+/**
+ * Structured logger for long-running services
+ * Writes one JSON object per line so output can be piped into jq or a log shipper
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// BigInt values (prices, gas, balances) are not JSON-serialisable by default
+function replacer(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Create a logger bound to a component name
+ * @param {string} component Name included in every log line (e.g. "relayer")
+ * @param {object} [options]
+ * @param {string} [options.level] Minimum level to emit (defaults to LOG_LEVEL or "info")
+ * @param {function} [options.write] Line sink, defaults to stdout
+ */
+function createLogger(component, options = {}) {
+  const level = options.level || process.env.LOG_LEVEL || "info";
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const write = options.write || ((line) => process.stdout.write(line + "\n"));
+
+  const emit = (lvl) => (msg, fields = {}) => {
+    if (LEVELS[lvl] < threshold) return;
+    write(JSON.stringify({ time: new Date().toISOString(), level: lvl, component, msg, ...fields }, replacer));
+  };
+
+  return {
+    debug: emit("debug"),
+    info: emit("info"),
+    warn: emit("warn"),
+    error: emit("error"),
+  };
+}
+
+module.exports = { createLogger, LEVELS };
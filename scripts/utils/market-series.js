@@ -0,0 +1,246 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Price series for the market simulator
+ * A series is a list of { offset, price } points: offset is seconds since the
+ * start of the run and price is in feed units (bigint), or null for a step
+ * where the feed publishes nothing (a freeze). Generators are seeded so the
+ * same options always produce the same series.
+ */
+
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+
+const DEFAULTS = {
+  start: 2000,
+  steps: 100,
+  interval: 60,
+  decimals: 8,
+  seed: 1,
+};
+
+/**
+ * Deterministic PRNG (mulberry32)
+ * @param {number} seed 32-bit seed
+ * @return {{next: function(): number, normal: function(): number}} Uniform [0, 1) and standard normal samples
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // Box-Muller; 1 - next() keeps the log argument above zero
+  const normal = () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+  return { next, normal };
+}
+
+function toUnits(value, decimals) {
+  if (!Number.isFinite(value)) throw new Error(`Generated a non-finite price (${value})`);
+  return ethers.parseUnits(Math.max(value, 0).toFixed(decimals), decimals);
+}
+
+/**
+ * Geometric Brownian motion in USD
+ * @return {Array<number>} steps prices, the first one being `start`
+ */
+function gbmPath({ start, steps, interval, drift, volatility }, random) {
+  const dt = interval / SECONDS_PER_YEAR;
+  const prices = [start];
+  for (let i = 1; i < steps; i++) {
+    const shock = (drift - (volatility * volatility) / 2) * dt + volatility * Math.sqrt(dt) * random.normal();
+    prices.push(prices[i - 1] * Math.exp(shock));
+  }
+  return prices;
+}
+
+function toSeries(prices, { interval, decimals }) {
+  return prices.map((price, i) => ({ offset: i * interval, price: price === null ? null : toUnits(price, decimals) }));
+}
+
+// name -> { defaults, build(options, random) -> Array<number|null> } with prices in USD
+const GENERATORS = {
+  "random-walk": {
+    description: "Each step moves the price by a normal shock of stepBps basis points",
+    defaults: { stepBps: 50 },
+    build({ start, steps, stepBps }, random) {
+      const prices = [start];
+      for (let i = 1; i < steps; i++) {
+        prices.push(prices[i - 1] * (1 + (random.normal() * stepBps) / 10_000));
+      }
+      return prices;
+    },
+  },
+  gbm: {
+    description: "Geometric Brownian motion with annualised drift and volatility",
+    defaults: { drift: 0, volatility: 0.8 },
+    build: gbmPath,
+  },
+  "flash-crash": {
+    description: "GBM that drops dropBps at step crashAt and recovers over recoverySteps",
+    defaults: { drift: 0, volatility: 0.5, crashAt: undefined, dropBps: 3000, recoverySteps: 5 },
+    build(options, random) {
+      const { steps, dropBps, recoverySteps } = options;
+      const crashAt = options.crashAt ?? Math.floor(steps / 2);
+      const prices = gbmPath(options, random);
+      for (let i = crashAt; i < steps; i++) {
+        // Full drop at crashAt, then a linear recovery back to the baseline path
+        const recovered = recoverySteps > 0 ? Math.min((i - crashAt) / recoverySteps, 1) : 1;
+        prices[i] *= 1 - (dropBps / 10_000) * (1 - recovered);
+      }
+      return prices;
+    },
+  },
+  freeze: {
+    description: "GBM where the feed publishes nothing for freezeSteps steps from freezeAt",
+    defaults: { drift: 0, volatility: 0.5, freezeAt: undefined, freezeSteps: undefined },
+    build(options, random) {
+      const { steps } = options;
+      const freezeAt = options.freezeAt ?? Math.floor(steps / 3);
+      const freezeSteps = options.freezeSteps ?? Math.floor(steps / 3);
+      return gbmPath(options, random).map((price, i) => (i >= freezeAt && i < freezeAt + freezeSteps ? null : price));
+    },
+  },
+};
+
+/**
+ * Generate a synthetic series
+ * @param {string} name Generator name, see GENERATORS
+ * @param {object} [options] start (USD), steps, interval (seconds), decimals, seed and generator options
+ * @return {Array<{offset: number, price: bigint|null}>}
+ */
+function generateSeries(name, options = {}) {
+  const generator = GENERATORS[name];
+  if (!generator) {
+    throw new Error(`Unknown generator "${name}" (expected one of ${Object.keys(GENERATORS).join(", ")})`);
+  }
+  const resolved = { ...DEFAULTS, ...generator.defaults };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) resolved[key] = value;
+  }
+  if (!Number.isInteger(resolved.steps) || resolved.steps < 1) throw new Error("steps must be a positive integer");
+  if (!(resolved.interval >= 1)) throw new Error("interval must be at least 1 second");
+  if (!(resolved.start > 0)) throw new Error("start must be a positive price");
+
+  return toSeries(generator.build(resolved, createRandom(resolved.seed)), resolved);
+}
+
+/**
+ * Parse a point in time: unix seconds or an ISO 8601 date
+ * @return {number} Unix seconds
+ */
+function parseTime(value, label) {
+  if (typeof value === "number" || /^\d+$/.test(String(value).trim())) return Number(value);
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`${label}: invalid timestamp "${value}"`);
+  return Math.floor(ms / 1000);
+}
+
+function parsePrice(value, decimals, label) {
+  if (value === null || value === "") return null;
+  try {
+    return ethers.parseUnits(String(value).trim(), decimals);
+  } catch (error) {
+    throw new Error(`${label}: invalid price "${value}" for ${decimals} decimals`);
+  }
+}
+
+/**
+ * Turn rows of { price, timestamp?, offset? } into a series
+ * Rows without a time are spaced `interval` seconds apart; timestamps are made
+ * relative to the first row.
+ */
+function rowsToSeries(rows, { interval = DEFAULTS.interval, decimals = DEFAULTS.decimals, source = "series" } = {}) {
+  if (rows.length === 0) throw new Error(`${source}: no prices`);
+
+  let first;
+  const series = rows.map((row, i) => {
+    const label = `${source} row ${i + 1}`;
+    let offset;
+    if (row.offset !== undefined && row.offset !== "") {
+      offset = Number(row.offset);
+    } else if (row.timestamp !== undefined && row.timestamp !== "") {
+      const time = parseTime(row.timestamp, label);
+      first = first ?? time;
+      offset = time - first;
+    } else {
+      offset = i * interval;
+    }
+    if (!Number.isInteger(offset) || offset < 0) throw new Error(`${label}: invalid offset ${row.offset ?? row.timestamp}`);
+    return { offset, price: parsePrice(row.price, decimals, label) };
+  });
+
+  for (let i = 1; i < series.length; i++) {
+    if (series[i].offset <= series[i - 1].offset) {
+      throw new Error(`${source} row ${i + 1}: times must be strictly increasing`);
+    }
+  }
+  return series;
+}
+
+function parseCsv(text, source) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith("#"));
+  const header = lines[0].split(",").map((column) => column.trim().toLowerCase());
+  const column = (...names) => header.findIndex((name) => names.includes(name));
+
+  const price = column("price", "answer", "close");
+  if (price === -1) throw new Error(`${source}: header needs a price column`);
+  const timestamp = column("timestamp", "time", "date");
+  const offset = column("offset", "seconds");
+
+  return lines.slice(1).map((line) => {
+    const cells = line.split(",").map((cell) => cell.trim());
+    return {
+      price: cells[price],
+      timestamp: timestamp === -1 ? undefined : cells[timestamp],
+      offset: offset === -1 ? undefined : cells[offset],
+    };
+  });
+}
+
+/**
+ * Load a series from a file
+ * - .csv with a header naming a price column and optionally timestamp or offset
+ * - .json holding an array of prices or { price, timestamp | offset } rows,
+ *   or a scenario object { "generator": "gbm", ...options } to generate one
+ * Prices are decimal USD strings or numbers; an empty price is a frozen step.
+ * @param {string} file Path of the file
+ * @param {object} [options] interval and decimals, used when the file does not set them
+ */
+function loadSeries(file, options = {}) {
+  const source = path.basename(file);
+  const text = fs.readFileSync(file, "utf8");
+
+  if (file.endsWith(".csv")) {
+    return rowsToSeries(parseCsv(text, source), { ...options, source });
+  }
+  if (!file.endsWith(".json")) throw new Error(`${source}: expected a .csv or .json file`);
+
+  const data = JSON.parse(text);
+  if (data && !Array.isArray(data) && data.generator) {
+    const { generator, ...generatorOptions } = data;
+    // The feed decides the decimals, whatever the scenario says
+    return generateSeries(generator, { ...options, ...generatorOptions, decimals: options.decimals });
+  }
+
+  const rows = Array.isArray(data) ? data : data.prices;
+  if (!Array.isArray(rows)) throw new Error(`${source}: expected an array of prices`);
+  const interval = data.interval ?? options.interval;
+  return rowsToSeries(
+    rows.map((row) => (row !== null && typeof row === "object" ? row : { price: row })),
+    { ...options, interval, source }
+  );
+}
+
+module.exports = {
+  DEFAULTS,
+  GENERATORS,
+  createRandom,
+  generateSeries,
+  rowsToSeries,
+  loadSeries,
+};
@@ -0,0 +1,227 @@
+const { ethers } = require("ethers");
+const { createLogger } = require("./logger");
+const { getPriceReportDomain, signPriceReport } = require("./price-signing");
+const { PRICE_STATUS, revertReason } = require("../../tasks/utils");
+
+/**
+ * Market simulator
+ * Replays a price series (see market-series.js) into a MockV3Aggregator, one
+ * block per step at the step's timestamp, optionally pushing the same price as
+ * a signed update to PriceConsumer and minting OracleToken in that block.
+ * After each step it records the consumer's circuit breaker status, so
+ * staleness and minting behaviour can be checked against a known scenario.
+ *
+ * Needs a Hardhat network: steps are mined with evm_mine while automine is off.
+ */
+
+const DEFAULTS = {
+  signed: false, // push signed updates to the consumer alongside the rounds
+  signedEvery: 1, // ...on every Nth step
+  signedLagSeconds: 0, // sign each price this many seconds before its round
+  mint: false, // call mintBasedOnPrice at the end of every step
+  gasLimit: 500_000, // fixed, so nothing is estimated against the pending block
+};
+
+/**
+ * Create a simulator
+ * @param {object} params
+ * @param {object} params.aggregator MockV3Aggregator connected to the sender
+ * @param {object} [params.consumer] PriceConsumer, for status checks and signed updates
+ * @param {object} [params.token] OracleToken, when minting
+ * @param {object} [params.oracle] Signer holding the trusted oracle (or pair signer) key
+ * @param {string} [params.pairId] Registered pair the aggregator backs; the main feed when omitted
+ * @param {string} [params.recipient] Address minted to
+ * @param {object} [params.config] Overrides for DEFAULTS
+ * @param {object} [params.logger] Structured logger
+ */
+function createSimulator({ aggregator, consumer, token, oracle, pairId, recipient, config = {}, logger }) {
+  const cfg = { ...DEFAULTS, ...config };
+  const log = logger || createLogger("simulator");
+  const provider = aggregator.runner.provider;
+
+  if (cfg.signed && (!consumer || !oracle)) throw new Error("Signed updates need the consumer and an oracle signer");
+  if (cfg.mint && (!token || !recipient)) throw new Error("Minting needs the token and a recipient");
+  if (!Number.isInteger(cfg.signedEvery) || cfg.signedEvery < 1) throw new Error("signedEvery must be a positive integer");
+
+  async function lastSignedTime() {
+    if (pairId) {
+      const [, , , lastUpdateTime] = await consumer.feeds(pairId);
+      return Number(lastUpdateTime);
+    }
+    return Number(await consumer.lastUpdateTime());
+  }
+
+  async function status() {
+    if (!consumer) return null;
+    const [, , code] = pairId ? await consumer.checkPriceFor(pairId) : await consumer.checkPrice();
+    return PRICE_STATUS[Number(code)];
+  }
+
+  let domain = null;
+  async function sendSigned(price, timestamp) {
+    const overrides = { gasLimit: cfg.gasLimit };
+    domain = domain || (await getPriceReportDomain(consumer));
+    if (pairId) {
+      const signature = await signPriceReport(oracle, domain, { pairId, price, timestamp });
+      return consumer.updatePairPriceWithSignature(pairId, price, timestamp, signature, overrides);
+    }
+    const signature = await signPriceReport(oracle, domain, { price, timestamp });
+    return consumer.updatePriceWithSignature(price, timestamp, signature, overrides);
+  }
+
+  /**
+   * Receipt of a mined step transaction, with the revert reason if it failed
+   * The reason is replayed against the block's final state, which is the state
+   * the transaction saw unless a later transaction in the block changed it.
+   */
+  async function settle(tx, contract) {
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (receipt.status === 1) {
+      const address = ethers.getAddress(contract.target);
+      const events = receipt.logs
+        .filter((entry) => ethers.getAddress(entry.address) === address)
+        .map((entry) => contract.interface.parseLog(entry))
+        .filter(Boolean);
+      return { ok: true, receipt, events };
+    }
+    try {
+      await provider.call({ from: tx.from, to: tx.to, data: tx.data, blockTag: receipt.blockNumber });
+      return { ok: false, receipt, error: "reverted" };
+    } catch (error) {
+      return { ok: false, receipt, error: revertReason(error) };
+    }
+  }
+
+  async function step(point, index, timestamp, state) {
+    const overrides = { gasLimit: cfg.gasLimit };
+    const pending = {};
+
+    if (point.price !== null) {
+      pending.round = await aggregator.updateAnswer(point.price, overrides);
+    }
+    if (cfg.signed && point.price !== null && index % cfg.signedEvery === 0) {
+      const signedAt = timestamp - cfg.signedLagSeconds;
+      // The consumer only accepts strictly newer timestamps
+      if (signedAt > state.lastSigned) {
+        pending.signed = await sendSigned(point.price, signedAt);
+        pending.signedAt = signedAt;
+        state.lastSigned = signedAt;
+      }
+    }
+    if (cfg.mint) {
+      pending.mint = await token.mintBasedOnPrice(recipient, overrides);
+    }
+
+    await provider.send("evm_mine", [timestamp]);
+    const block = await provider.getBlock("latest");
+
+    const result = { step: index, offset: point.offset, timestamp, block: block.number, price: point.price, round: null, signed: null, mint: null };
+
+    if (pending.round) {
+      const settled = await settle(pending.round, aggregator);
+      if (!settled.ok) throw new Error(`Round update at step ${index} reverted: ${settled.error}`);
+      const answered = settled.events.find((event) => event.name === "AnswerUpdated");
+      result.round = answered ? answered.args.roundId : null;
+    }
+    if (pending.signed) {
+      const settled = await settle(pending.signed, consumer);
+      result.signed = settled.ok
+        ? { ok: true, price: point.price, timestamp: pending.signedAt }
+        : { ok: false, price: point.price, timestamp: pending.signedAt, error: settled.error };
+      // A rejected update leaves the consumer's last timestamp where it was
+      if (!settled.ok) state.lastSigned = await lastSignedTime();
+    }
+    if (pending.mint) {
+      const settled = await settle(pending.mint, token);
+      const minted = settled.ok && settled.events.find((event) => event.name === "PriceBasedMint");
+      result.mint = settled.ok ? { ok: true, amount: minted ? minted.args.amount : 0n } : { ok: false, error: settled.error };
+    }
+    result.status = await status();
+    return result;
+  }
+
+  /**
+   * Replay a series
+   * Step timestamps are the series offsets added to the next second after the
+   * latest block. Automine is switched off for the run and restored afterwards.
+   * @param {Array<{offset: number, price: bigint|null}>} series
+   * @param {object} [options]
+   * @param {function} [options.onStep] Called with each step's result
+   * @return {Promise<{steps: Array<object>, summary: object}>}
+   */
+  async function run(series, { onStep } = {}) {
+    const latest = await provider.getBlock("latest");
+    const base = latest.timestamp + 1;
+    const state = { lastSigned: cfg.signed ? await lastSignedTime() : 0 };
+    const steps = [];
+
+    log.info("simulation started", {
+      aggregator: aggregator.target,
+      pair: pairId || null,
+      steps: series.length,
+      duration: series.length ? series[series.length - 1].offset : 0,
+      signed: cfg.signed,
+      mint: cfg.mint,
+    });
+
+    const automine = await provider.send("hardhat_getAutomine", []);
+    await provider.send("evm_setAutomine", [false]);
+    try {
+      for (let i = 0; i < series.length; i++) {
+        const result = await step(series[i], i, base + series[i].offset, state);
+        log.debug("step mined", result);
+        steps.push(result);
+        if (onStep) onStep(result);
+      }
+    } finally {
+      await provider.send("evm_setAutomine", [automine]);
+    }
+
+    const summary = summarize(steps);
+    log.info("simulation finished", summary);
+    return { steps, summary };
+  }
+
+  return { run };
+}
+
+/**
+ * Totals for a finished run
+ */
+function summarize(steps) {
+  const summary = {
+    steps: steps.length,
+    rounds: 0,
+    frozenSteps: 0,
+    signedUpdates: 0,
+    signedRejected: 0,
+    mints: 0,
+    mintsRejected: 0,
+    minted: 0n,
+    statuses: {},
+    from: steps.length ? steps[0].timestamp : null,
+    to: steps.length ? steps[steps.length - 1].timestamp : null,
+  };
+
+  for (const step of steps) {
+    if (step.price === null) summary.frozenSteps++;
+    if (step.round !== null) summary.rounds++;
+    if (step.signed) step.signed.ok ? summary.signedUpdates++ : summary.signedRejected++;
+    if (step.mint) {
+      if (step.mint.ok) {
+        summary.mints++;
+        summary.minted += step.mint.amount;
+      } else {
+        summary.mintsRejected++;
+      }
+    }
+    if (step.status) summary.statuses[step.status] = (summary.statuses[step.status] || 0) + 1;
+  }
+  return summary;
+}
+
+module.exports = {
+  DEFAULTS,
+  createSimulator,
+  summarize,
+};
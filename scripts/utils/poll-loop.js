@@ -0,0 +1,50 @@
+/**
+ * Poll loop shared by the long-running services (relayer, keeper, report aggregator)
+ * Runs one tick at a time: the next one starts `intervalMs` after the previous
+ * one settled, a failed tick is logged and the loop carries on, and stop()
+ * waits for the tick in flight.
+ */
+
+/**
+ * Create a poll loop around a tick function
+ * @param {object} params
+ * @param {function} params.tick Async function run once per cycle
+ * @param {number} params.intervalMs Delay between the end of one tick and the start of the next
+ * @param {object} params.log Structured logger
+ * @param {string} params.failureMessage Logged at error level when a tick throws
+ * @return {{running: boolean, start: function, stop: function}}
+ */
+function createPollLoop({ tick, intervalMs, log, failureMessage }) {
+  let timer = null;
+  let running = false;
+  let inFlight = null;
+
+  async function loop() {
+    inFlight = tick().catch((error) => {
+      log.error(failureMessage, { error: error.shortMessage || error.message });
+    });
+    await inFlight;
+    inFlight = null;
+    if (running) timer = setTimeout(loop, intervalMs);
+  }
+
+  return {
+    get running() {
+      return running;
+    },
+    start() {
+      if (running) return;
+      running = true;
+      loop();
+    },
+    async stop() {
+      running = false;
+      clearTimeout(timer);
+      if (inFlight) await inFlight;
+    },
+  };
+}
+
+module.exports = {
+  createPollLoop,
+};
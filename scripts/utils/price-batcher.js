@@ -0,0 +1,127 @@
+const { ethers } = require("ethers");
+const { createLogger } = require("./logger");
+const { MAIN_FEED_ID } = require("./price-signing");
+
+/**
+ * Signed price batcher
+ * Buffers signed prices and submits them together through
+ * PriceConsumer.updatePricesWithSignatures, either once `maxBatchSize`
+ * updates are pending or `flushIntervalMs` after the first one arrived.
+ * Items the consumer rejects do not sink the batch; each caller learns its own
+ * outcome from the SignedPriceRejected events.
+ */
+
+const DEFAULTS = {
+  maxBatchSize: 20,
+  flushIntervalMs: 2_000,
+};
+
+/**
+ * Create a batcher
+ * @param {object} params
+ * @param {object} params.consumer PriceConsumer contract connected to the account that pays
+ * @param {object} [params.config] Overrides for DEFAULTS
+ * @param {object} [params.logger] Structured logger
+ */
+function createPriceBatcher({ consumer, config = {}, logger }) {
+  const cfg = { ...DEFAULTS, ...config };
+  const log = logger || createLogger("batcher");
+
+  if (!Number.isInteger(cfg.maxBatchSize) || cfg.maxBatchSize < 1) throw new Error("maxBatchSize must be a positive integer");
+
+  let pending = [];
+  let timer = null;
+  let flushing = Promise.resolve();
+
+  /**
+   * Submit everything pending now
+   * @return {Promise<object|null>} { receipt, applied, rejected } for the batch, or null when nothing was pending
+   */
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const batch = pending;
+    pending = [];
+    if (batch.length === 0) return flushing.then(() => null);
+
+    // One batch at a time, so a feed's updates land in the order they were added
+    const run = flushing.then(() => submit(batch));
+    flushing = run.catch(() => {});
+    return run;
+  }
+
+  async function submit(batch) {
+    let receipt;
+    try {
+      const tx = await consumer.updatePricesWithSignatures(batch.map((item) => item.update));
+      receipt = await tx.wait();
+    } catch (error) {
+      log.error("batch failed", { size: batch.length, error: error.shortMessage || error.message });
+      for (const item of batch) item.reject(error);
+      throw error;
+    }
+
+    // consumer.target is whatever address the caller attached to, in any case
+    const consumerAddress = ethers.getAddress(consumer.target);
+    const rejected = new Map();
+    for (const entry of receipt.logs) {
+      const event = ethers.getAddress(entry.address) === consumerAddress ? consumer.interface.parseLog(entry) : null;
+      if (event && event.name === "SignedPriceRejected") rejected.set(Number(event.args.index), event.args.reason);
+    }
+
+    batch.forEach((item, index) => {
+      const reason = rejected.get(index);
+      item.resolve(
+        reason === undefined
+          ? { applied: true, hash: receipt.hash, index }
+          : { applied: false, hash: receipt.hash, index, reason }
+      );
+    });
+    const summary = { hash: receipt.hash, size: batch.length, applied: batch.length - rejected.size, rejected: rejected.size, gasUsed: receipt.gasUsed };
+    log.info("batch submitted", summary);
+    return { receipt, applied: summary.applied, rejected: summary.rejected };
+  }
+
+  return {
+    /**
+     * Queue a signed price
+     * @param {{pairId?: string, price: bigint, timestamp: bigint, signature: string}} update Signed as for
+     *   updatePriceWithSignature (pairId omitted) or updatePairPriceWithSignature
+     * @return {Promise<{applied: boolean, hash: string, index: number, reason?: string}>} Settles when its batch is mined
+     */
+    add(update) {
+      const result = new Promise((resolve, reject) => {
+        pending.push({
+          update: { pairId: update.pairId || MAIN_FEED_ID, price: update.price, timestamp: update.timestamp, signature: update.signature },
+          resolve,
+          reject,
+        });
+      });
+      if (pending.length >= cfg.maxBatchSize) {
+        flush().catch(() => {});
+      } else if (!timer) {
+        timer = setTimeout(() => flush().catch(() => {}), cfg.flushIntervalMs);
+      }
+      return result;
+    },
+    flush,
+    /**
+     * Number of updates waiting for the next flush
+     */
+    get size() {
+      return pending.length;
+    },
+    /**
+     * Flush what is pending and wait for every batch to settle
+     */
+    async stop() {
+      await flush().catch(() => {});
+      await flushing;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  createPriceBatcher,
+};
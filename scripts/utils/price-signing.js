@@ -0,0 +1,233 @@
+const { ethers } = require("ethers");
+
+/**
+ * Price signing helpers shared by scripts, tests and the relayer
+ * PriceConsumer.updatePriceWithSignature, updatePairPriceWithSignature and
+ * OracleToken.mintWithOracleSignature accept EIP-712 PriceReport signatures:
+ *   PriceReport(bytes32 pairId, int256 price, uint256 timestamp)
+ * under the consumer's domain (name "PriceConsumer", version "1", chain ID and
+ * consumer address). The main feed signs with pairId 0.
+ *
+ * While the consumer's `legacySignatures` flag is on it also accepts the older
+ * EIP-191 signatures over a packed digest:
+ *   keccak256(abi.encodePacked(int256 price, uint256 timestamp, address consumer))
+ * with the pair ID prepended for registered pairs.
+ */
+
+// PriceConsumer's pairId for its main feed
+const MAIN_FEED_ID = ethers.ZeroHash;
+
+const PRICE_REPORT_TYPES = {
+  PriceReport: [
+    { name: "pairId", type: "bytes32" },
+    { name: "price", type: "int256" },
+    { name: "timestamp", type: "uint256" },
+  ],
+};
+
+/**
+ * EIP-712 domain of a PriceConsumer
+ * @param {bigint|number} chainId The chain the consumer is deployed on
+ * @param {string} consumerAddress The PriceConsumer address
+ * @return {object} The typed-data domain
+ */
+function priceReportDomain(chainId, consumerAddress) {
+  return { name: "PriceConsumer", version: "1", chainId, verifyingContract: consumerAddress };
+}
+
+/**
+ * Read the EIP-712 domain from a deployed PriceConsumer (EIP-5267)
+ * @param {object} consumer PriceConsumer contract instance
+ * @return {Promise<object>} The typed-data domain
+ */
+async function getPriceReportDomain(consumer) {
+  const [, name, version, chainId, verifyingContract] = await consumer.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+function toReport({ pairId = MAIN_FEED_ID, price, timestamp }) {
+  return { pairId, price, timestamp };
+}
+
+/**
+ * Build the EIP-712 digest PriceConsumer.hashPriceReport computes
+ * @param {object} domain From priceReportDomain or getPriceReportDomain
+ * @param {{pairId?: string, price: bigint|number|string, timestamp: bigint|number|string}} report
+ * @return {string} The 32-byte digest
+ */
+function buildPriceReportDigest(domain, report) {
+  return ethers.TypedDataEncoder.hash(domain, PRICE_REPORT_TYPES, toReport(report));
+}
+
+/**
+ * Sign a price report as typed data (eth_signTypedData_v4)
+ * @param {object} signer An ethers signer holding the oracle (or pair signer) key
+ * @param {object} domain From priceReportDomain or getPriceReportDomain
+ * @param {{pairId?: string, price: bigint|number|string, timestamp: bigint|number|string}} report
+ * @return {Promise<string>} The 65-byte signature
+ */
+async function signPriceReport(signer, domain, report) {
+  return signer.signTypedData(domain, PRICE_REPORT_TYPES, toReport(report));
+}
+
+/**
+ * Recover the signer of a price report
+ * @param {object} domain The consumer's typed-data domain
+ * @param {object} report The signed report
+ * @param {string} signature The signature to check
+ * @return {string} The recovered address
+ */
+function recoverPriceReportSigner(domain, report, signature) {
+  return ethers.verifyTypedData(domain, PRICE_REPORT_TYPES, toReport(report), signature);
+}
+
+/**
+ * Build the legacy message digest the contracts verify
+ * @param {bigint|number|string} price The price value (int256)
+ * @param {bigint|number|string} timestamp The price timestamp (uint256)
+ * @param {string} consumerAddress The PriceConsumer address the price is bound to
+ * @return {string} The 32-byte digest
+ */
+function buildPriceDigest(price, timestamp, consumerAddress) {
+  return ethers.solidityPackedKeccak256(
+    ["int256", "uint256", "address"],
+    [price, timestamp, consumerAddress]
+  );
+}
+
+/**
+ * Sign a price with the legacy EIP-191 prefix expected by verifyOracleSignature
+ * @param {object} signer An ethers signer holding the oracle key
+ * @param {bigint|number|string} price The price value
+ * @param {bigint|number|string} timestamp The price timestamp
+ * @param {string} consumerAddress The PriceConsumer address
+ * @return {Promise<string>} The 65-byte signature
+ */
+async function signPrice(signer, price, timestamp, consumerAddress) {
+  const digest = buildPriceDigest(price, timestamp, consumerAddress);
+  return signer.signMessage(ethers.getBytes(digest));
+}
+
+/**
+ * Build the digest PriceConsumer.updatePairPriceWithSignature verifies
+ * @param {string} pairId The bytes32 pair ID (see scripts/utils/feeds.js)
+ * @param {bigint|number|string} price The price value (int256)
+ * @param {bigint|number|string} timestamp The price timestamp (uint256)
+ * @param {string} consumerAddress The PriceConsumer address the price is bound to
+ * @return {string} The 32-byte digest
+ */
+function buildPairPriceDigest(pairId, price, timestamp, consumerAddress) {
+  return ethers.solidityPackedKeccak256(
+    ["bytes32", "int256", "uint256", "address"],
+    [pairId, price, timestamp, consumerAddress]
+  );
+}
+
+/**
+ * Sign a price for a registered pair (legacy format)
+ * @param {object} signer An ethers signer holding the pair's trusted key
+ * @param {string} pairId The bytes32 pair ID
+ * @param {bigint|number|string} price The price value
+ * @param {bigint|number|string} timestamp The price timestamp
+ * @param {string} consumerAddress The PriceConsumer address
+ * @return {Promise<string>} The 65-byte signature
+ */
+async function signPairPrice(signer, pairId, price, timestamp, consumerAddress) {
+  const digest = buildPairPriceDigest(pairId, price, timestamp, consumerAddress);
+  return signer.signMessage(ethers.getBytes(digest));
+}
+
+/**
+ * Recover the signer of a digest, mirroring PriceConsumer.verifyOracleSignature
+ * @param {string} digest The digest returned by buildPriceDigest
+ * @param {string} signature The signature to check
+ * @return {string} The recovered address
+ */
+function recoverSigner(digest, signature) {
+  return ethers.verifyMessage(ethers.getBytes(digest), signature);
+}
+
+/**
+ * Check a legacy signed price against a deployed PriceConsumer before submitting it
+ * @param {object} consumer PriceConsumer contract instance
+ * @param {bigint|number|string} price The price value
+ * @param {bigint|number|string} timestamp The price timestamp
+ * @param {string} signature The oracle signature
+ * @return {Promise<object>} Verification details; `valid` is true only if the consumer would accept the signer
+ */
+async function verifyAgainstConsumer(consumer, price, timestamp, signature) {
+  const digest = buildPriceDigest(price, timestamp, await consumer.getAddress());
+  const signer = recoverSigner(digest, signature);
+
+  const [onChainSigner, trustedOracle, used] = await Promise.all([
+    consumer.verifyOracleSignature(digest, signature),
+    consumer.trustedOracle(),
+    consumer.usedHashes(digest),
+  ]);
+
+  return {
+    valid: signer === onChainSigner && signer === trustedOracle && !used,
+    digest,
+    signer,
+    trustedOracle,
+    used,
+  };
+}
+
+/**
+ * Check a signed price report the way PriceConsumer will, in either format
+ * EIP-712 is tried first; the legacy digest only counts while the consumer's
+ * legacySignatures flag is on.
+ * @param {object} consumer PriceConsumer contract instance
+ * @param {{pairId?: string, price: bigint|number|string, timestamp: bigint|number|string}} report
+ * @param {string} signature The signature to check (throws if malformed)
+ * @return {Promise<object>} `format` is "eip712", "legacy" or null when the signer is not trusted
+ *   (`signer` is then the EIP-712 recovery); `valid` is true only if the consumer would accept the signature
+ */
+async function verifyPriceReport(consumer, report, signature) {
+  const { pairId, price, timestamp } = toReport(report);
+  const consumerAddress = await consumer.getAddress();
+  const [domain, legacyEnabled, trustedSigner] = await Promise.all([
+    getPriceReportDomain(consumer),
+    consumer.legacySignatures(),
+    pairId === MAIN_FEED_ID ? consumer.trustedOracle() : consumer.feeds(pairId).then((feed) => feed.trustedSigner),
+  ]);
+
+  const typedDigest = buildPriceReportDigest(domain, { pairId, price, timestamp });
+  const legacyDigest =
+    pairId === MAIN_FEED_ID
+      ? buildPriceDigest(price, timestamp, consumerAddress)
+      : buildPairPriceDigest(pairId, price, timestamp, consumerAddress);
+
+  let format = null;
+  let digest = typedDigest;
+  let signer = recoverPriceReportSigner(domain, { pairId, price, timestamp }, signature);
+  if (signer === trustedSigner) {
+    format = "eip712";
+  } else if (legacyEnabled && recoverSigner(legacyDigest, signature) === trustedSigner) {
+    format = "legacy";
+    digest = legacyDigest;
+    signer = trustedSigner;
+  }
+
+  const [typedUsed, legacyUsed] = await Promise.all([consumer.usedHashes(typedDigest), consumer.usedHashes(legacyDigest)]);
+  const used = typedUsed || legacyUsed;
+  return { valid: format !== null && !used, format, digest, signer, trustedSigner, used };
+}
+
+module.exports = {
+  MAIN_FEED_ID,
+  PRICE_REPORT_TYPES,
+  priceReportDomain,
+  getPriceReportDomain,
+  buildPriceReportDigest,
+  signPriceReport,
+  recoverPriceReportSigner,
+  verifyPriceReport,
+  buildPriceDigest,
+  signPrice,
+  buildPairPriceDigest,
+  signPairPrice,
+  recoverSigner,
+  verifyAgainstConsumer,
+};
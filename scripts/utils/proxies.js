@@ -0,0 +1,138 @@
+const { ethers } = require("ethers");
+const { recordDeployment, getImplementationAddress } = require("./deployments");
+
+/**
+ * UUPS proxy deployments
+ * PriceConsumerUpgradeable and OracleTokenUpgradeable run behind ERC1967Proxy,
+ * deployed and upgraded with @openzeppelin/hardhat-upgrades. The plugin checks
+ * each implementation (storage layout against the previous one, including
+ * ERC-7201 namespaces, plus selfdestruct, delegatecall and unsafe immutables)
+ * and keeps the layouts in its own network files.
+ * Their manifest entry is the proxy (the address everything else uses, with the
+ * implementation's ABI) plus `proxy.implementations`: every implementation the
+ * proxy has delegated to, oldest first.
+ */
+
+// The upgradeable variants reuse the plain contracts and their OpenZeppelin and
+// Chainlink bases. Those constructors and initial values only ever run on the
+// implementation; initialize sets the proxy up the same way.
+const UPGRADE_OPTIONS = { kind: "uups", unsafeAllow: ["constructor", "state-variable-assignment"] };
+
+/**
+ * Describe an implementation for a proxy's history
+ * @param {object} provider An ethers provider
+ * @param {string} address The implementation address
+ * @param {string} contractName Its compiled contract name
+ * @return {Promise<object>} History entry
+ */
+async function recordImplementation(provider, address, contractName) {
+  return { contractName, address, bytecodeHash: ethers.keccak256(await provider.getCode(address)) };
+}
+
+/**
+ * Deploy an implementation and an ERC1967Proxy that initializes it
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} contractName The upgradeable contract, e.g. "PriceConsumerUpgradeable"
+ * @param {Array} initArgs Arguments for its initialize function
+ * @param {object} [options]
+ * @param {object} [options.signer] Deployer, defaults to the first account
+ * @return {Promise<object>} `contract` (the proxy with the implementation's ABI), `implementation` and the manifest `entry`
+ */
+async function deployProxy(hre, contractName, initArgs, { signer } = {}) {
+  const factory = await hre.ethers.getContractFactory(contractName, signer);
+  const contract = await hre.upgrades.deployProxy(factory, initArgs, UPGRADE_OPTIONS);
+  await contract.waitForDeployment();
+
+  const provider = hre.ethers.provider;
+  const implementationAddress = await getImplementationAddress(provider, await contract.getAddress());
+  const proxyArgs = [implementationAddress, factory.interface.encodeFunctionData("initialize", initArgs)];
+  const entry = {
+    ...(await recordDeployment(contract, proxyArgs, contractName)),
+    proxy: {
+      kind: "uups",
+      initializerArgs: initArgs.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg)),
+      implementations: [await recordImplementation(provider, implementationAddress, contractName)],
+    },
+  };
+  return { contract, implementation: factory.attach(implementationAddress), entry };
+}
+
+/**
+ * Check an upgrade without sending anything
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} entry The proxy's manifest entry
+ * @param {string} [contractName] The new implementation, defaults to the current contract
+ * @return {Promise<Array<string>>} The plugin's findings, empty when the upgrade is safe
+ */
+async function checkUpgrade(hre, entry, contractName = entry.contractName) {
+  await assertRecordedImplementation(hre, entry);
+  const factory = await hre.ethers.getContractFactory(contractName);
+  try {
+    await hre.upgrades.validateUpgrade(entry.address, factory, UPGRADE_OPTIONS);
+    return [];
+  } catch (error) {
+    // Anything other than a validation finding (e.g. an unknown proxy) is not a verdict on the upgrade
+    if (!/is not upgrade safe|storage layout is incompatible/.test(error.message)) throw error;
+    return error.message.split("\n\n").slice(1);
+  }
+}
+
+/**
+ * Deploy a new implementation and point the proxy at it
+ * Throws before sending any transaction if the proxy was upgraded outside the
+ * manifest or the plugin finds the new implementation unsafe.
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} entry The proxy's manifest entry
+ * @param {string} [contractName] The new implementation, defaults to the current contract
+ * @param {object} [options]
+ * @param {{fn: string, args?: Array}} [options.call] Function to call on the proxy during the upgrade
+ * @param {object} [options.signer] The proxy's owner, defaults to the first account
+ * @return {Promise<object>} `contract` (the proxy with the new ABI), `implementation` and the updated `entry`
+ */
+async function upgradeProxy(hre, entry, contractName = entry.contractName, { call, signer } = {}) {
+  const problems = await checkUpgrade(hre, entry, contractName);
+  if (problems.length > 0) {
+    throw new Error(
+      `Unsafe upgrade of ${entry.contractName} at ${entry.address} to ${contractName}:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+
+  const factory = await hre.ethers.getContractFactory(contractName, signer);
+  const contract = await hre.upgrades.upgradeProxy(entry.address, factory, { ...UPGRADE_OPTIONS, call });
+  const receipt = await contract.deployTransaction.wait();
+
+  const provider = hre.ethers.provider;
+  const implementationAddress = await getImplementationAddress(provider, entry.address);
+  const record = {
+    ...(await recordImplementation(provider, implementationAddress, contractName)),
+    upgradeTransactionHash: receipt.hash,
+    upgradeBlockNumber: receipt.blockNumber,
+  };
+  const updated = {
+    ...entry,
+    contractName,
+    proxy: { ...entry.proxy, implementations: [...entry.proxy.implementations, record] },
+  };
+  return { contract, implementation: factory.attach(implementationAddress), entry: updated };
+}
+
+// The plugin compares against the implementation the proxy runs now; the manifest must agree
+async function assertRecordedImplementation(hre, entry) {
+  if (!entry.proxy) throw new Error(`${entry.contractName} at ${entry.address} is not deployed behind a proxy`);
+  const current = entry.proxy.implementations[entry.proxy.implementations.length - 1];
+  const delegate = await getImplementationAddress(hre.ethers.provider, entry.address);
+  if (delegate !== current.address) {
+    throw new Error(
+      `${entry.contractName} at ${entry.address} delegates to ${delegate}, not the recorded ${current.address}; ` +
+        "the manifest is out of date"
+    );
+  }
+}
+
+module.exports = {
+  UPGRADE_OPTIONS,
+  recordImplementation,
+  deployProxy,
+  checkUpgrade,
+  upgradeProxy,
+};
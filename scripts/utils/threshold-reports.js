@@ -0,0 +1,116 @@
+const { MAIN_FEED_ID, recoverPriceReportSigner } = require("./price-signing");
+
+/**
+ * Threshold (m-of-n) price reports
+ * Each registered signer signs its own PriceReport(pairId, price, timestamp)
+ * for a shared timestamp. PriceConsumer.updatePriceWithReports stores the
+ * median once at least `signerThreshold` signers report, signatures are in
+ * ascending signer order and every price lies within `reportToleranceBps` of
+ * the median. These helpers mirror those rules so a bad set is caught before
+ * it costs gas.
+ */
+
+/**
+ * Median the consumer stores; the mean of the middle two (rounded down) for an even count
+ * @param {Array<bigint>} prices Positive prices
+ * @return {bigint}
+ */
+function medianPrice(prices) {
+  if (prices.length === 0) throw new Error("No prices to take the median of");
+  const sorted = [...prices].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const middle = Math.floor(sorted.length / 2);
+  if (sorted.length % 2 === 1) return sorted[middle];
+  return sorted[middle - 1] + (sorted[middle] - sorted[middle - 1]) / 2n;
+}
+
+/**
+ * Whether a price is within toleranceBps of the median, as the consumer checks it
+ */
+function withinTolerance(price, median, toleranceBps) {
+  const diff = price > median ? price - median : median - price;
+  return diff * 10_000n <= median * BigInt(toleranceBps);
+}
+
+/**
+ * Read the consumer's signer set and threshold settings
+ * @param {object} consumer PriceConsumer contract instance
+ * @return {Promise<{signers: Array<string>, threshold: number, toleranceBps: number}>}
+ */
+async function getSignerSet(consumer) {
+  const [signers, threshold, toleranceBps] = await Promise.all([
+    consumer.getReportSigners(),
+    consumer.signerThreshold(),
+    consumer.reportToleranceBps(),
+  ]);
+  return { signers: [...signers], threshold: Number(threshold), toleranceBps: Number(toleranceBps) };
+}
+
+/**
+ * Check one signer's report: the signature must recover to the claimed, registered signer
+ * @param {object} domain The consumer's typed-data domain
+ * @param {{signer: string, pairId?: string, price: bigint, timestamp: bigint, signature: string}} report
+ * @param {Array<string>} signers The registered signer set
+ * @return {string|null} Why the report is unusable, or null if it is valid
+ */
+function checkReport(domain, report, signers) {
+  let recovered;
+  try {
+    recovered = recoverPriceReportSigner(domain, report, report.signature);
+  } catch (error) {
+    return `malformed signature (${error.shortMessage || error.message})`;
+  }
+  if (recovered !== report.signer) return `signed by ${recovered}, not ${report.signer}`;
+  if (!signers.includes(recovered)) return `${recovered} is not a registered signer`;
+  if (report.price <= 0n) return `non-positive price ${report.price}`;
+  return null;
+}
+
+/**
+ * Pick the reports to submit
+ * Duplicates are dropped, reports are put in ascending signer order and
+ * outliers beyond the tolerance are discarded until the rest agree.
+ * @param {Array<object>} reports Valid reports (see checkReport) for one pair and timestamp
+ * @param {{threshold: number, toleranceBps: number}} settings From getSignerSet
+ * @return {{price: bigint, reports: Array<object>, dropped: Array<object>}} The median and the reports that back it
+ */
+function selectReports(reports, { threshold, toleranceBps }) {
+  const seen = new Set();
+  let kept = reports
+    .filter((report) => !seen.has(report.signer) && seen.add(report.signer))
+    .sort((a, b) => (BigInt(a.signer) < BigInt(b.signer) ? -1 : 1));
+  const dropped = [];
+
+  while (kept.length > 0) {
+    const median = medianPrice(kept.map((report) => report.price));
+    const outliers = kept.filter((report) => !withinTolerance(report.price, median, toleranceBps));
+    if (outliers.length === 0) {
+      if (kept.length < threshold) break;
+      return { price: median, reports: kept, dropped };
+    }
+    dropped.push(...outliers);
+    kept = kept.filter((report) => !outliers.includes(report));
+  }
+
+  throw new Error(
+    `Only ${kept.length} of the ${threshold} required reports agree within ${toleranceBps} bps (${reports.length} received)`
+  );
+}
+
+/**
+ * Arguments for PriceConsumer.updatePriceWithReports
+ * @param {string|null} pairId The pair, or null for the main feed
+ * @param {bigint} timestamp The shared report timestamp
+ * @param {Array<object>} reports From selectReports, already in signer order
+ */
+function reportArgs(pairId, timestamp, reports) {
+  return [pairId || MAIN_FEED_ID, timestamp, reports.map((report) => report.price), reports.map((report) => report.signature)];
+}
+
+module.exports = {
+  medianPrice,
+  withinTolerance,
+  getSignerSet,
+  checkReport,
+  selectReports,
+  reportArgs,
+};
@@ -0,0 +1,298 @@
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { types: argTypes, taskError, parseDecimal, loadContracts, checkAggregator, sendAndDecode, report } = require("./utils");
+const { CONTRACTS, writeManifest } = require("../scripts/utils/deployments");
+const { jobIdToBytes32 } = require("../scripts/utils/chainlink-jobs");
+
+task("consumer:set-oracle", "Rotate the trusted oracle signer of the price consumer (owner only)")
+  .addParam("address", "New trusted oracle address", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, json }, hre) => {
+    const { priceConsumer } = await loadContracts(hre);
+    const previous = await priceConsumer.trustedOracle();
+
+    const tx = await sendAndDecode(priceConsumer.updateTrustedOracle(address), { priceConsumer });
+
+    const result = { previous, trustedOracle: address, ...tx };
+    return report(result, json, (r) => console.log(`✅ Trusted oracle changed from ${r.previous} to ${r.trustedOracle}`));
+  });
+
+task("consumer:set-legacy-signatures", "Allow or refuse legacy EIP-191 price signatures (owner only)")
+  .addParam("enabled", "true to keep accepting legacy signatures, false once every signer uses EIP-712", undefined, types.boolean)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ enabled, json }, hre) => {
+    const { priceConsumer } = await loadContracts(hre);
+
+    const tx = await sendAndDecode(priceConsumer.setLegacySignatures(enabled), { priceConsumer });
+
+    const result = { legacySignatures: enabled, ...tx };
+    return report(result, json, (r) =>
+      console.log(`✅ Legacy signatures ${r.legacySignatures ? "accepted" : "refused"}; EIP-712 price reports are always accepted`)
+    );
+  });
+
+task("consumer:set-feed", "Point the price consumer at another Chainlink aggregator (owner only)")
+  .addParam("address", "Aggregator address", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, json }, hre) => {
+    const { manifest, mockOracle, priceConsumer } = await loadContracts(hre);
+
+    // Refuse addresses that would make getLatestPrice revert
+    const { decimals, code } = await checkAggregator(hre, address);
+
+    const tx = await sendAndDecode(priceConsumer.updatePriceFeed(address), { priceConsumer });
+
+    // Keep the manifest in step so other tasks read the feed the consumer uses
+    if (mockOracle && address === (await mockOracle.getAddress())) {
+      delete manifest.contracts.priceFeed;
+    } else {
+      manifest.contracts.priceFeed = {
+        contractName: CONTRACTS.priceFeed,
+        address,
+        transactionHash: null,
+        blockNumber: null,
+        constructorArgs: [],
+        bytecodeHash: ethers.keccak256(code),
+      };
+    }
+    writeManifest(hre.network.name, manifest);
+
+    const result = { priceFeed: address, decimals: Number(decimals), ...tx };
+    return report(result, json, (r) => console.log(`✅ Price consumer now reads ${r.priceFeed} (${r.decimals} decimals)`));
+  });
+
+task("consumer:set-guard", "Set the circuit breaker limits for the consumer's price feed (owner only)")
+  .addOptionalParam("maxAge", "Max seconds since the last feed update (0 disables)", 0, types.int)
+  .addOptionalParam("min", "Lowest accepted price in USD (0 disables)", "0", argTypes.decimal)
+  .addOptionalParam("max", "Highest accepted price in USD (0 disables)", "0", argTypes.decimal)
+  .addOptionalParam("maxDeviationBps", "Max move from the previous round in basis points (0 disables)", 0, types.int)
+  .addOptionalParam("feed", "Feed to configure, defaults to the one the consumer reads", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ maxAge, min, max, maxDeviationBps, feed, json }, hre) => {
+    if (maxAge < 0 || maxDeviationBps < 0) {
+      throw taskError("--max-age and --max-deviation-bps must not be negative");
+    }
+    const { priceConsumer } = await loadContracts(hre);
+    const target = feed || (await priceConsumer.getPriceFeed());
+    const decimals = await (await hre.ethers.getContractAt(CONTRACTS.priceFeed, target)).decimals();
+    const minAnswer = parseDecimal(min, decimals, "--min");
+    const maxAnswer = parseDecimal(max, decimals, "--max");
+
+    const tx = await sendAndDecode(
+      priceConsumer.setPriceGuard(target, maxAge, minAnswer, maxAnswer, maxDeviationBps),
+      { priceConsumer }
+    );
+
+    const result = {
+      feed: target,
+      maxAge,
+      min: ethers.formatUnits(minAnswer, decimals),
+      max: ethers.formatUnits(maxAnswer, decimals),
+      maxDeviationBps,
+      ...tx,
+    };
+    return report(result, json, (r) =>
+      console.log(
+        `✅ Guard for ${r.feed}: max age ${r.maxAge || "off"}s, bounds ${r.min}-${r.max} USD, ` +
+          `max deviation ${r.maxDeviationBps || "off"} bps`
+      )
+    );
+  });
+
+task("consumer:signers", "Show the threshold report signer set")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ json }, hre) => {
+    const { priceConsumer } = await loadContracts(hre);
+    const [signers, threshold, toleranceBps] = await Promise.all([
+      priceConsumer.getReportSigners(),
+      priceConsumer.signerThreshold(),
+      priceConsumer.reportToleranceBps(),
+    ]);
+
+    const result = { signers: [...signers], threshold: Number(threshold), toleranceBps: Number(toleranceBps) };
+    return report(result, json, (r) => {
+      console.log(
+        r.threshold
+          ? `🔏 ${r.threshold}-of-${r.signers.length} reports required, tolerance ${r.toleranceBps} bps`
+          : `🔏 Threshold reports off; single-key signatures accepted (${r.signers.length} signer(s) registered)`
+      );
+      for (const signer of r.signers) console.log(`  ${signer}`);
+    });
+  });
+
+task("consumer:add-signer", "Register a threshold report signer (owner only)")
+  .addParam("address", "Signer address", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, json }, hre) => {
+    const { priceConsumer } = await loadContracts(hre);
+
+    const tx = await sendAndDecode(priceConsumer.addReportSigner(address), { priceConsumer });
+
+    const result = { signer: address, signers: Number((await priceConsumer.getReportSigners()).length), ...tx };
+    return report(result, json, (r) => console.log(`✅ Added report signer ${r.signer} (${r.signers} registered)`));
+  });
+
+task("consumer:remove-signer", "Unregister a threshold report signer (owner only)")
+  .addParam("address", "Signer address", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, json }, hre) => {
+    const { priceConsumer } = await loadContracts(hre);
+
+    const tx = await sendAndDecode(priceConsumer.removeReportSigner(address), { priceConsumer });
+
+    const result = { signer: address, signers: Number((await priceConsumer.getReportSigners()).length), ...tx };
+    return report(result, json, (r) => console.log(`✅ Removed report signer ${r.signer} (${r.signers} left)`));
+  });
+
+task("consumer:set-threshold", "Require m-of-n signed reports for every price update (owner only)")
+  .addParam("threshold", "Reports required; 0 goes back to single-key signatures", undefined, types.int)
+  .addOptionalParam("toleranceBps", "Max distance of any report from the median in basis points", 0, types.int)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ threshold, toleranceBps, json }, hre) => {
+    if (threshold < 0 || toleranceBps < 0) {
+      throw taskError("--threshold and --tolerance-bps must not be negative");
+    }
+    const { priceConsumer } = await loadContracts(hre);
+
+    const tx = await sendAndDecode(priceConsumer.setSignerThreshold(threshold, toleranceBps), { priceConsumer });
+
+    const signers = Number((await priceConsumer.getReportSigners()).length);
+    const result = { threshold, toleranceBps, signers, ...tx };
+    return report(result, json, (r) =>
+      console.log(
+        r.threshold
+          ? `✅ Prices now need ${r.threshold}-of-${r.signers} reports within ${r.toleranceBps} bps of the median`
+          : "✅ Threshold reports off; the trusted oracle signs alone again"
+      )
+    );
+  });
+
+// A job's externalJobID (UUID) or its bytes32 form
+function parseJobId(value) {
+  if (ethers.isHexString(value, 32)) return value;
+  try {
+    return jobIdToBytes32(value);
+  } catch (error) {
+    throw taskError(`--job-id must be an externalJobID (UUID) or bytes32, got "${value}"`);
+  }
+}
+
+task("consumer:chainlink", "Show the consumer's Chainlink direct-request setup and optionally one request")
+  .addOptionalParam("requestId", "Also show this request", undefined, types.string)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ requestId, json }, hre) => {
+    const { priceConsumer } = await loadContracts(hre);
+    const [[link, operator], jobId, fee, requestTimeout] = await Promise.all([
+      priceConsumer.getChainlinkConfig(),
+      priceConsumer.chainlinkJobId(),
+      priceConsumer.chainlinkFee(),
+      priceConsumer.requestTimeout(),
+    ]);
+    const configured = jobId !== ethers.ZeroHash;
+    const linkToken = configured ? await hre.ethers.getContractAt(CONTRACTS.linkToken, link) : null;
+
+    const result = {
+      configured,
+      link,
+      operator,
+      jobId: configured ? ethers.toUtf8String(jobId) : null,
+      fee: ethers.formatEther(fee),
+      requestTimeout: Number(requestTimeout),
+      linkBalance: linkToken ? ethers.formatEther(await linkToken.balanceOf(await priceConsumer.getAddress())) : null,
+    };
+    if (requestId) {
+      const request = await priceConsumer.priceRequests(requestId);
+      if (request.requestedAt === 0n) throw taskError(`Unknown request ${requestId}`);
+      result.request = {
+        requestId,
+        payment: ethers.formatEther(request.payment),
+        requestedAt: Number(request.requestedAt),
+        pending: request.pending,
+      };
+    }
+
+    return report(result, json, (r) => {
+      if (!r.configured) {
+        console.log("🔗 Chainlink direct requests are not configured (see consumer:set-chainlink)");
+        return;
+      }
+      console.log(`🔗 Job ${r.jobId} on operator ${r.operator}`);
+      console.log(`  Fee ${r.fee} LINK, timeout ${r.requestTimeout}s, balance ${r.linkBalance} LINK`);
+      if (r.request) {
+        const requestedAt = new Date(r.request.requestedAt * 1000).toISOString();
+        console.log(`  Request ${r.request.requestId}: ${r.request.pending ? "pending" : "settled"} since ${requestedAt}`);
+      }
+    });
+  });
+
+task("consumer:set-chainlink", "Configure Chainlink direct requests (owner only)")
+  .addParam("jobId", "The job's externalJobID (UUID) or bytes32 job ID", undefined, types.string)
+  .addOptionalParam("fee", "LINK paid per request", "0.1", argTypes.decimal)
+  .addOptionalParam("timeout", "Seconds to wait for an answer, at least 300", 600, types.int)
+  .addOptionalParam("operator", "Operator contract, defaults to the manifest's operator", undefined, argTypes.address)
+  .addOptionalParam("link", "LINK token, defaults to the manifest's linkToken", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ jobId, fee, timeout, operator, link, json }, hre) => {
+    const juels = parseDecimal(fee, 18, "--fee");
+    if (juels < 0n || timeout < 0) {
+      throw taskError("--fee and --timeout must not be negative");
+    }
+    const contracts = await loadContracts(hre);
+    const operatorAddress = operator || (contracts.operator && (await contracts.operator.getAddress()));
+    const linkAddress = link || (contracts.linkToken && (await contracts.linkToken.getAddress()));
+    if (!operatorAddress || !linkAddress) {
+      throw taskError("The deployment manifest has no operator/linkToken; pass --operator and --link");
+    }
+    const { priceConsumer } = contracts;
+    const id = parseJobId(jobId);
+
+    const tx = await sendAndDecode(
+      priceConsumer.setChainlinkConfig(linkAddress, operatorAddress, id, juels, timeout),
+      { priceConsumer }
+    );
+
+    const result = {
+      link: linkAddress,
+      operator: operatorAddress,
+      jobId: id,
+      fee: ethers.formatEther(juels),
+      requestTimeout: timeout,
+      ...tx,
+    };
+    return report(result, json, (r) =>
+      console.log(`✅ Consumer requests job ${r.jobId} from ${r.operator} for ${r.fee} LINK (timeout ${r.requestTimeout}s)`)
+    );
+  });
+
+task("consumer:request-price", "Ask the Chainlink job for the price with a direct request (owner only)")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ json }, hre) => {
+    const contracts = await loadContracts(hre);
+    const { priceConsumer } = contracts;
+
+    const tx = await sendAndDecode(priceConsumer.requestPrice(), { priceConsumer, operator: contracts.operator });
+    const requested = tx.events.find((e) => e.event === "PriceRequested");
+
+    const result = { requestId: requested.args.requestId, fee: ethers.formatEther(requested.args.payment), ...tx };
+    return report(result, json, (r) => console.log(`✅ Requested the price (${r.fee} LINK); request ID ${r.requestId}`));
+  });
+
+task("consumer:cancel-request", "Cancel a timed-out direct request and recover its LINK (owner only)")
+  .addParam("requestId", "The pending request", undefined, types.string)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ requestId, json }, hre) => {
+    if (!ethers.isHexString(requestId, 32)) {
+      throw taskError(`--request-id must be bytes32, got "${requestId}"`);
+    }
+    const contracts = await loadContracts(hre);
+    const { priceConsumer } = contracts;
+
+    const tx = await sendAndDecode(priceConsumer.cancelPriceRequest(requestId), {
+      priceConsumer,
+      operator: contracts.operator,
+    });
+
+    const { payment } = await priceConsumer.priceRequests(requestId);
+    const result = { requestId, refunded: ethers.formatEther(payment), ...tx };
+    return report(result, json, (r) => console.log(`✅ Cancelled request ${r.requestId}; ${r.refunded} LINK refunded`));
+  });
@@ -0,0 +1,107 @@
+const { task } = require("hardhat/config");
+const { types: argTypes, taskError, loadContracts, decodeEvents, sendAndDecode, revertReason, report } = require("./utils");
+const { PAUSES, getEmergencyState, setPaused } = require("../scripts/utils/emergency");
+
+// --parts values -> PAUSES keys
+const PARTS = {
+  "signed-updates": "signedUpdates",
+  "feed-refreshes": "feedRefreshes",
+  minting: "minting",
+  transfers: "transfers",
+  redemptions: "redemptions",
+};
+
+function parseParts(parts) {
+  if (!parts) return Object.values(PARTS);
+  return parts.split(",").map((part) => {
+    if (!PARTS[part.trim()]) {
+      throw taskError(`--parts must be a comma-separated list of ${Object.keys(PARTS).join(", ")}`);
+    }
+    return PARTS[part.trim()];
+  });
+}
+
+async function runPauses(hre, parts, paused, json) {
+  const names = parseParts(parts);
+  const contracts = await loadContracts(hre);
+  const { priceConsumer, oracleToken, oracleVault } = contracts;
+
+  const { changed, unchanged, failed } = await setPaused(contracts, names, paused);
+  const transactions = [];
+  for (const { name, receipt } of changed) {
+    transactions.push({
+      part: name,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      events: await decodeEvents(receipt, { priceConsumer, oracleToken, oracleVault }),
+    });
+  }
+  const result = {
+    changed: changed.map((c) => c.name),
+    unchanged,
+    failed: failed.map(({ name, error }) => ({ part: name, reason: revertReason(error) })),
+    transactions,
+    paused: (await getEmergencyState(contracts)).paused,
+  };
+  report(result, json, (r) => {
+    const verb = paused ? "Paused" : "Unpaused";
+    for (const { part, transactionHash, events } of r.transactions) {
+      console.log(`✅ ${verb} ${part} (tx ${transactionHash})`);
+      events.forEach(({ contract, event, args }) => console.log(`  📣 ${contract}.${event}(account=${args.account})`));
+    }
+    r.unchanged.forEach((part) => console.log(`ℹ️  ${part} was already ${paused ? "paused" : "running"}`));
+    r.failed.forEach(({ part, reason }) => console.log(`❌ ${part}: ${reason}`));
+  });
+  if (result.failed.length > 0) {
+    throw taskError(`Could not ${paused ? "pause" : "unpause"} ${result.failed.map((f) => `${f.part} (${f.reason})`).join(", ")}`);
+  }
+  return result;
+}
+
+task("emergency:status", "Show which parts of the oracle stack are paused and who can pause them")
+  .addOptionalParam("account", "Also show what this account can pause", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ account, json }, hre) => {
+    const contracts = await loadContracts(hre);
+    const result = await getEmergencyState(contracts, account);
+
+    return report(result, json, (r) => {
+      console.log("🚨 Emergency pauses");
+      for (const [part, name] of Object.entries(PARTS)) {
+        console.log(`  ${part.padEnd(15)} ${r.paused[name] ? "paused" : "running"} (${PAUSES[name].contract})`);
+      }
+      console.log(`  Consumer guardian: ${r.priceConsumer.guardian}, owner ${r.priceConsumer.owner}`);
+      console.log(`  Token guardian:    ${r.oracleToken.guardian}, owner ${r.oracleToken.owner}`);
+      console.log(`  Vault owner:       ${r.oracleVault.owner} (paused by the token guardian too)`);
+      if (r.account) {
+        const { address, canPauseConsumer, canPauseToken, canPauseVault } = r.account;
+        console.log(
+          `  ${address} can pause the consumer: ${canPauseConsumer}, the token: ${canPauseToken}, the vault: ${canPauseVault}`
+        );
+      }
+    });
+  });
+
+task("emergency:set-guardian", "Make an account the guardian of both the consumer and the token (owner only)")
+  .addParam("address", "The guardian", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, json }, hre) => {
+    const { priceConsumer, oracleToken } = await loadContracts(hre);
+    const consumerTx = await sendAndDecode(priceConsumer.setGuardian(address), { priceConsumer });
+    const tokenTx = await sendAndDecode(oracleToken.setGuardian(address), { oracleToken });
+
+    // Each contract has one guardian, so this replaces the previous one on both;
+    // the vault has none of its own and follows the token's
+    const result = { guardian: address, ...tokenTx, events: [...consumerTx.events, ...tokenTx.events] };
+    return report(result, json, (r) => console.log(`✅ ${r.guardian} can now pause every part of the stack`));
+  });
+
+task("emergency:pause", "Pause signed updates, feed refreshes, minting, transfers and/or redemptions (guardian or owner)")
+  .addOptionalParam("parts", `Comma-separated: ${Object.keys(PARTS).join(", ")} (default all)`)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ parts, json }, hre) => runPauses(hre, parts, true, json));
+
+task("emergency:unpause", "Resume signed updates, feed refreshes, minting, transfers and/or redemptions (owner only)")
+  .addOptionalParam("parts", `Comma-separated: ${Object.keys(PARTS).join(", ")} (default all)`)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ parts, json }, hre) => runPauses(hre, parts, false, json));
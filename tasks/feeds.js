@@ -0,0 +1,174 @@
+const { task } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { PRICE_STATUS, types: argTypes, taskError, loadContracts, checkAggregator, sendAndDecode, report } = require("./utils");
+const { CONTRACTS, writeManifest } = require("../scripts/utils/deployments");
+const { FEEDS_CONFIG, toPairId, pairName, loadFeedConfig, deployFeed } = require("../scripts/utils/feeds");
+
+// Manifest entry for an aggregator we did not deploy
+function existingFeedEntry(address, code) {
+  return {
+    contractName: CONTRACTS.priceFeed,
+    address,
+    transactionHash: null,
+    blockNumber: null,
+    constructorArgs: [],
+    bytecodeHash: ethers.keccak256(code),
+  };
+}
+
+// Keep manifest.feeds in step with the registry so --pair tasks find the same aggregators
+function recordFeed(hre, manifest, pair, entry) {
+  manifest.feeds = manifest.feeds || {};
+  if (entry) manifest.feeds[pair] = entry;
+  else delete manifest.feeds[pair];
+  writeManifest(hre.network.name, manifest);
+}
+
+task("feeds:list", "List the pairs registered with the price consumer")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ json }, hre) => {
+    const { priceConsumer } = await loadContracts(hre);
+
+    const feeds = [];
+    for (const pairId of await priceConsumer.getPairIds()) {
+      const [aggregator, decimals, signedPrice, signedAt, trustedSigner] = await priceConsumer.feeds(pairId);
+      const [price, updatedAt, status] = await priceConsumer.checkPriceFor(pairId);
+      feeds.push({
+        pair: pairName(pairId),
+        pairId,
+        aggregator,
+        decimals: Number(decimals),
+        price: ethers.formatUnits(price, decimals),
+        updatedAt: updatedAt > 0n ? new Date(Number(updatedAt) * 1000).toISOString() : null,
+        status: PRICE_STATUS[Number(status)],
+        signedPrice: ethers.formatUnits(signedPrice, decimals),
+        signedAt: signedAt > 0n ? new Date(Number(signedAt) * 1000).toISOString() : null,
+        trustedSigner,
+      });
+    }
+
+    return report({ feeds }, json, (r) => {
+      console.log(`🗂️  ${r.feeds.length} registered pair(s)`);
+      for (const feed of r.feeds) {
+        const status = feed.status === "Ok" ? "✅" : `⛔ ${feed.status}`;
+        console.log(`  ${feed.pair.padEnd(10)} ${feed.price.padStart(14)} USD  ${status}  ${feed.aggregator}`);
+      }
+    });
+  });
+
+task("feeds:add", "Register a pair with an existing aggregator (owner only)")
+  .addParam("pair", "Pair name, e.g. BTC/USD", undefined, argTypes.pair)
+  .addParam("address", "Aggregator address", undefined, argTypes.address)
+  .addOptionalParam("signer", "Trusted signer for the pair's signed prices, defaults to the sender", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ pair, address, signer, json }, hre) => {
+    const { manifest, priceConsumer, signer: sender } = await loadContracts(hre);
+    const { decimals, code } = await checkAggregator(hre, address);
+    const trustedSigner = signer || sender.address;
+
+    const tx = await sendAndDecode(priceConsumer.addFeed(toPairId(pair), address, trustedSigner), { priceConsumer });
+    recordFeed(hre, manifest, pair, {
+      ...existingFeedEntry(address, code),
+      pairId: toPairId(pair),
+      decimals: Number(decimals),
+      trustedSigner,
+    });
+
+    const result = { pair, aggregator: address, decimals: Number(decimals), trustedSigner, ...tx };
+    return report(result, json, (r) => console.log(`✅ Registered ${r.pair} -> ${r.aggregator} (${r.decimals} decimals)`));
+  });
+
+task("feeds:update", "Point a registered pair at another aggregator (owner only)")
+  .addParam("pair", "Registered pair, e.g. BTC/USD", undefined, argTypes.pair)
+  .addParam("address", "New aggregator address", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ pair, address, json }, hre) => {
+    const { manifest, priceConsumer, pairId, feed } = await loadContracts(hre, pair);
+    const { decimals, code } = await checkAggregator(hre, address);
+    const previous = await feed.getAddress();
+
+    const tx = await sendAndDecode(priceConsumer.updateFeed(pairId, address), { priceConsumer });
+    const [, , , , trustedSigner] = await priceConsumer.feeds(pairId);
+    recordFeed(hre, manifest, pair, { ...existingFeedEntry(address, code), pairId, decimals: Number(decimals), trustedSigner });
+
+    const result = { pair, previous, aggregator: address, decimals: Number(decimals), ...tx };
+    return report(result, json, (r) => console.log(`✅ ${r.pair} moved from ${r.previous} to ${r.aggregator}`));
+  });
+
+task("feeds:set-signer", "Change the trusted signer of a registered pair (owner only)")
+  .addParam("pair", "Registered pair, e.g. BTC/USD", undefined, argTypes.pair)
+  .addParam("signer", "New trusted signer", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ pair, signer, json }, hre) => {
+    const { manifest, priceConsumer, pairId } = await loadContracts(hre, pair);
+
+    const tx = await sendAndDecode(priceConsumer.updateFeedSigner(pairId, signer), { priceConsumer });
+    if (manifest.feeds && manifest.feeds[pair]) {
+      recordFeed(hre, manifest, pair, { ...manifest.feeds[pair], trustedSigner: signer });
+    }
+
+    const result = { pair, trustedSigner: signer, ...tx };
+    return report(result, json, (r) => console.log(`✅ ${r.pair} now trusts ${r.trustedSigner}`));
+  });
+
+task("feeds:remove", "Unregister a pair (owner only)")
+  .addParam("pair", "Registered pair, e.g. BTC/USD", undefined, argTypes.pair)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ pair, json }, hre) => {
+    const { manifest, priceConsumer, pairId } = await loadContracts(hre, pair);
+
+    const tx = await sendAndDecode(priceConsumer.removeFeed(pairId), { priceConsumer });
+    recordFeed(hre, manifest, pair, null);
+
+    const result = { pair, ...tx };
+    return report(result, json, (r) => console.log(`🗑️  Removed ${r.pair}`));
+  });
+
+task("feeds:deploy", "Deploy mock aggregators from a feeds config and register every missing pair (owner only)")
+  .addOptionalParam("file", "Feeds config file", FEEDS_CONFIG)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ file, json }, hre) => {
+    let feeds;
+    try {
+      feeds = loadFeedConfig(file);
+    } catch (error) {
+      throw taskError(error.message);
+    }
+    const { manifest, priceConsumer, signer } = await loadContracts(hre);
+    const registered = new Set((await priceConsumer.getPairIds()).map(pairName));
+
+    const pairs = [];
+    for (const feed of feeds) {
+      if (registered.has(feed.pair)) {
+        pairs.push({ pair: feed.pair, action: "skipped" });
+        continue;
+      }
+      let deployed;
+      try {
+        deployed = await deployFeed(hre.ethers, feed);
+      } catch (error) {
+        throw taskError(error.message);
+      }
+      const trustedSigner = feed.signer || signer.address;
+      const tx = await sendAndDecode(priceConsumer.addFeed(feed.pairId, deployed.entry.address, trustedSigner), {
+        priceConsumer,
+      });
+      const decimals = Number(await deployed.contract.decimals());
+      recordFeed(hre, manifest, feed.pair, { ...deployed.entry, pairId: feed.pairId, decimals, trustedSigner });
+
+      pairs.push({
+        pair: feed.pair,
+        action: feed.aggregator ? "registered" : "deployed",
+        aggregator: deployed.entry.address,
+        decimals,
+        transactionHash: tx.transactionHash,
+      });
+    }
+
+    return report({ file, pairs }, json, (r) => {
+      for (const p of r.pairs) {
+        if (p.action === "skipped") console.log(`= ${p.pair.padEnd(10)} already registered`);
+        else console.log(`+ ${p.pair.padEnd(10)} ${p.action} ${p.aggregator}`);
+      }
+    });
+  });
@@ -0,0 +1,10 @@
+// Day-to-day operations against the deployed contracts, e.g.
+//   npx hardhat oracle:price:set --price 2500.25 --network localhost
+require("./oracle");
+require("./consumer");
+require("./feeds");
+require("./token");
+require("./vault");
+require("./upkeep");
+require("./emergency");
+require("./market");
@@ -0,0 +1,115 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { types: argTypes, taskError, loadContracts, report, toJSON } = require("./utils");
+const { GENERATORS, generateSeries, loadSeries } = require("../scripts/utils/market-series");
+const { createSimulator } = require("../scripts/utils/market-simulator");
+
+// "dropBps=5000,crashAt=20" -> { dropBps: 5000, crashAt: 20 }
+function parseOptions(value) {
+  const options = {};
+  for (const pair of (value || "").split(",").filter(Boolean)) {
+    const [key, raw] = pair.split("=").map((part) => part.trim());
+    const number = Number(raw);
+    if (!key || raw === undefined || raw === "" || !Number.isFinite(number)) {
+      throw taskError(`--set expects numeric key=value pairs, got "${pair}"`);
+    }
+    options[key] = number;
+  }
+  return options;
+}
+
+task("market:simulate", "Drive the mock price feed through a generated or recorded price series")
+  .addOptionalParam("generator", `Synthetic series: ${Object.keys(GENERATORS).join(", ")}`, "gbm")
+  .addOptionalParam("file", "Replay a .csv or .json series (or JSON scenario) instead of generating one")
+  .addOptionalParam("steps", "Number of rounds to generate", 50, types.int)
+  .addOptionalParam("interval", "Seconds between rounds", 60, types.int)
+  .addOptionalParam("start", "Starting price in USD, defaults to the feed's current answer", undefined, argTypes.decimal)
+  .addOptionalParam("seed", "Random seed; the same seed replays the same series", 1, types.int)
+  .addOptionalParam("set", "Generator options as key=value pairs, e.g. dropBps=5000,crashAt=20")
+  .addOptionalParam("pair", "Registered pair to drive, e.g. BTC/USD (defaults to the consumer's main feed)", undefined, argTypes.pair)
+  .addFlag("signed", "Also push every price to the consumer as a signed update")
+  .addOptionalParam("signedEvery", "Push a signed update on every Nth round", 1, types.int)
+  .addOptionalParam("signedLag", "Sign each price this many seconds before its round", 0, types.int)
+  .addFlag("mint", "Call mintBasedOnPrice after every round")
+  .addOptionalParam("to", "Mint recipient, defaults to the first account", undefined, argTypes.address)
+  .addOptionalParam("out", "Write every step to this JSON file")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async (args, hre) => {
+    if (!["hardhat", "localhost"].includes(hre.network.name)) {
+      throw taskError("market:simulate rewrites block timestamps and only runs on a Hardhat network");
+    }
+    const { priceConsumer, oracleToken, signer, pairId, feed, feedDecimals, isMock } = await loadContracts(hre, args.pair);
+    if (!isMock) {
+      throw taskError(`${args.pair || "The main feed"} does not read the mock aggregator; only mocks can be simulated`);
+    }
+
+    const decimals = Number(feedDecimals);
+    let series;
+    try {
+      series = args.file
+        ? loadSeries(args.file, { interval: args.interval, decimals })
+        : generateSeries(args.generator, {
+            steps: args.steps,
+            interval: args.interval,
+            seed: args.seed,
+            decimals,
+            start: Number(args.start ?? ethers.formatUnits(await feed.latestAnswer(), decimals)),
+            ...parseOptions(args.set),
+          });
+    } catch (error) {
+      throw taskError(error.message);
+    }
+
+    // Signs with ORACLE_PRIVATE_KEY like the relayer; the deploy script trusts the first account
+    const oracle = process.env.ORACLE_PRIVATE_KEY ? new ethers.Wallet(process.env.ORACLE_PRIVATE_KEY) : signer;
+    if (args.signed) {
+      const trusted = pairId ? (await priceConsumer.feeds(pairId))[4] : await priceConsumer.trustedOracle();
+      if (trusted !== oracle.address) {
+        console.log(`⚠️  ${oracle.address} is not the trusted signer (${trusted}); signed updates will be rejected`);
+      }
+    }
+
+    let simulator;
+    try {
+      simulator = createSimulator({
+        aggregator: feed,
+        consumer: priceConsumer,
+        token: oracleToken,
+        oracle,
+        pairId,
+        recipient: args.to || signer.address,
+        config: { signed: args.signed, signedEvery: args.signedEvery, signedLagSeconds: args.signedLag, mint: args.mint },
+        logger: { debug() {}, info() {}, warn() {}, error() {} },
+      });
+    } catch (error) {
+      throw taskError(error.message);
+    }
+
+    const tokenDecimals = await oracleToken.decimals();
+    const format = (value) => (value === null ? "frozen" : ethers.formatUnits(value, decimals));
+    const { steps, summary } = await simulator.run(series, {
+      onStep: (step) => {
+        if (args.json) return;
+        const signed = step.signed ? (step.signed.ok ? "signed" : `signed ✖ ${step.signed.error}`) : "";
+        const mint = step.mint ? (step.mint.ok ? `mint ${ethers.formatUnits(step.mint.amount, tokenDecimals)}` : `mint ✖ ${step.mint.error}`) : "";
+        const status = step.status === "Ok" ? "✅ Ok" : `⛔ ${step.status}`;
+        console.log(`  #${step.step} ${new Date(step.timestamp * 1000).toISOString()} ${format(step.price)} ${status} ${signed} ${mint}`.trimEnd());
+      },
+    });
+
+    if (args.out) fs.writeFileSync(args.out, toJSON(steps) + "\n");
+
+    const result = { pair: args.pair || null, source: args.file || args.generator, summary, out: args.out || null };
+    if (args.json) result.steps = steps;
+    return report(result, args.json, (r) => {
+      const s = r.summary;
+      console.log(`📈 Simulated ${s.steps} steps from ${r.source} (${s.rounds} rounds, ${s.frozenSteps} frozen)`);
+      console.log(`  Statuses: ${Object.entries(s.statuses).map(([name, count]) => `${name} ${count}`).join(", ")}`);
+      if (args.signed) console.log(`  Signed updates: ${s.signedUpdates} accepted, ${s.signedRejected} rejected`);
+      if (args.mint) {
+        console.log(`  Mints: ${s.mints} succeeded, ${s.mintsRejected} rejected, ${ethers.formatUnits(s.minted, tokenDecimals)} tokens minted`);
+      }
+      if (r.out) console.log(`💾 Steps written to ${r.out}`);
+    });
+  });
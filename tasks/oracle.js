@@ -0,0 +1,129 @@
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { PRICE_STATUS, types: argTypes, taskError, parseDecimal, loadContracts, sendAndDecode, report } = require("./utils");
+
+function isoTime(seconds) {
+  return seconds > 0n ? new Date(Number(seconds) * 1000).toISOString() : null;
+}
+
+const PAIR_HELP = "Registered pair, e.g. BTC/USD (defaults to the consumer's main feed)";
+
+task("oracle:price:get", "Show the feed price and the last signed price stored by the consumer")
+  .addOptionalParam("pair", PAIR_HELP, undefined, argTypes.pair)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ pair, json }, hre) => {
+    const { priceConsumer, pairId, feed, feedDecimals } = await loadContracts(hre, pair);
+
+    let price, updatedAt, roundId, status, signedPrice, signedAt, trustedOracle;
+    if (pair) {
+      [roundId, price, , updatedAt] = await feed.latestRoundData();
+      [, , status] = await priceConsumer.checkPriceFor(pairId);
+      [, , signedPrice, signedAt, trustedOracle] = await priceConsumer.feeds(pairId);
+    } else {
+      [price, updatedAt, roundId] = await priceConsumer.getPriceDetails();
+      [, , status] = await priceConsumer.checkPrice();
+      signedPrice = await priceConsumer.latestPrice();
+      signedAt = await priceConsumer.lastUpdateTime();
+      trustedOracle = await priceConsumer.trustedOracle();
+    }
+
+    const result = {
+      pair: pair || null,
+      feed: {
+        address: feed ? await feed.getAddress() : null,
+        decimals: Number(feedDecimals),
+        roundId,
+        price: ethers.formatUnits(price, feedDecimals),
+        raw: price,
+        updatedAt: isoTime(updatedAt),
+        status: PRICE_STATUS[Number(status)],
+      },
+      consumer: {
+        address: await priceConsumer.getAddress(),
+        trustedOracle,
+        signedPrice: ethers.formatUnits(signedPrice, feedDecimals),
+        raw: signedPrice,
+        signedAt: isoTime(signedAt),
+      },
+    };
+
+    return report(result, json, (r) => {
+      console.log(`📊 Price Feed${r.pair ? ` ${r.pair}` : ""}:`, r.feed.address);
+      console.log(`  Round ${r.feed.roundId}: ${r.feed.price} USD (updated ${r.feed.updatedAt})`);
+      console.log(`  Circuit breaker: ${r.feed.status === "Ok" ? "✅ Ok" : `⛔ ${r.feed.status}`}`);
+      console.log("🔐 Price Consumer:", r.consumer.address);
+      console.log(`  Signed price: ${r.consumer.signedPrice} USD (${r.consumer.signedAt || "never updated"})`);
+      console.log(`  Trusted oracle: ${r.consumer.trustedOracle}`);
+    });
+  });
+
+task("oracle:price:set", "Push a new answer to the mock price feed")
+  .addParam("price", "New price in USD, e.g. 2500.25", undefined, argTypes.decimal)
+  .addOptionalParam("pair", PAIR_HELP, undefined, argTypes.pair)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ price, pair, json }, hre) => {
+    const { mockOracle, priceConsumer, feed, feedDecimals, isMock } = await loadContracts(hre, pair);
+    if (!pair && !mockOracle) {
+      throw taskError("This deployment has no mock feed; live aggregators cannot be set");
+    }
+    if (!isMock) {
+      throw taskError(
+        pair
+          ? `${pair} reads ${await feed.getAddress()}, which is not a mock feed; live aggregators cannot be set`
+          : `The consumer reads ${await feed.getAddress()}, not the mock feed; setting the mock would have no effect`
+      );
+    }
+
+    const answer = parseDecimal(price, feedDecimals, "--price");
+    const tx = await sendAndDecode(feed.updateAnswer(answer), { mockOracle: feed, priceConsumer });
+
+    const result = { pair: pair || null, price: ethers.formatUnits(answer, feedDecimals), raw: answer, ...tx };
+    return report(result, json, (r) => console.log(`✅ Mock feed${r.pair ? ` ${r.pair}` : ""} price set to ${r.price} USD`));
+  });
+
+task("oracle:price:history", "List the most recent rounds of the price feed")
+  .addOptionalParam("rounds", "Number of rounds to show", 10, types.int)
+  .addOptionalParam("maxScan", "Most round IDs to read, written or not (default: 10 per round shown)", undefined, types.int)
+  .addOptionalParam("pair", PAIR_HELP, undefined, argTypes.pair)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ rounds, maxScan = rounds * 10, pair, json }, hre) => {
+    if (rounds < 1) {
+      throw taskError("--rounds must be at least 1");
+    }
+    if (maxScan < rounds) {
+      throw taskError("--max-scan must be at least --rounds");
+    }
+    const { feed, feedDecimals } = await loadContracts(hre, pair);
+    if (!feed) {
+      throw taskError("The deployment manifest has no price feed entry");
+    }
+
+    const [latestRound] = await feed.latestRoundData();
+    const history = [];
+    let scanned = 0;
+    for (let roundId = latestRound; roundId > 0n && history.length < rounds && scanned < maxScan; roundId--) {
+      scanned++;
+      let round;
+      try {
+        round = await feed.getRoundData(roundId);
+      } catch {
+        break; // reverted: the aggregator has no earlier rounds (e.g. the start of a proxy phase)
+      }
+      const [, answer, , updatedAt] = round;
+      if (updatedAt === 0n) continue; // round never written (e.g. skipped by updateRoundData)
+      history.push({
+        roundId,
+        price: ethers.formatUnits(answer, feedDecimals),
+        raw: answer,
+        updatedAt: isoTime(updatedAt),
+      });
+    }
+
+    const result = { pair: pair || null, feed: await feed.getAddress(), scanned, rounds: history };
+    return report(result, json, (r) => {
+      console.log(`📈 Price history for${r.pair ? ` ${r.pair}` : ""}`, r.feed);
+      for (const round of r.rounds) {
+        console.log(`  #${String(round.roundId).padEnd(6)} ${round.price.padStart(14)} USD  ${round.updatedAt}`);
+      }
+    });
+  });
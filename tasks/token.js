@@ -0,0 +1,238 @@
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { ROUNDING, types: argTypes, taskError, parseDecimal, loadContracts, sendAndDecode, report } = require("./utils");
+
+// --role values and the OracleToken role getters they map to
+const ROLES = {
+  minter: "MINTER_ROLE",
+  "limits-admin": "LIMITS_ADMIN_ROLE",
+  admin: "DEFAULT_ADMIN_ROLE",
+};
+
+function roleGetter(role) {
+  if (!ROLES[role]) {
+    throw taskError(`--role must be one of ${Object.keys(ROLES).join(", ")}`);
+  }
+  return ROLES[role];
+}
+
+// Whole-token string, or null for `none` (0 for a cap that is off, max uint for an uncapped allowance)
+function formatLimit(value, decimals, none = 0n) {
+  return value === none ? null : ethers.formatUnits(value, decimals);
+}
+
+task("token:info", "Show OracleToken supply, mint rate and wiring")
+  .addOptionalParam("account", "Also show the balance of this account", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ account, json }, hre) => {
+    const { oracleToken } = await loadContracts(hre);
+    const decimals = await oracleToken.decimals();
+    const price = await oracleToken.getCurrentOraclePrice();
+    const priceDecimals = await oracleToken.getPriceDecimals();
+    const [window, accountCap, globalCap, cooldown] = await Promise.all([
+      oracleToken.mintWindow(),
+      oracleToken.accountMintCap(),
+      oracleToken.globalMintCap(),
+      oracleToken.mintCooldown(),
+    ]);
+
+    const result = {
+      address: await oracleToken.getAddress(),
+      name: await oracleToken.name(),
+      symbol: await oracleToken.symbol(),
+      decimals: Number(decimals),
+      owner: await oracleToken.owner(),
+      priceConsumer: await oracleToken.priceConsumer(),
+      totalSupply: ethers.formatUnits(await oracleToken.totalSupply(), decimals),
+      maxSupply: ethers.formatUnits(await oracleToken.MAX_SUPPLY(), decimals),
+      mintRate: await oracleToken.mintRate(),
+      rounding: ROUNDING[Number(await oracleToken.rounding())],
+      priceDecimals: Number(priceDecimals),
+      oraclePrice: ethers.formatUnits(price, priceDecimals),
+      mintAmountAtPrice: price > 0n ? ethers.formatUnits(await oracleToken.calculateMintAmount(price), decimals) : "0",
+      limits: {
+        windowSeconds: Number(window),
+        accountCap: formatLimit(accountCap, decimals),
+        globalCap: formatLimit(globalCap, decimals),
+        cooldownSeconds: Number(cooldown),
+      },
+      paused: { minting: await oracleToken.mintingPaused(), transfers: await oracleToken.transfersPaused() },
+    };
+    if (account) {
+      const [accountRemaining, globalRemaining, cooldownEnds] = await oracleToken.getMintAllowance(account);
+      result.account = {
+        address: account,
+        balance: ethers.formatUnits(await oracleToken.balanceOf(account), decimals),
+        minter: await oracleToken.hasRole(await oracleToken.MINTER_ROLE(), account),
+        accountRemaining: formatLimit(accountRemaining, decimals, ethers.MaxUint256),
+        globalRemaining: formatLimit(globalRemaining, decimals, ethers.MaxUint256),
+        cooldownEnds: Number(cooldownEnds),
+      };
+    }
+
+    return report(result, json, (r) => {
+      console.log(`🪙 ${r.name} (${r.symbol}) at ${r.address}`);
+      console.log(`  Owner:          ${r.owner}`);
+      console.log(`  Price consumer: ${r.priceConsumer}`);
+      console.log(`  Total supply:   ${r.totalSupply} / ${r.maxSupply} ${r.symbol}`);
+      console.log(`  Mint rate:      ${r.mintRate} (rounding ${r.rounding})`);
+      console.log(`  Oracle price:   ${r.oraclePrice} USD -> mints ${r.mintAmountAtPrice} ${r.symbol}`);
+      const { windowSeconds, accountCap, globalCap, cooldownSeconds } = r.limits;
+      console.log(
+        `  Mint limits:    ${accountCap || "no"} per account / ${globalCap || "no"} overall cap per ${windowSeconds}s window, ` +
+          `${cooldownSeconds}s cooldown`
+      );
+      const paused = Object.keys(r.paused).filter((part) => r.paused[part]);
+      if (paused.length) console.log(`  ⛔ Paused:      ${paused.join(", ")}`);
+      if (r.account) {
+        console.log(`  Balance of ${r.account.address}: ${r.account.balance} ${r.symbol}${r.account.minter ? " (minter)" : ""}`);
+        console.log(
+          `  Mintable to it: ${r.account.accountRemaining ?? "uncapped"} (account), ${r.account.globalRemaining ?? "uncapped"} (overall)` +
+            (r.account.cooldownEnds ? `, cooling down until ${new Date(r.account.cooldownEnds * 1000).toISOString()}` : "")
+        );
+      }
+    });
+  });
+
+task("token:mint", "Mint OracleToken at the current oracle price")
+  .addOptionalParam("to", "Recipient, defaults to the first account", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ to, json }, hre) => {
+    const { oracleToken, priceConsumer, signer } = await loadContracts(hre);
+    const recipient = to || signer.address;
+    const decimals = await oracleToken.decimals();
+
+    const tx = await sendAndDecode(oracleToken.mintBasedOnPrice(recipient), { oracleToken, priceConsumer });
+    const minted = tx.events.find((e) => e.event === "PriceBasedMint");
+
+    const result = {
+      to: recipient,
+      amount: minted ? ethers.formatUnits(minted.args.amount, decimals) : "0",
+      balance: ethers.formatUnits(await oracleToken.balanceOf(recipient), decimals),
+      ...tx,
+    };
+    return report(result, json, (r) => console.log(`✅ Minted ${r.amount} tokens to ${r.to} (balance ${r.balance})`));
+  });
+
+task("token:burn", "Burn OracleToken from an account (owner only)")
+  .addParam("from", "Account to burn from", undefined, argTypes.address)
+  .addParam("amount", "Amount in whole tokens, e.g. 12.5", undefined, argTypes.decimal)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ from, amount, json }, hre) => {
+    const { oracleToken } = await loadContracts(hre);
+    const decimals = await oracleToken.decimals();
+    const value = parseDecimal(amount, decimals, "--amount");
+    if (value <= 0n) {
+      throw taskError("--amount must be positive");
+    }
+
+    const tx = await sendAndDecode(oracleToken.burn(from, value), { oracleToken });
+
+    const result = {
+      from,
+      amount: ethers.formatUnits(value, decimals),
+      balance: ethers.formatUnits(await oracleToken.balanceOf(from), decimals),
+      ...tx,
+    };
+    return report(result, json, (r) => console.log(`🔥 Burned ${r.amount} tokens from ${r.from} (balance ${r.balance})`));
+  });
+
+task("token:set-rate", "Change the OracleToken mint rate (owner only)")
+  .addParam("rate", "New mint rate", undefined, types.int)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ rate, json }, hre) => {
+    if (rate < 1) {
+      throw taskError("--rate must be positive");
+    }
+    const { oracleToken } = await loadContracts(hre);
+    const previous = await oracleToken.mintRate();
+
+    const tx = await sendAndDecode(oracleToken.updateMintRate(rate), { oracleToken });
+
+    const result = { previous, mintRate: BigInt(rate), ...tx };
+    return report(result, json, (r) => console.log(`✅ Mint rate changed from ${r.previous} to ${r.mintRate}`));
+  });
+
+task("token:set-limits", "Set the per-account and overall mint caps and the cooldown (limits admin only)")
+  .addOptionalParam("window", "Rolling cap window in seconds", 0, types.int)
+  .addOptionalParam("accountCap", "Whole tokens one recipient can receive per window, 0 for no cap", "0", argTypes.decimal)
+  .addOptionalParam("globalCap", "Whole tokens all recipients can receive per window, 0 for no cap", "0", argTypes.decimal)
+  .addOptionalParam("cooldown", "Seconds between two mints to the same recipient", 0, types.int)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ window, accountCap, globalCap, cooldown, json }, hre) => {
+    if (window < 0 || cooldown < 0) {
+      throw taskError("--window and --cooldown must not be negative");
+    }
+    const { oracleToken } = await loadContracts(hre);
+    const decimals = await oracleToken.decimals();
+    const accountValue = parseDecimal(accountCap, decimals, "--account-cap");
+    const globalValue = parseDecimal(globalCap, decimals, "--global-cap");
+    if (accountValue < 0n || globalValue < 0n) {
+      throw taskError("--account-cap and --global-cap must not be negative");
+    }
+
+    const tx = await sendAndDecode(oracleToken.setMintLimits(window, accountValue, globalValue, cooldown), { oracleToken });
+
+    const result = {
+      windowSeconds: window,
+      accountCap: formatLimit(accountValue, decimals),
+      globalCap: formatLimit(globalValue, decimals),
+      cooldownSeconds: cooldown,
+      ...tx,
+    };
+    return report(result, json, (r) =>
+      console.log(
+        `✅ Mint limits set: ${r.accountCap || "no"} per account / ${r.globalCap || "no"} overall cap per ${r.windowSeconds}s window, ` +
+          `${r.cooldownSeconds}s cooldown`
+      )
+    );
+  });
+
+task("token:grant-role", "Grant an OracleToken role (role admin only)")
+  .addParam("role", `Role: ${Object.keys(ROLES).join(", ")}`)
+  .addParam("account", "Account to grant it to", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ role, account, json }, hre) => {
+    const getter = roleGetter(role);
+    const { oracleToken } = await loadContracts(hre);
+
+    const tx = await sendAndDecode(oracleToken.grantRole(await oracleToken[getter](), account), { oracleToken });
+
+    const result = { role, account, ...tx };
+    return report(result, json, (r) =>
+      console.log(r.events.length ? `✅ Granted ${r.role} to ${r.account}` : `ℹ️ ${r.account} already has ${r.role}`)
+    );
+  });
+
+task("token:revoke-role", "Revoke an OracleToken role (role admin only)")
+  .addParam("role", `Role: ${Object.keys(ROLES).join(", ")}`)
+  .addParam("account", "Account to revoke it from", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ role, account, json }, hre) => {
+    const getter = roleGetter(role);
+    const { oracleToken } = await loadContracts(hre);
+
+    const tx = await sendAndDecode(oracleToken.revokeRole(await oracleToken[getter](), account), { oracleToken });
+
+    const result = { role, account, ...tx };
+    return report(result, json, (r) =>
+      console.log(r.events.length ? `✅ Revoked ${r.role} from ${r.account}` : `ℹ️ ${r.account} did not have ${r.role}`)
+    );
+  });
+
+task("token:set-rounding", "Change how the OracleToken mint math rounds (owner only)")
+  .addParam("mode", `Rounding mode: ${ROUNDING.join(", ")}`)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ mode, json }, hre) => {
+    const index = ROUNDING.indexOf(mode);
+    if (index === -1) {
+      throw taskError(`--mode must be one of ${ROUNDING.join(", ")}`);
+    }
+    const { oracleToken } = await loadContracts(hre);
+    const previous = ROUNDING[Number(await oracleToken.rounding())];
+
+    const tx = await sendAndDecode(oracleToken.setRounding(index), { oracleToken });
+
+    const result = { previous, rounding: mode, ...tx };
+    return report(result, json, (r) => console.log(`✅ Rounding changed from ${r.previous} to ${r.rounding}`));
+  });
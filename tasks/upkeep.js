@@ -0,0 +1,112 @@
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { types: argTypes, taskError, loadContracts, sendAndDecode, report } = require("./utils");
+
+// PriceUpkeep.UpkeepReason by value
+const REASONS = ["None", "Heartbeat", "Deviation"];
+
+async function loadUpkeep(hre) {
+  const contracts = await loadContracts(hre);
+  if (!contracts.priceUpkeep) {
+    throw taskError("The deployment manifest has no priceUpkeep; redeploy with scripts/deploy.js");
+  }
+  return contracts;
+}
+
+task("upkeep:check", "Show whether the price upkeep would refresh the stored price now")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ json }, hre) => {
+    const { priceConsumer, priceUpkeep } = await loadUpkeep(hre);
+    const [[reason, price, updatedAt], heartbeat, deviationBps, forwarder, storedPrice, lastUpdateTime, decimals, authorized] =
+      await Promise.all([
+        priceUpkeep.checkRefresh(),
+        priceUpkeep.heartbeat(),
+        priceUpkeep.deviationBps(),
+        priceUpkeep.forwarder(),
+        priceConsumer.latestPrice(),
+        priceConsumer.lastUpdateTime(),
+        priceConsumer.getPriceDecimals(),
+        priceConsumer.priceUpkeep(),
+      ]);
+    const address = await priceUpkeep.getAddress();
+
+    const result = {
+      address,
+      upkeepNeeded: reason !== 0n,
+      reason: REASONS[Number(reason)],
+      feedPrice: ethers.formatUnits(price, decimals),
+      feedUpdatedAt: Number(updatedAt),
+      storedPrice: ethers.formatUnits(storedPrice, decimals),
+      storedUpdatedAt: Number(lastUpdateTime),
+      heartbeat: Number(heartbeat),
+      deviationBps: Number(deviationBps),
+      forwarder: forwarder === ethers.ZeroAddress ? null : forwarder,
+      authorized: authorized === address,
+    };
+    return report(result, json, (r) => {
+      console.log(`⏱️  Price Upkeep at ${r.address}: ${r.upkeepNeeded ? `refresh due (${r.reason})` : "nothing to do"}`);
+      console.log(`  Feed:      ${r.feedPrice} USD, updated ${r.feedUpdatedAt}`);
+      console.log(`  Stored:    ${r.storedPrice} USD, updated ${r.storedUpdatedAt}`);
+      console.log(`  Triggers:  heartbeat ${r.heartbeat}s, deviation ${r.deviationBps} bps`);
+      console.log(`  Performer: ${r.forwarder || "anyone"}${r.authorized ? "" : " (not the consumer's priceUpkeep!)"}`);
+    });
+  });
+
+task("upkeep:perform", "Run one Automation cycle: check the upkeep and perform it if needed")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ json }, hre) => {
+    const { priceConsumer, priceUpkeep } = await loadUpkeep(hre);
+
+    // What an Automation node does each cycle: simulate checkUpkeep, perform with its performData
+    const [upkeepNeeded, performData] = await priceUpkeep.checkUpkeep.staticCall("0x");
+    if (!upkeepNeeded) {
+      return report({ performed: false }, json, () => console.log("ℹ️  Upkeep not needed"));
+    }
+    const tx = await sendAndDecode(priceUpkeep.performUpkeep(performData), { priceConsumer, priceUpkeep });
+
+    const { args } = tx.events.find((e) => e.event === "UpkeepPerformed");
+    const decimals = await priceConsumer.getPriceDecimals();
+    const result = {
+      performed: true,
+      reason: REASONS[Number(args.reason)],
+      price: ethers.formatUnits(args.price, decimals),
+      updatedAt: Number(args.updatedAt),
+      ...tx,
+    };
+    return report(result, json, (r) => console.log(`✅ Refreshed the stored price to ${r.price} USD (${r.reason})`));
+  });
+
+task("upkeep:set-params", "Change when the upkeep refreshes the stored price (owner only)")
+  .addOptionalParam("heartbeat", "Max age of the stored price in seconds", undefined, types.int)
+  .addOptionalParam("deviationBps", "Move from the stored price that triggers a refresh, in basis points", undefined, types.int)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ heartbeat, deviationBps, json }, hre) => {
+    if ([heartbeat, deviationBps].some((value) => value !== undefined && value < 0)) {
+      throw taskError("--heartbeat and --deviation-bps must not be negative");
+    }
+    const { priceUpkeep } = await loadUpkeep(hre);
+    // Unset parameters keep their current value
+    const params = [heartbeat ?? (await priceUpkeep.heartbeat()), deviationBps ?? (await priceUpkeep.deviationBps())];
+
+    const tx = await sendAndDecode(priceUpkeep.setParameters(...params), { priceUpkeep });
+
+    const result = { heartbeat: Number(params[0]), deviationBps: Number(params[1]), ...tx };
+    return report(result, json, (r) =>
+      console.log(`✅ Upkeep refreshes after ${r.heartbeat}s or on a ${r.deviationBps} bps move`)
+    );
+  });
+
+task("upkeep:set-forwarder", "Only let an Automation forwarder perform the upkeep (owner only)")
+  .addOptionalParam("address", "The upkeep's forwarder; omit to let anyone perform", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ address, json }, hre) => {
+    const { priceUpkeep } = await loadUpkeep(hre);
+    const forwarder = address || ethers.ZeroAddress;
+
+    const tx = await sendAndDecode(priceUpkeep.setForwarder(forwarder), { priceUpkeep });
+
+    const result = { forwarder: address || null, ...tx };
+    return report(result, json, (r) =>
+      console.log(r.forwarder ? `✅ Only ${r.forwarder} can perform the upkeep` : "✅ Anyone can perform the upkeep")
+    );
+  });
@@ -0,0 +1,249 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const { ethers } = require("ethers");
+const { CONTRACTS, getDeployedContracts } = require("../scripts/utils/deployments");
+const { toPairId } = require("../scripts/utils/feeds");
+
+/**
+ * Shared helpers for the oracle/consumer/feeds/token tasks
+ * Tasks load contracts from the deployment manifest, take decimal input as
+ * strings and either print a human summary or, with --json, one JSON document.
+ */
+
+const PLUGIN_NAME = "oracle-tasks";
+
+// PriceConsumer.PriceStatus, in declaration order
+const PRICE_STATUS = [
+  "Ok",
+  "IncompleteRound",
+  "StaleRound",
+  "StalePrice",
+  "NonPositive",
+  "BelowMinimum",
+  "AboveMaximum",
+  "ExcessiveDeviation",
+];
+
+// OracleToken.Rounding, in declaration order
+const ROUNDING = ["down", "up", "nearest"];
+
+function taskError(message) {
+  return new HardhatPluginError(PLUGIN_NAME, message);
+}
+
+// Argument types (usable from the CLI and from hre.run)
+const address = {
+  name: "address",
+  parse: (argName, value) => {
+    address.validate(argName, value);
+    return ethers.getAddress(value);
+  },
+  validate: (argName, value) => {
+    if (typeof value !== "string" || !ethers.isAddress(value)) {
+      throw taskError(`Invalid value ${value} for argument ${argName} of type address`);
+    }
+  },
+};
+
+// Kept as a string until the contract's decimals are known, so no precision is lost
+const decimal = {
+  name: "decimal",
+  parse: (argName, value) => {
+    decimal.validate(argName, value);
+    return value;
+  },
+  validate: (argName, value) => {
+    if (typeof value !== "string" || !/^-?\d+(\.\d+)?$/.test(value)) {
+      throw taskError(`Invalid value ${value} for argument ${argName} of type decimal (e.g. 2500 or 2500.25)`);
+    }
+  },
+};
+
+/**
+ * Parse a decimal string into base units, rejecting more fraction digits than supported
+ * @param {string} value Decimal string such as "2500.25"
+ * @param {number|bigint} decimals Decimals of the target unit
+ * @param {string} label Argument name for the error message
+ * @return {bigint}
+ */
+function parseDecimal(value, decimals, label) {
+  try {
+    return ethers.parseUnits(value, Number(decimals));
+  } catch (error) {
+    throw taskError(`${label} ${value} has more than ${decimals} decimal places`);
+  }
+}
+
+// Registered pair such as BTC/USD
+const pair = {
+  name: "pair",
+  parse: (argName, value) => {
+    pair.validate(argName, value);
+    return value;
+  },
+  validate: (argName, value) => {
+    try {
+      toPairId(value);
+    } catch (error) {
+      throw taskError(`Invalid value ${value} for argument ${argName} of type pair: ${error.message}`);
+    }
+  },
+};
+
+/**
+ * Load the deployed contracts plus the price feed the consumer reads
+ * A `priceFeed` manifest entry (existing aggregator, or set via consumer:set-feed)
+ * takes precedence over the mock. With a pair, `feed` is that pair's registered
+ * aggregator instead, and `isMock` tells whether the manifest deployed it as a mock.
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} [pairName] Registered pair to read, e.g. BTC/USD
+ */
+async function loadContracts(hre, pairName) {
+  const [signer] = await hre.ethers.getSigners();
+  const contracts = await getDeployedContracts(hre, signer);
+  if (!pairName) {
+    const feed = contracts.priceFeed || contracts.mockOracle;
+    const feedDecimals = feed ? await feed.decimals() : 8n;
+    return { ...contracts, signer, feed, feedDecimals, isMock: !!feed && feed === contracts.mockOracle };
+  }
+
+  const pairId = toPairId(pairName);
+  const [aggregator, feedDecimals] = await contracts.priceConsumer.feeds(pairId);
+  if (aggregator === ethers.ZeroAddress) {
+    throw taskError(`Pair ${pairName} is not registered with the price consumer`);
+  }
+  // Prefer the manifest's instance so a mock keeps its setter ABI
+  const known = contracts.feeds[pairName];
+  const isMock = !!known && contracts.manifest.feeds[pairName].address === aggregator &&
+    contracts.manifest.feeds[pairName].contractName === CONTRACTS.mockOracle;
+  const feed = isMock ? known : await hre.ethers.getContractAt(CONTRACTS.priceFeed, aggregator, signer);
+  return { ...contracts, signer, pairId, feed, feedDecimals, isMock };
+}
+
+/**
+ * Check that an address is a Chainlink-style aggregator before pointing the consumer at it
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} address The aggregator address
+ * @return {Promise<{decimals: bigint, code: string}>}
+ */
+async function checkAggregator(hre, address) {
+  const code = await hre.ethers.provider.getCode(address);
+  if (code === "0x") {
+    throw taskError(`No contract deployed at ${address}`);
+  }
+  const feed = await hre.ethers.getContractAt(CONTRACTS.priceFeed, address);
+  try {
+    const decimals = await feed.decimals();
+    await feed.latestRoundData();
+    return { decimals, code };
+  } catch (error) {
+    throw taskError(`${address} does not behave like a Chainlink aggregator: ${error.shortMessage || error.message}`);
+  }
+}
+
+/**
+ * Decode every log in a receipt that belongs to one of the given contracts
+ * @param {object} receipt Transaction receipt
+ * @param {object} contracts Map of name -> ethers contract
+ * @return {Promise<Array<{contract: string, event: string, args: object}>>}
+ */
+async function decodeEvents(receipt, contracts) {
+  const byAddress = {};
+  for (const [name, contract] of Object.entries(contracts)) {
+    if (contract && contract.interface) {
+      byAddress[(await contract.getAddress()).toLowerCase()] = { name, contract };
+    }
+  }
+
+  const events = [];
+  for (const log of receipt.logs) {
+    const match = byAddress[log.address.toLowerCase()];
+    const parsed = match ? match.contract.interface.parseLog(log) : null;
+    if (!parsed) continue;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      args[input.name || String(i)] = parsed.args[i];
+    });
+    events.push({ contract: match.name, event: parsed.name, args });
+  }
+  return events;
+}
+
+/**
+ * Send a transaction and wait for it, returning receipt details and decoded events
+ * @param {Promise<object>} txPromise The pending contract call
+ * @param {object} contracts Contracts whose events should be decoded
+ */
+async function sendAndDecode(txPromise, contracts) {
+  let tx, receipt;
+  try {
+    tx = await txPromise;
+    receipt = await tx.wait();
+  } catch (error) {
+    const reason = error.revert
+      ? `${error.revert.name}(${error.revert.args.join(", ")})`
+      : error.reason || error.shortMessage || error.message;
+    throw taskError(`Transaction reverted: ${reason}`);
+  }
+  return {
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    events: await decodeEvents(receipt, contracts),
+  };
+}
+
+// Revert reason or custom error name from a failed call or transaction
+function revertReason(error) {
+  if (error.reason) return error.reason;
+  if (error.revert) return error.revert.name;
+  const message = error.shortMessage || error.message;
+  const match = /reverted with (?:reason string|custom error) '(.*)'$/.exec(message);
+  return match ? match[1] : message;
+}
+
+function toJSON(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+function formatEvent({ contract, event, args }) {
+  const fields = Object.entries(args).map(([k, v]) => `${k}=${v}`);
+  return `${contract}.${event}(${fields.join(", ")})`;
+}
+
+/**
+ * Print a task result
+ * @param {object} result Plain result object (also returned from the task)
+ * @param {boolean} json Print the result as JSON instead of the human summary
+ * @param {Function} render Prints the human summary
+ */
+function report(result, json, render) {
+  if (json) {
+    console.log(toJSON(result));
+    return result;
+  }
+
+  render(result);
+  if (result.transactionHash) {
+    console.log(`Transaction: ${result.transactionHash} (block ${result.blockNumber}, gas ${result.gasUsed})`);
+  }
+  for (const event of result.events || []) {
+    console.log(`  📣 ${formatEvent(event)}`);
+  }
+  return result;
+}
+
+module.exports = {
+  PRICE_STATUS,
+  ROUNDING,
+  types: { address, decimal, pair },
+  taskError,
+  parseDecimal,
+  loadContracts,
+  checkAggregator,
+  decodeEvents,
+  sendAndDecode,
+  revertReason,
+  report,
+  toJSON,
+};
@@ -0,0 +1,216 @@
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { types: argTypes, taskError, parseDecimal, loadContracts, sendAndDecode, revertReason, report } = require("./utils");
+
+// ORACLE and ETH both have 18 decimals
+const DECIMALS = 18;
+
+async function loadVault(hre) {
+  const contracts = await loadContracts(hre);
+  if (!contracts.oracleVault) {
+    throw taskError("The deployment manifest has no oracleVault; redeploy with scripts/deploy.js");
+  }
+  return contracts;
+}
+
+function formatRatio(ratioBps) {
+  return ratioBps === ethers.MaxUint256 ? null : `${(Number(ratioBps) / 100).toFixed(2)}%`;
+}
+
+async function describePosition(oracleVault, account) {
+  const { collateral, debt } = await oracleVault.positions(account);
+  let ratio = null;
+  let priceError = null;
+  try {
+    ratio = formatRatio((await oracleVault.getPosition(account)).ratioBps);
+  } catch (error) {
+    priceError = revertReason(error);
+  }
+  return { address: account, collateral: ethers.formatEther(collateral), debt: ethers.formatEther(debt), ratio, priceError };
+}
+
+task("vault:info", "Show OracleVault parameters, totals and optionally one position")
+  .addOptionalParam("account", "Also show this account's position", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ account, json }, hre) => {
+    const { oracleVault } = await loadVault(hre);
+    const [ratioBps, feeBps, minPositionSize, maxPriceAge, totalCollateral, totalDebt, accruedFees] = await Promise.all([
+      oracleVault.collateralRatioBps(),
+      oracleVault.feeBps(),
+      oracleVault.minPositionSize(),
+      oracleVault.maxPriceAge(),
+      oracleVault.totalCollateral(),
+      oracleVault.totalDebt(),
+      oracleVault.accruedFees(),
+    ]);
+
+    let price = null;
+    let priceError = null;
+    try {
+      price = ethers.formatUnits(await oracleVault.getPrice(), DECIMALS);
+    } catch (error) {
+      priceError = revertReason(error);
+    }
+
+    const result = {
+      address: await oracleVault.getAddress(),
+      collateralRatio: formatRatio(ratioBps),
+      feeBps: Number(feeBps),
+      minPositionSize: ethers.formatUnits(minPositionSize, DECIMALS),
+      maxPriceAge: Number(maxPriceAge),
+      price,
+      priceError,
+      totalCollateral: ethers.formatEther(totalCollateral),
+      totalDebt: ethers.formatUnits(totalDebt, DECIMALS),
+      accruedFees: ethers.formatEther(accruedFees),
+    };
+    if (account) result.position = await describePosition(oracleVault, account);
+
+    return report(result, json, (r) => {
+      console.log(`🏦 Oracle Vault at ${r.address}`);
+      console.log(`  Collateral ratio: ${r.collateralRatio}, fee ${r.feeBps} bps, min position ${r.minPositionSize} ORACLE`);
+      const price = r.price ? `${r.price} ORACLE per ETH` : `unusable (${r.priceError})`;
+      console.log(`  Price:            ${price}, max age ${r.maxPriceAge || "off"}s`);
+      console.log(`  Totals:           ${r.totalCollateral} ETH backing ${r.totalDebt} ORACLE, ${r.accruedFees} ETH in fees`);
+      if (r.position) {
+        const p = r.position;
+        const ratio = p.ratio || (p.priceError ? "unknown" : "n/a");
+        console.log(`  Position of ${p.address}: ${p.collateral} ETH, ${p.debt} ORACLE, ratio ${ratio}`);
+      }
+    });
+  });
+
+task("vault:deposit", "Deposit ETH into your vault position and optionally mint ORACLE")
+  .addParam("eth", "ETH to deposit, e.g. 1.5", undefined, argTypes.decimal)
+  .addOptionalParam("mint", "ORACLE to mint after the deposit", "0", argTypes.decimal)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ eth, mint, json }, hre) => {
+    const value = parseDecimal(eth, DECIMALS, "--eth");
+    const amount = parseDecimal(mint, DECIMALS, "--mint");
+    if (value <= 0n || amount < 0n) {
+      throw taskError("--eth must be positive and --mint must not be negative");
+    }
+    const { oracleVault, oracleToken, signer } = await loadVault(hre);
+
+    const tx = await sendAndDecode(oracleVault.deposit(amount, { value }), { oracleVault, oracleToken });
+
+    const result = {
+      deposited: eth,
+      minted: ethers.formatUnits(amount, DECIMALS),
+      position: await describePosition(oracleVault, signer.address),
+      ...tx,
+    };
+    return report(result, json, (r) =>
+      console.log(
+        `✅ Deposited ${r.deposited} ETH, minted ${r.minted} ORACLE ` +
+          `(position ${r.position.collateral} ETH / ${r.position.debt} ORACLE)`
+      )
+    );
+  });
+
+task("vault:mint", "Mint ORACLE against your vault collateral")
+  .addParam("amount", "ORACLE to mint", undefined, argTypes.decimal)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ amount, json }, hre) => {
+    const value = parseDecimal(amount, DECIMALS, "--amount");
+    if (value <= 0n) {
+      throw taskError("--amount must be positive");
+    }
+    const { oracleVault, oracleToken, signer } = await loadVault(hre);
+
+    const tx = await sendAndDecode(oracleVault.mint(value), { oracleVault, oracleToken });
+
+    const result = { minted: amount, position: await describePosition(oracleVault, signer.address), ...tx };
+    return report(result, json, (r) => console.log(`✅ Minted ${r.minted} ORACLE (ratio ${r.position.ratio})`));
+  });
+
+task("vault:redeem", "Redeem ORACLE for ETH at the current price from your position or one below the collateral ratio")
+  .addParam("amount", "ORACLE to redeem", undefined, argTypes.decimal)
+  .addOptionalParam("position", "Redeem from this account's position (default your own)", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ amount, position, json }, hre) => {
+    const value = parseDecimal(amount, DECIMALS, "--amount");
+    if (value <= 0n) {
+      throw taskError("--amount must be positive");
+    }
+    const { oracleVault, oracleToken, signer } = await loadVault(hre);
+
+    const call = position ? oracleVault.redeemFrom(position, value) : oracleVault.redeem(value);
+    const tx = await sendAndDecode(call, { oracleVault, oracleToken });
+    const redeemed = tx.events.find((e) => e.event === "Redeemed");
+
+    const result = {
+      redeemed: amount,
+      payout: ethers.formatEther(redeemed.args.payout),
+      fee: ethers.formatEther(redeemed.args.fee),
+      position: await describePosition(oracleVault, position || signer.address),
+      ...tx,
+    };
+    return report(result, json, (r) => console.log(`✅ Redeemed ${r.redeemed} ORACLE for ${r.payout} ETH (fee ${r.fee} ETH)`));
+  });
+
+task("vault:withdraw", "Withdraw ETH from your vault position")
+  .addParam("eth", "ETH to withdraw", undefined, argTypes.decimal)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ eth, json }, hre) => {
+    const value = parseDecimal(eth, DECIMALS, "--eth");
+    if (value <= 0n) {
+      throw taskError("--eth must be positive");
+    }
+    const { oracleVault, signer } = await loadVault(hre);
+
+    const tx = await sendAndDecode(oracleVault.withdraw(value), { oracleVault });
+
+    const result = { withdrawn: eth, position: await describePosition(oracleVault, signer.address), ...tx };
+    return report(result, json, (r) => console.log(`✅ Withdrew ${r.withdrawn} ETH (${r.position.collateral} ETH left)`));
+  });
+
+task("vault:set-params", "Change the vault's collateral ratio, fee, minimum position or max price age (owner only)")
+  .addOptionalParam("ratioBps", "Minimum collateral ratio in basis points, e.g. 15000 for 150%", undefined, types.int)
+  .addOptionalParam("feeBps", "Fee on minted and redeemed value in basis points", undefined, types.int)
+  .addOptionalParam("minPosition", "Smallest debt a position can keep open, in ORACLE", undefined, argTypes.decimal)
+  .addOptionalParam("maxPriceAge", "Oldest price the vault uses in seconds, 0 for the consumer's guard", undefined, types.int)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ ratioBps, feeBps, minPosition, maxPriceAge, json }, hre) => {
+    if ([ratioBps, feeBps, maxPriceAge].some((value) => value !== undefined && value < 0)) {
+      throw taskError("--ratio-bps, --fee-bps and --max-price-age must not be negative");
+    }
+    const { oracleVault } = await loadVault(hre);
+    // Unset parameters keep their current value
+    const params = [
+      ratioBps ?? (await oracleVault.collateralRatioBps()),
+      feeBps ?? (await oracleVault.feeBps()),
+      minPosition === undefined ? await oracleVault.minPositionSize() : parseDecimal(minPosition, DECIMALS, "--min-position"),
+      maxPriceAge ?? (await oracleVault.maxPriceAge()),
+    ];
+
+    const tx = await sendAndDecode(oracleVault.setParameters(...params), { oracleVault });
+
+    const result = {
+      collateralRatio: formatRatio(BigInt(params[0])),
+      feeBps: Number(params[1]),
+      minPositionSize: ethers.formatUnits(params[2], DECIMALS),
+      maxPriceAge: Number(params[3]),
+      ...tx,
+    };
+    return report(result, json, (r) =>
+      console.log(
+        `✅ Vault: collateral ratio ${r.collateralRatio}, fee ${r.feeBps} bps, min position ${r.minPositionSize} ORACLE, ` +
+          `max price age ${r.maxPriceAge || "off"}s`
+      )
+    );
+  });
+
+task("vault:withdraw-fees", "Send the vault's accrued fees to an address (owner only)")
+  .addOptionalParam("to", "Recipient, defaults to the first account", undefined, argTypes.address)
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ to, json }, hre) => {
+    const { oracleVault, signer } = await loadVault(hre);
+    const recipient = to || signer.address;
+
+    const tx = await sendAndDecode(oracleVault.withdrawFees(recipient), { oracleVault });
+    const withdrawn = tx.events.find((e) => e.event === "FeesWithdrawn");
+
+    const result = { to: recipient, amount: ethers.formatEther(withdrawn.args.amount), ...tx };
+    return report(result, json, (r) => console.log(`✅ Sent ${r.amount} ETH of fees to ${r.to}`));
+  });
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const yaml = require("js-yaml");
+const { ethers } = require("hardhat");
+const { CONTRACTS } = require("../scripts/utils/deployments");
+const { toPairId } = require("../scripts/utils/feeds");
+const {
+  OPENAPI_FILE,
+  POSTMAN_FILE,
+  DOCUMENTED,
+  EXAMPLE_SIGNER,
+  readAbi,
+  buildExamples,
+  renderDocs,
+  recordedDeployment,
+  diffDocs,
+} = require("../scripts/utils/api-docs");
+const { priceReportDomain, recoverPriceReportSigner } = require("../scripts/utils/price-signing");
+
+describe("Generated API docs", function () {
+  const abis = Object.fromEntries(Object.keys(DOCUMENTED).map((key) => [key, readAbi(CONTRACTS[key])]));
+  const committed = {
+    openapi: fs.readFileSync(OPENAPI_FILE, "utf8"),
+    postman: fs.readFileSync(POSTMAN_FILE, "utf8"),
+  };
+  const deployment = recordedDeployment(committed.openapi);
+
+  it("Should match the compiled ABIs", function () {
+    expect(deployment, "openapi.yaml has no x-deployment").to.not.equal(null);
+    expect(diffDocs(renderDocs(abis, deployment), committed)).to.deep.equal([]);
+  });
+
+  it("Should have one decodable example per function", function () {
+    const examples = yaml.load(committed.openapi).paths["/"].post.requestBody.content["application/json"].examples;
+
+    for (const key of Object.keys(DOCUMENTED)) {
+      const iface = new ethers.Interface(abis[key]);
+      const documented = Object.values(examples).filter(({ value }) => value.params[0]?.to === deployment.addresses[key]);
+
+      const selectors = documented.map(({ value }) => {
+        const tx = iface.parseTransaction({ data: value.params[0].data });
+        expect(value.method).to.equal(tx.fragment.constant ? "eth_call" : "eth_sendTransaction");
+        return tx.selector;
+      });
+
+      const expected = [];
+      iface.forEachFunction((fragment) => expected.push(fragment.selector));
+      expect(selectors.sort(), CONTRACTS[key]).to.deep.equal(expected.sort());
+    }
+  });
+
+  it("Should reference the same calls from the Postman collection", function () {
+    const collection = JSON.parse(committed.postman);
+    const folder = collection.item.find((item) => item.name === DOCUMENTED.priceConsumer.title);
+    const examples = buildExamples(abis, deployment.addresses).filter((example) => example.contract === "priceConsumer");
+
+    expect(folder.item.map((item) => item.name)).to.deep.equal(examples.map((example) => example.signature));
+    const body = JSON.parse(folder.item[0].request.body.raw.replace("{{rpc_id}}", "1"));
+    expect(body.params[0].to).to.equal("{{price_consumer}}");
+  });
+
+  it("Should sign examples with the documented oracle key", function () {
+    const example = buildExamples(abis, deployment.addresses, deployment.chainId).find(
+      (e) => e.id === "priceConsumer_updatePairPriceWithSignature"
+    );
+    const iface = new ethers.Interface(abis.priceConsumer);
+    const [pairId, price, timestamp, signature] = iface.parseTransaction({ data: example.request.params[0].data }).args;
+
+    expect(pairId).to.equal(toPairId("ETH/USD"));
+    const domain = priceReportDomain(deployment.chainId, deployment.addresses.priceConsumer);
+    expect(recoverPriceReportSigner(domain, { pairId, price, timestamp }, signature)).to.equal(EXAMPLE_SIGNER.address);
+  });
+
+  it("Should report functions added to or removed from an ABI", function () {
+    const changed = {
+      ...abis,
+      oracleToken: [
+        ...abis.oracleToken.filter((entry) => entry.name !== "updateMintRate"),
+        { type: "function", name: "pause", inputs: [], outputs: [], stateMutability: "nonpayable" },
+      ],
+    };
+
+    expect(diffDocs(renderDocs(changed, deployment), committed)).to.include.members([
+      "openapi.yaml: missing example oracleToken_pause (OracleToken.pause())",
+      "openapi.yaml: example oracleToken_updateMintRate no longer matches a function",
+      "postman-collection.json: differs from the generated collection",
+    ]);
+  });
+
+  it("Should run every eth_call example against a fresh deployment", async function () {
+    const [owner] = await ethers.getSigners();
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const mockOracle = await MockV3Aggregator.deploy(8, 200000000000);
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    const priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), owner.address);
+    const OracleToken = await ethers.getContractFactory("OracleToken");
+    const oracleToken = await OracleToken.deploy("Oracle Token", "ORACLE", await priceConsumer.getAddress());
+    await priceConsumer.addFeed(toPairId("ETH/USD"), await mockOracle.getAddress(), owner.address);
+
+    const addresses = {
+      mockOracle: await mockOracle.getAddress(),
+      priceConsumer: await priceConsumer.getAddress(),
+      oracleToken: await oracleToken.getAddress(),
+      deployer: owner.address,
+    };
+
+    const calls = buildExamples(abis, addresses).filter((example) => example.method === "eth_call");
+    expect(calls.length).to.be.greaterThan(0);
+    for (const example of calls) {
+      const [tx, block] = example.request.params;
+      const result = await ethers.provider.send("eth_call", [tx, block]);
+      expect(result, example.id).to.match(/^0x/);
+    }
+  });
+});
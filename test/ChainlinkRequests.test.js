@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const http = require("http");
+const path = require("path");
+const { SPECS_DIR, externalJobIdFor, jobIdToBytes32 } = require("../scripts/utils/chainlink-jobs");
+const { loadPriceJob, createChainlinkNode } = require("../scripts/chainlink-node");
+
+describe("Chainlink Direct Requests", function () {
+  const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+  const fee = ethers.parseEther("0.1");
+  let priceConsumer, linkToken, operator, owner, oracle, node, stranger;
+  let server, priceUrl, served, job;
+
+  // Local stub standing in for the job's HTTP price source
+  before(async function () {
+    server = http.createServer((req, res) => {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ ethereum: { usd: served } }));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    priceUrl = `http://127.0.0.1:${server.address().port}/price`;
+  });
+
+  after(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(async function () {
+    [owner, oracle, node, stranger] = await ethers.getSigners();
+    served = 2512.5;
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const mockOracle = await MockV3Aggregator.deploy(8, 200000000000);
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+    const MockLinkToken = await ethers.getContractFactory("MockLinkToken");
+    linkToken = await MockLinkToken.deploy();
+    const MockOperator = await ethers.getContractFactory("MockOperator");
+    operator = await MockOperator.deploy(await linkToken.getAddress());
+
+    job = loadPriceJob(path.join(SPECS_DIR, "eth-usd.json"), { url: priceUrl });
+    await operator.setAuthorizedSenders([node.address], true);
+    const [link, target] = [await linkToken.getAddress(), await operator.getAddress()];
+    await priceConsumer.setChainlinkConfig(link, target, job.jobId, fee, 600);
+    await linkToken.transfer(await priceConsumer.getAddress(), ethers.parseEther("1"));
+  });
+
+  function chainlinkNode(options = {}) {
+    return createChainlinkNode({ operator: operator.connect(node), jobs: [job], logger: quiet, ...options });
+  }
+
+  async function request() {
+    const receipt = await (await priceConsumer.requestPrice()).wait();
+    const event = receipt.logs
+      .map((entry) => priceConsumer.interface.parseLog(entry))
+      .find((parsed) => parsed && parsed.name === "PriceRequested");
+    return { requestId: event.args.requestId, blockNumber: receipt.blockNumber };
+  }
+
+  async function oracleRequest(requestId) {
+    const events = await operator.queryFilter(operator.filters.OracleRequest());
+    return events.find((event) => event.args.requestId === requestId).args;
+  }
+
+  describe("Jobs", function () {
+    it("Should derive the on-chain job ID from the spec's externalJobID", function () {
+      const externalJobID = externalJobIdFor("ETH-USD-Price-Feed");
+      expect(job).to.include({ name: "ETH-USD-Price-Feed", externalJobID, url: priceUrl, path: "ethereum,usd" });
+      expect(job.decimals).to.equal(8);
+      expect(ethers.toUtf8String(job.jobId)).to.equal(externalJobID.replace(/-/g, ""));
+      expect(jobIdToBytes32(externalJobID.toUpperCase())).to.equal(job.jobId);
+      expect(() => jobIdToBytes32("ETH-USD")).to.throw('Invalid externalJobID "ETH-USD"');
+    });
+  });
+
+  describe("Request and Fulfillment", function () {
+    it("Should pay LINK for a request and store the node's answer", async function () {
+      const { requestId, blockNumber } = await request();
+
+      const sent = await oracleRequest(requestId);
+      expect(sent.requester).to.equal(await priceConsumer.getAddress());
+      expect(sent.payment).to.equal(fee);
+      expect(sent.callbackFunctionId).to.equal(priceConsumer.interface.getFunction("fulfill").selector);
+      expect(sent.specId).to.equal(job.jobId);
+      expect(await linkToken.balanceOf(await operator.getAddress())).to.equal(fee);
+      expect(await operator.tokensInEscrow()).to.equal(fee);
+
+      const results = await chainlinkNode({ config: { fromBlock: blockNumber } }).tick();
+      expect(results).to.have.lengthOf(1);
+      expect(results[0]).to.include({ requestId, fulfilled: true, value: 251250000000n });
+
+      expect(await priceConsumer.latestPrice()).to.equal(251250000000n);
+      expect((await priceConsumer.priceRequests(requestId)).pending).to.equal(false);
+      expect(await operator.isPending(requestId)).to.equal(false);
+      expect(await operator.tokensInEscrow()).to.equal(0);
+      expect(await operator.withdrawable()).to.equal(fee);
+    });
+
+    it("Should only accept answers from the request's operator", async function () {
+      const { requestId } = await request();
+
+      await expect(priceConsumer.fulfill(requestId, 1)).to.be.revertedWith("Source must be the oracle of the request");
+      await expect(priceConsumer.connect(stranger).requestPrice()).to.be.revertedWithCustomError(
+        priceConsumer,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+
+    it("Should record invalid answers as failed instead of reverting", async function () {
+      const { requestId, blockNumber } = await request();
+      served = 0;
+
+      const [result] = await chainlinkNode({ config: { fromBlock: blockNumber } }).tick();
+      expect(result.fulfilled).to.equal(true);
+      const [event] = await priceConsumer.queryFilter(priceConsumer.filters.PriceRequestFailed(requestId));
+      expect(event.args.reason).to.equal("Invalid price");
+      expect(await priceConsumer.latestPrice()).to.equal(0);
+      expect((await priceConsumer.priceRequests(requestId)).pending).to.equal(false);
+    });
+  });
+
+  describe("Operator", function () {
+    it("Should only take requests paid in LINK", async function () {
+      await expect(operator.operatorRequest(owner.address, fee, job.jobId, "0x12345678", 1, 2, "0x")).to.be.revertedWith(
+        "Must use LINK token"
+      );
+      await expect(operator.onTokenTransfer(owner.address, fee, "0x")).to.be.revertedWith("Must use LINK token");
+      await expect(linkToken.transferAndCall(await operator.getAddress(), fee, "0x12345678")).to.be.revertedWith(
+        "Must use whitelisted functions"
+      );
+    });
+
+    it("Should check the sender and the request parameters", async function () {
+      const { requestId } = await request();
+      const sent = await oracleRequest(requestId);
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "int256"], [requestId, 1]);
+      const args = [requestId, sent.payment, sent.callbackAddr, sent.callbackFunctionId, sent.cancelExpiration];
+
+      await expect(operator.connect(stranger).fulfillOracleRequest2(...args, data)).to.be.revertedWith(
+        "Not authorized sender"
+      );
+      await expect(
+        operator.connect(node).fulfillOracleRequest2(requestId, 1, ...args.slice(2), data)
+      ).to.be.revertedWith("Params do not match request ID");
+      const otherId = ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "int256"], [ethers.ZeroHash, 1]);
+      await expect(operator.connect(node).fulfillOracleRequest2(...args, otherId)).to.be.revertedWith(
+        "First word must be requestId"
+      );
+
+      await expect(operator.connect(node).fulfillOracleRequest2(...args, data))
+        .to.emit(operator, "OracleResponse")
+        .withArgs(requestId)
+        .and.to.emit(priceConsumer, "PriceRequestFulfilled")
+        .withArgs(requestId, 1);
+      await expect(operator.connect(node).fulfillOracleRequest2(...args, data)).to.be.revertedWith(
+        "Params do not match request ID"
+      );
+    });
+  });
+
+  describe("Timeouts", function () {
+    it("Should discard answers that arrive after the timeout", async function () {
+      const { requestId, blockNumber } = await request();
+      await time.increase(601);
+
+      await chainlinkNode({ config: { fromBlock: blockNumber } }).tick();
+      const [event] = await priceConsumer.queryFilter(priceConsumer.filters.PriceRequestFailed(requestId));
+      expect(event.args.reason).to.equal("Request timed out");
+      expect(event.args.price).to.equal(251250000000n);
+      expect(await priceConsumer.latestPrice()).to.equal(0);
+    });
+
+    it("Should refund a request cancelled after the timeout", async function () {
+      const { requestId, blockNumber } = await request();
+
+      await expect(priceConsumer.cancelPriceRequest(requestId)).to.be.revertedWith("Request not timed out");
+      await time.increase(601);
+      await expect(priceConsumer.cancelPriceRequest(requestId))
+        .to.emit(priceConsumer, "PriceRequestCancelled")
+        .withArgs(requestId)
+        .and.to.emit(operator, "CancelOracleRequest")
+        .withArgs(requestId);
+
+      expect(await linkToken.balanceOf(await priceConsumer.getAddress())).to.equal(ethers.parseEther("1"));
+      await expect(priceConsumer.cancelPriceRequest(requestId)).to.be.revertedWith("Request not pending");
+
+      // The node finds the request settled and leaves it alone
+      const [result] = await chainlinkNode({ config: { fromBlock: blockNumber } }).tick();
+      expect(result).to.include({ fulfilled: false, reason: "settled" });
+    });
+  });
+
+  describe("Configuration", function () {
+    it("Should validate the Chainlink settings", async function () {
+      const link = await linkToken.getAddress();
+      const target = await operator.getAddress();
+
+      await expect(priceConsumer.setChainlinkConfig(link, target, job.jobId, fee, 299)).to.be.revertedWith(
+        "Timeout below operator expiry"
+      );
+      await expect(priceConsumer.setChainlinkConfig(link, ethers.ZeroAddress, job.jobId, fee, 600)).to.be.revertedWith(
+        "Invalid Chainlink address"
+      );
+      await expect(priceConsumer.setChainlinkConfig(link, target, ethers.ZeroHash, fee, 600)).to.be.revertedWith(
+        "Invalid job ID"
+      );
+      await expect(
+        priceConsumer.connect(stranger).setChainlinkConfig(link, target, job.jobId, fee, 600)
+      ).to.be.revertedWithCustomError(priceConsumer, "OwnableUnauthorizedAccount");
+
+      await expect(priceConsumer.setChainlinkConfig(link, target, job.jobId, 0, 300))
+        .to.emit(priceConsumer, "ChainlinkConfigUpdated")
+        .withArgs(link, target, job.jobId, 0, 300);
+      expect(await priceConsumer.getChainlinkConfig()).to.deep.equal([link, target]);
+
+      const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+      const unconfigured = await PriceConsumer.deploy(target, oracle.address);
+      await expect(unconfigured.requestPrice()).to.be.revertedWith("Chainlink not configured");
+    });
+
+    it("Should let the owner withdraw the consumer's LINK", async function () {
+      await expect(priceConsumer.withdrawLink(stranger.address, fee)).to.changeTokenBalances(
+        linkToken,
+        [priceConsumer, stranger],
+        [-fee, fee]
+      );
+      await expect(priceConsumer.connect(stranger).withdrawLink(stranger.address, fee)).to.be.revertedWithCustomError(
+        priceConsumer,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  CONTRACTS,
+  recordDeployment,
+  writeManifest,
+  readManifest,
+  verifyManifest,
+} = require("../scripts/utils/deployments");
+const { FEEDS_CONFIG, toPairId, pairName, loadFeedConfig } = require("../scripts/utils/feeds");
+
+describe("Deployment Manifest", function () {
+  let mockOracle, priceConsumer, owner, oracle, user;
+  let manifest, dir;
+  let initialPrice = 200000000000; // $2000.00 with 8 decimals
+
+  beforeEach(async function () {
+    [owner, oracle, user] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    mockOracle = await MockV3Aggregator.deploy(8, initialPrice);
+    await mockOracle.waitForDeployment();
+
+    const consumerArgs = [await mockOracle.getAddress(), oracle.address];
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    priceConsumer = await PriceConsumer.deploy(...consumerArgs);
+    await priceConsumer.waitForDeployment();
+
+    manifest = {
+      network: "hardhat",
+      chainId: 31337,
+      deployer: owner.address,
+      contracts: {
+        mockOracle: await recordDeployment(mockOracle, [8, BigInt(initialPrice)], CONTRACTS.mockOracle),
+        priceConsumer: await recordDeployment(priceConsumer, consumerArgs, CONTRACTS.priceConsumer),
+      },
+    };
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Recording", function () {
+    it("Should record address, transaction, block and constructor args", async function () {
+      const entry = manifest.contracts.mockOracle;
+      const receipt = await mockOracle.deploymentTransaction().wait();
+
+      expect(entry.contractName).to.equal("MockV3Aggregator");
+      expect(entry.address).to.equal(await mockOracle.getAddress());
+      expect(entry.transactionHash).to.equal(receipt.hash);
+      expect(entry.blockNumber).to.equal(receipt.blockNumber);
+      expect(entry.constructorArgs).to.deep.equal([8, "200000000000"]);
+    });
+
+    it("Should hash the deployed runtime bytecode", async function () {
+      const code = await ethers.provider.getCode(await priceConsumer.getAddress());
+      expect(manifest.contracts.priceConsumer.bytecodeHash).to.equal(ethers.keccak256(code));
+    });
+
+    it("Should round-trip through the manifest file and overwrite on redeploy", function () {
+      writeManifest("hardhat", manifest, dir);
+      writeManifest("hardhat", manifest, dir);
+
+      expect(readManifest("hardhat", dir)).to.deep.equal(manifest);
+      expect(fs.readdirSync(dir)).to.deep.equal(["hardhat.json"]);
+    });
+
+    it("Should fail clearly when no manifest exists", function () {
+      expect(() => readManifest("sepolia", dir)).to.throw('No deployment manifest for network "sepolia"');
+    });
+  });
+
+  describe("Staleness Checks", function () {
+    it("Should accept a manifest that matches the chain", async function () {
+      await verifyManifest(ethers.provider, manifest);
+    });
+
+    it("Should reject addresses without code", async function () {
+      manifest.contracts.priceConsumer.address = user.address;
+
+      await expect(verifyManifest(ethers.provider, manifest)).to.be.rejectedWith(
+        `priceConsumer (PriceConsumer) has no code at ${user.address}`
+      );
+    });
+
+    it("Should reject addresses whose code changed", async function () {
+      manifest.contracts.priceConsumer.address = await mockOracle.getAddress();
+
+      await expect(verifyManifest(ethers.provider, manifest)).to.be.rejectedWith("does not match the recorded bytecode");
+    });
+
+    it("Should check registered feeds too", async function () {
+      manifest.feeds = { "BTC/USD": { ...manifest.contracts.mockOracle, address: user.address } };
+
+      await expect(verifyManifest(ethers.provider, manifest)).to.be.rejectedWith(
+        `feeds.BTC/USD (MockV3Aggregator) has no code at ${user.address}`
+      );
+    });
+
+    it("Should reject a manifest from another chain", async function () {
+      manifest.chainId = 11155111;
+
+      await expect(verifyManifest(ethers.provider, manifest)).to.be.rejectedWith("targets chain 11155111");
+    });
+  });
+
+  describe("Feed Config", function () {
+    function writeConfig(feeds) {
+      const file = path.join(dir, "feeds.json");
+      fs.writeFileSync(file, JSON.stringify({ feeds }));
+      return file;
+    }
+
+    it("Should ship a valid config with several pairs", function () {
+      const feeds = loadFeedConfig(FEEDS_CONFIG);
+
+      expect(feeds.length).to.be.greaterThan(1);
+      expect(feeds[0].pair).to.equal("ETH/USD");
+      expect(feeds[0].initialAnswer).to.equal(200000000000n);
+    });
+
+    it("Should convert between pair names and IDs", function () {
+      expect(toPairId("BTC/USD")).to.equal(ethers.encodeBytes32String("BTC/USD"));
+      expect(pairName(toPairId("BTC/USD"))).to.equal("BTC/USD");
+      expect(() => toPairId("BTCUSD")).to.throw("expected BASE/QUOTE");
+    });
+
+    it("Should accept existing aggregators instead of mocks", function () {
+      const [feed] = loadFeedConfig(writeConfig([{ pair: "ETH/USD", aggregator: user.address.toLowerCase() }]));
+      expect(feed.aggregator).to.equal(user.address);
+    });
+
+    it("Should reject invalid entries", function () {
+      expect(() => loadFeedConfig(writeConfig([]))).to.throw("at least one feed");
+      expect(() =>
+        loadFeedConfig(writeConfig([{ pair: "ETH/USD", decimals: 8, initialAnswer: "1" }, { pair: "ETH/USD", decimals: 8, initialAnswer: "1" }]))
+      ).to.throw("duplicate pair ETH/USD");
+      expect(() => loadFeedConfig(writeConfig([{ pair: "ETH/USD", decimals: 2, initialAnswer: "1.005" }]))).to.throw(
+        "at most 2 places"
+      );
+      expect(() => loadFeedConfig(writeConfig([{ pair: "ETH/USD", decimals: 19, initialAnswer: "1" }]))).to.throw(
+        "decimals must be an integer"
+      );
+    });
+  });
+});
@@ -0,0 +1,290 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getPriceReportDomain, signPriceReport } = require("../scripts/utils/price-signing");
+const { PAUSES, getEmergencyState, setPaused } = require("../scripts/utils/emergency");
+
+describe("Emergency Pause", function () {
+  let mockOracle, priceConsumer, oracleToken, vault, owner, oracle, guardian, user;
+  const price = (value) => ethers.parseUnits(String(value), 8);
+
+  beforeEach(async function () {
+    [owner, oracle, guardian, user] = await ethers.getSigners();
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    mockOracle = await MockV3Aggregator.deploy(8, price(2000));
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+    const OracleToken = await ethers.getContractFactory("OracleToken");
+    oracleToken = await OracleToken.deploy("Oracle Token", "ORACLE", await priceConsumer.getAddress());
+    const OracleVault = await ethers.getContractFactory("OracleVault");
+    vault = await OracleVault.deploy(await oracleToken.getAddress());
+    await oracleToken.grantRole(await oracleToken.VAULT_ROLE(), await vault.getAddress());
+
+    await priceConsumer.setGuardian(guardian.address);
+    await oracleToken.setGuardian(guardian.address);
+  });
+
+  async function signedUpdate(value) {
+    const timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+    const domain = await getPriceReportDomain(priceConsumer);
+    const signature = await signPriceReport(oracle, domain, { price: value, timestamp });
+    return [value, timestamp, signature];
+  }
+
+  describe("Signed Updates", function () {
+    it("Should let the guardian or owner pause and only the owner unpause", async function () {
+      await expect(priceConsumer.setGuardian(user.address))
+        .to.emit(priceConsumer, "GuardianUpdated")
+        .withArgs(user.address);
+      await priceConsumer.setGuardian(guardian.address);
+      await expect(priceConsumer.connect(user).setGuardian(user.address)).to.be.revertedWithCustomError(
+        priceConsumer,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(priceConsumer.connect(user).pauseSignedUpdates()).to.be.revertedWith("Not the guardian");
+
+      await expect(priceConsumer.connect(guardian).pauseSignedUpdates())
+        .to.emit(priceConsumer, "SignedUpdatesPaused")
+        .withArgs(guardian.address);
+      expect(await priceConsumer.signedUpdatesPaused()).to.equal(true);
+      await expect(priceConsumer.pauseSignedUpdates()).to.be.revertedWith("Signed updates already paused");
+
+      await expect(priceConsumer.connect(guardian).unpauseSignedUpdates()).to.be.revertedWithCustomError(
+        priceConsumer,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(priceConsumer.unpauseSignedUpdates())
+        .to.emit(priceConsumer, "SignedUpdatesUnpaused")
+        .withArgs(owner.address);
+      await expect(priceConsumer.unpauseSignedUpdates()).to.be.revertedWith("Signed updates not paused");
+    });
+
+    it("Should refuse every kind of signed update while paused", async function () {
+      const update = await signedUpdate(price(2100));
+      await priceConsumer.connect(guardian).pauseSignedUpdates();
+
+      await expect(priceConsumer.updatePriceWithSignature(...update)).to.be.revertedWith("Signed updates paused");
+      await expect(
+        priceConsumer.updatePairPriceWithSignature(ethers.encodeBytes32String("BTC/USD"), ...update)
+      ).to.be.revertedWith("Signed updates paused");
+      const [value, timestamp, signature] = update;
+      await expect(
+        priceConsumer.updatePricesWithSignatures([{ pairId: ethers.ZeroHash, price: value, timestamp, signature }])
+      ).to.be.revertedWith("Signed updates paused");
+      await expect(
+        priceConsumer.updatePriceWithReports(ethers.ZeroHash, timestamp, [value], [signature])
+      ).to.be.revertedWith("Signed updates paused");
+
+      // Feed reads and owner refreshes are not signed updates
+      expect(await priceConsumer.getSafePrice()).to.equal(price(2000));
+      await priceConsumer.refreshPriceFromFeed();
+      expect(await priceConsumer.latestPrice()).to.equal(price(2000));
+
+      await priceConsumer.unpauseSignedUpdates();
+      await priceConsumer.updatePriceWithSignature(...(await signedUpdate(price(2100))));
+      expect(await priceConsumer.latestPrice()).to.equal(price(2100));
+    });
+  });
+
+  describe("Feed Refreshes", function () {
+    it("Should stop the upkeep from copying the feed while paused", async function () {
+      const PriceUpkeep = await ethers.getContractFactory("PriceUpkeep");
+      const priceUpkeep = await PriceUpkeep.deploy(await priceConsumer.getAddress());
+      await priceConsumer.setPriceUpkeep(await priceUpkeep.getAddress());
+
+      await expect(priceConsumer.connect(user).pauseFeedRefreshes()).to.be.revertedWith("Not the guardian");
+      await expect(priceConsumer.connect(guardian).pauseFeedRefreshes())
+        .to.emit(priceConsumer, "FeedRefreshesPaused")
+        .withArgs(guardian.address);
+      await expect(priceConsumer.pauseFeedRefreshes()).to.be.revertedWith("Feed refreshes already paused");
+      expect(await priceConsumer.signedUpdatesPaused()).to.equal(false);
+
+      // Anyone can call the upkeep while no forwarder is set
+      expect((await priceUpkeep.checkRefresh()).reason).to.equal(0n);
+      await expect(priceUpkeep.connect(user).performUpkeep("0x")).to.be.revertedWith("Upkeep not needed");
+      await expect(priceConsumer.refreshPriceFromFeed()).to.be.revertedWith("Feed refreshes paused");
+      expect(await priceConsumer.getSafePrice()).to.equal(price(2000));
+
+      await expect(priceConsumer.connect(guardian).unpauseFeedRefreshes()).to.be.revertedWithCustomError(
+        priceConsumer,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(priceConsumer.unpauseFeedRefreshes())
+        .to.emit(priceConsumer, "FeedRefreshesUnpaused")
+        .withArgs(owner.address);
+      await expect(priceConsumer.unpauseFeedRefreshes()).to.be.revertedWith("Feed refreshes not paused");
+      await priceConsumer.refreshPriceFromFeed();
+      expect(await priceConsumer.latestPrice()).to.equal(price(2000));
+    });
+  });
+
+  describe("Token", function () {
+    it("Should let the guardian or owner pause minting and only the owner unpause", async function () {
+      await expect(oracleToken.connect(user).setGuardian(user.address)).to.be.revertedWithCustomError(
+        oracleToken,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(oracleToken.connect(user).pauseMinting()).to.be.revertedWith("Not the guardian");
+      await expect(oracleToken.connect(guardian).pauseMinting())
+        .to.emit(oracleToken, "MintingPaused")
+        .withArgs(guardian.address);
+      await expect(oracleToken.pauseMinting()).to.be.revertedWith("Minting already paused");
+
+      await expect(oracleToken.mintBasedOnPrice(user.address)).to.be.revertedWith("Minting paused");
+      await expect(
+        oracleToken.mintWithOracleSignature(user.address, ...(await signedUpdate(price(2100))))
+      ).to.be.revertedWith("Minting paused");
+      await expect(oracleToken.mintWithPriceReports(user.address, 0, [], [])).to.be.revertedWith("Minting paused");
+      await expect(
+        vault.connect(user).deposit(ethers.parseEther("1000"), { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Minting paused");
+
+      await expect(oracleToken.connect(guardian).unpauseMinting()).to.be.revertedWithCustomError(
+        oracleToken,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(oracleToken.unpauseMinting()).to.emit(oracleToken, "MintingUnpaused").withArgs(owner.address);
+      await expect(oracleToken.unpauseMinting()).to.be.revertedWith("Minting not paused");
+      await oracleToken.mintBasedOnPrice(user.address);
+      expect(await oracleToken.balanceOf(user.address)).to.equal(await oracleToken.calculateMintAmount(price(2000)));
+    });
+
+    it("Should pause transfers separately from mints and burns", async function () {
+      await oracleToken.transfer(user.address, ethers.parseEther("10"));
+      await vault.connect(user).deposit(ethers.parseEther("1000"), { value: ethers.parseEther("1") });
+
+      await expect(oracleToken.connect(guardian).pauseTransfers())
+        .to.emit(oracleToken, "TransfersPaused")
+        .withArgs(guardian.address);
+      expect(await oracleToken.mintingPaused()).to.equal(false);
+      await expect(oracleToken.connect(user).transfer(owner.address, 1)).to.be.revertedWith("Transfers paused");
+      await oracleToken.connect(user).approve(owner.address, 1);
+      await expect(oracleToken.transferFrom(user.address, owner.address, 1)).to.be.revertedWith("Transfers paused");
+
+      // Holders can still redeem through the vault, and the owner can still mint and burn
+      await vault.connect(user).redeem(ethers.parseEther("500"));
+      await oracleToken.burn(user.address, ethers.parseEther("10"));
+      await oracleToken.mintBasedOnPrice(user.address);
+      expect(await oracleToken.balanceOf(user.address)).to.equal(
+        ethers.parseEther("500") + (await oracleToken.calculateMintAmount(price(2000)))
+      );
+
+      await expect(oracleToken.connect(guardian).unpauseTransfers()).to.be.revertedWithCustomError(
+        oracleToken,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(oracleToken.unpauseTransfers()).to.emit(oracleToken, "TransfersUnpaused").withArgs(owner.address);
+      await oracleToken.connect(user).transfer(owner.address, 1);
+    });
+
+    it("Should not let a replaced guardian pause", async function () {
+      await expect(oracleToken.setGuardian(user.address)).to.emit(oracleToken, "GuardianUpdated").withArgs(user.address);
+      await expect(oracleToken.connect(guardian).pauseTransfers()).to.be.revertedWith("Not the guardian");
+      await oracleToken.connect(user).pauseTransfers();
+    });
+  });
+
+  describe("Vault", function () {
+    it("Should let the token guardian stop redemptions and price-checked withdrawals", async function () {
+      await vault.connect(user).deposit(ethers.parseEther("1000"), { value: ethers.parseEther("2") });
+      await vault.deposit(0, { value: ethers.parseEther("1") });
+
+      await expect(vault.connect(user).pauseRedemptions()).to.be.revertedWith("Not the guardian");
+      await expect(vault.connect(guardian).pauseRedemptions())
+        .to.emit(vault, "RedemptionsPaused")
+        .withArgs(guardian.address);
+      await expect(vault.pauseRedemptions()).to.be.revertedWith("Redemptions already paused");
+
+      await expect(vault.connect(user).redeem(ethers.parseEther("500"))).to.be.revertedWith("Redemptions paused");
+      await expect(vault.connect(user).withdraw(ethers.parseEther("0.1"))).to.be.revertedWith("Redemptions paused");
+      // Nothing priced leaves the vault: deposits and debt-free withdrawals still go through
+      await vault.connect(user).deposit(0, { value: ethers.parseEther("1") });
+      await vault.withdraw(ethers.parseEther("1"));
+
+      await expect(vault.connect(guardian).unpauseRedemptions()).to.be.revertedWithCustomError(
+        vault,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(vault.unpauseRedemptions()).to.emit(vault, "RedemptionsUnpaused").withArgs(owner.address);
+      await expect(vault.unpauseRedemptions()).to.be.revertedWith("Redemptions not paused");
+      await vault.connect(user).redeem(ethers.parseEther("500"));
+      expect(await oracleToken.balanceOf(user.address)).to.equal(ethers.parseEther("500"));
+    });
+  });
+
+  describe("Incident Helpers", function () {
+    it("Should pause everything once and report the state", async function () {
+      const contracts = {
+        priceConsumer: priceConsumer.connect(guardian),
+        oracleToken: oracleToken.connect(guardian),
+        oracleVault: vault.connect(guardian),
+      };
+      await oracleToken.connect(guardian).pauseTransfers();
+
+      const { changed, unchanged, failed } = await setPaused(contracts, Object.keys(PAUSES), true);
+      expect(changed.map((c) => c.name)).to.deep.equal(["signedUpdates", "feedRefreshes", "minting", "redemptions"]);
+      expect(unchanged).to.deep.equal(["transfers"]);
+      expect(failed).to.deep.equal([]);
+
+      const state = await getEmergencyState(contracts, guardian.address);
+      expect(state.paused).to.deep.equal({
+        signedUpdates: true,
+        feedRefreshes: true,
+        minting: true,
+        transfers: true,
+        redemptions: true,
+      });
+      expect(state.priceConsumer).to.deep.equal({ owner: owner.address, guardian: guardian.address });
+      expect(state.oracleToken).to.deep.equal({ owner: owner.address, guardian: guardian.address });
+      expect(state.oracleVault).to.deep.equal({ owner: owner.address });
+      expect(state.account).to.include({
+        canPauseConsumer: true,
+        canPauseToken: true,
+        canPauseVault: true,
+        isOwner: false,
+      });
+    });
+
+    it("Should keep going when one part cannot be changed", async function () {
+      await priceConsumer.setGuardian(ethers.ZeroAddress);
+      const contracts = {
+        priceConsumer: priceConsumer.connect(guardian),
+        oracleToken: oracleToken.connect(guardian),
+        oracleVault: vault.connect(guardian),
+      };
+
+      const paused = await setPaused(contracts, Object.keys(PAUSES), true);
+      expect(paused.failed.map((f) => f.name)).to.deep.equal(["signedUpdates", "feedRefreshes"]);
+      expect(paused.changed.map((c) => c.name)).to.deep.equal(["minting", "transfers", "redemptions"]);
+
+      // Guardians cannot resume anything
+      const resumed = await setPaused(contracts, ["minting"], false);
+      expect(resumed.failed.map((f) => f.name)).to.deep.equal(["minting"]);
+      await expect(setPaused(contracts, ["everything"], true)).to.be.rejectedWith("Unknown pause everything");
+    });
+  });
+
+  describe("Upgrade Safety", function () {
+    it("Should append the pause state after the existing storage", async function () {
+      const labels = async (name) => {
+        const { sourceName } = await hre.artifacts.readArtifact(name);
+        const { output } = await hre.artifacts.getBuildInfo(`${sourceName}:${name}`);
+        return output.contracts[sourceName][name].storageLayout.storage.map((v) => v.label);
+      };
+
+      expect((await labels("PriceConsumer")).slice(-4)).to.deep.equal([
+        "priceUpkeep",
+        "guardian",
+        "signedUpdatesPaused",
+        "feedRefreshesPaused",
+      ]);
+      expect((await labels("OracleTokenUpgradeable")).slice(-4)).to.deep.equal([
+        "lastMintAt",
+        "guardian",
+        "mintingPaused",
+        "transfersPaused",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,341 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const yaml = require("js-yaml");
+const Ajv2020 = require("ajv/dist/2020");
+const { createGateway, OPENAPI_FILE } = require("../scripts/gateway");
+const { getPriceReportDomain, signPriceReport, signPrice, signPairPrice } = require("../scripts/utils/price-signing");
+const { toPairId } = require("../scripts/utils/feeds");
+
+const spec = yaml.load(fs.readFileSync(OPENAPI_FILE, "utf8"));
+const ajv = new Ajv2020({ strict: false, validateFormats: false });
+ajv.addSchema(spec, "gateway");
+
+// Follow a "#/components/..." reference within the spec
+function resolve(node) {
+  if (!node || !node.$ref) return node;
+  return resolve(node.$ref.slice(2).split("/").reduce((obj, key) => obj[key], spec));
+}
+
+// Operations answered with a documented 2xx response during the run
+const covered = new Set();
+
+/**
+ * Assert a response matches the documented status and schema for an operation
+ */
+function expectContract({ status, body }, method, template) {
+  const operation = spec.paths[template] && spec.paths[template][method.toLowerCase()];
+  expect(operation, `${method} ${template} is not documented`).to.exist;
+
+  const response = resolve(operation.responses[String(status)]);
+  expect(response, `${method} ${template} does not document HTTP ${status}: ${JSON.stringify(body)}`).to.exist;
+
+  const pointer = operation.responses[String(status)].$ref
+    ? `${operation.responses[String(status)].$ref}/content/application~1json/schema`
+    : `#/paths/${template.replace(/\//g, "~1")}/${method.toLowerCase()}/responses/${status}/content/application~1json/schema`;
+  const validate = ajv.getSchema(`gateway${pointer}`);
+  expect(validate(body), JSON.stringify(validate.errors)).to.equal(true);
+
+  if (status < 300) covered.add(`${method} ${template}`);
+  return body;
+}
+
+describe("REST Gateway", function () {
+  let mockOracle, btcOracle, priceConsumer, oracleToken, owner, oracle, user;
+  let server, url;
+
+  beforeEach(async function () {
+    [owner, oracle, user] = await ethers.getSigners();
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    mockOracle = await MockV3Aggregator.deploy(8, 200000000000);
+    btcOracle = await MockV3Aggregator.deploy(8, 6000000000000);
+
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+
+    const OracleToken = await ethers.getContractFactory("OracleToken");
+    oracleToken = await OracleToken.deploy("Oracle Token", "ORACLE", await priceConsumer.getAddress());
+
+    await priceConsumer.addFeed(toPairId("BTC/USD"), await btcOracle.getAddress(), oracle.address);
+
+    server = createGateway({ priceConsumer, oracleToken, logger: silentLogger() });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  function silentLogger() {
+    const noop = () => {};
+    return { debug: noop, info: noop, warn: noop, error: noop };
+  }
+
+  async function request(method, path, body) {
+    const response = await fetch(url + path, {
+      method,
+      headers: body === undefined ? {} : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function nextTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp + 1;
+  }
+
+  describe("Reads", function () {
+    it("Should report health", async function () {
+      const body = expectContract(await request("GET", "/health"), "GET", "/health");
+      expect(body.chainId).to.equal(31337);
+      expect(body.contracts.priceFeed).to.equal(await mockOracle.getAddress());
+      expect(body.relaying).to.equal(true);
+    });
+
+    it("Should decode the main and pair prices", async function () {
+      await mockOracle.updateAnswer(250025000000);
+
+      const main = expectContract(await request("GET", "/price"), "GET", "/price");
+      expect(main.pair).to.equal(null);
+      expect(main.roundId).to.equal("2");
+      expect(main.price).to.deep.equal({ value: "2500.25", raw: "250025000000", decimals: 8 });
+      expect(main.status).to.equal("Ok");
+      expect(main.signed.trustedSigner).to.equal(oracle.address);
+      expect(main.signed.updatedAt).to.equal(null);
+
+      const btc = expectContract(await request("GET", "/price?pair=BTC/USD"), "GET", "/price");
+      expect(btc.feed).to.equal(await btcOracle.getAddress());
+      expect(btc.price.value).to.equal("60000.0");
+    });
+
+    it("Should serve individual rounds", async function () {
+      await mockOracle.updateAnswer(210000000000);
+
+      const round = expectContract(await request("GET", "/price/rounds/1"), "GET", "/price/rounds/{id}");
+      expect(round.price.raw).to.equal("200000000000");
+      expect(round.answeredInRound).to.equal("1");
+
+      const missing = expectContract(await request("GET", "/price/rounds/9"), "GET", "/price/rounds/{id}");
+      expect(missing.error).to.equal("Round 9 not found");
+      expectContract(await request("GET", "/price/rounds/abc"), "GET", "/price/rounds/{id}");
+
+      const outOfRange = await request("GET", `/price/rounds/${1n << 80n}`);
+      expect(outOfRange.status).to.equal(400);
+      expect(expectContract(outOfRange, "GET", "/price/rounds/{id}").error).to.equal(
+        `round id must be at most ${(1n << 80n) - 1n}`
+      );
+    });
+
+    it("Should reject unknown and malformed pairs", async function () {
+      const unknown = expectContract(await request("GET", "/price?pair=DOGE/USD"), "GET", "/price");
+      expect(unknown.error).to.equal("Pair DOGE/USD is not registered");
+
+      const malformed = await request("GET", "/price?pair=DOGE");
+      expect(expectContract(malformed, "GET", "/price").error).to.contain("Invalid pair");
+    });
+
+    it("Should report token info, supply and balances", async function () {
+      await oracleToken.mintBasedOnPrice(user.address);
+      const minted = await oracleToken.balanceOf(user.address);
+
+      const token = expectContract(await request("GET", "/token"), "GET", "/token");
+      expect(token).to.include({ symbol: "ORACLE", decimals: 18, rounding: "down", priceDecimals: 8 });
+
+      const supply = expectContract(await request("GET", "/token/supply"), "GET", "/token/supply");
+      expect(supply.totalSupply.raw).to.equal((await oracleToken.totalSupply()).toString());
+      expect(BigInt(supply.remaining.raw) + BigInt(supply.totalSupply.raw)).to.equal(await oracleToken.MAX_SUPPLY());
+
+      const balance = await request("GET", `/token/balances/${user.address.toLowerCase()}`);
+      expect(expectContract(balance, "GET", "/token/balances/{address}")).to.deep.equal({
+        address: user.address,
+        balance: { value: ethers.formatEther(minted), raw: minted.toString(), decimals: 18 },
+      });
+
+      const invalid = await request("GET", "/token/balances/0x0x1234");
+      expect(expectContract(invalid, "GET", "/token/balances/{address}").error).to.contain("must be an address");
+    });
+  });
+
+  describe("Mint Quotes", function () {
+    it("Should quote at a given or the current oracle price", async function () {
+      const atRequest = expectContract(await request("POST", "/token/mint-quote", { price: "2500.25" }), "POST", "/token/mint-quote");
+      expect(atRequest.source).to.equal("request");
+      expect(atRequest.amount.raw).to.equal((await oracleToken.calculateMintAmount(250025000000n)).toString());
+
+      const atRaw = expectContract(await request("POST", "/token/mint-quote", { rawPrice: "250025000000" }), "POST", "/token/mint-quote");
+      expect(atRaw.amount).to.deep.equal(atRequest.amount);
+
+      const atOracle = expectContract(await request("POST", "/token/mint-quote"), "POST", "/token/mint-quote");
+      expect(atOracle.source).to.equal("oracle");
+      expect(atOracle.price.raw).to.equal("200000000000");
+      expect(atOracle.withinMaxSupply).to.equal(true);
+
+      // The quote matches what a mint at that price actually produces
+      await oracleToken.mintBasedOnPrice(user.address);
+      expect(atOracle.amount.raw).to.equal((await oracleToken.balanceOf(user.address)).toString());
+    });
+
+    it("Should refuse to quote at an unsafe oracle price", async function () {
+      await priceConsumer.setPriceGuard(await mockOracle.getAddress(), 0, 0, 100000000000, 0);
+
+      const unsafe = expectContract(await request("POST", "/token/mint-quote", {}), "POST", "/token/mint-quote");
+      expect(unsafe.error).to.contain("not safe to mint");
+    });
+
+    it("Should validate the quote body", async function () {
+      for (const body of [{ price: "abc" }, { price: "1.123456789" }, { price: "1", rawPrice: "1" }, { rawPrice: "0" }, { rawPrice: (2n ** 255n).toString() }, { price: "1" + "0".repeat(80) }, "[1]", "{"]) {
+        const response = await request("POST", "/token/mint-quote", body);
+        expect(response.status, JSON.stringify(body)).to.equal(400);
+        expectContract(response, "POST", "/token/mint-quote");
+      }
+    });
+  });
+
+  describe("Signed Updates", function () {
+    it("Should relay a signed main price", async function () {
+      const timestamp = await nextTimestamp();
+      const domain = await getPriceReportDomain(priceConsumer);
+      const signature = await signPriceReport(oracle, domain, { price: 210000000000n, timestamp });
+
+      const result = expectContract(
+        await request("POST", "/oracle/signed-update", { price: "210000000000", timestamp, signature }),
+        "POST",
+        "/oracle/signed-update"
+      );
+      expect(result.signer).to.equal(oracle.address);
+      expect(result.format).to.equal("eip712");
+      expect(result.price.value).to.equal("2100.0");
+      expect(await priceConsumer.latestPrice()).to.equal(210000000000n);
+
+      // The gateway's account pays; the payload is the oracle's
+      const tx = await ethers.provider.getTransaction(result.transactionHash);
+      expect(tx.from).to.equal(owner.address);
+
+      const replay = await request("POST", "/oracle/signed-update", { price: "210000000000", timestamp, signature });
+      expect(replay.status).to.equal(409);
+      expectContract(replay, "POST", "/oracle/signed-update");
+    });
+
+    it("Should relay a legacy signed pair price", async function () {
+      const timestamp = await nextTimestamp();
+      const signature = await signPairPrice(oracle, toPairId("BTC/USD"), 6100000000000n, timestamp, await priceConsumer.getAddress());
+
+      const body = { pair: "BTC/USD", price: "6100000000000", timestamp: String(timestamp), signature };
+      const result = expectContract(await request("POST", "/oracle/signed-update", body), "POST", "/oracle/signed-update");
+      expect(result.pair).to.equal("BTC/USD");
+      expect(result.format).to.equal("legacy");
+
+      const price = expectContract(await request("GET", "/price?pair=BTC/USD"), "GET", "/price");
+      expect(price.signed.price.value).to.equal("61000.0");
+    });
+
+    it("Should reject untrusted signers before sending", async function () {
+      const timestamp = await nextTimestamp();
+      const signature = await signPriceReport(user, await getPriceReportDomain(priceConsumer), { price: 210000000000n, timestamp });
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      const response = await request("POST", "/oracle/signed-update", { price: "210000000000", timestamp, signature });
+      expect(response.status).to.equal(422);
+      expect(expectContract(response, "POST", "/oracle/signed-update").error).to.equal(
+        `Signed by ${user.address}, not the trusted signer ${oracle.address}`
+      );
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    });
+
+    it("Should reject legacy signatures once the consumer turns them off", async function () {
+      await priceConsumer.setLegacySignatures(false);
+      const timestamp = await nextTimestamp();
+      const signature = await signPrice(oracle, 210000000000n, timestamp, await priceConsumer.getAddress());
+
+      const response = await request("POST", "/oracle/signed-update", { price: "210000000000", timestamp, signature });
+      expect(response.status).to.equal(422);
+      expect(expectContract(response, "POST", "/oracle/signed-update").error).to.match(/^Signed by 0x[0-9a-fA-F]{40}, not the trusted signer/);
+    });
+
+    it("Should surface contract rejections", async function () {
+      const signature = await signPrice(oracle, 210000000000n, 9999999999, await priceConsumer.getAddress());
+
+      const response = await request("POST", "/oracle/signed-update", { price: "210000000000", timestamp: 9999999999, signature });
+      expect(response.status).to.equal(422);
+      expect(expectContract(response, "POST", "/oracle/signed-update").error).to.equal(
+        "Update rejected: Timestamp too far in future"
+      );
+    });
+
+    it("Should validate the payload", async function () {
+      const bad = [
+        {},
+        { price: "1.5", timestamp: 1, signature: "0x" + "11".repeat(65) },
+        { price: "1", timestamp: 1, signature: "0x1234" },
+        { price: "1", timestamp: -1, signature: "0x" + "11".repeat(65) },
+      ];
+      for (const body of bad) {
+        const response = await request("POST", "/oracle/signed-update", body);
+        expect(response.status, JSON.stringify(body)).to.equal(400);
+        expectContract(response, "POST", "/oracle/signed-update");
+      }
+
+      const signature = "0x" + "11".repeat(65);
+      const outOfRange = [
+        [{ price: (2n ** 255n).toString(), timestamp: 1, signature }, "price must be at most"],
+        [{ price: (-(2n ** 255n) - 1n).toString(), timestamp: 1, signature }, "price must be at least"],
+        [{ price: "1", timestamp: (2n ** 256n).toString(), signature }, "timestamp must be at most"],
+      ];
+      for (const [body, error] of outOfRange) {
+        const response = await request("POST", "/oracle/signed-update", body);
+        expect(response.status).to.equal(400);
+        expect(expectContract(response, "POST", "/oracle/signed-update").error).to.contain(error);
+      }
+    });
+
+    it("Should not relay without a signer", async function () {
+      const readOnly = createGateway({
+        priceConsumer: priceConsumer.connect(ethers.provider),
+        oracleToken,
+        logger: silentLogger(),
+      });
+      await new Promise((resolve) => readOnly.listen(0, "127.0.0.1", resolve));
+      try {
+        const response = await fetch(`http://127.0.0.1:${readOnly.address().port}/oracle/signed-update`, {
+          method: "POST",
+          body: "{}",
+        });
+        expect(response.status).to.equal(503);
+      } finally {
+        await new Promise((resolve) => readOnly.close(resolve));
+      }
+    });
+  });
+
+  describe("Routing", function () {
+    it("Should answer unknown paths and methods with JSON errors", async function () {
+      expect((await request("GET", "/nope")).status).to.equal(404);
+      expect(await request("POST", "/price", {})).to.deep.equal({
+        status: 405,
+        body: { error: "POST is not supported on /price" },
+      });
+    });
+
+    it("Should answer malformed percent-encoding with 400 and keep serving", async function () {
+      expect(await request("GET", "/token/balances/%E0%A4%A")).to.deep.equal({
+        status: 400,
+        body: { error: "Malformed address in path: URI malformed" },
+      });
+      expect((await request("GET", "/health")).status).to.equal(200);
+    });
+
+    it("Should serve its OpenAPI document", async function () {
+      const response = await fetch(url + "/openapi.yaml");
+      expect(yaml.load(await response.text()).info.title).to.equal("Oracle REST Gateway");
+    });
+
+    it("Should have exercised every documented operation", function () {
+      const documented = Object.entries(spec.paths).flatMap(([template, item]) =>
+        Object.keys(item).map((method) => `${method.toUpperCase()} ${template}`)
+      );
+      expect([...covered].sort()).to.deep.equal(documented.sort());
+    });
+  });
+});
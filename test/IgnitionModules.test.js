@@ -0,0 +1,73 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const OracleStackModule = require("../ignition/modules/OracleStack");
+const OracleStackExistingFeedModule = require("../ignition/modules/OracleStackExistingFeed");
+
+describe("Ignition Modules", function () {
+  let owner, oracle;
+
+  beforeEach(async function () {
+    [owner, oracle] = await ethers.getSigners();
+  });
+
+  describe("OracleStack", function () {
+    it("Should deploy the mock feed, consumer and token wired together", async function () {
+      const { mockOracle, priceConsumer, oracleToken, oracleVault, priceUpkeep } = await ignition.deploy(OracleStackModule);
+
+      expect(await mockOracle.decimals()).to.equal(8);
+      expect(await mockOracle.latestAnswer()).to.equal(200000000000n);
+      expect(await priceConsumer.getLatestPrice()).to.equal(200000000000n);
+      expect(await priceConsumer.trustedOracle()).to.equal(owner.address);
+      expect(await oracleToken.priceConsumer()).to.equal(await priceConsumer.getAddress());
+      expect(await oracleToken.name()).to.equal("Oracle Token");
+      expect(await oracleToken.symbol()).to.equal("ORACLE");
+      expect(await oracleVault.oracleToken()).to.equal(await oracleToken.getAddress());
+      expect(await oracleToken.hasRole(await oracleToken.VAULT_ROLE(), await oracleVault.getAddress())).to.equal(true);
+      expect(await priceUpkeep.consumer()).to.equal(await priceConsumer.getAddress());
+      expect(await priceConsumer.priceUpkeep()).to.equal(await priceUpkeep.getAddress());
+      expect(await priceConsumer.guardian()).to.equal(ethers.ZeroAddress);
+      expect(await oracleToken.guardian()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should apply feed, oracle, token and guardian parameters", async function () {
+      const { mockOracle, priceConsumer, oracleToken } = await ignition.deploy(OracleStackModule, {
+        parameters: {
+          MockPriceFeed: { decimals: 18, initialAnswer: 3000n * 10n ** 18n },
+          OracleStack: {
+            trustedOracle: oracle.address,
+            tokenName: "Feed Token",
+            tokenSymbol: "FEED",
+            guardian: oracle.address,
+          },
+        },
+      });
+
+      expect(await mockOracle.decimals()).to.equal(18);
+      expect(await priceConsumer.getLatestPrice()).to.equal(3000n * 10n ** 18n);
+      expect(await priceConsumer.trustedOracle()).to.equal(oracle.address);
+      expect(await oracleToken.name()).to.equal("Feed Token");
+      expect(await oracleToken.symbol()).to.equal("FEED");
+      expect(await priceConsumer.guardian()).to.equal(oracle.address);
+      expect(await oracleToken.guardian()).to.equal(oracle.address);
+    });
+  });
+
+  describe("OracleStackExistingFeed", function () {
+    it("Should point the consumer at an already deployed aggregator", async function () {
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const existingFeed = await MockV3Aggregator.deploy(8, 250000000000);
+      await existingFeed.waitForDeployment();
+
+      const { priceFeed, priceConsumer } = await ignition.deploy(OracleStackExistingFeedModule, {
+        parameters: { OracleStackExistingFeed: { priceFeed: await existingFeed.getAddress() } },
+      });
+
+      expect(await priceFeed.getAddress()).to.equal(await existingFeed.getAddress());
+      expect(await priceConsumer.getLatestPrice()).to.equal(250000000000n);
+    });
+
+    it("Should require the priceFeed parameter", async function () {
+      await expect(ignition.deploy(OracleStackExistingFeedModule)).to.be.rejectedWith(/priceFeed/);
+    });
+  });
+});
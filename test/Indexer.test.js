@@ -0,0 +1,256 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { openStore } = require("../scripts/utils/indexer-store");
+const { createApi, parseTime } = require("../scripts/utils/indexer-api");
+const { createIndexer, indexedContracts } = require("../scripts/indexer");
+const { signPrice, signPairPrice } = require("../scripts/utils/price-signing");
+const { toPairId } = require("../scripts/utils/feeds");
+
+describe("Event Indexer", function () {
+  let mockOracle, btcOracle, priceConsumer, oracleToken, owner, oracle, user;
+  let store, indexer, startBlock, logs;
+  const INITIAL_SUPPLY = ethers.parseEther("100000");
+
+  beforeEach(async function () {
+    [owner, oracle, user] = await ethers.getSigners();
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    logs = [];
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    mockOracle = await MockV3Aggregator.deploy(8, 200000000000);
+    btcOracle = await MockV3Aggregator.deploy(8, 6000000000000);
+
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+
+    const OracleToken = await ethers.getContractFactory("OracleToken");
+    oracleToken = await OracleToken.deploy("Oracle Token", "ORACLE", await priceConsumer.getAddress());
+
+    await priceConsumer.addFeed(toPairId("BTC/USD"), await btcOracle.getAddress(), oracle.address);
+
+    store = openStore();
+    indexer = buildIndexer();
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  function buildIndexer(config = {}) {
+    const record = (level) => (msg, fields = {}) => logs.push({ level, msg, ...fields });
+    return createIndexer({
+      provider: ethers.provider,
+      contracts: indexedContracts({
+        mockOracle,
+        priceConsumer,
+        oracleToken,
+        feeds: { "ETH/USD": mockOracle, "BTC/USD": btcOracle },
+      }),
+      store,
+      config: { startBlock, batchSize: 3, ...config },
+      logger: { debug: record("debug"), info: record("info"), warn: record("warn"), error: record("error") },
+    });
+  }
+
+  async function signedUpdate(price) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const signature = await signPrice(oracle, price, timestamp + 1, await priceConsumer.getAddress());
+    return priceConsumer.updatePriceWithSignature(price, timestamp + 1, signature);
+  }
+
+  describe("Ingestion", function () {
+    it("Should index rounds, signed updates, mints and supply", async function () {
+      await mockOracle.updateAnswer(210000000000);
+      await signedUpdate(205000000000);
+
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const pairSignature = await signPairPrice(oracle, toPairId("BTC/USD"), 6100000000000, timestamp + 1, await priceConsumer.getAddress());
+      await priceConsumer.updatePairPriceWithSignature(toPairId("BTC/USD"), 6100000000000, timestamp + 1, pairSignature);
+
+      await oracleToken.mintBasedOnPrice(user.address);
+      const burned = (await oracleToken.balanceOf(user.address)) / 2n;
+      await oracleToken.burn(user.address, burned);
+
+      const result = await indexer.sync();
+      expect(result.from).to.equal(startBlock);
+      expect(result.to).to.equal(await ethers.provider.getBlockNumber());
+
+      const rounds = store.rounds({ order: "asc", pair: "ETH/USD" });
+      expect(rounds.map((r) => [r.roundId, r.answer])).to.deep.equal([
+        ["1", "200000000000"],
+        ["2", "210000000000"],
+      ]);
+      expect(rounds[1].startedBy).to.equal(owner.address);
+
+      const updates = store.signedUpdates({ order: "asc" });
+      expect(updates.map((u) => [u.pair, u.price, u.signer])).to.deep.equal([
+        [null, "205000000000", oracle.address],
+        ["BTC/USD", "6100000000000", oracle.address],
+      ]);
+
+      const [mint] = store.mints();
+      expect(mint.recipient).to.equal(user.address);
+      expect(mint.amount).to.equal(((await oracleToken.balanceOf(user.address)) + burned).toString());
+      expect(mint.price).to.equal("210000000000");
+
+      expect(store.supply({ order: "asc" }).map((p) => p.totalSupply)).to.deep.equal([
+        INITIAL_SUPPLY.toString(),
+        (INITIAL_SUPPLY + BigInt(mint.amount)).toString(),
+        (await oracleToken.totalSupply()).toString(),
+      ]);
+    });
+
+    it("Should resume from the checkpoint without duplicating events", async function () {
+      await mockOracle.updateAnswer(210000000000);
+      await indexer.sync();
+      const checkpoint = store.getCheckpoint();
+
+      expect((await indexer.sync()).events).to.equal(0);
+      await mockOracle.updateAnswer(220000000000);
+
+      // A fresh indexer on the same store picks up where the last one stopped
+      const result = await buildIndexer().sync();
+      expect(result.from).to.equal(checkpoint.number + 1);
+      expect(store.rounds({ pair: "ETH/USD" }).map((r) => r.answer)).to.deep.equal(["220000000000", "210000000000", "200000000000"]);
+    });
+
+    it("Should hold back unconfirmed blocks", async function () {
+      await mockOracle.updateAnswer(210000000000);
+      await buildIndexer({ confirmations: 2 }).sync();
+      expect(store.rounds({ pair: "ETH/USD" }).map((r) => r.answer)).to.deep.equal(["200000000000"]);
+
+      await network.provider.send("hardhat_mine", ["0x2"]);
+      await buildIndexer({ confirmations: 2 }).sync();
+      expect(store.rounds({ pair: "ETH/USD" }).map((r) => r.answer)).to.deep.equal(["210000000000", "200000000000"]);
+    });
+
+    it("Should start over when the store belongs to another deployment", async function () {
+      await mockOracle.updateAnswer(210000000000);
+      await indexer.sync();
+
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      mockOracle = await MockV3Aggregator.deploy(8, 200000000000);
+      await buildIndexer().sync();
+
+      // Only the new aggregator's initial round is left for ETH/USD
+      expect(store.rounds({ pair: "ETH/USD" }).map((r) => r.feed)).to.deep.equal([await mockOracle.getAddress()]);
+      expect(logs.some((entry) => entry.msg === "store belongs to another deployment, starting over")).to.equal(true);
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should roll back orphaned blocks and index the new branch", async function () {
+      await mockOracle.updateAnswer(210000000000);
+      await indexer.sync();
+      const common = store.getCheckpoint();
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await mockOracle.updateAnswer(220000000000);
+      await oracleToken.mintBasedOnPrice(user.address);
+      await indexer.sync();
+      expect(store.mints()).to.have.lengthOf(1);
+
+      // Replace the last two blocks with a different branch of the same height
+      await network.provider.send("evm_revert", [snapshot]);
+      await mockOracle.updateAnswer(230000000000);
+      await network.provider.send("evm_mine");
+
+      const result = await indexer.sync();
+      expect(result.reorg).to.deep.equal({ from: common.number + 2, to: common.number });
+      expect(store.rounds({ pair: "ETH/USD" }).map((r) => r.answer)).to.deep.equal(["230000000000", "210000000000", "200000000000"]);
+      expect(store.mints()).to.have.lengthOf(0);
+      expect(store.totalSupply()).to.equal(INITIAL_SUPPLY.toString());
+    });
+
+    it("Should re-index from the start block when no recorded block survives", async function () {
+      await mockOracle.updateAnswer(210000000000);
+      await indexer.sync();
+
+      const checkpoint = store.getCheckpoint();
+      store.db.prepare("UPDATE blocks SET hash = ?").run(ethers.ZeroHash);
+
+      const result = await indexer.sync();
+      expect(result.reorg).to.deep.equal({ from: checkpoint.number, to: null });
+      expect(result.from).to.equal(startBlock);
+      expect(store.rounds()).to.have.lengthOf(3);
+    });
+  });
+
+  describe("API", function () {
+    let server, url;
+
+    beforeEach(async function () {
+      server = createApi(store);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    async function get(path) {
+      const response = await fetch(url + path);
+      return { status: response.status, body: await response.json() };
+    }
+
+    it("Should serve rounds, signed updates and status", async function () {
+      await mockOracle.updateAnswer(210000000000);
+      await btcOracle.updateAnswer(6200000000000);
+      await signedUpdate(205000000000);
+      await indexer.sync();
+
+      const { body: rounds } = await get("/rounds?pair=BTC/USD");
+      expect(rounds.rounds.map((r) => r.answer)).to.deep.equal(["6200000000000", "6000000000000"]);
+
+      const { body: byFeed } = await get(`/rounds?feed=${(await mockOracle.getAddress()).toLowerCase()}`);
+      expect(byFeed.rounds.map((r) => r.answer)).to.deep.equal(["210000000000", "200000000000"]);
+
+      const { body: updates } = await get(`/signed-updates?pair=main&signer=${oracle.address}`);
+      expect(updates.updates.map((u) => u.price)).to.deep.equal(["205000000000"]);
+
+      const { body: status } = await get("/status");
+      expect(status.checkpoint.number).to.equal(await ethers.provider.getBlockNumber());
+      expect(status.chainId).to.equal(31337);
+      expect(status.counts.rounds).to.equal(4);
+    });
+
+    it("Should filter mints by address and time", async function () {
+      await oracleToken.mintBasedOnPrice(user.address);
+      await oracleToken.mintBasedOnPrice(owner.address);
+      await oracleToken.mintBasedOnPrice(user.address);
+      await indexer.sync();
+
+      const { body } = await get(`/mints?to=${user.address}`);
+      expect(body.mints).to.have.lengthOf(2);
+      expect(body.totalAmount).to.equal((await oracleToken.balanceOf(user.address)).toString());
+
+      const last = body.mints[0].timestamp;
+      expect((await get(`/mints?since=${last}`)).body.mints).to.have.lengthOf(1);
+      expect((await get(`/mints?until=${new Date((last - 1) * 1000).toISOString()}`)).body.mints).to.have.lengthOf(2);
+
+      const { body: totals } = await get("/mints/by-address");
+      expect(totals.recipients.map((r) => [r.recipient, r.count])).to.deep.equal([
+        [user.address, 2],
+        [owner.address, 1],
+      ]);
+
+      const { body: supply } = await get("/supply?order=asc&limit=2");
+      expect(supply.points).to.have.lengthOf(2);
+      expect(supply.totalSupply).to.equal((await oracleToken.totalSupply()).toString());
+    });
+
+    it("Should reject bad parameters and unknown endpoints", async function () {
+      expect(await get("/mints?to=0x1234")).to.deep.equal({ status: 400, body: { error: 'to must be an address, got "0x1234"' } });
+      expect((await get("/rounds?since=yesterday")).status).to.equal(400);
+      expect((await get("/events?order=up")).status).to.equal(400);
+      expect((await get("/nope")).status).to.equal(404);
+      expect((await fetch(url + "/status", { method: "POST" })).status).to.equal(405);
+    });
+
+    it("Should parse unix seconds and ISO dates", function () {
+      expect(parseTime("1700000000", "since")).to.equal(1700000000);
+      expect(parseTime("2023-11-14T22:13:20Z", "since")).to.equal(1700000000);
+    });
+  });
+});
@@ -0,0 +1,376 @@
+const { expect } = require("chai");
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadTemplate,
+  renderTemplate,
+  buildSpec,
+  externalJobIdFor,
+  readSpecFile,
+  listSpecFiles,
+  SPECS_DIR,
+  parseToml,
+  parsePipeline,
+  validateSpec,
+  diffJob,
+  createJobsClient,
+  resolveJob,
+  syncJobs,
+} = require("../scripts/utils/chainlink-jobs");
+
+const ORACLE = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+function priceSpec(vars = {}) {
+  return buildSpec(loadTemplate("directrequest-price"), {
+    pair: "ETH-USD",
+    url: "https://api.example.com/price?ids=ethereum",
+    path: "ethereum,usd",
+    contractAddress: ORACLE,
+    ...vars,
+  });
+}
+
+describe("Chainlink Job Manager", function () {
+  describe("TOML", function () {
+    it("Should parse strings, numbers, arrays and tables", function () {
+      const doc = parseToml(
+        [
+          'name = "a \\"quoted\\" name" # comment',
+          "count = 1_000",
+          "big = 100000000000000000000",
+          "ratio = 0.5",
+          "enabled = true",
+          "literal = 'C:\\path'",
+          'list = [ "x",',
+          '  "y", ]',
+          'multi = """',
+          'line one',
+          'line "two"',
+          '"""',
+          "[section.sub]",
+          "key = 'value'",
+        ].join("\n")
+      );
+
+      expect(doc).to.deep.equal({
+        name: 'a "quoted" name',
+        count: 1000,
+        big: 100000000000000000000n,
+        ratio: 0.5,
+        enabled: true,
+        literal: "C:\\path",
+        list: ["x", "y"],
+        multi: 'line one\nline "two"\n',
+        section: { sub: { key: "value" } },
+      });
+    });
+
+    it("Should report the line of a syntax error", function () {
+      expect(() => parseToml('a = 1\nb = "unterminated\n')).to.throw("TOML line 2: control characters are not allowed");
+      expect(() => parseToml("a = 1\na = 2")).to.throw("TOML line 2: trying to redefine");
+    });
+  });
+
+  describe("Templates", function () {
+    it("Should render a price job for any pair and source", function () {
+      const spec = parseToml(priceSpec({ pair: "BTC-USD", url: "https://btc.example.com", path: "bitcoin,usd" }));
+
+      expect(spec.type).to.equal("directrequest");
+      expect(spec.name).to.equal("BTC-USD-Price-Feed");
+      expect(spec.contractAddress).to.equal(ORACLE);
+      expect(spec.minIncomingConfirmations).to.equal(1);
+      expect(spec.observationSource).to.contain('url="https://btc.example.com"');
+      expect(spec.observationSource).to.contain('path="bitcoin,usd"');
+    });
+
+    it("Should derive a stable externalJobID from the job name", function () {
+      const first = parseToml(priceSpec()).externalJobID;
+
+      expect(first).to.equal(externalJobIdFor("ETH-USD-Price-Feed"));
+      expect(parseToml(priceSpec({ url: "https://other.example.com" })).externalJobID).to.equal(first);
+      expect(parseToml(priceSpec({ pair: "BTC-USD" })).externalJobID).to.not.equal(first);
+    });
+
+    it("Should use defaults and list missing variables", function () {
+      expect(renderTemplate("a = {{a:1}}\nb = {{b}}", { b: 2 })).to.equal("a = 1\nb = 2");
+      expect(() => renderTemplate("x = {{x}}\ny = {{y}}\nz = {{z:0}}", {})).to.throw("Missing template variables: x, y");
+    });
+  });
+
+  describe("Validation", function () {
+    it("Should accept the rendered price spec", function () {
+      const result = validateSpec(priceSpec());
+      expect(result.errors).to.deep.equal([]);
+      expect(result.valid).to.equal(true);
+    });
+
+    it("Should catch bad fields and pipeline tasks", function () {
+      const toml = [
+        'type = "directrequest"',
+        "schemaVersion = 1",
+        'externalJobID = "not-a-uuid"',
+        'contractAddress = "0x1234"',
+        'observationSource = """',
+        '  fetch [type="http" method=GET]',
+        '  parse [type="jsonparse" path="a,b" data="$(fetc)"]',
+        '  scale [type="ethuint256"]',
+        "  fetch -> parse -> scale -> fetch",
+        '"""',
+      ].join("\n");
+
+      expect(validateSpec(toml).errors).to.deep.equal([
+        'externalJobID "not-a-uuid" is not a UUID',
+        'contractAddress "0x1234" is not an address',
+        'Task "fetch" (http) is missing "url"',
+        'Task "parse" references unknown task or variable "$(fetc)"',
+        'Task "scale" has unknown type "ethuint256"',
+        "Pipeline contains a cycle",
+      ]);
+    });
+
+    it("Should read comment lines but reject DOT that job specs do not use", function () {
+      const { tasks } = parsePipeline('// fetch the price\nfetch [type="http" url="https://a.example.com//x"]\n# done');
+      expect(tasks).to.deep.equal({ fetch: { type: "http", url: "https://a.example.com//x" } });
+
+      expect(() => parsePipeline('fetch [type="http" url]')).to.throw('Pipeline: unexpected "url"');
+      expect(() => parsePipeline('a [type="any"]\na -> b [index=0]')).to.throw('Pipeline: unexpected "[index=0]"');
+    });
+
+    it("Should report TOML errors instead of throwing", function () {
+      const result = validateSpec('type = "cron"\nschedule = ');
+      expect(result.valid).to.equal(false);
+      expect(result.errors[0]).to.contain("TOML line 2");
+    });
+  });
+
+  describe("Node API", function () {
+    let server, url, jobs, nextId, sessions, rejectCreates;
+
+    // Local stub of the node's /sessions and /v2/jobs endpoints
+    before(async function () {
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => handle(req, res, body ? JSON.parse(body) : null));
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(function () {
+      jobs = new Map();
+      nextId = 1;
+      sessions = 0;
+      rejectCreates = null;
+    });
+
+    function send(res, status, payload) {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(payload === undefined ? "" : JSON.stringify(payload));
+    }
+
+    function resource(job) {
+      return { type: "jobs", id: job.id, attributes: job.attributes };
+    }
+
+    function handle(req, res, body) {
+      if (req.method === "POST" && req.url === "/sessions") {
+        if (body.password !== "password") return send(res, 401, { errors: [{ detail: "Invalid credentials" }] });
+        sessions++;
+        res.setHeader("Set-Cookie", "clsession=abc; Path=/; HttpOnly");
+        return send(res, 200, { data: {} });
+      }
+      if (req.headers.cookie !== "clsession=abc" && req.headers["x-chainlink-ea-accesskey"] !== "key") {
+        return send(res, 401, { errors: [{ detail: "Unauthorized" }] });
+      }
+
+      const [pathname] = req.url.split("?");
+      const id = pathname.split("/")[3];
+      if (req.method === "GET" && pathname === "/v2/jobs") {
+        return send(res, 200, { data: [...jobs.values()].map(resource) });
+      }
+      if (req.method === "POST" && pathname === "/v2/jobs") {
+        const spec = parseToml(body.toml);
+        const rejected = rejectCreates && rejectCreates(spec);
+        if (rejected) return send(res, 422, { errors: [{ detail: rejected }] });
+        const duplicate = [...jobs.values()].some((j) => j.attributes.externalJobID === spec.externalJobID);
+        if (duplicate) return send(res, 409, { errors: [{ detail: "a job with this externalJobID already exists" }] });
+
+        const { type, schemaVersion, name, externalJobID, observationSource, ...typeFields } = spec;
+        const job = {
+          id: String(nextId++),
+          attributes: {
+            type,
+            schemaVersion,
+            name,
+            externalJobID,
+            directRequestSpec: { ...typeFields, evmChainID: "31337" },
+            pipelineSpec: { dotDagSource: observationSource },
+          },
+        };
+        jobs.set(job.id, job);
+        return send(res, 200, { data: resource(job) });
+      }
+      if (!jobs.has(id)) return send(res, 404, { errors: [{ detail: "Job not found" }] });
+      if (req.method === "GET") return send(res, 200, { data: resource(jobs.get(id)) });
+      if (req.method === "DELETE") {
+        jobs.delete(id);
+        return send(res, 204);
+      }
+      return send(res, 405, { errors: [{ detail: "Method not allowed" }] });
+    }
+
+    function client(auth = { accessKey: "key", secret: "secret" }) {
+      return createJobsClient({ url, ...auth });
+    }
+
+    it("Should create, list, show and delete jobs", async function () {
+      const created = await client().create(priceSpec());
+
+      expect(created.name).to.equal("ETH-USD-Price-Feed");
+      expect((await client().list()).map((j) => j.id)).to.deep.equal([created.id]);
+      expect((await resolveJob(client(), "ETH-USD-Price-Feed")).id).to.equal(created.id);
+      expect((await resolveJob(client(), created.externalJobID)).id).to.equal(created.id);
+
+      await client().remove(created.id);
+      expect(await client().list()).to.deep.equal([]);
+      await expect(resolveJob(client(), created.id)).to.be.rejectedWith(`No job "${created.id}" on the node`);
+    });
+
+    it("Should log in with email and password when no access key is set", async function () {
+      const sessionClient = client({ email: "user@chain.link", password: "password" });
+      await sessionClient.list();
+      await sessionClient.list();
+
+      expect(sessions).to.equal(1);
+      await expect(client({ email: "user@chain.link", password: "wrong" }).list()).to.be.rejectedWith(
+        "POST /sessions failed (HTTP 401): Invalid credentials"
+      );
+    });
+
+    it("Should surface API error details", async function () {
+      await client().create(priceSpec());
+      await expect(client().create(priceSpec())).to.be.rejectedWith(
+        "POST /v2/jobs failed (HTTP 409): a job with this externalJobID already exists"
+      );
+    });
+
+    it("Should diff only meaningful changes", async function () {
+      const created = await client().create(priceSpec());
+      const job = await client().get(created.id);
+
+      // Reformatted pipeline and checksummed vs lowercase address are not changes
+      const reformatted = parseToml(priceSpec());
+      reformatted.contractAddress = ORACLE.toLowerCase();
+      reformatted.observationSource = reformatted.observationSource.replace(/\s+/g, " ");
+      expect(diffJob(reformatted, job)).to.deep.equal([]);
+
+      const changed = parseToml(priceSpec({ url: "https://other.example.com", minIncomingConfirmations: 3 }));
+      expect(diffJob(changed, job).map((c) => c.field)).to.deep.equal(["minIncomingConfirmations", "observationSource"]);
+    });
+
+    it("Should sync a directory of specs", async function () {
+      const eth = { file: "eth-usd.json", toml: priceSpec() };
+      const btc = { file: "btc-usd.json", toml: priceSpec({ pair: "BTC-USD" }) };
+
+      const dryRun = await syncJobs(client(), [eth, btc], { dryRun: true });
+      expect(dryRun.map((s) => s.action)).to.deep.equal(["create", "create"]);
+      expect(jobs.size).to.equal(0);
+
+      await syncJobs(client(), [eth, btc]);
+      expect((await syncJobs(client(), [eth, btc])).map((s) => s.action)).to.deep.equal(["unchanged", "unchanged"]);
+
+      const moved = { file: "eth-usd.json", toml: priceSpec({ url: "https://other.example.com" }) };
+      const plan = await syncJobs(client(), [moved], { prune: true });
+      expect(plan.map((s) => `${s.action} ${s.name}`)).to.deep.equal(["update ETH-USD-Price-Feed", "delete BTC-USD-Price-Feed"]);
+
+      const remaining = await client().list();
+      expect(remaining.map((j) => j.name)).to.deep.equal(["ETH-USD-Price-Feed"]);
+      expect(remaining[0].externalJobID).to.equal(externalJobIdFor("ETH-USD-Price-Feed"));
+      expect(remaining[0].pipelineSpec.dotDagSource).to.contain("https://other.example.com");
+    });
+
+    it("Should stop at the first rejected step and say what already ran", async function () {
+      await syncJobs(client(), [{ file: "eth-usd.json", toml: priceSpec() }]);
+      const moved = { file: "eth-usd.json", toml: priceSpec({ url: "https://other.example.com" }) };
+      const btc = { file: "btc-usd.json", toml: priceSpec({ pair: "BTC-USD" }) };
+
+      // The update reuses the externalJobID, so the old job has to go before the node rejects the new one
+      rejectCreates = (spec) => spec.observationSource.includes("other.example.com") && "bad spec";
+      const error = await syncJobs(client(), [btc, moved]).catch((e) => e);
+      expect(error.message).to.equal(
+        "Sync stopped at update ETH-USD-Price-Feed: POST /v2/jobs failed (HTTP 422): bad spec; " +
+          "its old job 1 was already deleted. Completed: create BTC-USD-Price-Feed"
+      );
+      expect(error.completed.map((s) => `${s.action} ${s.name}`)).to.deep.equal(["create BTC-USD-Price-Feed"]);
+    });
+
+    it("Should create a replacement before deleting a job with another externalJobID", async function () {
+      const otherId = "00000000-0000-4000-8000-000000000001";
+      const old = await client().create(priceSpec().replace(/^externalJobID = .*$/m, `externalJobID = "${otherId}"`));
+
+      rejectCreates = () => "bad spec";
+      await expect(syncJobs(client(), [{ file: "eth-usd.json", toml: priceSpec() }])).to.be.rejectedWith(
+        "Sync stopped at update ETH-USD-Price-Feed"
+      );
+      expect([...jobs.keys()]).to.deep.equal([old.id]);
+
+      rejectCreates = null;
+      const [step] = await syncJobs(client(), [{ file: "eth-usd.json", toml: priceSpec() }]);
+      expect(step).to.include({ action: "update", id: "2" });
+      expect((await client().list()).map((j) => j.externalJobID)).to.deep.equal([externalJobIdFor("ETH-USD-Price-Feed")]);
+    });
+
+    it("Should refuse to sync invalid specs", async function () {
+      const broken = { file: "broken.toml", toml: 'type = "directrequest"\nschemaVersion = 1\nname = "x"' };
+      await expect(syncJobs(client(), [broken])).to.be.rejectedWith('broken.toml is invalid');
+      expect(jobs.size).to.equal(0);
+    });
+  });
+
+  describe("Spec Files", function () {
+    it("Should ship valid specs for every file in jobs/specs", function () {
+      const files = listSpecFiles(SPECS_DIR);
+      expect(files).to.not.be.empty;
+
+      for (const file of files) {
+        const { template, vars } = readSpecFile(file);
+        const result = validateSpec(buildSpec(template, { contractAddress: ORACLE, ...vars }));
+        expect(result.errors, path.basename(file)).to.deep.equal([]);
+      }
+    });
+
+    it("Should read the tasks and edges the node runs from every shipped spec", function () {
+      const order = ["decode_log", "fetch", "parse", "multiply", "encode_data", "encode_tx", "submit_tx"];
+
+      for (const file of listSpecFiles(SPECS_DIR)) {
+        const { template, vars } = readSpecFile(file);
+        const { observationSource } = parseToml(buildSpec(template, { contractAddress: ORACLE, ...vars }));
+        const { tasks, edges } = parsePipeline(observationSource);
+
+        expect(Object.keys(tasks), path.basename(file)).to.deep.equal(order);
+        expect(edges).to.deep.equal(order.slice(1).map((name, i) => [order[i], name]));
+        expect(tasks.fetch).to.deep.equal({ type: "http", method: "GET", url: vars.url, allowUnrestrictedNetworkAccess: "true" });
+        expect(tasks.parse).to.deep.equal({ type: "jsonparse", path: vars.path, data: "$(fetch)" });
+        expect(tasks.multiply).to.deep.equal({ type: "multiply", input: "$(parse)", times: "100000000" });
+        expect(tasks.encode_data.data).to.equal('{ "requestId": $(decode_log.requestId), "value": $(multiply) }');
+        expect(tasks.submit_tx).to.deep.equal({ type: "ethtx", to: ORACLE, data: "$(encode_tx)" });
+      }
+    });
+
+    it("Should read TOML spec files as-is", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+      const file = path.join(dir, "eth.toml");
+      fs.writeFileSync(file, priceSpec());
+
+      expect(readSpecFile(file)).to.deep.equal({ template: priceSpec(), vars: {} });
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { GENERATORS, generateSeries, loadSeries, rowsToSeries } = require("../scripts/utils/market-series");
+const { createSimulator } = require("../scripts/utils/market-simulator");
+const { toPairId } = require("../scripts/utils/feeds");
+
+describe("Market Simulator", function () {
+  describe("Series", function () {
+    it("Should generate the same series for the same seed", function () {
+      for (const name of Object.keys(GENERATORS)) {
+        const series = generateSeries(name, { steps: 30, seed: 42 });
+        expect(series, name).to.have.lengthOf(30);
+        expect(generateSeries(name, { steps: 30, seed: 42 }), name).to.deep.equal(series);
+        expect(generateSeries(name, { steps: 30, seed: 43 }), name).to.not.deep.equal(series);
+      }
+    });
+
+    it("Should space rounds by the interval and start at the given price", function () {
+      const series = generateSeries("gbm", { steps: 5, interval: 90, start: 2500, decimals: 6 });
+      expect(series.map((point) => point.offset)).to.deep.equal([0, 90, 180, 270, 360]);
+      expect(series[0].price).to.equal(2500_000000n);
+    });
+
+    it("Should drop and recover around a flash crash", function () {
+      const options = { steps: 20, seed: 3, volatility: 0 };
+      const crash = generateSeries("flash-crash", { ...options, crashAt: 10, dropBps: 5000, recoverySteps: 4 });
+      const prices = crash.map((point) => point.price);
+
+      expect(prices[9]).to.equal(200000000000n);
+      expect(prices[10]).to.equal(100000000000n);
+      expect(prices[12]).to.equal(150000000000n);
+      expect(prices[14]).to.equal(200000000000n);
+    });
+
+    it("Should leave frozen steps without a price", function () {
+      const series = generateSeries("freeze", { steps: 10, freezeAt: 4, freezeSteps: 3 });
+      expect(series.map((point) => point.price === null)).to.deep.equal([
+        false, false, false, false, true, true, true, false, false, false,
+      ]);
+    });
+
+    it("Should load CSV and JSON series", function () {
+      const csv = loadSeries(path.join(__dirname, "..", "config", "scenarios", "feed-outage.csv"));
+      expect(csv[1]).to.deep.equal({ offset: 60, price: 200425000000n });
+      expect(csv.filter((point) => point.price === null)).to.have.lengthOf(5);
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "series-"));
+      const file = path.join(dir, "prices.json");
+      fs.writeFileSync(file, JSON.stringify({ interval: 30, prices: ["2000", 2010.5, null] }));
+      expect(loadSeries(file, { decimals: 2 })).to.deep.equal([
+        { offset: 0, price: 200000n },
+        { offset: 30, price: 201050n },
+        { offset: 60, price: null },
+      ]);
+
+      const scenario = loadSeries(path.join(__dirname, "..", "config", "scenarios", "flash-crash.json"));
+      expect(scenario).to.have.lengthOf(40);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should turn timestamps into offsets and reject bad rows", function () {
+      const series = rowsToSeries([
+        { timestamp: "2024-01-01T00:00:00Z", price: "2000" },
+        { timestamp: "2024-01-01T00:05:00Z", price: "2001" },
+      ]);
+      expect(series.map((point) => point.offset)).to.deep.equal([0, 300]);
+
+      expect(() => rowsToSeries([{ offset: 60, price: "1" }, { offset: 60, price: "2" }])).to.throw("strictly increasing");
+      expect(() => rowsToSeries([{ price: "1.123456789" }])).to.throw('invalid price "1.123456789"');
+      expect(() => generateSeries("sideways")).to.throw('Unknown generator "sideways"');
+    });
+  });
+
+  describe("Simulation", function () {
+    let mockOracle, priceConsumer, oracleToken, owner, oracle, user;
+
+    beforeEach(async function () {
+      [owner, oracle, user] = await ethers.getSigners();
+
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      mockOracle = await MockV3Aggregator.deploy(8, 200000000000);
+
+      const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+      priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+
+      const OracleToken = await ethers.getContractFactory("OracleToken");
+      oracleToken = await OracleToken.deploy("Oracle Token", "ORACLE", await priceConsumer.getAddress());
+    });
+
+    function simulator(config, extra = {}) {
+      return createSimulator({
+        aggregator: mockOracle,
+        consumer: priceConsumer,
+        token: oracleToken,
+        oracle,
+        recipient: user.address,
+        config,
+        logger: { debug() {}, info() {}, warn() {}, error() {} },
+        ...extra,
+      });
+    }
+
+    it("Should mine one round per step at the series timestamps", async function () {
+      const series = generateSeries("random-walk", { steps: 5, interval: 120 });
+      const before = await ethers.provider.getBlock("latest");
+
+      const { steps, summary } = await simulator().run(series);
+
+      expect(steps.map((step) => step.timestamp - steps[0].timestamp)).to.deep.equal([0, 120, 240, 360, 480]);
+      expect(steps[0].timestamp).to.equal(before.timestamp + 1);
+      expect(steps.map((step) => step.round)).to.deep.equal([2n, 3n, 4n, 5n, 6n]);
+      expect(await mockOracle.latestAnswer()).to.equal(series[4].price);
+      expect(Number(await mockOracle.latestTimestamp())).to.equal(steps[4].timestamp);
+      expect(summary).to.include({ steps: 5, rounds: 5, frozenSteps: 0 });
+      expect(await network.provider.send("hardhat_getAutomine")).to.equal(true);
+    });
+
+    it("Should report stale prices and rejected mints while the feed is frozen", async function () {
+      await priceConsumer.setPriceGuard(await mockOracle.getAddress(), 150, 0, 0, 0);
+      const series = generateSeries("freeze", { steps: 8, interval: 60, freezeAt: 2, freezeSteps: 4 });
+
+      const { steps, summary } = await simulator({ mint: true }).run(series);
+
+      expect(steps.map((step) => step.status)).to.deep.equal([
+        "Ok", "Ok", "Ok", "Ok", "StalePrice", "StalePrice", "Ok", "Ok",
+      ]);
+      expect(steps[4].mint).to.deep.equal({ ok: false, error: "Price too old" });
+      expect(summary).to.include({ rounds: 4, frozenSteps: 4, mints: 6, mintsRejected: 2 });
+      expect(await oracleToken.balanceOf(user.address)).to.equal(summary.minted);
+    });
+
+    it("Should trip the deviation guard during a flash crash", async function () {
+      await priceConsumer.setPriceGuard(await mockOracle.getAddress(), 0, 0, 0, 1000);
+      const series = generateSeries("flash-crash", { steps: 8, volatility: 0, crashAt: 4, dropBps: 3000, recoverySteps: 6 });
+
+      const { steps } = await simulator({ mint: true }).run(series);
+
+      expect(steps.map((step) => step.status)).to.deep.equal([
+        "Ok", "Ok", "Ok", "Ok", "ExcessiveDeviation", "Ok", "Ok", "Ok",
+      ]);
+      expect(steps[4].mint.error).to.equal("Price deviation too large");
+    });
+
+    it("Should push signed updates in the same block as the rounds", async function () {
+      const series = generateSeries("gbm", { steps: 6, interval: 60 });
+
+      const { steps, summary } = await simulator({ signed: true, signedEvery: 2, signedLagSeconds: 10 }).run(series);
+
+      expect(summary).to.include({ signedUpdates: 3, signedRejected: 0 });
+      expect(steps.map((step) => step.signed !== null)).to.deep.equal([true, false, true, false, true, false]);
+      expect(steps[4].signed.timestamp).to.equal(steps[4].timestamp - 10);
+      expect(await priceConsumer.latestPrice()).to.equal(series[4].price);
+      expect(await priceConsumer.lastUpdateTime()).to.equal(BigInt(steps[4].timestamp - 10));
+
+      const block = await ethers.provider.getBlock(steps[4].block);
+      expect(block.transactions).to.have.lengthOf(2);
+    });
+
+    it("Should record signed updates the consumer rejects", async function () {
+      const series = generateSeries("gbm", { steps: 2 });
+
+      // The user is not the trusted oracle
+      const { steps, summary } = await simulator({ signed: true }, { oracle: user }).run(series);
+
+      expect(steps[0].signed).to.include({ ok: false, error: "Invalid signature" });
+      expect(summary).to.include({ signedUpdates: 0, signedRejected: 2 });
+    });
+
+    it("Should drive a registered pair", async function () {
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const btcOracle = await MockV3Aggregator.deploy(8, 6000000000000);
+      const pairId = toPairId("BTC/USD");
+      await priceConsumer.addFeed(pairId, await btcOracle.getAddress(), oracle.address);
+      const series = generateSeries("gbm", { steps: 3, start: 60000 });
+
+      const { summary } = await simulator({ signed: true }, { aggregator: btcOracle, pairId }).run(series);
+
+      const [, , signedPrice] = await priceConsumer.feeds(pairId);
+      expect(signedPrice).to.equal(series[2].price);
+      expect(summary.signedUpdates).to.equal(3);
+      expect(await mockOracle.latestRound()).to.equal(1n);
+    });
+
+    it("Should restore automine when a step fails", async function () {
+      const failing = Object.create(mockOracle);
+      failing.updateAnswer = async () => {
+        throw new Error("node went away");
+      };
+
+      await expect(simulator({}, { aggregator: failing }).run([{ offset: 0, price: 1n }])).to.be.rejectedWith("node went away");
+      expect(await network.provider.send("hardhat_getAutomine")).to.equal(true);
+      expect(() => simulator({ mint: true }, { token: undefined })).to.throw("Minting needs the token");
+    });
+  });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPrice, getPriceReportDomain, signPriceReport } = require("../scripts/utils/price-signing");
 
 describe("OracleToken", function () {
   let mockOracle, priceConsumer, oracleToken, owner, oracle, user;
@@ -62,7 +64,8 @@ describe("OracleToken", function () {
     
     it("Should emit PriceBasedMint event", async function () {
       await expect(oracleToken.mintBasedOnPrice(user.address))
-        .to.emit(oracleToken, "PriceBasedMint");
+        .to.emit(oracleToken, "PriceBasedMint")
+        .withArgs(user.address, 200000n, initialPrice, ethers.parseEther("2000"));
     });
     
     it("Should reject minting to zero address", async function () {
@@ -77,14 +80,7 @@ describe("OracleToken", function () {
       const timestamp = Math.floor(Date.now() / 1000);
       const newPrice = 250000000000; // $2500.00
       
-      const messageHash = ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(
-          ["int256", "uint256", "address"],
-          [newPrice, timestamp, await priceConsumer.getAddress()]
-        )
-      );
-      
-      const signature = await oracle.signMessage(ethers.getBytes(messageHash));
+      const signature = await signPrice(oracle, newPrice, timestamp, await priceConsumer.getAddress());
       
       const balanceBefore = await oracleToken.balanceOf(user.address);
       
@@ -101,15 +97,8 @@ describe("OracleToken", function () {
       const timestamp = Math.floor(Date.now() / 1000);
       const newPrice = 250000000000;
       
-      const messageHash = ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(
-          ["int256", "uint256", "address"],
-          [newPrice, timestamp, await priceConsumer.getAddress()]
-        )
-      );
-      
       // Sign with wrong account
-      const signature = await user.signMessage(ethers.getBytes(messageHash));
+      const signature = await signPrice(user, newPrice, timestamp, await priceConsumer.getAddress());
       
       await expect(
         oracleToken.mintWithOracleSignature(user.address, newPrice, timestamp, signature)
@@ -117,6 +106,35 @@ describe("OracleToken", function () {
     });
   });
 
+  describe("Threshold Report Minting", function () {
+    it("Should mint at the median of the signers' reports", async function () {
+      const signers = (await ethers.getSigners()).slice(3, 5).sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+      for (const signer of signers) await priceConsumer.addReportSigner(signer.address);
+      await priceConsumer.setSignerThreshold(2, 50);
+
+      const domain = await getPriceReportDomain(priceConsumer);
+      const timestamp = (await ethers.provider.getBlock("latest")).timestamp + 1;
+      const prices = [250000000000n, 250200000000n];
+      const signatures = await Promise.all(
+        signers.map((signer, i) => signPriceReport(signer, domain, { price: prices[i], timestamp }))
+      );
+
+      await expect(oracleToken.mintWithPriceReports(user.address, timestamp, prices, signatures))
+        .to.emit(oracleToken, "PriceBasedMint")
+        .withArgs(user.address, 250100n, 250100000000n, ethers.parseEther("2501"));
+      expect(await priceConsumer.latestPrice()).to.equal(250100000000n);
+
+      // One key alone no longer mints
+      await expect(
+        oracleToken.mintWithPriceReports(user.address, timestamp + 1, prices.slice(0, 1), signatures.slice(0, 1))
+      ).to.be.revertedWith("Not enough signatures");
+      const single = await signPriceReport(oracle, domain, { price: prices[0], timestamp: timestamp + 1 });
+      await expect(
+        oracleToken.mintWithOracleSignature(user.address, prices[0], timestamp + 1, single)
+      ).to.be.revertedWith("Invalid oracle signature");
+    });
+  });
+
   describe("Access Control", function () {
     it("Should allow owner to burn tokens", async function () {
       // First mint some tokens to user
@@ -171,6 +189,123 @@ describe("OracleToken", function () {
     });
   });
 
+  describe("Mint Roles and Limits", function () {
+    const PER_MINT = 200000n; // $2000 at the default mint rate
+
+    it("Should only let minters mint", async function () {
+      const MINTER_ROLE = await oracleToken.MINTER_ROLE();
+      expect(await oracleToken.hasRole(MINTER_ROLE, owner.address)).to.equal(true);
+
+      await expect(oracleToken.connect(user).mintBasedOnPrice(user.address))
+        .to.be.revertedWithCustomError(oracleToken, "AccessControlUnauthorizedAccount")
+        .withArgs(user.address, MINTER_ROLE);
+
+      await oracleToken.grantRole(MINTER_ROLE, user.address);
+      await oracleToken.connect(user).mintBasedOnPrice(user.address);
+      expect(await oracleToken.balanceOf(user.address)).to.equal(PER_MINT);
+
+      await oracleToken.revokeRole(MINTER_ROLE, user.address);
+      await expect(oracleToken.connect(user).mintBasedOnPrice(user.address)).to.be.revertedWithCustomError(
+        oracleToken,
+        "AccessControlUnauthorizedAccount"
+      );
+      const timestamp = (await ethers.provider.getBlock("latest")).timestamp + 1;
+      const signature = await signPriceReport(oracle, await getPriceReportDomain(priceConsumer), { price: initialPrice, timestamp });
+      await expect(
+        oracleToken.connect(user).mintWithOracleSignature(user.address, initialPrice, timestamp, signature)
+      ).to.be.revertedWithCustomError(oracleToken, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should keep the limits to the limits admin", async function () {
+      const LIMITS_ADMIN_ROLE = await oracleToken.LIMITS_ADMIN_ROLE();
+      await expect(oracleToken.connect(user).setMintLimits(3600, PER_MINT, 0, 0))
+        .to.be.revertedWithCustomError(oracleToken, "AccessControlUnauthorizedAccount")
+        .withArgs(user.address, LIMITS_ADMIN_ROLE);
+      await expect(oracleToken.setMintLimits(0, PER_MINT, 0, 0)).to.be.revertedWith("Caps need a window");
+
+      await oracleToken.grantRole(LIMITS_ADMIN_ROLE, user.address);
+      await expect(oracleToken.connect(user).setMintLimits(3600, PER_MINT, 5n * PER_MINT, 60))
+        .to.emit(oracleToken, "MintLimitsUpdated")
+        .withArgs(3600, PER_MINT, 5n * PER_MINT, 60);
+      expect(await oracleToken.accountMintCap()).to.equal(PER_MINT);
+    });
+
+    it("Should stop minting to an account once its cap is used up", async function () {
+      await oracleToken.setMintLimits(3600, 2n * PER_MINT, 0, 0);
+
+      await oracleToken.mintBasedOnPrice(user.address);
+      await oracleToken.mintBasedOnPrice(user.address);
+      await expect(oracleToken.mintBasedOnPrice(user.address)).to.be.revertedWith("Account mint cap exceeded");
+      // Only what freed up in the seconds since the last mint
+      expect((await oracleToken.getMintAllowance(user.address)).accountRemaining).to.be.lessThan(PER_MINT);
+
+      // Other recipients have their own allowance
+      await oracleToken.mintBasedOnPrice(oracle.address);
+    });
+
+    it("Should cap all recipients together", async function () {
+      await oracleToken.setMintLimits(3600, 0, 3n * PER_MINT, 0);
+      const recipients = (await ethers.getSigners()).slice(3, 6);
+
+      await oracleToken.mintBasedOnPrice(recipients[0].address);
+      await oracleToken.mintBasedOnPrice(recipients[1].address);
+      await oracleToken.mintBasedOnPrice(recipients[2].address);
+      await expect(oracleToken.mintBasedOnPrice(user.address)).to.be.revertedWith("Global mint cap exceeded");
+
+      const allowance = await oracleToken.getMintAllowance(user.address);
+      expect(allowance.globalRemaining).to.be.lessThan(PER_MINT);
+      expect(allowance.accountRemaining).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should free up the caps gradually over the window", async function () {
+      await oracleToken.setMintLimits(3600, PER_MINT, PER_MINT, 0);
+
+      await oracleToken.mintBasedOnPrice(user.address);
+      const [mintedAt] = await oracleToken.accountMints(user.address);
+      await time.increaseTo(mintedAt + 1800n);
+      const allowance = await oracleToken.getMintAllowance(user.address);
+      expect(allowance.accountRemaining).to.equal(PER_MINT / 2n);
+      expect(allowance.globalRemaining).to.equal(PER_MINT / 2n);
+      await expect(oracleToken.mintBasedOnPrice(user.address)).to.be.revertedWith("Account mint cap exceeded");
+
+      await time.setNextBlockTimestamp(mintedAt + 3600n);
+      await oracleToken.mintBasedOnPrice(user.address);
+      expect(await oracleToken.balanceOf(user.address)).to.equal(2n * PER_MINT);
+    });
+
+    it("Should not let the cap be minted on both sides of a window boundary", async function () {
+      // A first small mint starts the window; the rest of the cap follows just before it ends
+      const cap = PER_MINT + 2000n;
+      await oracleToken.setMintLimits(3600, cap, cap, 0);
+      await oracleToken.updateMintRate(1);
+      await oracleToken.mintBasedOnPrice(user.address);
+      const [start] = await oracleToken.accountMints(user.address);
+      await oracleToken.updateMintRate(100);
+
+      await time.setNextBlockTimestamp(start + 3599n);
+      await oracleToken.mintBasedOnPrice(user.address);
+
+      await time.setNextBlockTimestamp(start + 3601n);
+      await expect(oracleToken.mintBasedOnPrice(user.address)).to.be.revertedWith("Account mint cap exceeded");
+      await expect(oracleToken.mintBasedOnPrice(oracle.address)).to.be.revertedWith("Global mint cap exceeded");
+      expect(await oracleToken.balanceOf(user.address)).to.equal(cap);
+    });
+
+    it("Should make a recipient wait out the cooldown", async function () {
+      await oracleToken.setMintLimits(0, 0, 0, 600);
+
+      await oracleToken.mintBasedOnPrice(user.address);
+      const minted = await oracleToken.lastMintAt(user.address);
+      expect((await oracleToken.getMintAllowance(user.address)).cooldownEnds).to.equal(minted + 600n);
+      await expect(oracleToken.mintBasedOnPrice(user.address)).to.be.revertedWith("Mint cooldown active");
+
+      await time.increaseTo(minted + 600n);
+      expect((await oracleToken.getMintAllowance(user.address)).cooldownEnds).to.equal(0);
+      await oracleToken.mintBasedOnPrice(user.address);
+      expect(await oracleToken.balanceOf(user.address)).to.equal(2n * PER_MINT);
+    });
+  });
+
   describe("Utility Functions", function () {
     it("Should calculate mint amount correctly", async function () {
       const testPrice = 300000000000; // $3000.00
@@ -191,4 +326,85 @@ describe("OracleToken", function () {
       ).to.be.revertedWith("Price must be positive");
     });
   });
+
+  describe("Price Decimals", function () {
+    // $2000.125 expressed in each feed's decimals
+    const feeds = [
+      [6, 2000125000n],
+      [8, 200012500000n],
+      [18, ethers.parseUnits("2000.125", 18)],
+    ];
+    const normalized = ethers.parseEther("2000.125");
+
+    async function tokenForFeed(decimals, answer) {
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const feed = await MockV3Aggregator.deploy(decimals, answer);
+      await feed.waitForDeployment();
+      await priceConsumer.updatePriceFeed(await feed.getAddress());
+      return feed;
+    }
+
+    for (const [decimals, answer] of feeds) {
+      it(`Should mint the same amount from a ${decimals}-decimal feed`, async function () {
+        await tokenForFeed(decimals, answer);
+
+        expect(await oracleToken.getPriceDecimals()).to.equal(decimals);
+        expect(await oracleToken.normalizePrice(answer)).to.equal(normalized);
+        await expect(oracleToken.mintBasedOnPrice(user.address))
+          .to.emit(oracleToken, "PriceBasedMint")
+          .withArgs(user.address, 200012n, answer, normalized);
+      });
+
+      it(`Should mint signed prices in the ${decimals}-decimal feed's units`, async function () {
+        await tokenForFeed(decimals, answer);
+        const timestamp = (await ethers.provider.getBlock("latest")).timestamp + 1;
+        const signature = await signPrice(oracle, answer, timestamp, await priceConsumer.getAddress());
+
+        await oracleToken.mintWithOracleSignature(user.address, answer, timestamp, signature);
+        expect(await oracleToken.balanceOf(user.address)).to.equal(200012n);
+      });
+    }
+
+    it("Should scale down feeds with more decimals than the internal precision", async function () {
+      await tokenForFeed(20, ethers.parseUnits("2000.125", 20) + 99n);
+      expect(await oracleToken.normalizePrice(ethers.parseUnits("2000.125", 20) + 99n)).to.equal(normalized);
+
+      await oracleToken.setRounding(1); // Up
+      expect(await oracleToken.normalizePrice(ethers.parseUnits("2000.125", 20) + 1n)).to.equal(normalized + 1n);
+    });
+
+    it("Should round the mint amount as configured", async function () {
+      // 2000.125 * 100 / 1e8 = 200012.5 base units; 2000.124 * 100 / 1e8 = 200012.4
+      await tokenForFeed(8, 200012500000n);
+      expect(await oracleToken.rounding()).to.equal(0); // Down
+      expect(await oracleToken.calculateMintAmount(200012500000n)).to.equal(200012n);
+
+      await expect(oracleToken.setRounding(1)).to.emit(oracleToken, "RoundingUpdated").withArgs(1);
+      expect(await oracleToken.calculateMintAmount(200012500000n)).to.equal(200013n);
+      expect(await oracleToken.calculateMintAmount(200012400000n)).to.equal(200013n);
+
+      await oracleToken.setRounding(2); // Nearest
+      expect(await oracleToken.calculateMintAmount(200012500000n)).to.equal(200013n);
+      expect(await oracleToken.calculateMintAmount(200012400000n)).to.equal(200012n);
+
+      await oracleToken.mintBasedOnPrice(user.address);
+      expect(await oracleToken.balanceOf(user.address)).to.equal(200013n);
+    });
+
+    it("Should restrict the rounding mode to the owner", async function () {
+      await expect(oracleToken.connect(user).setRounding(1)).to.be.revertedWithCustomError(
+        oracleToken,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+
+    it("Should reject non-positive signed prices", async function () {
+      const timestamp = (await ethers.provider.getBlock("latest")).timestamp + 1;
+      const signature = await signPrice(oracle, 0, timestamp, await priceConsumer.getAddress());
+
+      await expect(oracleToken.mintWithOracleSignature(user.address, 0, timestamp, signature)).to.be.revertedWith(
+        "Invalid price from oracle"
+      );
+    });
+  });
 });
@@ -0,0 +1,253 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("OracleVault", function () {
+  let mockOracle, priceConsumer, oracleToken, vault, owner, oracle, user, other;
+  const usd = (value) => ethers.parseEther(String(value));
+  const price = (value) => ethers.parseUnits(String(value), 8);
+
+  beforeEach(async function () {
+    [owner, oracle, user, other] = await ethers.getSigners();
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    mockOracle = await MockV3Aggregator.deploy(8, price(2000));
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+    const OracleToken = await ethers.getContractFactory("OracleToken");
+    oracleToken = await OracleToken.deploy("Oracle Token", "ORACLE", await priceConsumer.getAddress());
+    const OracleVault = await ethers.getContractFactory("OracleVault");
+    vault = await OracleVault.deploy(await oracleToken.getAddress());
+
+    await oracleToken.grantRole(await oracleToken.VAULT_ROLE(), await vault.getAddress());
+  });
+
+  async function ethOf(tx) {
+    const receipt = await (await tx).wait();
+    return receipt.gasUsed * receipt.gasPrice;
+  }
+
+  describe("Minting", function () {
+    it("Should mint against deposited ETH at the oracle price", async function () {
+      // 1000 ORACLE is 0.5 ETH at $2000; the 0.5% fee comes out of the collateral
+      await expect(vault.connect(user).deposit(usd(1000), { value: usd(1) }))
+        .to.emit(vault, "Deposited")
+        .withArgs(user.address, usd(1))
+        .and.to.emit(vault, "Minted")
+        .withArgs(user.address, usd(1000), usd(0.0025), usd(2000))
+        .and.to.emit(oracleToken, "VaultMint")
+        .withArgs(await vault.getAddress(), user.address, usd(1000));
+
+      expect(await oracleToken.balanceOf(user.address)).to.equal(usd(1000));
+      const position = await vault.getPosition(user.address);
+      expect(position.collateral).to.equal(usd(0.9975));
+      expect(position.debt).to.equal(usd(1000));
+      expect(position.ratioBps).to.equal(19950n);
+      expect(await vault.accruedFees()).to.equal(usd(0.0025));
+      expect(await ethers.provider.getBalance(await vault.getAddress())).to.equal(usd(1));
+    });
+
+    it("Should refuse to mint past the collateral ratio or below the minimum size", async function () {
+      await vault.connect(user).deposit(0, { value: usd(1) });
+
+      await expect(vault.connect(user).mint(usd(1400))).to.be.revertedWith("Insufficient collateral");
+      await expect(vault.connect(user).mint(usd(50))).to.be.revertedWith("Position below minimum size");
+      await expect(vault.connect(other).mint(usd(100))).to.be.revertedWith("Insufficient collateral");
+      await expect(vault.connect(user).deposit(0)).to.be.revertedWith("No collateral sent");
+
+      // 0.9967 ETH is left after the fee on 1320, worth 1993.4: just over 150%
+      await vault.connect(user).mint(usd(1320));
+      expect((await vault.getPosition(user.address)).ratioBps).to.equal(15101n);
+    });
+
+    it("Should only mint through a vault holding VAULT_ROLE", async function () {
+      await oracleToken.revokeRole(await oracleToken.VAULT_ROLE(), await vault.getAddress());
+
+      await expect(vault.connect(user).deposit(usd(1000), { value: usd(1) })).to.be.revertedWithCustomError(
+        oracleToken,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(oracleToken.vaultMint(user.address, usd(1))).to.be.revertedWithCustomError(
+        oracleToken,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Prices", function () {
+    beforeEach(async function () {
+      await vault.connect(user).deposit(usd(1000), { value: usd(1) });
+    });
+
+    it("Should refuse stale prices", async function () {
+      await time.increase(3601);
+
+      await expect(vault.connect(user).mint(usd(100))).to.be.revertedWith("Price too old");
+      await expect(vault.connect(user).redeem(usd(100))).to.be.revertedWith("Price too old");
+      await expect(vault.getPosition(user.address)).to.be.revertedWith("Price too old");
+
+      await vault.setParameters(15000, 50, usd(100), 0);
+      await vault.connect(user).mint(usd(100));
+    });
+
+    it("Should refuse invalid prices and the circuit breaker's rejections", async function () {
+      await mockOracle.updateAnswer(0);
+      await expect(vault.connect(user).redeem(usd(100))).to.be.revertedWith("Invalid price from oracle");
+
+      await mockOracle.updateAnswer(price(2000));
+      await priceConsumer.setPriceGuard(await mockOracle.getAddress(), 0, price(1000), price(5000), 0);
+      await mockOracle.updateAnswer(price(900));
+      await expect(vault.connect(user).mint(usd(100))).to.be.revertedWith("Price below minimum");
+    });
+
+    it("Should let a position without debt leave while the price is unusable", async function () {
+      await vault.connect(other).deposit(0, { value: usd(2) });
+      await mockOracle.updateAnswer(0);
+
+      const before = await ethers.provider.getBalance(other.address);
+      const gas = await ethOf(vault.connect(other).withdraw(usd(2)));
+      expect(await ethers.provider.getBalance(other.address)).to.equal(before + usd(2) - gas);
+      await expect(vault.connect(user).withdraw(1)).to.be.revertedWith("Invalid price from oracle");
+    });
+  });
+
+  describe("Redemption", function () {
+    beforeEach(async function () {
+      await vault.connect(user).deposit(usd(1000), { value: usd(1) });
+    });
+
+    it("Should pay out ETH at the current price less the fee", async function () {
+      await mockOracle.updateAnswer(price(2500));
+      const [payout, fee] = await vault.previewRedeem(user.address, usd(500));
+      expect(payout + fee).to.equal(usd(0.2));
+      expect(fee).to.equal(usd(0.001));
+
+      const before = await ethers.provider.getBalance(user.address);
+      const tx = vault.connect(user).redeem(usd(500));
+      await expect(tx)
+        .to.emit(vault, "Redeemed")
+        .withArgs(user.address, user.address, usd(500), payout, fee, usd(2500))
+        .and.to.emit(oracleToken, "VaultBurn");
+      const gas = await ethOf(tx);
+
+      expect(await ethers.provider.getBalance(user.address)).to.equal(before + payout - gas);
+      expect(await oracleToken.balanceOf(user.address)).to.equal(usd(500));
+      const position = await vault.getPosition(user.address);
+      expect(position.collateral).to.equal(usd(0.7975));
+      expect(position.debt).to.equal(usd(500));
+      expect(await vault.totalDebt()).to.equal(usd(500));
+    });
+
+    it("Should keep under-collateralized positions from minting or withdrawing", async function () {
+      // 0.9975 ETH at $1400 is 1396.5 against 1000 minted: 139.65%
+      await mockOracle.updateAnswer(price(1400));
+      expect((await vault.getPosition(user.address)).ratioBps).to.equal(13965n);
+
+      await expect(vault.connect(user).mint(usd(100))).to.be.revertedWith("Insufficient collateral");
+      await expect(vault.connect(user).withdraw(usd(0.01))).to.be.revertedWith("Insufficient collateral");
+
+      // Redeeming at face value above 100% raises the ratio
+      await vault.connect(user).redeem(usd(500));
+      expect((await vault.getPosition(user.address)).ratioBps).to.be.greaterThan(13965n);
+
+      // So does adding collateral
+      await vault.connect(user).deposit(0, { value: usd(1) });
+      await vault.connect(user).mint(usd(100));
+    });
+
+    it("Should share out the collateral pro rata once a position is under water", async function () {
+      // 0.9975 ETH at $800 is only 798 against 1000 minted
+      await mockOracle.updateAnswer(price(800));
+
+      const [payout, fee] = await vault.previewRedeem(user.address, usd(500));
+      expect(payout + fee).to.equal(usd(0.49875));
+      expect(payout + fee).to.be.lessThan(usd(500 / 800));
+
+      await vault.connect(user).redeem(usd(500));
+      const [, lastFee] = await vault.previewRedeem(user.address, usd(500));
+      await vault.connect(user).redeem(usd(500));
+
+      const position = await vault.getPosition(user.address);
+      expect(position.collateral).to.equal(0);
+      expect(position.debt).to.equal(0);
+      expect(await vault.accruedFees()).to.equal(usd(0.0025) + fee + lastFee);
+      expect(await ethers.provider.getBalance(await vault.getAddress())).to.equal(await vault.accruedFees());
+    });
+
+    it("Should refuse to redeem more than the position owes or leave dust", async function () {
+      await expect(vault.connect(user).redeem(usd(1001))).to.be.revertedWith("Exceeds position debt");
+      await expect(vault.connect(other).redeem(usd(1))).to.be.revertedWith("Exceeds position debt");
+      await expect(vault.connect(user).redeem(usd(950))).to.be.revertedWith("Position below minimum size");
+      await expect(vault.connect(user).redeem(0)).to.be.revertedWith("Amount must be positive");
+
+      // The position's ORACLE must still be in the redeemer's wallet
+      await oracleToken.connect(user).transfer(other.address, usd(600));
+      await expect(vault.connect(user).redeem(usd(500))).to.be.revertedWithCustomError(
+        oracleToken,
+        "ERC20InsufficientBalance"
+      );
+    });
+
+    it("Should let a holder without a position redeem from one below the collateral ratio", async function () {
+      await oracleToken.connect(user).transfer(other.address, usd(600));
+      await expect(vault.connect(other).redeem(usd(100))).to.be.revertedWith("Exceeds position debt");
+      await expect(vault.connect(other).redeemFrom(user.address, usd(100))).to.be.revertedWith("Position is healthy");
+
+      // 0.9975 ETH at $1400 is 139.65%: under the ratio, so open to any holder
+      await mockOracle.updateAnswer(price(1400));
+      const [payout, fee] = await vault.previewRedeem(user.address, usd(100));
+      const before = await ethers.provider.getBalance(other.address);
+      const tx = vault.connect(other).redeemFrom(user.address, usd(100));
+      await expect(tx)
+        .to.emit(vault, "Redeemed")
+        .withArgs(other.address, user.address, usd(100), payout, fee, usd(1400));
+      const gas = await ethOf(tx);
+
+      expect(await ethers.provider.getBalance(other.address)).to.equal(before + payout - gas);
+      expect(await oracleToken.balanceOf(other.address)).to.equal(usd(500));
+      expect((await vault.getPosition(user.address)).debt).to.equal(usd(900));
+      await expect(vault.connect(other).redeemFrom(user.address, usd(850))).to.be.revertedWith(
+        "Position below minimum size"
+      );
+      await expect(vault.connect(other).redeemFrom(user.address, usd(901))).to.be.revertedWith("Exceeds position debt");
+    });
+
+    it("Should close a position and return the rest of the collateral", async function () {
+      await vault.connect(user).redeem(usd(1000));
+      const { collateral } = await vault.getPosition(user.address);
+      expect(collateral).to.equal(usd(0.9975) - usd(0.5));
+
+      await expect(vault.connect(user).withdraw(collateral + 1n)).to.be.revertedWith("Exceeds collateral");
+      await expect(vault.connect(user).withdraw(collateral)).to.emit(vault, "Withdrawn").withArgs(user.address, collateral);
+      expect(await vault.totalCollateral()).to.equal(0);
+      expect(await vault.totalDebt()).to.equal(0);
+    });
+  });
+
+  describe("Administration", function () {
+    it("Should let the owner tune the vault", async function () {
+      await expect(vault.setParameters(20000, 100, usd(10), 600))
+        .to.emit(vault, "VaultParametersUpdated")
+        .withArgs(20000, 100, usd(10), 600);
+
+      await expect(vault.setParameters(9999, 100, 0, 0)).to.be.revertedWith("Collateral ratio below 100%");
+      await expect(vault.setParameters(15000, 1001, 0, 0)).to.be.revertedWith("Fee above maximum");
+      await expect(vault.connect(user).setParameters(15000, 0, 0, 0)).to.be.revertedWithCustomError(
+        vault,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+
+    it("Should pay accrued fees to the owner's recipient only", async function () {
+      await vault.connect(user).deposit(usd(1000), { value: usd(1) });
+
+      await expect(vault.connect(user).withdrawFees(user.address)).to.be.revertedWithCustomError(
+        vault,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(vault.withdrawFees(other.address)).to.changeEtherBalances([vault, other], [-usd(0.0025), usd(0.0025)]);
+      expect(await vault.accruedFees()).to.equal(0);
+      expect(await ethers.provider.getBalance(await vault.getAddress())).to.equal(await vault.totalCollateral());
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createPriceBatcher } = require("../scripts/utils/price-batcher");
+const { getPriceReportDomain, signPriceReport } = require("../scripts/utils/price-signing");
+const { toPairId } = require("../scripts/utils/feeds");
+
+describe("Price Batcher", function () {
+  const BTC_USD = toPairId("BTC/USD");
+  const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+  let priceConsumer, oracle, sender, domain, start;
+
+  beforeEach(async function () {
+    [, oracle, sender] = await ethers.getSigners();
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const mockOracle = await MockV3Aggregator.deploy(8, 200000000000);
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+    await priceConsumer.addFeed(BTC_USD, await mockOracle.getAddress(), oracle.address);
+
+    domain = await getPriceReportDomain(priceConsumer);
+    start = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+  });
+
+  function batcher(config) {
+    return createPriceBatcher({ consumer: priceConsumer.connect(sender), config, logger: quiet });
+  }
+
+  async function signed(price, offset, { pairId, signer = oracle } = {}) {
+    const timestamp = start + BigInt(offset);
+    return { pairId, price, timestamp, signature: await signPriceReport(signer, domain, { pairId, price, timestamp }) };
+  }
+
+  async function batchSizes() {
+    const events = await priceConsumer.queryFilter(priceConsumer.filters.BatchProcessed());
+    return events.map((event) => Number(event.args.applied + event.args.rejected));
+  }
+
+  it("Should flush as soon as the batch is full", async function () {
+    const prices = batcher({ maxBatchSize: 3, flushIntervalMs: 60_000 });
+
+    const results = await Promise.all([
+      prices.add(await signed(210000000000n, 0)),
+      prices.add(await signed(6100000000000n, 0, { pairId: BTC_USD })),
+      prices.add(await signed(211000000000n, 1)),
+    ]);
+
+    expect(results.map((result) => result.applied)).to.deep.equal([true, true, true]);
+    expect(new Set(results.map((result) => result.hash)).size).to.equal(1);
+    expect(await batchSizes()).to.deep.equal([3]);
+    expect(await priceConsumer.latestPrice()).to.equal(211000000000n);
+    expect(prices.size).to.equal(0);
+  });
+
+  it("Should flush a partial batch after the interval", async function () {
+    const prices = batcher({ maxBatchSize: 10, flushIntervalMs: 50 });
+
+    const first = prices.add(await signed(210000000000n, 0));
+    expect(prices.size).to.equal(1);
+    expect(await first).to.include({ applied: true, index: 0 });
+    expect(await batchSizes()).to.deep.equal([1]);
+  });
+
+  it("Should give each caller its own outcome", async function () {
+    const prices = batcher({ maxBatchSize: 10, flushIntervalMs: 60_000 });
+
+    const good = prices.add(await signed(210000000000n, 0));
+    const forged = prices.add(await signed(6100000000000n, 0, { pairId: BTC_USD, signer: sender }));
+    const replay = prices.add(await signed(210000000000n, 0));
+    await prices.flush();
+
+    expect(await good).to.include({ applied: true });
+    expect(await forged).to.include({ applied: false, index: 1, reason: "Invalid signature" });
+    expect(await replay).to.include({ applied: false, index: 2, reason: "Timestamp must be newer" });
+  });
+
+  it("Should match rejections to a consumer attached by a lowercase address", async function () {
+    const consumer = priceConsumer.attach(priceConsumer.target.toLowerCase()).connect(sender);
+    const prices = createPriceBatcher({ consumer, config: { flushIntervalMs: 60_000 }, logger: quiet });
+
+    const good = prices.add(await signed(210000000000n, 0));
+    const forged = prices.add(await signed(6100000000000n, 0, { pairId: BTC_USD, signer: sender }));
+    await prices.flush();
+
+    expect(await good).to.include({ applied: true });
+    expect(await forged).to.include({ applied: false, index: 1, reason: "Invalid signature" });
+  });
+
+  it("Should submit batches in the order updates were added", async function () {
+    const prices = batcher({ maxBatchSize: 2, flushIntervalMs: 60_000 });
+
+    const results = [];
+    for (let i = 0; i < 5; i++) results.push(prices.add(await signed(200000000000n + BigInt(i), i)));
+    await prices.stop();
+
+    expect((await Promise.all(results)).every((result) => result.applied)).to.equal(true);
+    expect(await batchSizes()).to.deep.equal([2, 2, 1]);
+    expect(await priceConsumer.lastUpdateTime()).to.equal(start + 4n);
+  });
+
+  it("Should reject every caller when the batch transaction fails", async function () {
+    const prices = createPriceBatcher({
+      consumer: {
+        target: priceConsumer.target,
+        interface: priceConsumer.interface,
+        updatePricesWithSignatures: async () => {
+          throw new Error("insufficient funds");
+        },
+      },
+      config: { maxBatchSize: 2 },
+      logger: quiet,
+    });
+
+    const results = [prices.add(await signed(1n, 0)), prices.add(await signed(2n, 1))];
+    for (const result of results) await expect(result).to.be.rejectedWith("insufficient funds");
+    expect(() => batcher({ maxBatchSize: 0 })).to.throw("maxBatchSize must be a positive integer");
+  });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildPriceDigest, signPrice, signPairPrice, getPriceReportDomain, signPriceReport } = require("../scripts/utils/price-signing");
 
 describe("PriceConsumer", function () {
   let mockOracle, priceConsumer, owner, oracle, user;
@@ -52,16 +54,10 @@ describe("PriceConsumer", function () {
       const price = 250000000000; // $2500.00
       
       // Create message hash the same way as the contract
-      const messageHash = ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(
-          ["int256", "uint256", "address"],
-          [price, timestamp, await priceConsumer.getAddress()]
-        )
-      );
+      const messageHash = buildPriceDigest(price, timestamp, await priceConsumer.getAddress());
       
-      // Sign with oracle private key (use ethSignedMessageHash format)
-      const ethSignedMessageHash = ethers.hashMessage(ethers.getBytes(messageHash));
-      const signature = await oracle.signMessage(ethers.getBytes(messageHash));
+      // Sign with oracle private key (eth_sign prefixed format)
+      const signature = await signPrice(oracle, price, timestamp, await priceConsumer.getAddress());
       
       // Verify signature
       const recoveredAddress = await priceConsumer.verifyOracleSignature(messageHash, signature);
@@ -72,14 +68,7 @@ describe("PriceConsumer", function () {
       const timestamp = Math.floor(Date.now() / 1000);
       const newPrice = 250000000000; // $2500.00
       
-      const messageHash = ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(
-          ["int256", "uint256", "address"],
-          [newPrice, timestamp, await priceConsumer.getAddress()]
-        )
-      );
-      
-      const signature = await oracle.signMessage(ethers.getBytes(messageHash));
+      const signature = await signPrice(oracle, newPrice, timestamp, await priceConsumer.getAddress());
       
       await expect(priceConsumer.updatePriceWithSignature(newPrice, timestamp, signature))
         .to.emit(priceConsumer, "PriceUpdated")
@@ -93,15 +82,8 @@ describe("PriceConsumer", function () {
       const timestamp = Math.floor(Date.now() / 1000);
       const newPrice = 250000000000;
       
-      const messageHash = ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(
-          ["int256", "uint256", "address"],
-          [newPrice, timestamp, await priceConsumer.getAddress()]
-        )
-      );
-      
       // Sign with wrong account
-      const signature = await user.signMessage(ethers.getBytes(messageHash));
+      const signature = await signPrice(user, newPrice, timestamp, await priceConsumer.getAddress());
       
       await expect(
         priceConsumer.updatePriceWithSignature(newPrice, timestamp, signature)
@@ -112,36 +94,34 @@ describe("PriceConsumer", function () {
       const timestamp = Math.floor(Date.now() / 1000);
       const newPrice = 250000000000;
       
-      const messageHash = ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(
-          ["int256", "uint256", "address"],
-          [newPrice, timestamp, await priceConsumer.getAddress()]
-        )
-      );
-      
-      const signature = await oracle.signMessage(ethers.getBytes(messageHash));
+      const signature = await signPrice(oracle, newPrice, timestamp, await priceConsumer.getAddress());
       
       // First update should succeed
       await priceConsumer.updatePriceWithSignature(newPrice, timestamp, signature);
       
-      // Second update with same signature should fail
+      // Second update with same signature should fail; its timestamp is no longer newer
       await expect(
         priceConsumer.updatePriceWithSignature(newPrice, timestamp, signature)
-      ).to.be.revertedWith("Message hash already used");
+      ).to.be.revertedWith("Timestamp must be newer");
+      expect(
+        await priceConsumer.usedHashes(buildPriceDigest(newPrice, timestamp, await priceConsumer.getAddress()))
+      ).to.equal(true);
     });
     
     it("Should reject old timestamps", async function () {
-      const oldTimestamp = Math.floor(Date.now() / 1000) - 3600; // 1 hour ago
+      const timestamp = Math.floor(Date.now() / 1000);
+      const oldTimestamp = timestamp - 3600; // 1 hour ago
       const newPrice = 250000000000;
+      const consumerAddress = await priceConsumer.getAddress();
       
-      const messageHash = ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(
-          ["int256", "uint256", "address"],
-          [newPrice, oldTimestamp, await priceConsumer.getAddress()]
-        )
+      // Record a current price first so the older one is out of order
+      await priceConsumer.updatePriceWithSignature(
+        newPrice,
+        timestamp,
+        await signPrice(oracle, newPrice, timestamp, consumerAddress)
       );
       
-      const signature = await oracle.signMessage(ethers.getBytes(messageHash));
+      const signature = await signPrice(oracle, newPrice, oldTimestamp, consumerAddress);
       
       await expect(
         priceConsumer.updatePriceWithSignature(newPrice, oldTimestamp, signature)
@@ -170,4 +150,574 @@ describe("PriceConsumer", function () {
       // Note: This would fail in practice as user.address is not a valid price feed
     });
   });
+
+  describe("Circuit Breaker", function () {
+    const Status = {
+      Ok: 0,
+      IncompleteRound: 1,
+      StaleRound: 2,
+      StalePrice: 3,
+      NonPositive: 4,
+      BelowMinimum: 5,
+      AboveMaximum: 6,
+      ExcessiveDeviation: 7,
+    };
+
+    async function setGuard({ maxAge = 0, minAnswer = 0, maxAnswer = 0, maxDeviationBps = 0 } = {}) {
+      await priceConsumer.setPriceGuard(await mockOracle.getAddress(), maxAge, minAnswer, maxAnswer, maxDeviationBps);
+    }
+
+    async function expectStatus(status) {
+      const [, , reported] = await priceConsumer.checkPrice();
+      expect(reported).to.equal(status);
+    }
+
+    it("Should return a healthy price with no guard configured", async function () {
+      await expectStatus(Status.Ok);
+      expect(await priceConsumer.getSafePrice()).to.equal(initialPrice);
+    });
+
+    it("Should reject incomplete rounds", async function () {
+      await mockOracle.updateRoundData(2, 210000000000, 0, 0);
+
+      await expectStatus(Status.IncompleteRound);
+      await expect(priceConsumer.getSafePrice()).to.be.revertedWith("Round not complete");
+    });
+
+    it("Should reject rounds answered in an earlier round", async function () {
+      const now = await time.latest();
+      await mockOracle.updateRoundData(3, 210000000000, now, now);
+      await mockOracle.setAnsweredInRound(3, 2);
+
+      await expectStatus(Status.StaleRound);
+      await expect(priceConsumer.getSafePrice()).to.be.revertedWith("Stale round");
+    });
+
+    it("Should reject answers older than the max age", async function () {
+      await setGuard({ maxAge: 3600 });
+      const [, , , updatedAt] = await mockOracle.latestRoundData();
+
+      await time.increaseTo(updatedAt + 3600n);
+      expect(await priceConsumer.getSafePrice()).to.equal(initialPrice);
+
+      await time.increase(1);
+      await expectStatus(Status.StalePrice);
+      await expect(priceConsumer.getSafePrice()).to.be.revertedWith("Price too old");
+
+      await mockOracle.updateAnswer(initialPrice);
+      expect(await priceConsumer.getSafePrice()).to.equal(initialPrice);
+    });
+
+    it("Should reject rounds reported with an old timestamp", async function () {
+      await setGuard({ maxAge: 3600 });
+      const old = (await time.latest()) - 7200;
+      await mockOracle.updateRoundData(2, 210000000000, old, old);
+
+      await expect(priceConsumer.getSafePrice()).to.be.revertedWith("Price too old");
+    });
+
+    it("Should reject zero and negative answers", async function () {
+      await mockOracle.updateAnswer(0);
+      await expectStatus(Status.NonPositive);
+
+      await mockOracle.updateAnswer(-1);
+      await expect(priceConsumer.getSafePrice()).to.be.revertedWith("Invalid price from oracle");
+    });
+
+    it("Should enforce min and max answers", async function () {
+      await setGuard({ minAnswer: 100000000000, maxAnswer: 500000000000 }); // $1000 - $5000
+
+      await mockOracle.updateAnswer(99999999999);
+      await expectStatus(Status.BelowMinimum);
+      await expect(priceConsumer.getSafePrice()).to.be.revertedWith("Price below minimum");
+
+      await mockOracle.updateAnswer(500000000001);
+      await expectStatus(Status.AboveMaximum);
+      await expect(priceConsumer.getSafePrice()).to.be.revertedWith("Price above maximum");
+
+      await mockOracle.updateAnswer(500000000000);
+      expect(await priceConsumer.getSafePrice()).to.equal(500000000000);
+    });
+
+    it("Should reject moves larger than the max deviation", async function () {
+      await setGuard({ maxDeviationBps: 1000 }); // 10%
+
+      await mockOracle.updateAnswer(220000000000); // +10%
+      expect(await priceConsumer.getSafePrice()).to.equal(220000000000);
+
+      await mockOracle.updateAnswer(197000000000); // -10.45%
+      await expectStatus(Status.ExcessiveDeviation);
+      await expect(priceConsumer.getSafePrice()).to.be.revertedWith("Price deviation too large");
+    });
+
+    it("Should skip the deviation check when the previous round is missing", async function () {
+      await setGuard({ maxDeviationBps: 1000 });
+      const now = await time.latest();
+      await mockOracle.updateRoundData(5, 400000000000, now, now); // round 4 was never written
+
+      expect(await priceConsumer.getSafePrice()).to.equal(400000000000);
+    });
+
+    it("Should apply limits per feed", async function () {
+      await setGuard({ maxAnswer: 100000000000 });
+      await expect(priceConsumer.getSafePrice()).to.be.revertedWith("Price above maximum");
+
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const otherFeed = await MockV3Aggregator.deploy(8, initialPrice);
+      await priceConsumer.updatePriceFeed(await otherFeed.getAddress());
+
+      expect(await priceConsumer.getPriceFeed()).to.equal(await otherFeed.getAddress());
+      expect(await priceConsumer.getSafePrice()).to.equal(initialPrice);
+    });
+
+    it("Should emit an event and store the guard", async function () {
+      const feed = await mockOracle.getAddress();
+      await expect(priceConsumer.setPriceGuard(feed, 3600, 1, 2, 500))
+        .to.emit(priceConsumer, "PriceGuardUpdated")
+        .withArgs(feed, 3600, 1, 2, 500);
+
+      const guard = await priceConsumer.priceGuards(feed);
+      expect(guard.maxAge).to.equal(3600);
+      expect(guard.maxDeviationBps).to.equal(500);
+    });
+
+    it("Should validate guard settings", async function () {
+      const feed = await mockOracle.getAddress();
+      await expect(priceConsumer.setPriceGuard(ethers.ZeroAddress, 0, 0, 0, 0)).to.be.revertedWith(
+        "Invalid price feed address"
+      );
+      await expect(priceConsumer.setPriceGuard(feed, 0, -1, 0, 0)).to.be.revertedWith("Bounds must not be negative");
+      await expect(priceConsumer.setPriceGuard(feed, 0, 10, 5, 0)).to.be.revertedWith("Minimum above maximum");
+    });
+
+    it("Should reject non-owner guard updates", async function () {
+      await expect(
+        priceConsumer.connect(user).setPriceGuard(await mockOracle.getAddress(), 3600, 0, 0, 0)
+      ).to.be.revertedWithCustomError(priceConsumer, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Feed Registry", function () {
+    const ETH_USD = ethers.encodeBytes32String("ETH/USD");
+    const BTC_USD = ethers.encodeBytes32String("BTC/USD");
+    let btcFeed;
+
+    beforeEach(async function () {
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      btcFeed = await MockV3Aggregator.deploy(18, ethers.parseEther("60000"));
+      await btcFeed.waitForDeployment();
+
+      await priceConsumer.addFeed(ETH_USD, await mockOracle.getAddress(), oracle.address);
+    });
+
+    async function nextTimestamp() {
+      return (await ethers.provider.getBlock("latest")).timestamp + 1;
+    }
+
+    it("Should register a pair with the aggregator's decimals", async function () {
+      const btcAddress = await btcFeed.getAddress();
+      await expect(priceConsumer.addFeed(BTC_USD, btcAddress, user.address))
+        .to.emit(priceConsumer, "FeedAdded")
+        .withArgs(BTC_USD, btcAddress, 18, user.address);
+
+      const feed = await priceConsumer.feeds(BTC_USD);
+      expect(feed.aggregator).to.equal(btcAddress);
+      expect(feed.decimals).to.equal(18);
+      expect(feed.trustedSigner).to.equal(user.address);
+      expect(await priceConsumer.getPairIds()).to.deep.equal([ETH_USD, BTC_USD]);
+    });
+
+    it("Should read prices keyed by pair", async function () {
+      await priceConsumer.addFeed(BTC_USD, await btcFeed.getAddress(), oracle.address);
+
+      expect(await priceConsumer.getLatestPriceFor(ETH_USD)).to.equal(initialPrice);
+      expect(await priceConsumer.getLatestPriceFor(BTC_USD)).to.equal(ethers.parseEther("60000"));
+      expect(await priceConsumer.getSafePriceFor(BTC_USD)).to.equal(ethers.parseEther("60000"));
+      await expect(priceConsumer.getLatestPriceFor(ethers.encodeBytes32String("SOL/USD"))).to.be.revertedWith(
+        "Unknown pair"
+      );
+    });
+
+    it("Should apply the aggregator's circuit breaker to pair reads", async function () {
+      await priceConsumer.addFeed(BTC_USD, await btcFeed.getAddress(), oracle.address);
+      await priceConsumer.setPriceGuard(await btcFeed.getAddress(), 0, 0, ethers.parseEther("50000"), 0);
+
+      const [, , status] = await priceConsumer.checkPriceFor(BTC_USD);
+      expect(status).to.equal(6); // AboveMaximum
+      await expect(priceConsumer.getSafePriceFor(BTC_USD)).to.be.revertedWith("Price above maximum");
+      expect(await priceConsumer.getSafePriceFor(ETH_USD)).to.equal(initialPrice);
+    });
+
+    it("Should reject duplicate and invalid registrations", async function () {
+      const btcAddress = await btcFeed.getAddress();
+      await expect(priceConsumer.addFeed(ETH_USD, btcAddress, oracle.address)).to.be.revertedWith(
+        "Pair already registered"
+      );
+      await expect(priceConsumer.addFeed(ethers.ZeroHash, btcAddress, oracle.address)).to.be.revertedWith(
+        "Invalid pair ID"
+      );
+      await expect(priceConsumer.addFeed(BTC_USD, ethers.ZeroAddress, oracle.address)).to.be.revertedWith(
+        "Invalid price feed address"
+      );
+      await expect(priceConsumer.addFeed(BTC_USD, btcAddress, ethers.ZeroAddress)).to.be.revertedWith(
+        "Invalid oracle address"
+      );
+    });
+
+    it("Should update the aggregator and signer of a pair", async function () {
+      const btcAddress = await btcFeed.getAddress();
+      await expect(priceConsumer.updateFeed(ETH_USD, btcAddress))
+        .to.emit(priceConsumer, "FeedUpdated")
+        .withArgs(ETH_USD, btcAddress, 18);
+      await expect(priceConsumer.updateFeedSigner(ETH_USD, user.address))
+        .to.emit(priceConsumer, "FeedSignerUpdated")
+        .withArgs(ETH_USD, user.address);
+
+      const feed = await priceConsumer.feeds(ETH_USD);
+      expect(feed.aggregator).to.equal(btcAddress);
+      expect(feed.decimals).to.equal(18);
+      expect(feed.trustedSigner).to.equal(user.address);
+      // The consumer's main feed is untouched
+      expect(await priceConsumer.getPriceFeed()).to.equal(await mockOracle.getAddress());
+    });
+
+    it("Should remove a pair", async function () {
+      await priceConsumer.addFeed(BTC_USD, await btcFeed.getAddress(), oracle.address);
+
+      await expect(priceConsumer.removeFeed(ETH_USD)).to.emit(priceConsumer, "FeedRemoved").withArgs(ETH_USD);
+      expect(await priceConsumer.getPairIds()).to.deep.equal([BTC_USD]);
+      expect((await priceConsumer.feeds(ETH_USD)).aggregator).to.equal(ethers.ZeroAddress);
+      await expect(priceConsumer.removeFeed(ETH_USD)).to.be.revertedWith("Unknown pair");
+    });
+
+    it("Should restrict registry administration to the owner", async function () {
+      const btcAddress = await btcFeed.getAddress();
+      for (const call of [
+        priceConsumer.connect(user).addFeed(BTC_USD, btcAddress, user.address),
+        priceConsumer.connect(user).updateFeed(ETH_USD, btcAddress),
+        priceConsumer.connect(user).updateFeedSigner(ETH_USD, user.address),
+        priceConsumer.connect(user).removeFeed(ETH_USD),
+      ]) {
+        await expect(call).to.be.revertedWithCustomError(priceConsumer, "OwnableUnauthorizedAccount");
+      }
+    });
+
+    it("Should store signed prices per pair", async function () {
+      await priceConsumer.addFeed(BTC_USD, await btcFeed.getAddress(), user.address);
+      const consumerAddress = await priceConsumer.getAddress();
+      const timestamp = await nextTimestamp();
+      const price = ethers.parseEther("61000");
+
+      const signature = await signPairPrice(user, BTC_USD, price, timestamp, consumerAddress);
+      await expect(priceConsumer.updatePairPriceWithSignature(BTC_USD, price, timestamp, signature))
+        .to.emit(priceConsumer, "PairPriceUpdated")
+        .withArgs(BTC_USD, price, timestamp);
+
+      const feed = await priceConsumer.feeds(BTC_USD);
+      expect(feed.latestPrice).to.equal(price);
+      expect(feed.lastUpdateTime).to.equal(timestamp);
+      expect(await priceConsumer.latestPrice()).to.equal(0);
+      expect((await priceConsumer.feeds(ETH_USD)).latestPrice).to.equal(0);
+    });
+
+    it("Should only accept the pair's signer and its own pair ID", async function () {
+      await priceConsumer.addFeed(BTC_USD, await btcFeed.getAddress(), user.address);
+      const consumerAddress = await priceConsumer.getAddress();
+      const timestamp = await nextTimestamp();
+
+      // ETH/USD trusts `oracle`, BTC/USD trusts `user`
+      const wrongSigner = await signPairPrice(oracle, BTC_USD, 1, timestamp, consumerAddress);
+      await expect(priceConsumer.updatePairPriceWithSignature(BTC_USD, 1, timestamp, wrongSigner)).to.be.revertedWith(
+        "Invalid signature"
+      );
+
+      // A signature for one pair does not verify for another
+      const ethSignature = await signPairPrice(oracle, ETH_USD, 1, timestamp, consumerAddress);
+      await expect(priceConsumer.updatePairPriceWithSignature(BTC_USD, 1, timestamp, ethSignature)).to.be.revertedWith(
+        "Invalid signature"
+      );
+      await priceConsumer.updatePairPriceWithSignature(ETH_USD, 1, timestamp, ethSignature);
+      await expect(priceConsumer.updatePairPriceWithSignature(ETH_USD, 1, timestamp, ethSignature)).to.be.revertedWith(
+        "Timestamp must be newer"
+      );
+    });
+
+    it("Should check the timestamp, then replays, then the signature", async function () {
+      await priceConsumer.addFeed(BTC_USD, await btcFeed.getAddress(), oracle.address);
+      const consumerAddress = await priceConsumer.getAddress();
+      const timestamp = await nextTimestamp();
+      const signature = await signPairPrice(oracle, BTC_USD, 1, timestamp, consumerAddress);
+      const forged = await signPairPrice(user, BTC_USD, 1, timestamp, consumerAddress);
+      await priceConsumer.updatePairPriceWithSignature(BTC_USD, 1, timestamp, signature);
+
+      // An old timestamp is reported as such, whether the report was used or forged
+      await expect(priceConsumer.updatePairPriceWithSignature(BTC_USD, 1, timestamp, signature)).to.be.revertedWith(
+        "Timestamp must be newer"
+      );
+      await expect(priceConsumer.updatePairPriceWithSignature(BTC_USD, 1, timestamp, forged)).to.be.revertedWith(
+        "Timestamp must be newer"
+      );
+
+      // Re-registering the pair resets its timestamp, not the used reports, which are rejected before signatures
+      await priceConsumer.removeFeed(BTC_USD);
+      await priceConsumer.addFeed(BTC_USD, await btcFeed.getAddress(), oracle.address);
+      await expect(priceConsumer.updatePairPriceWithSignature(BTC_USD, 1, timestamp, signature)).to.be.revertedWith(
+        "Message hash already used"
+      );
+      await expect(priceConsumer.updatePairPriceWithSignature(BTC_USD, 1, timestamp, forged)).to.be.revertedWith(
+        "Message hash already used"
+      );
+    });
+  });
+
+  describe("Threshold Reports", function () {
+    const MAIN = ethers.ZeroHash;
+    let signers, domain;
+
+    beforeEach(async function () {
+      // Three report signers in ascending address order
+      signers = (await ethers.getSigners()).slice(3, 6).sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+      for (const signer of signers) await priceConsumer.addReportSigner(signer.address);
+      await priceConsumer.setSignerThreshold(2, 100);
+      domain = await getPriceReportDomain(priceConsumer);
+    });
+
+    async function nextTimestamp() {
+      return (await ethers.provider.getBlock("latest")).timestamp + 1;
+    }
+
+    // [price, signer] pairs -> updatePriceWithReports arguments
+    async function reports(pairId, timestamp, entries) {
+      const prices = entries.map(([price]) => price);
+      const signatures = await Promise.all(
+        entries.map(([price, signer]) => signPriceReport(signer, domain, { pairId, price, timestamp }))
+      );
+      return [pairId, timestamp, prices, signatures];
+    }
+
+    it("Should manage the signer set", async function () {
+      expect([...(await priceConsumer.getReportSigners())]).to.have.members(signers.map((signer) => signer.address));
+      await expect(priceConsumer.addReportSigner(signers[0].address)).to.be.revertedWith("Signer already registered");
+      await expect(priceConsumer.setSignerThreshold(4, 0)).to.be.revertedWith("Threshold above signer count");
+      await expect(priceConsumer.setSignerThreshold(2, 10001)).to.be.revertedWith("Tolerance above 100%");
+      await expect(priceConsumer.connect(user).addReportSigner(user.address)).to.be.revertedWithCustomError(
+        priceConsumer,
+        "OwnableUnauthorizedAccount"
+      );
+
+      await expect(priceConsumer.removeReportSigner(signers[0].address))
+        .to.emit(priceConsumer, "ReportSignerRemoved")
+        .withArgs(signers[0].address);
+      expect(await priceConsumer.isReportSigner(signers[0].address)).to.equal(false);
+      // 2-of-2 now, so neither remaining signer can go
+      await expect(priceConsumer.removeReportSigner(signers[1].address)).to.be.revertedWith("Threshold above signer count");
+      await expect(priceConsumer.setSignerThreshold(3, 0)).to.be.revertedWith("Threshold above signer count");
+    });
+
+    it("Should store the median of agreeing reports", async function () {
+      const timestamp = await nextTimestamp();
+      const args = await reports(MAIN, timestamp, [
+        [200000000000n, signers[0]],
+        [201000000000n, signers[1]],
+        [200500000000n, signers[2]],
+      ]);
+
+      await expect(priceConsumer.connect(user).updatePriceWithReports(...args))
+        .to.emit(priceConsumer, "ThresholdReportAccepted")
+        .withArgs(MAIN, 200500000000n, timestamp, signers.map((signer) => signer.address))
+        .and.to.emit(priceConsumer, "PriceUpdated")
+        .withArgs(200500000000n, timestamp);
+      expect(await priceConsumer.latestPrice()).to.equal(200500000000n);
+      expect(await priceConsumer.lastUpdateTime()).to.equal(timestamp);
+
+      // The same reports cannot be submitted twice
+      await expect(priceConsumer.updatePriceWithReports(...args)).to.be.revertedWith("Timestamp must be newer");
+    });
+
+    it("Should average the middle two of an even number of reports", async function () {
+      const args = await reports(MAIN, await nextTimestamp(), [
+        [200000000000n, signers[0]],
+        [200000000001n, signers[2]],
+      ]);
+      await priceConsumer.updatePriceWithReports(...args);
+      expect(await priceConsumer.latestPrice()).to.equal(200000000000n);
+    });
+
+    it("Should reject too few, unregistered, repeated or unordered signers", async function () {
+      const timestamp = await nextTimestamp();
+
+      await expect(
+        priceConsumer.updatePriceWithReports(...(await reports(MAIN, timestamp, [[200000000000n, signers[0]]])))
+      ).to.be.revertedWith("Not enough signatures");
+      await expect(
+        priceConsumer.updatePriceWithReports(...(await reports(MAIN, timestamp, [[200000000000n, signers[0]], [200000000000n, user]])))
+      ).to.be.revertedWith("Signer not registered");
+      await expect(
+        priceConsumer.updatePriceWithReports(
+          ...(await reports(MAIN, timestamp, [[200000000000n, signers[0]], [200000000000n, signers[0]]]))
+        )
+      ).to.be.revertedWith("Signers not in ascending order");
+      await expect(
+        priceConsumer.updatePriceWithReports(
+          ...(await reports(MAIN, timestamp, [[200000000000n, signers[1]], [200000000000n, signers[0]]]))
+        )
+      ).to.be.revertedWith("Signers not in ascending order");
+
+      const [, , prices, signatures] = await reports(MAIN, timestamp, [[200000000000n, signers[0]], [200000000000n, signers[1]]]);
+      await expect(priceConsumer.updatePriceWithReports(MAIN, timestamp, prices, signatures.slice(1))).to.be.revertedWith(
+        "Prices and signatures differ in length"
+      );
+      // A price changed after signing recovers to some other address
+      await expect(
+        priceConsumer.updatePriceWithReports(MAIN, timestamp, [prices[0], 300000000000n], signatures)
+      ).to.be.revertedWith("Signer not registered");
+    });
+
+    it("Should reject reports outside the tolerance", async function () {
+      // 1% tolerance: 2000 and 2030 have a median of 2015, 0.74% from both
+      const timestamp = await nextTimestamp();
+      await priceConsumer.updatePriceWithReports(
+        ...(await reports(MAIN, timestamp, [[200000000000n, signers[0]], [203000000000n, signers[1]]]))
+      );
+
+      await expect(
+        priceConsumer.updatePriceWithReports(
+          ...(await reports(MAIN, timestamp + 1, [[200000000000n, signers[0]], [250000000000n, signers[1]]]))
+        )
+      ).to.be.revertedWith("Report outside tolerance");
+
+      // Zero tolerance only takes identical prices
+      await priceConsumer.setSignerThreshold(2, 0);
+      await expect(
+        priceConsumer.updatePriceWithReports(
+          ...(await reports(MAIN, timestamp + 1, [[200000000000n, signers[0]], [200000000001n, signers[1]]]))
+        )
+      ).to.be.revertedWith("Report outside tolerance");
+    });
+
+    it("Should refuse single-key updates while a threshold is set", async function () {
+      const timestamp = await nextTimestamp();
+      const signature = await signPriceReport(oracle, domain, { price: 200000000000n, timestamp });
+
+      expect(await priceConsumer.isValidPriceSignature(200000000000n, timestamp, signature)).to.equal(false);
+      await expect(priceConsumer.updatePriceWithSignature(200000000000n, timestamp, signature)).to.be.revertedWith(
+        "Threshold reports required"
+      );
+
+      await expect(priceConsumer.setSignerThreshold(0, 0)).to.emit(priceConsumer, "SignerThresholdUpdated").withArgs(0, 0);
+      await priceConsumer.updatePriceWithSignature(200000000000n, timestamp, signature);
+      await expect(
+        priceConsumer.updatePriceWithReports(...(await reports(MAIN, timestamp + 1, [[200000000000n, signers[0]]])))
+      ).to.be.revertedWith("Threshold reports disabled");
+    });
+
+    it("Should update registered pairs with reports bound to the pair", async function () {
+      const BTC_USD = ethers.encodeBytes32String("BTC/USD");
+      await priceConsumer.addFeed(BTC_USD, await mockOracle.getAddress(), oracle.address);
+      const timestamp = await nextTimestamp();
+
+      const mainReports = await reports(MAIN, timestamp, [[6000000000000n, signers[0]], [6000000000000n, signers[1]]]);
+      await expect(priceConsumer.updatePriceWithReports(BTC_USD, ...mainReports.slice(1))).to.be.revertedWith(
+        "Signer not registered"
+      );
+
+      const args = await reports(BTC_USD, timestamp, [[6000000000000n, signers[0]], [6010000000000n, signers[1]]]);
+      await expect(priceConsumer.updatePriceWithReports(...args))
+        .to.emit(priceConsumer, "PairPriceUpdated")
+        .withArgs(BTC_USD, 6005000000000n, timestamp);
+      expect((await priceConsumer.feeds(BTC_USD)).latestPrice).to.equal(6005000000000n);
+      expect(await priceConsumer.latestPrice()).to.equal(0);
+    });
+  });
+
+  describe("Batched Updates", function () {
+    const MAIN = ethers.ZeroHash;
+    const BTC_USD = ethers.encodeBytes32String("BTC/USD");
+    let domain;
+
+    beforeEach(async function () {
+      await priceConsumer.addFeed(BTC_USD, await mockOracle.getAddress(), oracle.address);
+      domain = await getPriceReportDomain(priceConsumer);
+    });
+
+    async function signed(pairId, price, timestamp, signer = oracle) {
+      return { pairId, price, timestamp, signature: await signPriceReport(signer, domain, { pairId, price, timestamp }) };
+    }
+
+    async function rejections(tx) {
+      const receipt = await (await tx).wait();
+      return receipt.logs
+        .map((entry) => priceConsumer.interface.parseLog(entry))
+        .filter((event) => event.name === "SignedPriceRejected")
+        .map((event) => [Number(event.args.index), event.args.reason]);
+    }
+
+    it("Should apply every valid item and report the rest", async function () {
+      const timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+      const batch = [
+        await signed(MAIN, 210000000000n, timestamp),
+        await signed(BTC_USD, 6100000000000n, timestamp),
+        await signed(MAIN, 220000000000n, timestamp - 10), // older than the first item
+        await signed(BTC_USD, 6200000000000n, timestamp + 1, user),
+        await signed(ethers.encodeBytes32String("DOGE/USD"), 1n, timestamp),
+        { ...(await signed(MAIN, 230000000000n, timestamp + 1)), signature: "0x1234" },
+      ];
+
+      const tx = priceConsumer.connect(user).updatePricesWithSignatures(batch);
+      await expect(tx).to.emit(priceConsumer, "BatchProcessed").withArgs(2, 4);
+      expect(await rejections(tx)).to.deep.equal([
+        [2, "Timestamp must be newer"],
+        [3, "Invalid signature"],
+        [4, "Unknown pair"],
+        [5, "Invalid signature"],
+      ]);
+      expect(await priceConsumer.latestPrice()).to.equal(210000000000n);
+      expect((await priceConsumer.feeds(BTC_USD)).latestPrice).to.equal(6100000000000n);
+    });
+
+    it("Should apply several timestamps for one feed in order", async function () {
+      const timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+      const batch = [];
+      for (let i = 0; i < 3; i++) batch.push(await signed(MAIN, 200000000000n + BigInt(i), timestamp + i));
+
+      await expect(priceConsumer.updatePricesWithSignatures(batch)).to.emit(priceConsumer, "BatchProcessed").withArgs(3, 0);
+      expect(await priceConsumer.latestPrice()).to.equal(200000000002n);
+      expect(await priceConsumer.lastUpdateTime()).to.equal(timestamp + 2);
+    });
+
+    it("Should keep replay protection across batches and single updates", async function () {
+      const timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+      const item = await signed(BTC_USD, 6100000000000n, timestamp);
+      await priceConsumer.updatePricesWithSignatures([item]);
+
+      expect(await priceConsumer.usedHashes(await priceConsumer.hashPriceReport(BTC_USD, item.price, timestamp))).to.equal(true);
+      expect(await rejections(priceConsumer.updatePricesWithSignatures([item]))).to.deep.equal([[0, "Timestamp must be newer"]]);
+      await expect(
+        priceConsumer.updatePairPriceWithSignature(BTC_USD, item.price, timestamp, item.signature)
+      ).to.be.revertedWith("Timestamp must be newer");
+
+      // Still refused once the pair's timestamp is reset
+      await priceConsumer.removeFeed(BTC_USD);
+      await priceConsumer.addFeed(BTC_USD, await mockOracle.getAddress(), oracle.address);
+      expect(await rejections(priceConsumer.updatePricesWithSignatures([item]))).to.deep.equal([[0, "Message hash already used"]]);
+    });
+
+    it("Should accept legacy signatures and refuse everything under a threshold", async function () {
+      const timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+      const legacy = {
+        pairId: MAIN,
+        price: 210000000000n,
+        timestamp,
+        signature: await signPrice(oracle, 210000000000n, timestamp, await priceConsumer.getAddress()),
+      };
+      await expect(priceConsumer.updatePricesWithSignatures([legacy])).to.emit(priceConsumer, "BatchProcessed").withArgs(1, 0);
+
+      const [, , , signer] = await ethers.getSigners();
+      await priceConsumer.addReportSigner(signer.address);
+      await priceConsumer.setSignerThreshold(1, 0);
+      expect(await rejections(priceConsumer.updatePricesWithSignatures([await signed(MAIN, 1n, timestamp + 1)]))).to.deep.equal([
+        [0, "Threshold reports required"],
+      ]);
+    });
+  });
 });
@@ -0,0 +1,300 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  buildPriceDigest,
+  signPrice,
+  buildPairPriceDigest,
+  signPairPrice,
+  recoverSigner,
+  verifyAgainstConsumer,
+  MAIN_FEED_ID,
+  priceReportDomain,
+  getPriceReportDomain,
+  buildPriceReportDigest,
+  signPriceReport,
+  recoverPriceReportSigner,
+  verifyPriceReport,
+} = require("../scripts/utils/price-signing");
+
+describe("Price Signing Library", function () {
+  let mockOracle, priceConsumer, oracleToken, owner, oracle, user;
+  let consumerAddress;
+  let initialPrice = 200000000000; // $2000.00 with 8 decimals
+
+  const MAX_INT256 = ethers.MaxInt256;
+  const MIN_INT256 = ethers.MinInt256;
+
+  beforeEach(async function () {
+    [owner, oracle, user] = await ethers.getSigners();
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    mockOracle = await MockV3Aggregator.deploy(8, initialPrice);
+    await mockOracle.waitForDeployment();
+
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+    await priceConsumer.waitForDeployment();
+    consumerAddress = await priceConsumer.getAddress();
+
+    const OracleToken = await ethers.getContractFactory("OracleToken");
+    oracleToken = await OracleToken.deploy("Oracle Token", "ORACLE", consumerAddress);
+    await oracleToken.waitForDeployment();
+  });
+
+  async function nextTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp + 1;
+  }
+
+  describe("Digest", function () {
+    it("Should pack int256, uint256 and address without padding the address", function () {
+      const packed = ethers.solidityPacked(["int256", "uint256", "address"], [1, 2, consumerAddress]);
+      expect(ethers.dataLength(packed)).to.equal(84);
+      expect(buildPriceDigest(1, 2, consumerAddress)).to.equal(ethers.keccak256(packed));
+    });
+
+    it("Should differ from the padded abi.encode layout", function () {
+      const encoded = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["int256", "uint256", "address"], [1, 2, consumerAddress])
+      );
+      expect(buildPriceDigest(1, 2, consumerAddress)).to.not.equal(encoded);
+    });
+
+    it("Should bind the digest to the consumer address", function () {
+      expect(buildPriceDigest(1, 2, consumerAddress)).to.not.equal(buildPriceDigest(1, 2, user.address));
+    });
+  });
+
+  describe("Signing and Recovery", function () {
+    it("Should recover the signer locally", async function () {
+      const signature = await signPrice(oracle, initialPrice, 1000, consumerAddress);
+      expect(recoverSigner(buildPriceDigest(initialPrice, 1000, consumerAddress), signature)).to.equal(oracle.address);
+    });
+
+    it("Should recover the same signer as verifyOracleSignature", async function () {
+      const digest = buildPriceDigest(initialPrice, 1000, consumerAddress);
+      const signature = await signPrice(oracle, initialPrice, 1000, consumerAddress);
+      expect(await priceConsumer.verifyOracleSignature(digest, signature)).to.equal(recoverSigner(digest, signature));
+    });
+  });
+
+  describe("On-chain Equivalence", function () {
+    const edgeValues = [
+      ["zero", 0n],
+      ["negative", -1000000000n],
+      ["min int256", MIN_INT256],
+      ["max int256", MAX_INT256],
+      ["typical", 250000000000n],
+    ];
+
+    for (const [label, price] of edgeValues) {
+      it(`Should match PriceConsumer's digest for a ${label} price`, async function () {
+        const timestamp = await nextTimestamp();
+        const signature = await signPrice(oracle, price, timestamp, consumerAddress);
+        const digest = buildPriceDigest(price, timestamp, consumerAddress);
+
+        await expect(priceConsumer.updatePriceWithSignature(price, timestamp, signature))
+          .to.emit(priceConsumer, "SignatureVerified")
+          .withArgs(oracle.address, digest);
+
+        expect(await priceConsumer.usedHashes(digest)).to.equal(true);
+        expect(await priceConsumer.latestPrice()).to.equal(price);
+      });
+    }
+
+    it("Should match PriceConsumer's digest for a registered pair", async function () {
+      const pairId = ethers.encodeBytes32String("BTC/USD");
+      await priceConsumer.addFeed(pairId, await mockOracle.getAddress(), oracle.address);
+      const timestamp = await nextTimestamp();
+      const price = 6000000000000n;
+
+      const digest = buildPairPriceDigest(pairId, price, timestamp, consumerAddress);
+      expect(digest).to.not.equal(buildPriceDigest(price, timestamp, consumerAddress));
+
+      const signature = await signPairPrice(oracle, pairId, price, timestamp, consumerAddress);
+      await expect(priceConsumer.updatePairPriceWithSignature(pairId, price, timestamp, signature))
+        .to.emit(priceConsumer, "SignatureVerified")
+        .withArgs(oracle.address, digest);
+    });
+
+    it("Should match OracleToken's digest for signature-based minting", async function () {
+      const timestamp = await nextTimestamp();
+      const price = 250000000000n;
+      const signature = await signPrice(oracle, price, timestamp, consumerAddress);
+
+      await expect(oracleToken.mintWithOracleSignature(user.address, price, timestamp, signature))
+        .to.emit(priceConsumer, "SignatureVerified")
+        .withArgs(oracle.address, buildPriceDigest(price, timestamp, consumerAddress));
+    });
+  });
+
+  describe("Consumer Verification", function () {
+    it("Should accept a fresh signature from the trusted oracle", async function () {
+      const timestamp = await nextTimestamp();
+      const signature = await signPrice(oracle, initialPrice, timestamp, consumerAddress);
+
+      const result = await verifyAgainstConsumer(priceConsumer, initialPrice, timestamp, signature);
+      expect(result.valid).to.equal(true);
+      expect(result.signer).to.equal(oracle.address);
+    });
+
+    it("Should reject a signature from an untrusted key", async function () {
+      const timestamp = await nextTimestamp();
+      const signature = await signPrice(user, initialPrice, timestamp, consumerAddress);
+
+      const result = await verifyAgainstConsumer(priceConsumer, initialPrice, timestamp, signature);
+      expect(result.valid).to.equal(false);
+      expect(result.trustedOracle).to.equal(oracle.address);
+    });
+
+    it("Should report digests that were already used", async function () {
+      const timestamp = await nextTimestamp();
+      const signature = await signPrice(oracle, initialPrice, timestamp, consumerAddress);
+      await priceConsumer.updatePriceWithSignature(initialPrice, timestamp, signature);
+
+      const result = await verifyAgainstConsumer(priceConsumer, initialPrice, timestamp, signature);
+      expect(result.used).to.equal(true);
+      expect(result.valid).to.equal(false);
+    });
+  });
+
+  describe("EIP-712 Price Reports", function () {
+    let domain;
+
+    beforeEach(async function () {
+      domain = priceReportDomain(31337, consumerAddress);
+    });
+
+    it("Should read the same domain from the consumer", async function () {
+      expect(await getPriceReportDomain(priceConsumer)).to.deep.equal({ ...domain, chainId: 31337n });
+    });
+
+    it("Should match hashPriceReport for the main feed and for pairs", async function () {
+      const pairId = ethers.encodeBytes32String("BTC/USD");
+      for (const report of [{ price: initialPrice, timestamp: 1000 }, { pairId, price: -5n, timestamp: 2 }]) {
+        expect(await priceConsumer.hashPriceReport(report.pairId || MAIN_FEED_ID, report.price, report.timestamp)).to.equal(
+          buildPriceReportDigest(domain, report)
+        );
+      }
+    });
+
+    it("Should bind reports to the chain, the consumer and the pair", async function () {
+      const report = { price: initialPrice, timestamp: 1000 };
+      const digest = buildPriceReportDigest(domain, report);
+
+      expect(buildPriceReportDigest({ ...domain, chainId: 1 }, report)).to.not.equal(digest);
+      expect(buildPriceReportDigest({ ...domain, verifyingContract: user.address }, report)).to.not.equal(digest);
+      expect(buildPriceReportDigest(domain, { ...report, pairId: ethers.encodeBytes32String("ETH/USD") })).to.not.equal(digest);
+    });
+
+    it("Should update the main feed and mint with typed signatures", async function () {
+      let timestamp = await nextTimestamp();
+      let signature = await signPriceReport(oracle, domain, { price: 210000000000n, timestamp });
+      expect(recoverPriceReportSigner(domain, { price: 210000000000n, timestamp }, signature)).to.equal(oracle.address);
+
+      await expect(priceConsumer.updatePriceWithSignature(210000000000n, timestamp, signature))
+        .to.emit(priceConsumer, "SignatureVerified")
+        .withArgs(oracle.address, buildPriceReportDigest(domain, { price: 210000000000n, timestamp }));
+
+      timestamp = await nextTimestamp();
+      signature = await signPriceReport(oracle, domain, { price: 250000000000n, timestamp });
+      expect(await priceConsumer.isValidPriceSignature(250000000000n, timestamp, signature)).to.equal(true);
+      await expect(oracleToken.mintWithOracleSignature(user.address, 250000000000n, timestamp, signature)).to.emit(
+        oracleToken,
+        "PriceBasedMint"
+      );
+      expect(await priceConsumer.latestPrice()).to.equal(250000000000n);
+    });
+
+    it("Should update a registered pair with a typed signature", async function () {
+      const pairId = ethers.encodeBytes32String("BTC/USD");
+      await priceConsumer.addFeed(pairId, await mockOracle.getAddress(), oracle.address);
+      const timestamp = await nextTimestamp();
+      const report = { pairId, price: 6000000000000n, timestamp };
+
+      // A main-feed report for the same price does not verify for the pair
+      const mainSignature = await signPriceReport(oracle, domain, { price: report.price, timestamp });
+      await expect(priceConsumer.updatePairPriceWithSignature(pairId, report.price, timestamp, mainSignature)).to.be.revertedWith(
+        "Invalid signature"
+      );
+
+      const signature = await signPriceReport(oracle, domain, report);
+      await expect(priceConsumer.updatePairPriceWithSignature(pairId, report.price, timestamp, signature))
+        .to.emit(priceConsumer, "PairPriceUpdated")
+        .withArgs(pairId, report.price, timestamp);
+    });
+
+    it("Should reject typed signatures for another chain or consumer", async function () {
+      const timestamp = await nextTimestamp();
+      for (const other of [{ ...domain, chainId: 1 }, { ...domain, verifyingContract: user.address }]) {
+        const signature = await signPriceReport(oracle, other, { price: initialPrice, timestamp });
+        await expect(priceConsumer.updatePriceWithSignature(initialPrice, timestamp, signature)).to.be.revertedWith(
+          "Invalid signature"
+        );
+      }
+    });
+
+    it("Should reject a report already submitted in the other format", async function () {
+      // Re-registering a pair resets its timestamp, so only the used hashes stop the replay
+      const pairId = ethers.encodeBytes32String("BTC/USD");
+      await priceConsumer.addFeed(pairId, await mockOracle.getAddress(), oracle.address);
+      const timestamp = await nextTimestamp();
+      const legacy = await signPairPrice(oracle, pairId, initialPrice, timestamp, consumerAddress);
+      await priceConsumer.updatePairPriceWithSignature(pairId, initialPrice, timestamp, legacy);
+      await priceConsumer.removeFeed(pairId);
+      await priceConsumer.addFeed(pairId, await mockOracle.getAddress(), oracle.address);
+
+      const typed = await signPriceReport(oracle, domain, { pairId, price: initialPrice, timestamp });
+      await expect(priceConsumer.updatePairPriceWithSignature(pairId, initialPrice, timestamp, typed)).to.be.revertedWith(
+        "Message hash already used"
+      );
+    });
+
+    it("Should stop accepting legacy signatures once the flag is off", async function () {
+      await expect(priceConsumer.setLegacySignatures(false)).to.emit(priceConsumer, "LegacySignaturesUpdated").withArgs(false);
+      await expect(priceConsumer.connect(user).setLegacySignatures(true)).to.be.revertedWithCustomError(
+        priceConsumer,
+        "OwnableUnauthorizedAccount"
+      );
+
+      const timestamp = await nextTimestamp();
+      const legacy = await signPrice(oracle, initialPrice, timestamp, consumerAddress);
+      await expect(priceConsumer.updatePriceWithSignature(initialPrice, timestamp, legacy)).to.be.revertedWith("Invalid signature");
+      await expect(oracleToken.mintWithOracleSignature(user.address, initialPrice, timestamp, legacy)).to.be.revertedWith(
+        "Invalid oracle signature"
+      );
+
+      const typed = await signPriceReport(oracle, domain, { price: initialPrice, timestamp });
+      await priceConsumer.updatePriceWithSignature(initialPrice, timestamp, typed);
+      expect(await priceConsumer.lastUpdateTime()).to.equal(BigInt(timestamp));
+    });
+
+    it("Should verify either format against the consumer", async function () {
+      const timestamp = await nextTimestamp();
+      const typed = await signPriceReport(oracle, domain, { price: initialPrice, timestamp });
+      const legacy = await signPrice(oracle, initialPrice, timestamp, consumerAddress);
+      const untrusted = await signPriceReport(user, domain, { price: initialPrice, timestamp });
+
+      expect(await verifyPriceReport(priceConsumer, { price: initialPrice, timestamp }, typed)).to.include({
+        valid: true,
+        format: "eip712",
+        signer: oracle.address,
+      });
+      expect(await verifyPriceReport(priceConsumer, { price: initialPrice, timestamp }, legacy)).to.include({
+        valid: true,
+        format: "legacy",
+        digest: buildPriceDigest(initialPrice, timestamp, consumerAddress),
+      });
+      expect(await verifyPriceReport(priceConsumer, { price: initialPrice, timestamp }, untrusted)).to.include({
+        valid: false,
+        format: null,
+        signer: user.address,
+      });
+
+      await priceConsumer.setLegacySignatures(false);
+      expect((await verifyPriceReport(priceConsumer, { price: initialPrice, timestamp }, legacy)).valid).to.equal(false);
+
+      await priceConsumer.updatePriceWithSignature(initialPrice, timestamp, typed);
+      expect(await verifyPriceReport(priceConsumer, { price: initialPrice, timestamp }, typed)).to.include({ valid: false, used: true });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createKeeper } = require("../scripts/keeper");
+
+describe("PriceUpkeep", function () {
+  const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+  const Reason = { None: 0, Heartbeat: 1, Deviation: 2 };
+  let mockOracle, priceConsumer, priceUpkeep, owner, oracle, forwarder, stranger;
+
+  beforeEach(async function () {
+    [owner, oracle, forwarder, stranger] = await ethers.getSigners();
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    mockOracle = await MockV3Aggregator.deploy(8, 200000000000);
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+    const PriceUpkeep = await ethers.getContractFactory("PriceUpkeep");
+    priceUpkeep = await PriceUpkeep.deploy(await priceConsumer.getAddress());
+    await priceConsumer.setPriceUpkeep(await priceUpkeep.getAddress());
+  });
+
+  function keeper() {
+    return createKeeper({ upkeep: priceUpkeep, logger: quiet });
+  }
+
+  // Store the feed's current answer so later checks start from a fresh price
+  async function refresh() {
+    await priceConsumer.refreshPriceFromFeed();
+  }
+
+  describe("Triggers", function () {
+    it("Should refresh a price that was never stored", async function () {
+      const [upkeepNeeded, performData] = await priceUpkeep.checkUpkeep("0x");
+      expect(upkeepNeeded).to.equal(true);
+      const [reason, price] = ethers.AbiCoder.defaultAbiCoder().decode(["uint8", "int256", "uint256"], performData);
+      expect(reason).to.equal(Reason.Heartbeat);
+      expect(price).to.equal(200000000000n);
+
+      const result = await keeper().tick();
+      expect(result).to.include({ performed: true, reason: "Heartbeat", price: 200000000000n });
+      expect(await priceConsumer.latestPrice()).to.equal(200000000000n);
+      expect(await priceConsumer.lastUpdateTime()).to.equal(result.updatedAt);
+    });
+
+    it("Should report the trigger when the upkeep is attached by a lowercase address", async function () {
+      const upkeep = priceUpkeep.attach(priceUpkeep.target.toLowerCase());
+      const result = await createKeeper({ upkeep, logger: quiet }).tick();
+      expect(result).to.include({ performed: true, reason: "Heartbeat", price: 200000000000n });
+    });
+
+    it("Should wait for a newer answer than the stored price", async function () {
+      await refresh();
+      await time.increase(3601);
+
+      // The heartbeat has passed, but the feed has nothing new to copy
+      expect((await priceUpkeep.checkRefresh()).reason).to.equal(Reason.None);
+      expect(await keeper().tick()).to.deep.equal({ performed: false });
+      await expect(priceUpkeep.performUpkeep("0x")).to.be.revertedWith("Upkeep not needed");
+
+      await mockOracle.updateAnswer(200000000000n);
+      expect((await keeper().tick()).reason).to.equal("Heartbeat");
+    });
+
+    it("Should refresh on a deviation before the heartbeat", async function () {
+      await refresh();
+
+      // 0.25% is below the default 0.5% threshold
+      await mockOracle.updateAnswer(200500000000n);
+      expect((await priceUpkeep.checkRefresh()).reason).to.equal(Reason.None);
+
+      await mockOracle.updateAnswer(199000000000n);
+      const updatedAt = await time.latest();
+      await expect(priceUpkeep.performUpkeep("0x"))
+        .to.emit(priceUpkeep, "UpkeepPerformed")
+        .withArgs(Reason.Deviation, 199000000000n, updatedAt)
+        .and.to.emit(priceConsumer, "PriceRefreshedFromFeed");
+      expect(await priceConsumer.latestPrice()).to.equal(199000000000n);
+    });
+  });
+
+  describe("Safety", function () {
+    it("Should never copy an answer the circuit breaker rejects", async function () {
+      await refresh();
+      await priceConsumer.setPriceGuard(await mockOracle.getAddress(), 0, 0, 0, 1000);
+
+      await mockOracle.updateAnswer(300000000000n);
+      expect((await priceUpkeep.checkRefresh()).reason).to.equal(Reason.None);
+      await time.increase(3601);
+      expect(await keeper().tick()).to.deep.equal({ performed: false });
+      await expect(priceConsumer.refreshPriceFromFeed()).to.be.revertedWith("Price deviation too large");
+      expect(await priceConsumer.latestPrice()).to.equal(200000000000n);
+    });
+
+    it("Should check again instead of trusting performData", async function () {
+      await mockOracle.updateAnswer(210000000000n);
+      const [, performData] = await priceUpkeep.checkUpkeep("0x");
+      await keeper().tick();
+
+      // Replaying the now stale performData does nothing
+      await expect(priceUpkeep.performUpkeep(performData)).to.be.revertedWith("Upkeep not needed");
+      const forged = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint8", "int256", "uint256"],
+        [Reason.Deviation, 1n, 2n ** 40n]
+      );
+      await expect(priceUpkeep.performUpkeep(forged)).to.be.revertedWith("Upkeep not needed");
+      expect(await priceConsumer.latestPrice()).to.equal(210000000000n);
+    });
+
+    it("Should only let the upkeep or the owner refresh the consumer", async function () {
+      await expect(priceConsumer.connect(stranger).refreshPriceFromFeed()).to.be.revertedWith(
+        "Not authorized to refresh"
+      );
+      await expect(priceConsumer.connect(stranger).setPriceUpkeep(stranger.address)).to.be.revertedWithCustomError(
+        priceConsumer,
+        "OwnableUnauthorizedAccount"
+      );
+
+      await expect(priceConsumer.setPriceUpkeep(ethers.ZeroAddress))
+        .to.emit(priceConsumer, "PriceUpkeepUpdated")
+        .withArgs(ethers.ZeroAddress);
+      await expect(priceUpkeep.performUpkeep("0x")).to.be.revertedWith("Not authorized to refresh");
+    });
+  });
+
+  describe("Configuration", function () {
+    it("Should restrict performing to the forwarder once set", async function () {
+      await expect(priceUpkeep.setForwarder(forwarder.address))
+        .to.emit(priceUpkeep, "ForwarderUpdated")
+        .withArgs(forwarder.address);
+
+      await expect(priceUpkeep.performUpkeep("0x")).to.be.revertedWith("Not the forwarder");
+      await expect(priceUpkeep.connect(forwarder).performUpkeep("0x")).to.emit(priceUpkeep, "UpkeepPerformed");
+      await expect(priceUpkeep.connect(stranger).setForwarder(stranger.address)).to.be.revertedWithCustomError(
+        priceUpkeep,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+
+    it("Should validate the refresh thresholds", async function () {
+      await expect(priceUpkeep.setParameters(0, 50)).to.be.revertedWith("Heartbeat must be positive");
+      await expect(priceUpkeep.connect(stranger).setParameters(60, 50)).to.be.revertedWithCustomError(
+        priceUpkeep,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(priceUpkeep.setParameters(60, 0)).to.emit(priceUpkeep, "UpkeepParametersUpdated").withArgs(60, 0);
+
+      // With no deviation threshold every newer answer is copied
+      await refresh();
+      await mockOracle.updateAnswer(200000000001n);
+      expect((await priceUpkeep.checkRefresh()).reason).to.equal(Reason.Deviation);
+
+      const PriceUpkeep = await ethers.getContractFactory("PriceUpkeep");
+      await expect(PriceUpkeep.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid consumer address");
+    });
+  });
+});
@@ -0,0 +1,275 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const http = require("http");
+const { createRelayer, fetchPrice, shouldUpdate } = require("../scripts/relayer");
+const { createPollLoop } = require("../scripts/utils/poll-loop");
+
+describe("Price Relayer", function () {
+  let mockOracle, priceConsumer, owner, oracle, relayerAccount;
+  let server, priceUrl, served, logs;
+  let initialPrice = 200000000000; // $2000.00 with 8 decimals
+
+  // Local stub standing in for the HTTP price source
+  before(async function () {
+    server = http.createServer((req, res) => {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ ethereum: { usd: served } }));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    priceUrl = `http://127.0.0.1:${server.address().port}/price`;
+  });
+
+  after(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(async function () {
+    [owner, oracle, relayerAccount] = await ethers.getSigners();
+    served = 2500;
+    logs = [];
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    mockOracle = await MockV3Aggregator.deploy(8, initialPrice);
+    await mockOracle.waitForDeployment();
+
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+    await priceConsumer.waitForDeployment();
+  });
+
+  function buildRelayer(config = {}) {
+    return createRelayer({
+      consumer: priceConsumer.connect(relayerAccount),
+      oracle,
+      sender: relayerAccount,
+      config: {
+        priceUrl,
+        heartbeatSeconds: 3600,
+        deviationBps: 50,
+        confirmTimeoutMs: 2000,
+        receiptPollMs: 20,
+        ...config,
+      },
+      logger: captureLogger(),
+    });
+  }
+
+  function captureLogger() {
+    const record = (level) => (msg, fields = {}) => logs.push({ level, msg, ...fields });
+    return { debug: record("debug"), info: record("info"), warn: record("warn"), error: record("error") };
+  }
+
+  describe("Price Source", function () {
+    it("Should parse the configured path and scale to feed decimals", async function () {
+      served = 2500.12;
+      expect(await fetchPrice(priceUrl, "ethereum,usd", 8)).to.equal(250012000000n);
+    });
+
+    it("Should fail clearly when the path is missing", async function () {
+      await expect(fetchPrice(priceUrl, "bitcoin,usd", 8)).to.be.rejectedWith('Price path "bitcoin,usd" not found');
+    });
+  });
+
+  describe("Update Policy", function () {
+    const base = { onChainPrice: 250000000000n, lastUpdateTime: 1000n, now: 1100n, heartbeatSeconds: 3600, deviationBps: 50 };
+
+    it("Should always update before the first signed price", function () {
+      expect(shouldUpdate({ ...base, price: 1n, lastUpdateTime: 0n }).reason).to.equal("initial");
+    });
+
+    it("Should update when the heartbeat expires", function () {
+      expect(shouldUpdate({ ...base, price: base.onChainPrice, now: 4600n })).to.deep.equal({ update: true, reason: "heartbeat" });
+    });
+
+    it("Should update only when deviation reaches the threshold", function () {
+      expect(shouldUpdate({ ...base, price: 251000000000n }).update).to.equal(false); // 0.4%
+      expect(shouldUpdate({ ...base, price: 251250000000n }).update).to.equal(true); // 0.5%
+      expect(shouldUpdate({ ...base, price: 248750000000n }).update).to.equal(true); // -0.5%
+    });
+  });
+
+  describe("Poll Loop", function () {
+    it("Should keep polling after a failed tick and wait for the tick in flight on stop", async function () {
+      let ticks = 0;
+      let release;
+      const poller = createPollLoop({
+        async tick() {
+          if (++ticks === 1) throw new Error("source down");
+          if (ticks === 3) await new Promise((resolve) => (release = resolve));
+        },
+        intervalMs: 10,
+        log: captureLogger(),
+        failureMessage: "cycle failed",
+      });
+
+      poller.start();
+      poller.start(); // already running: no second loop
+      while (!release) await new Promise((resolve) => setTimeout(resolve, 5));
+      expect(logs).to.deep.include({ level: "error", msg: "cycle failed", error: "source down" });
+
+      let stopped = false;
+      const stopping = poller.stop().then(() => (stopped = true));
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      expect(stopped).to.equal(false);
+      release();
+      await stopping;
+      expect(poller.running).to.equal(false);
+      expect(ticks).to.equal(3);
+    });
+  });
+
+  describe("Relaying", function () {
+    it("Should push the first observation to the consumer", async function () {
+      const result = await buildRelayer().tick();
+
+      expect(result.updated).to.equal(true);
+      expect(result.reason).to.equal("initial");
+      expect(await priceConsumer.latestPrice()).to.equal(250000000000n);
+      expect(await priceConsumer.lastUpdateTime()).to.equal(result.timestamp);
+    });
+
+    it("Should skip unchanged prices and relay deviations", async function () {
+      const relayer = buildRelayer();
+      await relayer.tick();
+
+      expect((await relayer.tick()).updated).to.equal(false);
+
+      served = 2520; // +0.8%
+      const result = await relayer.tick();
+      expect(result.reason).to.equal("deviation");
+      expect(await priceConsumer.latestPrice()).to.equal(252000000000n);
+    });
+
+    it("Should refresh an unchanged price after the heartbeat", async function () {
+      const relayer = buildRelayer({ heartbeatSeconds: 60 });
+      const first = await relayer.tick();
+
+      await network.provider.send("evm_increaseTime", [61]);
+      await network.provider.send("evm_mine");
+
+      const second = await relayer.tick();
+      expect(second.reason).to.equal("heartbeat");
+      expect(await priceConsumer.lastUpdateTime()).to.be.gt(first.timestamp);
+    });
+
+    it("Should keep nonces in order across consecutive updates", async function () {
+      const relayer = buildRelayer({ deviationBps: 1 });
+      const startNonce = await relayerAccount.getNonce();
+
+      for (const price of [2500, 2510, 2520]) {
+        served = price;
+        await relayer.tick();
+      }
+
+      expect(await relayerAccount.getNonce()).to.equal(startNonce + 3);
+      expect(await priceConsumer.latestPrice()).to.equal(252000000000n);
+    });
+
+    it("Should replace a stuck transaction with bumped fees", async function () {
+      const relayer = buildRelayer({ confirmTimeoutMs: 200, gasBumpPercent: 20 });
+
+      await network.provider.send("evm_setAutomine", [false]);
+      try {
+        const pending = relayer.tick();
+
+        // Mine only once the relayer has given up on the first broadcast
+        while (!logs.some((entry) => entry.msg === "transaction not confirmed, bumping gas")) {
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        while (logs.filter((entry) => entry.msg === "transaction sent").length < 2) {
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        await network.provider.send("evm_mine");
+
+        const result = await pending;
+        const sent = logs.filter((entry) => entry.msg === "transaction sent");
+        expect(sent[1].nonce).to.equal(sent[0].nonce);
+        expect(sent[1].maxFeePerGas).to.be.gt(sent[0].maxFeePerGas);
+        expect(result.receipt.hash).to.equal(sent[1].hash);
+      } finally {
+        await network.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(await priceConsumer.latestPrice()).to.equal(250000000000n);
+    });
+
+    it("Should return the mined broadcast instead of re-sending after a nonce error", async function () {
+      const startNonce = await relayerAccount.getNonce();
+      let sends = 0;
+      // The first broadcast lands just before its replacement goes out
+      const sender = {
+        provider: relayerAccount.provider,
+        getAddress: () => relayerAccount.getAddress(),
+        estimateGas: (tx) => relayerAccount.estimateGas(tx),
+        async sendTransaction(tx) {
+          if (++sends === 2) await network.provider.send("evm_mine");
+          return relayerAccount.sendTransaction(tx);
+        },
+      };
+      const relayer = createRelayer({
+        consumer: priceConsumer.connect(relayerAccount),
+        oracle,
+        sender,
+        config: { priceUrl, confirmTimeoutMs: 200, receiptPollMs: 20 },
+        logger: captureLogger(),
+      });
+
+      await network.provider.send("evm_setAutomine", [false]);
+      let result;
+      try {
+        result = await relayer.tick();
+      } finally {
+        await network.provider.send("evm_setAutomine", [true]);
+      }
+
+      const sent = logs.filter((entry) => entry.msg === "transaction sent");
+      expect(sent).to.have.length(1);
+      expect(sends).to.equal(2);
+      expect(result.receipt.hash).to.equal(sent[0].hash);
+      expect(logs.some((entry) => entry.msg === "nonce out of sync, resyncing")).to.equal(false);
+      expect(await relayerAccount.getNonce()).to.equal(startNonce + 1);
+      expect(await priceConsumer.latestPrice()).to.equal(250000000000n);
+    });
+
+    it("Should not leave a nonce gap when sending fails", async function () {
+      const startNonce = await relayerAccount.getNonce();
+      let sends = 0;
+      const sender = {
+        provider: relayerAccount.provider,
+        getAddress: () => relayerAccount.getAddress(),
+        estimateGas: (tx) => relayerAccount.estimateGas(tx),
+        async sendTransaction(tx) {
+          if (++sends === 1) throw new Error("connection reset");
+          return relayerAccount.sendTransaction(tx);
+        },
+      };
+      const relayer = createRelayer({
+        consumer: priceConsumer.connect(relayerAccount),
+        oracle,
+        sender,
+        config: { priceUrl, confirmTimeoutMs: 500, receiptPollMs: 20, maxRetries: 0 },
+        logger: captureLogger(),
+      });
+
+      await expect(relayer.tick()).to.be.rejectedWith("connection reset");
+
+      served = 2600;
+      await relayer.tick();
+      expect(await priceConsumer.latestPrice()).to.equal(260000000000n);
+      expect(await relayerAccount.getNonce()).to.equal(startNonce + 1);
+    });
+
+    it("Should not submit when the signer is not the trusted oracle", async function () {
+      const relayer = createRelayer({
+        consumer: priceConsumer.connect(relayerAccount),
+        oracle: owner,
+        sender: relayerAccount,
+        config: { priceUrl },
+        logger: captureLogger(),
+      });
+
+      await expect(relayer.tick()).to.be.rejectedWith("Invalid signature");
+      expect(await priceConsumer.lastUpdateTime()).to.equal(0);
+    });
+  });
+});
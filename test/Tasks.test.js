@@ -0,0 +1,521 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { CONTRACTS, manifestPath, recordDeployment, writeManifest, readManifest } = require("../scripts/utils/deployments");
+const { toPairId } = require("../scripts/utils/feeds");
+
+describe("Hardhat Tasks", function () {
+  let mockOracle, priceConsumer, oracleToken, oracleVault, owner, oracle, user;
+  let initialPrice = 200000000000; // $2000.00 with 8 decimals
+  let savedManifest, originalLog;
+
+  before(function () {
+    // Tasks read deployments/hardhat.json; keep any manifest a developer already has
+    const file = manifestPath("hardhat");
+    savedManifest = fs.existsSync(file) ? fs.readFileSync(file) : null;
+  });
+
+  after(function () {
+    const file = manifestPath("hardhat");
+    if (savedManifest) fs.writeFileSync(file, savedManifest);
+    else fs.rmSync(file, { force: true });
+  });
+
+  beforeEach(async function () {
+    [owner, oracle, user] = await ethers.getSigners();
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    mockOracle = await MockV3Aggregator.deploy(8, initialPrice);
+    await mockOracle.waitForDeployment();
+
+    const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+    priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+    await priceConsumer.waitForDeployment();
+
+    const OracleToken = await ethers.getContractFactory("OracleToken");
+    oracleToken = await OracleToken.deploy("Oracle Token", "ORACLE", await priceConsumer.getAddress());
+    await oracleToken.waitForDeployment();
+
+    const OracleVault = await ethers.getContractFactory("OracleVault");
+    oracleVault = await OracleVault.deploy(await oracleToken.getAddress());
+    await oracleVault.waitForDeployment();
+    await oracleToken.grantRole(await oracleToken.VAULT_ROLE(), await oracleVault.getAddress());
+
+    writeManifest("hardhat", {
+      network: "hardhat",
+      chainId: 31337,
+      deployer: owner.address,
+      contracts: {
+        mockOracle: await recordDeployment(mockOracle, [], CONTRACTS.mockOracle),
+        priceConsumer: await recordDeployment(priceConsumer, [], CONTRACTS.priceConsumer),
+        oracleToken: await recordDeployment(oracleToken, [], CONTRACTS.oracleToken),
+        oracleVault: await recordDeployment(oracleVault, [], CONTRACTS.oracleVault),
+      },
+    });
+
+    // Tasks print their results; keep the test output readable
+    originalLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  describe("Oracle Price", function () {
+    it("Should set the mock price from decimal input", async function () {
+      const result = await hre.run("oracle:price:set", { price: "2500.25" });
+
+      expect(await mockOracle.latestAnswer()).to.equal(250025000000n);
+      expect(result.price).to.equal("2500.25");
+      expect(result.events.map((e) => e.event)).to.deep.equal(["AnswerUpdated", "NewRound"]);
+      expect(result.events[0].args.current).to.equal(250025000000n);
+    });
+
+    it("Should reject more decimal places than the feed supports", async function () {
+      await expect(hre.run("oracle:price:set", { price: "1.123456789" })).to.be.rejectedWith(
+        "has more than 8 decimal places"
+      );
+    });
+
+    it("Should reject malformed decimals", async function () {
+      await expect(hre.run("oracle:price:set", { price: "12,5" })).to.be.rejectedWith("of type decimal");
+    });
+
+    it("Should report feed and signed prices", async function () {
+      const result = await hre.run("oracle:price:get", {});
+
+      expect(result.feed.price).to.equal("2000.0");
+      expect(result.feed.roundId).to.equal(1n);
+      expect(result.consumer.trustedOracle).to.equal(oracle.address);
+      expect(result.consumer.signedAt).to.equal(null);
+      expect(result.feed.status).to.equal("Ok");
+    });
+
+    it("Should list rounds newest first", async function () {
+      await hre.run("oracle:price:set", { price: "2100" });
+      await hre.run("oracle:price:set", { price: "2200" });
+
+      const result = await hre.run("oracle:price:history", { rounds: 2 });
+      expect(result.rounds.map((r) => r.price)).to.deep.equal(["2200.0", "2100.0"]);
+    });
+
+    it("Should bound the history scan and stop where the feed has no earlier rounds", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await mockOracle.updateRoundData(50, 210000000000, now, now); // rounds 2-49 were never written
+
+      const capped = await hre.run("oracle:price:history", { rounds: 2, maxScan: 20 });
+      expect(capped.scanned).to.equal(20);
+      expect(capped.rounds.map((r) => r.price)).to.deep.equal(["2100.0"]);
+
+      await mockOracle.setRevertMissingRounds(true);
+      const ended = await hre.run("oracle:price:history", { rounds: 2, maxScan: 100 });
+      expect(ended.scanned).to.equal(2);
+      expect(ended.rounds.map((r) => r.price)).to.deep.equal(["2100.0"]);
+
+      await expect(hre.run("oracle:price:history", { rounds: 5, maxScan: 4 })).to.be.rejectedWith(
+        "--max-scan must be at least --rounds"
+      );
+    });
+
+    it("Should print JSON with --json", async function () {
+      let output = "";
+      console.log = (text) => (output += text);
+
+      await hre.run("oracle:price:get", { json: true });
+      expect(JSON.parse(output).feed.raw).to.equal("200000000000");
+    });
+  });
+
+  describe("Consumer Administration", function () {
+    it("Should rotate the trusted oracle and decode the event", async function () {
+      const result = await hre.run("consumer:set-oracle", { address: user.address });
+
+      expect(await priceConsumer.trustedOracle()).to.equal(user.address);
+      expect(result.previous).to.equal(oracle.address);
+      expect(result.events).to.deep.equal([
+        { contract: "priceConsumer", event: "OracleUpdated", args: { newOracle: user.address } },
+      ]);
+    });
+
+    it("Should reject invalid addresses", async function () {
+      await expect(hre.run("consumer:set-oracle", { address: "0x1234" })).to.be.rejectedWith("of type address");
+    });
+
+    it("Should turn legacy signatures off", async function () {
+      const result = await hre.run("consumer:set-legacy-signatures", { enabled: false });
+
+      expect(await priceConsumer.legacySignatures()).to.equal(false);
+      expect(result.events).to.deep.equal([
+        { contract: "priceConsumer", event: "LegacySignaturesUpdated", args: { enabled: false } },
+      ]);
+    });
+
+    it("Should manage the threshold signer set", async function () {
+      const [, , , first, second] = await ethers.getSigners();
+      await hre.run("consumer:add-signer", { address: first.address });
+      await hre.run("consumer:add-signer", { address: second.address });
+
+      const result = await hre.run("consumer:set-threshold", { threshold: 2, toleranceBps: 50 });
+      expect(result.events[0]).to.deep.equal({
+        contract: "priceConsumer",
+        event: "SignerThresholdUpdated",
+        args: { threshold: "2", toleranceBps: "50" },
+      });
+      expect(await hre.run("consumer:signers", {})).to.deep.equal({
+        signers: [first.address, second.address],
+        threshold: 2,
+        toleranceBps: 50,
+      });
+
+      await expect(hre.run("consumer:remove-signer", { address: first.address })).to.be.rejectedWith(
+        "Threshold above signer count"
+      );
+      await hre.run("consumer:set-threshold", { threshold: 0 });
+      expect((await hre.run("consumer:remove-signer", { address: first.address })).signers).to.equal(1);
+    });
+
+    it("Should switch the feed and record it in the manifest", async function () {
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const newFeed = await MockV3Aggregator.deploy(8, 300000000000);
+      await newFeed.waitForDeployment();
+      const newFeedAddress = await newFeed.getAddress();
+
+      await hre.run("consumer:set-feed", { address: newFeedAddress });
+
+      expect(await priceConsumer.getLatestPrice()).to.equal(300000000000n);
+      expect(readManifest("hardhat").contracts.priceFeed.address).to.equal(newFeedAddress);
+
+      const { feed } = await hre.run("oracle:price:get", {});
+      expect(feed.address).to.equal(newFeedAddress);
+      await expect(hre.run("oracle:price:set", { price: "1" })).to.be.rejectedWith("not the mock feed");
+    });
+
+    it("Should configure the circuit breaker and report its status", async function () {
+      const result = await hre.run("consumer:set-guard", { maxAge: 3600, min: "1000", max: "1999.5", maxDeviationBps: 500 });
+
+      const guard = await priceConsumer.priceGuards(await mockOracle.getAddress());
+      expect(guard.minAnswer).to.equal(100000000000n);
+      expect(guard.maxAnswer).to.equal(199950000000n);
+      expect(result.events[0].event).to.equal("PriceGuardUpdated");
+
+      const { feed } = await hre.run("oracle:price:get", {});
+      expect(feed.status).to.equal("AboveMaximum");
+    });
+
+    it("Should refuse a feed address without code", async function () {
+      await expect(hre.run("consumer:set-feed", { address: user.address })).to.be.rejectedWith("No contract deployed");
+    });
+  });
+
+  describe("Feed Registry", function () {
+    const BTC_USD = toPairId("BTC/USD");
+
+    async function deployMock(decimals, answer) {
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const feed = await MockV3Aggregator.deploy(decimals, answer);
+      await feed.waitForDeployment();
+      return feed;
+    }
+
+    it("Should deploy and register mocks from a config file", async function () {
+      const result = await hre.run("feeds:deploy", {});
+      const pairs = result.pairs.map((p) => p.pair);
+
+      expect(pairs).to.include.members(["ETH/USD", "BTC/USD"]);
+      expect(result.pairs.every((p) => p.action === "deployed")).to.equal(true);
+      expect((await priceConsumer.getPairIds()).length).to.equal(pairs.length);
+      expect(Object.keys(readManifest("hardhat").feeds)).to.deep.equal(pairs);
+
+      const again = await hre.run("feeds:deploy", {});
+      expect(again.pairs.every((p) => p.action === "skipped")).to.equal(true);
+    });
+
+    it("Should read, set and list prices by pair", async function () {
+      await hre.run("feeds:deploy", {});
+
+      await hre.run("oracle:price:set", { pair: "BTC/USD", price: "61000.5" });
+      const { pair, feed } = await hre.run("oracle:price:get", { pair: "BTC/USD" });
+      expect(pair).to.equal("BTC/USD");
+      expect(feed.price).to.equal("61000.5");
+      expect(await priceConsumer.getLatestPriceFor(BTC_USD)).to.equal(6100050000000n);
+
+      const history = await hre.run("oracle:price:history", { pair: "BTC/USD" });
+      expect(history.rounds.map((r) => r.price)).to.deep.equal(["61000.5", "60000.0"]);
+
+      // The main feed is unaffected
+      expect((await hre.run("oracle:price:get", {})).feed.price).to.equal("2000.0");
+
+      const { feeds } = await hre.run("feeds:list", {});
+      expect(feeds.find((f) => f.pair === "BTC/USD")).to.include({ price: "61000.5", status: "Ok" });
+    });
+
+    it("Should add, update, re-sign and remove a pair", async function () {
+      const first = await deployMock(8, 6000000000000n);
+      const second = await deployMock(18, ethers.parseEther("61000"));
+
+      const added = await hre.run("feeds:add", { pair: "BTC/USD", address: await first.getAddress(), signer: oracle.address });
+      expect(added.events[0].event).to.equal("FeedAdded");
+      expect(readManifest("hardhat").feeds["BTC/USD"].trustedSigner).to.equal(oracle.address);
+
+      await hre.run("feeds:update", { pair: "BTC/USD", address: await second.getAddress() });
+      expect((await priceConsumer.feeds(BTC_USD)).decimals).to.equal(18);
+      expect((await hre.run("oracle:price:get", { pair: "BTC/USD" })).feed.price).to.equal("61000.0");
+
+      await hre.run("feeds:set-signer", { pair: "BTC/USD", signer: user.address });
+      expect((await priceConsumer.feeds(BTC_USD)).trustedSigner).to.equal(user.address);
+
+      await hre.run("feeds:remove", { pair: "BTC/USD" });
+      expect(await priceConsumer.getPairIds()).to.deep.equal([]);
+      expect(readManifest("hardhat").feeds).to.deep.equal({});
+      await expect(hre.run("oracle:price:get", { pair: "BTC/USD" })).to.be.rejectedWith("not registered");
+    });
+
+    it("Should refuse to set a pair that reads a live aggregator", async function () {
+      await hre.run("feeds:add", { pair: "BTC/USD", address: await (await deployMock(8, 1)).getAddress() });
+
+      await expect(hre.run("oracle:price:set", { pair: "BTC/USD", price: "1" })).to.be.rejectedWith("not a mock feed");
+      await expect(hre.run("oracle:price:get", { pair: "BTCUSD" })).to.be.rejectedWith("of type pair");
+    });
+  });
+
+  describe("Token Operations", function () {
+    it("Should mint at the current price", async function () {
+      const result = await hre.run("token:mint", { to: user.address });
+      const minted = result.events.find((e) => e.event === "PriceBasedMint");
+
+      expect(result.events.map((e) => e.event)).to.deep.equal(["Transfer", "PriceBasedMint"]);
+      expect(await oracleToken.balanceOf(user.address)).to.equal(minted.args.amount);
+      expect(result.balance).to.equal(result.amount);
+    });
+
+    it("Should burn a decimal token amount", async function () {
+      const before = await oracleToken.balanceOf(owner.address);
+      const result = await hre.run("token:burn", { from: owner.address, amount: "12.5" });
+
+      expect(await oracleToken.balanceOf(owner.address)).to.equal(before - ethers.parseEther("12.5"));
+      expect(result.events[0].event).to.equal("Transfer");
+    });
+
+    it("Should change the mint rate", async function () {
+      const result = await hre.run("token:set-rate", { rate: 250 });
+
+      expect(await oracleToken.mintRate()).to.equal(250n);
+      expect(result.events[0].args.newRate).to.equal(250n);
+    });
+
+    it("Should change the rounding mode", async function () {
+      const result = await hre.run("token:set-rounding", { mode: "nearest" });
+
+      expect(await oracleToken.rounding()).to.equal(2n);
+      expect(result.previous).to.equal("down");
+      expect((await hre.run("token:info", {})).rounding).to.equal("nearest");
+      await expect(hre.run("token:set-rounding", { mode: "half-even" })).to.be.rejectedWith("--mode must be one of");
+    });
+
+    it("Should surface owner-only reverts", async function () {
+      await oracleToken.transferOwnership(user.address);
+
+      await expect(hre.run("token:set-rate", { rate: 250 })).to.be.rejectedWith("OwnableUnauthorizedAccount");
+    });
+
+    it("Should manage mint roles and limits", async function () {
+      await hre.run("token:revoke-role", { role: "minter", account: owner.address });
+      await expect(hre.run("token:mint", { to: user.address })).to.be.rejectedWith("AccessControlUnauthorizedAccount");
+      const granted = await hre.run("token:grant-role", { role: "minter", account: owner.address });
+      expect(granted.events.map((e) => e.event)).to.deep.equal(["RoleGranted"]);
+      await expect(hre.run("token:grant-role", { role: "burner", account: user.address })).to.be.rejectedWith(
+        "--role must be one of minter, limits-admin, admin"
+      );
+
+      const result = await hre.run("token:set-limits", { window: 3600, accountCap: "0.0000000000002", cooldown: 60 });
+      expect(result.events[0].args).to.deep.include({ window: 3600n, accountCap: 200000n, globalCap: 0n, cooldown: 60n });
+      await hre.run("token:mint", { to: user.address });
+      await expect(hre.run("token:mint", { to: user.address })).to.be.rejectedWith("Mint cooldown active");
+
+      const info = await hre.run("token:info", { account: user.address });
+      expect(info.limits).to.deep.equal({ windowSeconds: 3600, accountCap: "0.0000000000002", globalCap: null, cooldownSeconds: 60 });
+      expect(info.account).to.include({ minter: false, globalRemaining: null });
+      // The cap frees up over the window, so a little is back by now
+      expect(ethers.parseEther(info.account.accountRemaining)).to.be.lessThan(200000n);
+      expect(info.account.cooldownEnds).to.be.greaterThan(0);
+    });
+
+    it("Should summarise supply and balances", async function () {
+      const result = await hre.run("token:info", { account: owner.address });
+
+      expect(result.symbol).to.equal("ORACLE");
+      expect(result.totalSupply).to.equal("100000.0");
+      expect(result.mintRate).to.equal(100n);
+      expect(result.priceDecimals).to.equal(8);
+      expect(result.account.balance).to.equal("100000.0");
+    });
+  });
+
+  describe("Vault Operations", function () {
+    it("Should open, redeem from and close a position", async function () {
+      const deposited = await hre.run("vault:deposit", { eth: "1", mint: "1000" });
+      expect(deposited.events.map((e) => e.event)).to.include.members(["Deposited", "Minted", "VaultMint"]);
+      expect(deposited.position).to.include({ collateral: "0.9975", debt: "1000.0", ratio: "199.50%" });
+
+      const redeemed = await hre.run("vault:redeem", { amount: "1000" });
+      expect(redeemed).to.include({ payout: "0.4975", fee: "0.0025" });
+      await hre.run("vault:withdraw", { eth: "0.4975" });
+
+      const info = await hre.run("vault:info", { account: owner.address });
+      expect(info).to.include({ collateralRatio: "150.00%", price: "2000.0", totalDebt: "0.0", accruedFees: "0.005" });
+      expect(info.position).to.include({ collateral: "0.0", ratio: null, priceError: null });
+      expect((await hre.run("vault:withdraw-fees", { to: user.address })).amount).to.equal("0.005");
+    });
+
+    it("Should change parameters and report unusable prices", async function () {
+      const result = await hre.run("vault:set-params", { ratioBps: 20000, maxPriceAge: 60 });
+      expect(result).to.include({ collateralRatio: "200.00%", feeBps: 50, minPositionSize: "100.0", maxPriceAge: 60 });
+
+      await mockOracle.updateAnswer(0);
+      expect((await hre.run("vault:info", {})).priceError).to.equal("Invalid price from oracle");
+      await expect(hre.run("vault:deposit", { eth: "1", mint: "100" })).to.be.rejectedWith("Invalid price from oracle");
+      await expect(hre.run("vault:set-params", { ratioBps: 9000 })).to.be.rejectedWith("Collateral ratio below 100%");
+    });
+  });
+
+  describe("Chainlink Requests", function () {
+    it("Should configure, send and cancel a direct request", async function () {
+      const MockLinkToken = await ethers.getContractFactory("MockLinkToken");
+      const linkToken = await MockLinkToken.deploy();
+      const MockOperator = await ethers.getContractFactory("MockOperator");
+      const operator = await MockOperator.deploy(await linkToken.getAddress());
+      await linkToken.transfer(await priceConsumer.getAddress(), ethers.parseEther("1"));
+
+      const manifest = readManifest("hardhat");
+      manifest.contracts.linkToken = await recordDeployment(linkToken, [], CONTRACTS.linkToken);
+      manifest.contracts.operator = await recordDeployment(operator, [], CONTRACTS.operator);
+      writeManifest("hardhat", manifest);
+
+      expect((await hre.run("consumer:chainlink", {})).configured).to.equal(false);
+      await expect(hre.run("consumer:set-chainlink", { jobId: "not-a-job" })).to.be.rejectedWith("--job-id must be");
+      const jobId = "0b0e0c4e-5b1a-4a8e-9c3f-2d7e6f8a9b10";
+      await hre.run("consumer:set-chainlink", { jobId, fee: "0.1", timeout: 600 });
+
+      const requested = await hre.run("consumer:request-price", {});
+      expect(requested.fee).to.equal("0.1");
+      expect(requested.events.map((e) => e.event)).to.include.members(["PriceRequested", "OracleRequest"]);
+
+      const info = await hre.run("consumer:chainlink", { requestId: requested.requestId });
+      expect(info).to.include({ jobId: jobId.replace(/-/g, ""), fee: "0.1", requestTimeout: 600, linkBalance: "0.9" });
+      expect(info.request.pending).to.equal(true);
+
+      await expect(hre.run("consumer:cancel-request", { requestId: requested.requestId })).to.be.rejectedWith(
+        "Request not timed out"
+      );
+      await time.increase(601);
+      const cancelled = await hre.run("consumer:cancel-request", { requestId: requested.requestId });
+      expect(cancelled.refunded).to.equal("0.1");
+      expect(await linkToken.balanceOf(await priceConsumer.getAddress())).to.equal(ethers.parseEther("1"));
+    });
+  });
+
+  describe("Price Upkeep", function () {
+    it("Should check, tune and perform the upkeep", async function () {
+      const PriceUpkeep = await ethers.getContractFactory("PriceUpkeep");
+      const priceUpkeep = await PriceUpkeep.deploy(await priceConsumer.getAddress());
+      await priceConsumer.setPriceUpkeep(await priceUpkeep.getAddress());
+
+      const manifest = readManifest("hardhat");
+      manifest.contracts.priceUpkeep = await recordDeployment(priceUpkeep, [], CONTRACTS.priceUpkeep);
+      writeManifest("hardhat", manifest);
+
+      // Nothing stored yet, so the stored price is as old as it gets
+      const check = await hre.run("upkeep:check", {});
+      expect(check).to.include({ upkeepNeeded: true, reason: "Heartbeat", feedPrice: "2000.0", authorized: true });
+      expect(check).to.include({ heartbeat: 3600, deviationBps: 50, forwarder: null });
+
+      await hre.run("upkeep:set-params", { deviationBps: 100 });
+      expect(await priceUpkeep.heartbeat()).to.equal(3600);
+      expect(await priceUpkeep.deviationBps()).to.equal(100);
+
+      const performed = await hre.run("upkeep:perform", {});
+      expect(performed).to.include({ performed: true, reason: "Heartbeat", price: "2000.0" });
+      expect(performed.events.map((e) => e.event)).to.include.members(["PriceRefreshedFromFeed", "UpkeepPerformed"]);
+      expect(await priceConsumer.latestPrice()).to.equal(initialPrice);
+      expect(await hre.run("upkeep:perform", {})).to.deep.equal({ performed: false });
+
+      await hre.run("upkeep:set-forwarder", { address: user.address });
+      await mockOracle.updateAnswer(210000000000n);
+      await expect(hre.run("upkeep:perform", {})).to.be.rejectedWith("Not the forwarder");
+      expect((await hre.run("upkeep:set-forwarder", {})).forwarder).to.equal(null);
+      expect(await hre.run("upkeep:perform", {})).to.include({ reason: "Deviation", price: "2100.0" });
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    it("Should appoint a guardian, pause and let only the owner unpause", async function () {
+      const set = await hre.run("emergency:set-guardian", { address: user.address });
+      expect(set.events.map((e) => `${e.contract}.${e.event}`)).to.deep.equal([
+        "priceConsumer.GuardianUpdated",
+        "oracleToken.GuardianUpdated",
+      ]);
+      expect(await priceConsumer.guardian()).to.equal(user.address);
+      expect(await oracleToken.guardian()).to.equal(user.address);
+
+      // Tasks sign with the first account; the owner can pause too
+      const paused = await hre.run("emergency:pause", { parts: "minting,transfers" });
+      expect(paused.changed).to.deep.equal(["minting", "transfers"]);
+      expect(paused.transactions[0].events[0]).to.deep.include({ contract: "oracleToken", event: "MintingPaused" });
+      expect(paused.paused).to.deep.equal({
+        signedUpdates: false,
+        feedRefreshes: false,
+        minting: true,
+        transfers: true,
+        redemptions: false,
+      });
+      const all = await hre.run("emergency:pause", {});
+      expect(all.changed).to.deep.equal(["signedUpdates", "feedRefreshes", "redemptions"]);
+      expect(all.unchanged).to.deep.equal(["minting", "transfers"]);
+      expect(all.transactions[2].events[0]).to.deep.include({ contract: "oracleVault", event: "RedemptionsPaused" });
+      await expect(hre.run("token:mint", { to: user.address })).to.be.rejectedWith("Minting paused");
+      expect((await hre.run("token:info", {})).paused).to.deep.equal({ minting: true, transfers: true });
+
+      const status = await hre.run("emergency:status", { account: user.address });
+      expect(Object.values(status.paused).every(Boolean)).to.equal(true);
+      expect(status.account).to.include({ canPauseConsumer: true, canPauseToken: true, canPauseVault: true, isOwner: false });
+
+      await oracleToken.transferOwnership(user.address);
+      await expect(hre.run("emergency:unpause", { parts: "minting" })).to.be.rejectedWith(
+        "Could not unpause minting (OwnableUnauthorizedAccount"
+      );
+      const resumed = await hre.run("emergency:unpause", { parts: "signed-updates" });
+      expect(resumed.changed).to.deep.equal(["signedUpdates"]);
+      await expect(hre.run("emergency:pause", { parts: "oracle" })).to.be.rejectedWith(
+        "--parts must be a comma-separated list of signed-updates, feed-refreshes, minting, transfers, redemptions"
+      );
+    });
+  });
+
+  describe("Market Simulation", function () {
+    it("Should replay a scenario file into the mock feed and mint each step", async function () {
+      const out = path.join(os.tmpdir(), `simulation-${process.pid}.json`);
+      const file = path.join(__dirname, "..", "config", "scenarios", "feed-outage.csv");
+      const result = await hre.run("market:simulate", { file, mint: true, out });
+
+      expect(result.summary).to.include({ steps: 10, rounds: 5, frozenSteps: 5, mints: 10 });
+      expect(await mockOracle.latestAnswer()).to.equal(199010000000n);
+      expect(JSON.parse(fs.readFileSync(out, "utf8"))).to.have.lengthOf(10);
+      fs.rmSync(out, { force: true });
+    });
+
+    it("Should generate a seeded series from the current price", async function () {
+      const first = await hre.run("market:simulate", { generator: "random-walk", steps: 3, seed: 9, json: true });
+      await mockOracle.updateAnswer(initialPrice);
+      const second = await hre.run("market:simulate", { generator: "random-walk", steps: 3, seed: 9, json: true });
+
+      expect(first.steps[0].price).to.equal(BigInt(initialPrice));
+      expect(second.steps.map((step) => step.price)).to.deep.equal(first.steps.map((step) => step.price));
+      await expect(hre.run("market:simulate", { set: "dropBps" })).to.be.rejectedWith("--set expects numeric key=value pairs");
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { medianPrice, selectReports, checkReport } = require("../scripts/utils/threshold-reports");
+const { getPriceReportDomain } = require("../scripts/utils/price-signing");
+const { createReportSigner } = require("../scripts/report-signer");
+const { createReportAggregator, loadConfig } = require("../scripts/report-aggregator");
+const { toPairId } = require("../scripts/utils/feeds");
+
+describe("Threshold Reports", function () {
+  const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+  describe("Selection", function () {
+    const report = (signer, price) => ({ signer, price });
+    const A = "0x00000000000000000000000000000000000000aA";
+    const B = "0x00000000000000000000000000000000000000bB";
+    const C = "0x00000000000000000000000000000000000000cC";
+
+    it("Should take the median the consumer takes", function () {
+      expect(medianPrice([3n, 1n, 2n])).to.equal(2n);
+      expect(medianPrice([4n, 1n])).to.equal(2n);
+      expect(medianPrice([2000n, 2001n, 2003n, 2010n])).to.equal(2002n);
+      expect(() => medianPrice([])).to.throw("No prices");
+    });
+
+    it("Should order by signer, drop duplicates and outliers", function () {
+      const selected = selectReports([report(C, 2010n), report(A, 2000n), report(A, 2000n), report(B, 2500n)], {
+        threshold: 2,
+        toleranceBps: 100,
+      });
+
+      expect(selected.reports.map((r) => r.signer)).to.deep.equal([A, C]);
+      expect(selected.price).to.equal(2005n);
+      expect(selected.dropped.map((r) => r.signer)).to.deep.equal([B]);
+    });
+
+    it("Should fail when too few reports agree", function () {
+      expect(() => selectReports([report(A, 2000n), report(B, 3000n)], { threshold: 2, toleranceBps: 100 })).to.throw(
+        "Only 0 of the 2 required reports agree within 100 bps (2 received)"
+      );
+      expect(() => selectReports([report(A, 2000n)], { threshold: 2, toleranceBps: 100 })).to.throw("Only 1 of the 2");
+    });
+
+    it("Should read the signer list from the environment", function () {
+      const config = loadConfig({ REPORT_SIGNER_URLS: "http://a:4200, http://b:4201,", REPORT_PAIR: "BTC/USD" });
+      expect(config.signerUrls).to.deep.equal(["http://a:4200", "http://b:4201"]);
+      expect(config.pair).to.equal("BTC/USD");
+    });
+  });
+
+  describe("Signers and Aggregator", function () {
+    let priceConsumer, owner, oracle, wallets, servers, urls, prices;
+
+    beforeEach(async function () {
+      [owner, oracle] = await ethers.getSigners();
+      // Three signing processes, each with its own key and price source
+      wallets = (await ethers.getSigners()).slice(3, 6);
+      prices = [250000000000n, 250100000000n, 250300000000n];
+
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const mockOracle = await MockV3Aggregator.deploy(8, 200000000000);
+      const PriceConsumer = await ethers.getContractFactory("PriceConsumer");
+      priceConsumer = await PriceConsumer.deploy(await mockOracle.getAddress(), oracle.address);
+      await priceConsumer.addFeed(toPairId("BTC/USD"), await mockOracle.getAddress(), oracle.address);
+
+      for (const wallet of wallets) await priceConsumer.addReportSigner(wallet.address);
+      await priceConsumer.setSignerThreshold(2, 50);
+
+      servers = [];
+      urls = [];
+      for (let i = 0; i < wallets.length; i++) {
+        await startSigner(wallets[i], () => prices[i]);
+      }
+    });
+
+    afterEach(async function () {
+      await Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve))));
+    });
+
+    async function startSigner(wallet, priceSource, config = {}) {
+      const server = createReportSigner({ consumer: priceConsumer, wallet, priceSource, config, logger: quiet });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      servers.push(server);
+      urls.push(`http://127.0.0.1:${server.address().port}`);
+      return urls[urls.length - 1];
+    }
+
+    function aggregator(config = {}) {
+      return createReportAggregator({ consumer: priceConsumer, config: { signerUrls: urls, ...config }, logger: quiet });
+    }
+
+    it("Should sign reports the consumer recognises", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const response = await fetch(`${urls[0]}/report?timestamp=${timestamp}`);
+      const body = await response.json();
+
+      expect(body).to.include({ signer: wallets[0].address, price: "250000000000", timestamp: String(timestamp) });
+      const domain = await getPriceReportDomain(priceConsumer);
+      const report = { ...body, price: BigInt(body.price), timestamp: BigInt(body.timestamp) };
+      expect(checkReport(domain, report, [wallets[0].address])).to.equal(null);
+    });
+
+    it("Should refuse to sign far-off timestamps and other pairs", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+
+      const early = await fetch(`${urls[0]}/report?timestamp=${timestamp + 3600}`);
+      expect(early.status).to.equal(422);
+      expect((await early.json()).error).to.match(/^timestamp is 3600s from the latest block/);
+
+      const other = await fetch(`${urls[0]}/report?timestamp=${timestamp}&pair=BTC/USD`);
+      expect(other.status).to.equal(400);
+      expect((await fetch(`${urls[0]}/report?timestamp=soon`)).status).to.equal(400);
+    });
+
+    it("Should submit the median of the signers' reports", async function () {
+      const result = await aggregator().tick();
+
+      expect(result.updated).to.equal(true);
+      expect(result.price).to.equal(250100000000n);
+      expect(result.signers).to.have.lengthOf(3);
+      expect(await priceConsumer.latestPrice()).to.equal(250100000000n);
+      expect(await priceConsumer.lastUpdateTime()).to.equal(result.timestamp);
+
+      // Nothing moved, so the next cycle stays off-chain
+      expect(await aggregator().tick()).to.include({ updated: false, reason: "within-threshold" });
+    });
+
+    it("Should carry on without unreachable, unregistered or outlying signers", async function () {
+      prices[2] = 300000000000n; // 20% off the others
+      await startSigner(owner, () => 250000000000n); // not registered
+      urls.push("http://127.0.0.1:1"); // nothing listening
+
+      const result = await aggregator({ requestTimeoutMs: 2000 }).tick();
+
+      expect(result.updated).to.equal(true);
+      expect(result.price).to.equal(250050000000n);
+      expect(result.signers).to.have.members([wallets[0].address, wallets[1].address]);
+      expect(result.dropped.map((report) => report.signer)).to.deep.equal([wallets[2].address]);
+      expect(result.failed).to.have.lengthOf(2);
+      expect(result.failed[0].error).to.equal(`${owner.address} is not a registered signer`);
+    });
+
+    it("Should not submit when fewer than the threshold agree", async function () {
+      await priceConsumer.setSignerThreshold(3, 5);
+
+      await expect(aggregator().tick()).to.be.rejectedWith("Only 2 of the 3 required reports agree within 5 bps");
+      expect(await priceConsumer.lastUpdateTime()).to.equal(0);
+    });
+
+    it("Should report registered pairs", async function () {
+      const pairUrls = [];
+      for (const wallet of wallets.slice(0, 2)) {
+        pairUrls.push(await startSigner(wallet, () => 6000000000000n, { pair: "BTC/USD" }));
+      }
+
+      const result = await aggregator({ signerUrls: pairUrls, pair: "BTC/USD" }).tick();
+
+      expect(result.updated).to.equal(true);
+      expect((await priceConsumer.feeds(toPairId("BTC/USD"))).latestPrice).to.equal(6000000000000n);
+      expect(await priceConsumer.latestPrice()).to.equal(0);
+    });
+  });
+});
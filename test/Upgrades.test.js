@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployProxy, checkUpgrade, upgradeProxy } = require("../scripts/utils/proxies");
+const { getImplementationAddress, verifyManifest } = require("../scripts/utils/deployments");
+const { getPriceReportDomain, signPriceReport } = require("../scripts/utils/price-signing");
+
+describe("Upgradeable Deployments", function () {
+  let mockOracle, priceConsumer, oracleToken, owner, oracle, user;
+  let consumerEntry, tokenEntry;
+
+  beforeEach(async function () {
+    [owner, oracle, user] = await ethers.getSigners();
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    mockOracle = await MockV3Aggregator.deploy(8, 200000000000);
+    const mockOracleAddress = await mockOracle.getAddress();
+
+    ({ contract: priceConsumer, entry: consumerEntry } = await deployProxy(hre, "PriceConsumerUpgradeable", [
+      mockOracleAddress,
+      oracle.address,
+      owner.address,
+    ]));
+    ({ contract: oracleToken, entry: tokenEntry } = await deployProxy(hre, "OracleTokenUpgradeable", [
+      "Oracle Token",
+      "ORACLE",
+      await priceConsumer.getAddress(),
+      owner.address,
+    ]));
+  });
+
+  async function signedUpdate(price) {
+    const timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+    const domain = await getPriceReportDomain(priceConsumer);
+    const signature = await signPriceReport(oracle, domain, { price, timestamp });
+    return [price, timestamp, signature];
+  }
+
+  describe("Initialization", function () {
+    it("Should initialize the proxies like the constructors do", async function () {
+      expect(await priceConsumer.owner()).to.equal(owner.address);
+      expect(await priceConsumer.trustedOracle()).to.equal(oracle.address);
+      expect(await priceConsumer.legacySignatures()).to.equal(true);
+      expect(await priceConsumer.getLatestPrice()).to.equal(200000000000n);
+
+      expect(await oracleToken.name()).to.equal("Oracle Token");
+      expect(await oracleToken.symbol()).to.equal("ORACLE");
+      expect(await oracleToken.owner()).to.equal(owner.address);
+      expect(await oracleToken.mintRate()).to.equal(100);
+      expect(await oracleToken.balanceOf(owner.address)).to.equal(ethers.parseEther("100000"));
+      expect(await oracleToken.hasRole(await oracleToken.MINTER_ROLE(), owner.address)).to.equal(true);
+    });
+
+    it("Should initialize only once and never the implementation", async function () {
+      await expect(
+        priceConsumer.initialize(await mockOracle.getAddress(), user.address, user.address)
+      ).to.be.revertedWithCustomError(priceConsumer, "InvalidInitialization");
+
+      const [{ address }] = consumerEntry.proxy.implementations;
+      const implementation = await ethers.getContractAt("PriceConsumerUpgradeable", address);
+      expect(await implementation.owner()).to.equal(ethers.ZeroAddress);
+      await expect(
+        implementation.initialize(await mockOracle.getAddress(), user.address, user.address)
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should verify signed reports against the proxy's EIP-712 domain", async function () {
+      const domain = await getPriceReportDomain(priceConsumer);
+      expect(domain.verifyingContract).to.equal(await priceConsumer.getAddress());
+
+      await priceConsumer.updatePriceWithSignature(...(await signedUpdate(210000000000n)));
+      expect(await priceConsumer.latestPrice()).to.equal(210000000000n);
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should keep state and record the implementation history", async function () {
+      const update = await signedUpdate(210000000000n);
+      await priceConsumer.updatePriceWithSignature(...update);
+
+      const { contract: upgraded, entry } = await upgradeProxy(hre, consumerEntry, "MockPriceConsumerV2", {
+        call: { fn: "initializeV2" },
+      });
+
+      expect(await upgraded.getAddress()).to.equal(await priceConsumer.getAddress());
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.upgradeCount()).to.equal(1);
+      expect(await upgraded.latestPrice()).to.equal(210000000000n);
+      expect(await upgraded.owner()).to.equal(owner.address);
+      // Replay protection survives the upgrade
+      expect(await upgraded.usedHashes(await upgraded.hashPriceReport(ethers.ZeroHash, ...update.slice(0, 2)))).to.equal(true);
+      await expect(upgraded.updatePriceWithSignature(...update)).to.be.revertedWith("Timestamp must be newer");
+
+      expect(entry.contractName).to.equal("MockPriceConsumerV2");
+      expect(entry.proxy.implementations.map((i) => i.contractName)).to.deep.equal([
+        "PriceConsumerUpgradeable",
+        "MockPriceConsumerV2",
+      ]);
+      const [, latest] = entry.proxy.implementations;
+      expect(await getImplementationAddress(ethers.provider, entry.address)).to.equal(latest.address);
+      expect(latest.upgradeTransactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(latest.bytecodeHash).to.equal(ethers.keccak256(await ethers.provider.getCode(latest.address)));
+    });
+
+    it("Should keep balances and roles across a token upgrade", async function () {
+      await oracleToken.transfer(user.address, ethers.parseEther("5"));
+
+      const { contract: upgraded } = await upgradeProxy(hre, tokenEntry, "MockOracleTokenV2");
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.name()).to.equal("Oracle Token");
+      expect(await upgraded.balanceOf(user.address)).to.equal(ethers.parseEther("5"));
+      expect(await upgraded.totalSupply()).to.equal(ethers.parseEther("100000"));
+      expect(await upgraded.hasRole(await upgraded.MINTER_ROLE(), owner.address)).to.equal(true);
+    });
+
+    it("Should block an unsafe upgrade before sending anything", async function () {
+      const problems = await checkUpgrade(hre, consumerEntry, "MockUnsafePriceConsumerV2");
+      expect(problems[0]).to.include("Inserted `shifted`");
+
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await expect(upgradeProxy(hre, consumerEntry, "MockUnsafePriceConsumerV2")).to.be.rejectedWith(
+        "Unsafe upgrade of PriceConsumerUpgradeable"
+      );
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("Should block an upgrade that changes a namespaced struct", async function () {
+      const { entry } = await deployProxy(hre, "MockNamespacedV1", []);
+      const problems = await checkUpgrade(hre, entry, "MockNamespacedV2");
+      expect(problems[0]).to.include("Inserted `version`");
+
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await expect(upgradeProxy(hre, entry, "MockNamespacedV2")).to.be.rejectedWith("Unsafe upgrade of MockNamespacedV1");
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("Should only let the owner upgrade", async function () {
+      const Factory = await ethers.getContractFactory("MockPriceConsumerV2");
+      const implementation = await Factory.deploy();
+
+      await expect(
+        priceConsumer.connect(user).upgradeToAndCall(await implementation.getAddress(), "0x")
+      ).to.be.revertedWithCustomError(priceConsumer, "OwnableUnauthorizedAccount");
+      // Contracts without proxiableUUID are refused on-chain
+      await expect(priceConsumer.upgradeToAndCall(await mockOracle.getAddress(), "0x")).to.be.revertedWithCustomError(
+        priceConsumer,
+        "ERC1967InvalidImplementation"
+      );
+    });
+
+    it("Should flag a proxy upgraded outside the manifest", async function () {
+      const Factory = await ethers.getContractFactory("MockPriceConsumerV2");
+      const implementation = await Factory.deploy();
+      await priceConsumer.upgradeToAndCall(await implementation.getAddress(), "0x");
+
+      const manifest = { network: "hardhat", chainId: 31337, contracts: { priceConsumer: consumerEntry } };
+      await expect(verifyManifest(ethers.provider, manifest)).to.be.rejectedWith(/delegates to 0x[0-9a-fA-F]{40}, not/);
+      await expect(upgradeProxy(hre, consumerEntry)).to.be.rejectedWith("the manifest is out of date");
+    });
+  });
+
+  describe("Implementation Check", function () {
+    it("Should accept an implementation that appends state", async function () {
+      expect(await checkUpgrade(hre, consumerEntry, "MockPriceConsumerV2")).to.deep.equal([]);
+      expect(await checkUpgrade(hre, tokenEntry, "MockOracleTokenV2")).to.deep.equal([]);
+    });
+
+    it("Should refuse unsafe code as well as unsafe storage", async function () {
+      const problems = await checkUpgrade(hre, consumerEntry, "MockDelegatingPriceConsumerV2");
+      expect(problems).to.have.length(1);
+      expect(problems[0]).to.include("Use of delegatecall is not allowed");
+    });
+  });
+});